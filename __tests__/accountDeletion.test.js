@@ -0,0 +1,185 @@
+/**
+ * Account deletion: grace period, cancellation by logging in and the scrubbing job
+ */
+
+process.env.NODE_ENV = 'test';
+process.env.ACCOUNT_DELETION_GRACE_DAYS = '14';
+
+jest.mock('../src/models/User', () => ({
+  findById: jest.fn(),
+  find: jest.fn(),
+  findOneAndUpdate: jest.fn(),
+  updateOne: jest.fn(),
+  updateMany: jest.fn(),
+  deleteOne: jest.fn()
+}));
+
+jest.mock('../src/models/Message', () => ({
+  find: jest.fn(),
+  deleteMany: jest.fn()
+}));
+
+jest.mock('../src/models/ApiKey', () => ({
+  find: jest.fn(),
+  deleteMany: jest.fn()
+}));
+
+[
+  'FriendRequest',
+  'RefreshToken',
+  'EmailVerificationToken',
+  'PasswordResetToken',
+  'MagicLinkToken',
+  'OidcAuthRequest',
+  'UserIdentity',
+  'Passkey',
+  'WebAuthnChallenge',
+  'ApiKeyUsage',
+  'UsernameHistory',
+  'EmailChangeRequest',
+  'Reaction'
+].forEach((model) => {
+  jest.doMock(`../src/models/${model}`, () => ({ deleteMany: jest.fn() }));
+});
+
+jest.mock('../src/config/redis', () => ({
+  onlineUsers: { remove: jest.fn() },
+  messageCache: { delete: jest.fn() },
+  loginAttempts: {}
+}));
+
+jest.mock('../src/config/socket', () => ({
+  disconnectUserSockets: jest.fn()
+}));
+
+jest.mock('../src/services/accountLockoutService', () => ({
+  clearFailedLogins: jest.fn()
+}));
+
+jest.mock('../src/services/dataExportService', () => ({
+  deleteUserExports: jest.fn()
+}));
+
+jest.mock('../src/services/usernameService', () => ({
+  releaseUsername: jest.fn()
+}));
+
+jest.mock('../src/services/emailService', () => ({
+  sendAccountDeletionScheduledEmail: jest.fn()
+}));
+
+jest.mock('../src/utils/fileProcessor', () => ({
+  deleteFile: jest.fn()
+}));
+
+const bcrypt = require('bcryptjs');
+const User = require('../src/models/User');
+const Message = require('../src/models/Message');
+const ApiKey = require('../src/models/ApiKey');
+const RefreshToken = require('../src/models/RefreshToken');
+const { disconnectUserSockets } = require('../src/config/socket');
+const emailService = require('../src/services/emailService');
+const { releaseUsername } = require('../src/services/usernameService');
+const {
+  requestAccountDeletionService,
+  cancelScheduledDeletion,
+  processDueDeletions
+} = require('../src/services/accountDeletionService');
+const { USER_ID, mockQuery, buildUser } = require('./helpers/fixtures');
+
+const NOW = new Date('2026-01-01T12:00:00Z').getTime();
+const DAY = 24 * 60 * 60 * 1000;
+
+describe('Account deletion', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(Date, 'now').mockReturnValue(NOW);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('requestAccountDeletionService', () => {
+    const withPassword = async () => buildUser({ password: await bcrypt.hash('Passw0rd!', 4) });
+
+    test('should require the current password', async () => {
+      const user = await withPassword();
+      User.findById.mockReturnValue(mockQuery(user));
+
+      await expect(requestAccountDeletionService(USER_ID, 'wrong')).rejects.toMatchObject({ statusCode: 400 });
+      expect(user.save).not.toHaveBeenCalled();
+    });
+
+    test('should schedule the deletion after the grace period and sign out everywhere', async () => {
+      const user = await withPassword();
+      User.findById.mockReturnValue(mockQuery(user));
+
+      const result = await requestAccountDeletionService(USER_ID, 'Passw0rd!');
+
+      expect(user.deletionScheduledFor).toEqual(new Date(NOW + 14 * DAY));
+      expect(result.deletionScheduledFor).toEqual(user.deletionScheduledFor);
+      expect(RefreshToken.deleteMany).toHaveBeenCalledWith({ userId: USER_ID });
+      expect(disconnectUserSockets).toHaveBeenCalledWith(USER_ID, 'account_deletion_scheduled');
+      expect(emailService.sendAccountDeletionScheduledEmail).toHaveBeenCalledWith(user, user.deletionScheduledFor);
+    });
+  });
+
+  describe('cancelScheduledDeletion', () => {
+    test('should clear a pending deletion that has not started yet', async () => {
+      User.updateOne.mockResolvedValue({ modifiedCount: 1 });
+
+      await expect(cancelScheduledDeletion(USER_ID)).resolves.toBe(true);
+      expect(User.updateOne).toHaveBeenCalledWith(
+        { _id: USER_ID, deletionScheduledFor: { $ne: null }, deletionStartedAt: null },
+        { deletionRequestedAt: null, deletionScheduledFor: null }
+      );
+    });
+
+    test('should report nothing cancelled once the job has claimed the account', async () => {
+      User.updateOne.mockResolvedValue({ modifiedCount: 0 });
+
+      await expect(cancelScheduledDeletion(USER_ID)).resolves.toBe(false);
+    });
+  });
+
+  describe('processDueDeletions', () => {
+    beforeEach(() => {
+      User.find.mockReturnValue(mockQuery([]));
+      Message.find.mockReturnValue(mockQuery([]));
+      ApiKey.find.mockReturnValue({ distinct: jest.fn().mockResolvedValue([]) });
+    });
+
+    test('should only claim accounts whose grace period has ended', async () => {
+      User.findOneAndUpdate.mockResolvedValue(null);
+
+      await expect(processDueDeletions()).resolves.toBe(0);
+
+      const [filter, update] = User.findOneAndUpdate.mock.calls[0];
+      expect(filter.deletionScheduledFor).toEqual({ $ne: null, $lte: update.deletionStartedAt });
+      expect(update.deletionStartedAt).toBeInstanceOf(Date);
+    });
+
+    test('should anonymise the account and keep no way to log in', async () => {
+      const user = buildUser({ deletionScheduledFor: new Date(NOW - DAY) });
+      User.findOneAndUpdate.mockResolvedValueOnce(user).mockResolvedValueOnce(null);
+
+      await expect(processDueDeletions()).resolves.toBe(1);
+
+      expect(RefreshToken.deleteMany).toHaveBeenCalledWith({ userId: user._id });
+      expect(User.updateMany).toHaveBeenCalledWith({ friends: user._id }, { $pull: { friends: user._id } });
+      expect(User.deleteOne).not.toHaveBeenCalled();
+      expect(releaseUsername).toHaveBeenCalledWith(null, 'alice');
+
+      const [, update] = User.updateOne.mock.calls[0];
+      expect(update.$set).toMatchObject({
+        username: `deleted_${USER_ID.slice(-12)}`,
+        isActive: false,
+        pendingEmail: null,
+        deletedAt: expect.any(Date)
+      });
+      expect(update.$set.email).not.toContain('alice');
+      expect(update.$unset).toMatchObject({ deletionScheduledFor: 1, twoFactorSecret: 1 });
+    });
+  });
+});
@@ -0,0 +1,245 @@
+/**
+ * Failed login backoff and account lockout thresholds
+ * Redis and models are mocked - no database required
+ */
+
+process.env.NODE_ENV = 'test';
+process.env.LOGIN_BACKOFF_THRESHOLD = '3';
+process.env.LOGIN_LOCKOUT_THRESHOLD = '10';
+process.env.LOGIN_LOCKOUT_MINUTES = '30';
+
+jest.mock('../src/models/User', () => ({
+  findById: jest.fn(),
+  findOneAndUpdate: jest.fn(),
+  updateOne: jest.fn()
+}));
+
+jest.mock('../src/models/LoginAttempt', () => ({
+  findOne: jest.fn(),
+  findOneAndUpdate: jest.fn(),
+  updateOne: jest.fn(),
+  deleteOne: jest.fn()
+}));
+
+jest.mock('../src/config/redis', () => ({
+  loginAttempts: {
+    get: jest.fn(),
+    increment: jest.fn(),
+    setLockUntil: jest.fn(),
+    clear: jest.fn()
+  }
+}));
+
+jest.mock('../src/services/emailService', () => ({
+  sendAccountLockedEmail: jest.fn()
+}));
+
+const User = require('../src/models/User');
+const LoginAttempt = require('../src/models/LoginAttempt');
+const { loginAttempts } = require('../src/config/redis');
+const emailService = require('../src/services/emailService');
+const {
+  getLockoutStatus,
+  assertLoginAllowed,
+  assertUnknownEmailLoginAllowed,
+  recordFailedLogin,
+  recordUnknownEmailFailure,
+  clearFailedLogins
+} = require('../src/services/accountLockoutService');
+const { hashToken } = require('../src/utils/secureToken');
+const { USER_ID, mockQuery, buildUser } = require('./helpers/fixtures');
+
+const NOW = new Date('2026-01-01T12:00:00Z').getTime();
+const user = buildUser();
+const EMAIL_KEY = `email:${hashToken('nobody@example.com')}`;
+
+const mockMongoState = (state) => {
+  User.findById.mockReturnValue(mockQuery(state));
+};
+
+describe('Account lockout', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(Date, 'now').mockReturnValue(NOW);
+    emailService.sendAccountLockedEmail.mockResolvedValue();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('recordFailedLogin (Redis)', () => {
+    test('should not throttle below the backoff threshold', async () => {
+      loginAttempts.increment.mockResolvedValue(2);
+
+      await expect(recordFailedLogin(user)).resolves.toBe(2);
+      expect(loginAttempts.setLockUntil).not.toHaveBeenCalled();
+    });
+
+    test('should back off exponentially from the backoff threshold', async () => {
+      loginAttempts.increment.mockResolvedValueOnce(3).mockResolvedValueOnce(5);
+
+      await recordFailedLogin(user);
+      await recordFailedLogin(user);
+
+      expect(loginAttempts.setLockUntil).toHaveBeenNthCalledWith(1, USER_ID, NOW + 1000);
+      expect(loginAttempts.setLockUntil).toHaveBeenNthCalledWith(2, USER_ID, NOW + 4000);
+    });
+
+    test('should lock the account and email the user at the lockout threshold', async () => {
+      loginAttempts.increment.mockResolvedValue(10);
+
+      await recordFailedLogin(user);
+
+      expect(loginAttempts.setLockUntil).toHaveBeenCalledWith(USER_ID, NOW + 30 * 60 * 1000);
+      expect(emailService.sendAccountLockedEmail).toHaveBeenCalledWith(user, 30);
+    });
+
+    test('should email the user only when the lock starts', async () => {
+      loginAttempts.increment.mockResolvedValue(11);
+
+      await recordFailedLogin(user);
+
+      expect(loginAttempts.setLockUntil).toHaveBeenCalledWith(USER_ID, NOW + 30 * 60 * 1000);
+      expect(emailService.sendAccountLockedEmail).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('recordFailedLogin (MongoDB fallback)', () => {
+    beforeEach(() => {
+      loginAttempts.increment.mockResolvedValue(null);
+    });
+
+    test('should increment atomically and lock from the returned count', async () => {
+      User.findOneAndUpdate.mockReturnValue(mockQuery({ failedLoginAttempts: 10 }));
+
+      await expect(recordFailedLogin(user)).resolves.toBe(10);
+
+      expect(User.findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: USER_ID },
+        { $inc: { failedLoginAttempts: 1 }, $set: { lastFailedLoginAt: new Date(NOW) } },
+        { new: true }
+      );
+      expect(User.updateOne).toHaveBeenCalledWith(
+        { _id: USER_ID },
+        { $max: { loginLockedUntil: new Date(NOW + 30 * 60 * 1000) } }
+      );
+      expect(emailService.sendAccountLockedEmail).toHaveBeenCalledWith(user, 30);
+    });
+
+    test('should reset a stale window before counting', async () => {
+      User.findOneAndUpdate.mockReturnValue(mockQuery({ failedLoginAttempts: 1 }));
+
+      await expect(recordFailedLogin(user)).resolves.toBe(1);
+
+      expect(User.updateOne).toHaveBeenCalledTimes(1);
+      expect(User.updateOne).toHaveBeenCalledWith(
+        { _id: USER_ID, lastFailedLoginAt: { $lt: new Date(NOW - 24 * 60 * 60 * 1000) } },
+        { failedLoginAttempts: 0 }
+      );
+      expect(User.updateOne.mock.invocationCallOrder[0]).toBeLessThan(User.findOneAndUpdate.mock.invocationCallOrder[0]);
+    });
+  });
+
+  describe('assertLoginAllowed', () => {
+    test('should allow an account without failures', async () => {
+      loginAttempts.get.mockResolvedValue({ count: 0, lockUntil: null });
+
+      await expect(assertLoginAllowed(USER_ID)).resolves.toBeUndefined();
+    });
+
+    test('should reject with 429 during backoff', async () => {
+      loginAttempts.get.mockResolvedValue({ count: 4, lockUntil: NOW + 2000 });
+
+      await expect(assertLoginAllowed(USER_ID)).rejects.toMatchObject({ statusCode: 429 });
+    });
+
+    test('should reject with 423 while locked', async () => {
+      loginAttempts.get.mockResolvedValue({ count: 10, lockUntil: NOW + 30 * 60 * 1000 });
+
+      await expect(assertLoginAllowed(USER_ID)).rejects.toMatchObject({ statusCode: 423 });
+    });
+
+    test('should allow the next attempt once the lock has expired', async () => {
+      loginAttempts.get.mockResolvedValue({ count: 10, lockUntil: NOW - 1 });
+
+      await expect(assertLoginAllowed(USER_ID)).resolves.toBeUndefined();
+    });
+
+    test('should fall back to MongoDB when Redis has no state', async () => {
+      loginAttempts.get.mockResolvedValue(null);
+      mockMongoState({ failedLoginAttempts: 10, lastFailedLoginAt: new Date(NOW), loginLockedUntil: new Date(NOW + 60 * 1000) });
+
+      const status = await getLockoutStatus(USER_ID);
+
+      expect(status).toMatchObject({ isLocked: true, storage: 'mongodb', retryAfterSeconds: 60 });
+    });
+  });
+
+  describe('unknown emails', () => {
+    test('should back off and lock like an account, keyed by the email hash', async () => {
+      loginAttempts.increment.mockResolvedValue(10);
+
+      await expect(recordUnknownEmailFailure('Nobody@Example.com')).resolves.toBe(10);
+
+      expect(loginAttempts.increment).toHaveBeenCalledWith(EMAIL_KEY, 24 * 60 * 60);
+      expect(loginAttempts.setLockUntil).toHaveBeenCalledWith(EMAIL_KEY, NOW + 30 * 60 * 1000);
+      expect(emailService.sendAccountLockedEmail).not.toHaveBeenCalled();
+    });
+
+    test('should reject with the same responses as a registered account', async () => {
+      loginAttempts.get.mockResolvedValueOnce({ count: 10, lockUntil: NOW + 30 * 60 * 1000 });
+      const locked = await assertUnknownEmailLoginAllowed('nobody@example.com').catch((error) => error);
+      loginAttempts.get.mockResolvedValueOnce({ count: 10, lockUntil: NOW + 30 * 60 * 1000 });
+      const lockedAccount = await assertLoginAllowed(USER_ID).catch((error) => error);
+
+      expect(loginAttempts.get).toHaveBeenNthCalledWith(1, EMAIL_KEY);
+      expect(locked).toMatchObject({ statusCode: 423, message: lockedAccount.message });
+
+      loginAttempts.get.mockResolvedValueOnce({ count: 4, lockUntil: NOW + 2000 });
+      await expect(assertUnknownEmailLoginAllowed('nobody@example.com')).rejects.toMatchObject({ statusCode: 429 });
+    });
+
+    test('should count atomically in MongoDB when Redis is unavailable', async () => {
+      loginAttempts.increment.mockResolvedValue(null);
+      LoginAttempt.findOneAndUpdate.mockResolvedValue({ failedLoginAttempts: 3 });
+
+      await expect(recordUnknownEmailFailure('nobody@example.com')).resolves.toBe(3);
+
+      expect(LoginAttempt.deleteOne).toHaveBeenCalledWith({ key: EMAIL_KEY, expiresAt: { $lte: new Date(NOW) } });
+      expect(LoginAttempt.findOneAndUpdate).toHaveBeenCalledWith(
+        { key: EMAIL_KEY },
+        {
+          $inc: { failedLoginAttempts: 1 },
+          $set: { lastFailedLoginAt: new Date(NOW), expiresAt: new Date(NOW + 24 * 60 * 60 * 1000) }
+        },
+        { new: true, upsert: true }
+      );
+      expect(LoginAttempt.updateOne).toHaveBeenCalledWith(
+        { key: EMAIL_KEY },
+        { $max: { loginLockedUntil: new Date(NOW + 1000) } }
+      );
+    });
+
+    test('should ignore MongoDB state past its window', async () => {
+      loginAttempts.get.mockResolvedValue(null);
+      LoginAttempt.findOne.mockResolvedValue({
+        failedLoginAttempts: 10,
+        loginLockedUntil: new Date(NOW + 60 * 1000),
+        expiresAt: new Date(NOW - 1)
+      });
+
+      await expect(assertUnknownEmailLoginAllowed('nobody@example.com')).resolves.toBeUndefined();
+    });
+  });
+
+  test('clearFailedLogins should reset Redis and MongoDB state', async () => {
+    await clearFailedLogins(USER_ID);
+
+    expect(loginAttempts.clear).toHaveBeenCalledWith(USER_ID);
+    expect(User.updateOne).toHaveBeenCalledWith(
+      { _id: USER_ID },
+      { failedLoginAttempts: 0, lastFailedLoginAt: null, loginLockedUntil: null }
+    );
+  });
+});
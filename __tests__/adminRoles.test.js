@@ -0,0 +1,172 @@
+/**
+ * Staff roles: route gates and who may moderate whom
+ */
+
+process.env.NODE_ENV = 'test';
+process.env.JWT_SECRET_KEY = 'test-secret-key';
+
+jest.mock('../src/models/User', () => ({
+  findById: jest.fn(),
+  find: jest.fn(),
+  countDocuments: jest.fn().mockResolvedValue(0),
+  aggregate: jest.fn().mockResolvedValue([])
+}));
+
+jest.mock('../src/models/Message', () => ({
+  countDocuments: jest.fn().mockResolvedValue(0)
+}));
+
+jest.mock('../src/models/FriendRequest', () => ({
+  countDocuments: jest.fn().mockResolvedValue(0)
+}));
+
+jest.mock('../src/models/RefreshToken', () => ({
+  deleteMany: jest.fn().mockResolvedValue({ deletedCount: 0 }),
+  countDocuments: jest.fn().mockResolvedValue(0)
+}));
+
+jest.mock('../src/config/redis', () => ({
+  onlineUsers: { count: jest.fn().mockResolvedValue(0) },
+  loginAttempts: {}
+}));
+
+jest.mock('../src/config/socket', () => ({
+  disconnectUserSockets: jest.fn(),
+  getConnectionStats: jest.fn()
+}));
+
+jest.mock('../src/services/auditService', () => ({
+  record: jest.fn()
+}));
+
+const User = require('../src/models/User');
+const RefreshToken = require('../src/models/RefreshToken');
+const { disconnectUserSockets } = require('../src/config/socket');
+const { signToken } = require('../src/config/jwtKeys');
+const { requireRole, authenticateToken } = require('../src/middlewares/authMiddleware');
+const {
+  listUsersService,
+  suspendUserService,
+  reactivateUserService,
+  getPlatformStatsService
+} = require('../src/services/adminService');
+const {
+  USER_ID,
+  OTHER_USER_ID,
+  objectId,
+  mockQuery,
+  buildUser,
+  buildReq,
+  buildRes
+} = require('./helpers/fixtures');
+
+const staff = (role) => buildUser({ role });
+const target = (overrides = {}) => buildUser({ _id: objectId(OTHER_USER_ID), username: 'bob', ...overrides });
+
+describe('Admin roles', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('requireRole', () => {
+    test.each([
+      ['admin', true],
+      ['moderator', true],
+      ['user', false]
+    ])('should only let staff through the staff gate (%s)', async (role, allowed) => {
+      const res = buildRes();
+      const next = jest.fn();
+
+      await requireRole('admin', 'moderator')(buildReq({ userDetails: staff(role) }), res, next);
+
+      expect(next).toHaveBeenCalledTimes(allowed ? 1 : 0);
+      if (!allowed) {
+        expect(res.status).toHaveBeenCalledWith(403);
+      }
+    });
+
+    test('should deny a request without loaded user details', async () => {
+      const res = buildRes();
+      const next = jest.fn();
+
+      await requireRole('admin')(buildReq(), res, next);
+
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(next).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('moderation targets', () => {
+    test('should let a moderator suspend a regular user and log them out', async () => {
+      const bob = target();
+      User.findById.mockReturnValue(mockQuery(bob));
+
+      await suspendUserService(staff('moderator'), OTHER_USER_ID);
+
+      expect(bob.isActive).toBe(false);
+      expect(RefreshToken.deleteMany).toHaveBeenCalledWith({ userId: bob._id });
+      expect(disconnectUserSockets).toHaveBeenCalledWith(bob._id, 'account_suspended');
+    });
+
+    test.each(['moderator', 'admin'])('should not let a moderator act on a %s', async (role) => {
+      const other = target({ role });
+      User.findById.mockReturnValue(mockQuery(other));
+
+      await expect(suspendUserService(staff('moderator'), OTHER_USER_ID)).rejects.toMatchObject({ statusCode: 403 });
+      expect(other.save).not.toHaveBeenCalled();
+    });
+
+    test('should let an admin moderate a moderator but not another admin', async () => {
+      User.findById.mockReturnValueOnce(mockQuery(target({ role: 'moderator' })));
+      await expect(suspendUserService(staff('admin'), OTHER_USER_ID)).resolves.toBeDefined();
+
+      User.findById.mockReturnValueOnce(mockQuery(target({ role: 'admin', isActive: false })));
+      await expect(reactivateUserService(staff('admin'), OTHER_USER_ID)).rejects.toMatchObject({ statusCode: 403 });
+    });
+
+    test('should refuse actions on your own account', async () => {
+      await expect(suspendUserService(staff('admin'), USER_ID)).rejects.toMatchObject({ statusCode: 400 });
+      expect(User.findById).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('suspended accounts', () => {
+    test('should leave deleted and anonymised accounts out of the suspended filter', async () => {
+      User.find.mockReturnValue(mockQuery([]));
+
+      await listUsersService({ status: 'suspended' });
+
+      expect(User.find).toHaveBeenCalledWith(expect.objectContaining({
+        isActive: false,
+        deletedAt: null,
+        deletionScheduledFor: null
+      }));
+    });
+
+    test('should leave deleted and anonymised accounts out of the suspended count', async () => {
+      await getPlatformStatsService();
+
+      expect(User.countDocuments).toHaveBeenCalledWith({ isActive: false, deletedAt: null, deletionScheduledFor: null });
+      expect(User.countDocuments).not.toHaveBeenCalledWith({ isActive: false });
+    });
+  });
+
+  describe('authenticateToken', () => {
+    test('should turn away a suspended account', async () => {
+      const token = signToken({ id: USER_ID, type: 'access' });
+      const suspension = { reason: null, suspendedAt: new Date(), suspendedUntil: null };
+      User.findById.mockReturnValue(mockQuery(buildUser({
+        isActive: false,
+        getActiveSuspension: jest.fn().mockReturnValue(suspension)
+      })));
+      const res = buildRes();
+      const next = jest.fn();
+
+      await authenticateToken(buildReq({ headers: { authorization: `Bearer ${token}` } }), res, next);
+
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ code: 'ACCOUNT_SUSPENDED' }));
+      expect(next).not.toHaveBeenCalled();
+    });
+  });
+});
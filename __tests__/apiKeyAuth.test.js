@@ -0,0 +1,187 @@
+/**
+ * API key authentication: key checks, disabled bots and scope enforcement
+ * Models are mocked - no database required
+ */
+
+process.env.NODE_ENV = 'test';
+
+jest.mock('../src/models/User', () => ({
+  findById: jest.fn()
+}));
+
+jest.mock('../src/models/ApiKey', () => ({
+  findOne: jest.fn()
+}));
+
+jest.mock('../src/services/apiKeyService', () => ({
+  recordApiKeyUsage: jest.fn()
+}));
+
+jest.mock('../src/middlewares/rateLimiter', () => ({
+  rateLimiters: {
+    apiKey: jest.fn((req, res, next) => next())
+  }
+}));
+
+const User = require('../src/models/User');
+const ApiKey = require('../src/models/ApiKey');
+const { hashToken } = require('../src/utils/secureToken');
+const { getRequiredScope } = require('../src/config/apiKeyScopes');
+const { verifyApiKey, assertApiKeyScope } = require('../src/services/tokenVerificationService');
+const { authenticateToken } = require('../src/middlewares/authMiddleware');
+const {
+  USER_ID,
+  OTHER_USER_ID: OWNER_ID,
+  mockQuery,
+  buildUser,
+  buildReq,
+  buildRes
+} = require('./helpers/fixtures');
+
+const RAW_KEY = 'chk_test_key';
+
+const buildApiKey = (overrides = {}) => ({
+  _id: { toString: () => 'key-id' },
+  userId: USER_ID,
+  scopes: ['messages:read'],
+  rateLimitPerMinute: 60,
+  isUsable: jest.fn().mockReturnValue(true),
+  ...overrides
+});
+
+const suspendedUser = (overrides = {}) => buildUser({
+  isActive: false,
+  getActiveSuspension: jest.fn().mockReturnValue({ reason: 'Spam', suspendedAt: new Date(), suspendedUntil: null }),
+  ...overrides
+});
+
+// Resolve User.findById(...).select(...) for each call in turn
+const mockUsers = (...users) => {
+  users.forEach((user) => {
+    User.findById.mockReturnValueOnce(mockQuery(user));
+  });
+};
+
+const apiKeyRequest = (method, url) => buildReq({
+  method,
+  originalUrl: url,
+  headers: { authorization: `ApiKey ${RAW_KEY}` }
+});
+
+describe('API key authentication', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    ApiKey.findOne.mockResolvedValue(buildApiKey());
+  });
+
+  describe('getRequiredScope', () => {
+    test('should map endpoints to their scope', () => {
+      expect(getRequiredScope('GET', '/api/messages/conversations')).toBe('messages:read');
+      expect(getRequiredScope('POST', '/api/messages/text/abc')).toBe('messages:send');
+      expect(getRequiredScope('DELETE', '/api/messages/abc/reactions')).toBe('messages:send');
+      expect(getRequiredScope('PATCH', '/api/messages/abc')).toBe('messages:send');
+      expect(getRequiredScope('GET', '/api/user/profile?fields=all')).toBe('profile:read');
+    });
+
+    test('should deny endpoints without a scope', () => {
+      expect(getRequiredScope('DELETE', '/api/messages/abc')).toBeNull();
+      expect(getRequiredScope('POST', '/api/auth/change-password')).toBeNull();
+      expect(getRequiredScope('GET', '/api/admin/users')).toBeNull();
+      expect(getRequiredScope('POST', '/api/api-keys')).toBeNull();
+    });
+  });
+
+  describe('assertApiKeyScope', () => {
+    test('should allow an endpoint the key has the scope for', () => {
+      expect(() => assertApiKeyScope(buildApiKey(), 'GET', '/api/messages/conversations')).not.toThrow();
+    });
+
+    test('should reject a key missing the scope', () => {
+      expect(() => assertApiKeyScope(buildApiKey(), 'POST', '/api/messages/text/abc'))
+        .toThrow(expect.objectContaining({ statusCode: 403, code: 'INSUFFICIENT_SCOPE' }));
+    });
+
+    test('should reject endpoints not available to API keys', () => {
+      const apiKey = buildApiKey({ scopes: ['messages:send', 'messages:read', 'friends:write'] });
+
+      expect(() => assertApiKeyScope(apiKey, 'DELETE', '/api/messages/abc'))
+        .toThrow(expect.objectContaining({ statusCode: 403, code: 'API_KEY_NOT_ALLOWED' }));
+    });
+  });
+
+  describe('verifyApiKey', () => {
+    test('should look the key up by its hash and return the user', async () => {
+      mockUsers(buildUser());
+
+      const result = await verifyApiKey(RAW_KEY);
+
+      expect(ApiKey.findOne).toHaveBeenCalledWith({ keyHash: hashToken(RAW_KEY) });
+      expect(result.userId).toBe(USER_ID);
+    });
+
+    test('should reject an unknown key', async () => {
+      ApiKey.findOne.mockResolvedValue(null);
+
+      await expect(verifyApiKey(RAW_KEY)).rejects.toMatchObject({ statusCode: 401, code: 'INVALID_API_KEY' });
+    });
+
+    test('should reject a revoked or expired key', async () => {
+      ApiKey.findOne.mockResolvedValue(buildApiKey({ isUsable: jest.fn().mockReturnValue(false) }));
+
+      await expect(verifyApiKey(RAW_KEY)).rejects.toMatchObject({ statusCode: 401, code: 'INVALID_API_KEY' });
+      expect(User.findById).not.toHaveBeenCalled();
+    });
+
+    test('should reject a key of a disabled bot', async () => {
+      mockUsers(buildUser({ botOwner: OWNER_ID, botDisabledAt: new Date() }));
+
+      await expect(verifyApiKey(RAW_KEY)).rejects.toMatchObject({ statusCode: 403, code: 'BOT_DISABLED' });
+    });
+
+    test('should reject a key of a suspended account', async () => {
+      mockUsers(suspendedUser());
+
+      await expect(verifyApiKey(RAW_KEY)).rejects.toMatchObject({ statusCode: 403, code: 'ACCOUNT_SUSPENDED' });
+    });
+
+    test('should reject a bot key when the owner is suspended', async () => {
+      mockUsers(buildUser({ botOwner: OWNER_ID }), suspendedUser());
+
+      await expect(verifyApiKey(RAW_KEY)).rejects.toMatchObject({ statusCode: 403, code: 'OWNER_SUSPENDED' });
+    });
+
+    test('should reject a key of an account pending deletion', async () => {
+      mockUsers(buildUser({ deletionScheduledFor: new Date() }));
+
+      await expect(verifyApiKey(RAW_KEY)).rejects.toMatchObject({ statusCode: 403, code: 'ACCOUNT_PENDING_DELETION' });
+    });
+  });
+
+  describe('HTTP (authenticateToken)', () => {
+    test('should authenticate a key on an endpoint in its scope', async () => {
+      mockUsers(buildUser());
+      const req = apiKeyRequest('GET', '/api/messages/conversations');
+      const res = buildRes();
+      const next = jest.fn();
+
+      await authenticateToken(req, res, next);
+
+      expect(next).toHaveBeenCalledWith();
+      expect(req.user).toMatchObject({ id: USER_ID, sessionId: null, scopes: ['messages:read'] });
+    });
+
+    test('should deny a key outside its scope with 403', async () => {
+      mockUsers(buildUser());
+      const req = apiKeyRequest('POST', '/api/messages/text/abc');
+      const res = buildRes();
+      const next = jest.fn();
+
+      await authenticateToken(req, res, next);
+
+      expect(next).not.toHaveBeenCalled();
+      expect(req.user).toBeUndefined();
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ success: false, code: 'INSUFFICIENT_SCOPE' }));
+    });
+  });
+});
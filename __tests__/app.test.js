@@ -44,6 +44,12 @@ describe('Chat Application Backend Tests', () => {
       }).not.toThrow();
     });
 
+    test('should load Reaction model without errors', () => {
+      expect(() => {
+        require('../src/models/Reaction');
+      }).not.toThrow();
+    });
+
     test('should load authService without errors', () => {
       expect(() => {
         require('../src/services/authService');
@@ -61,6 +67,12 @@ describe('Chat Application Backend Tests', () => {
         require('../src/utils/errorHandler');
       }).not.toThrow();
     });
+
+    test('should load mailer without errors', () => {
+      expect(() => {
+        require('../src/utils/mailer');
+      }).not.toThrow();
+    });
   });
 
   describe('Route Configuration', () => {
@@ -70,7 +82,10 @@ describe('Chat Application Backend Tests', () => {
         '../src/routes/userRoutes',
         '../src/routes/friendRoutes',
         '../src/routes/messageRoutes',
-        '../src/routes/onlineStatusRoutes'
+        '../src/routes/onlineStatusRoutes',
+        '../src/routes/adminRoutes',
+        '../src/routes/apiKeyRoutes',
+        '../src/routes/botRoutes'
       ];
 
       routes.forEach(route => {
@@ -93,6 +108,12 @@ describe('Chat Application Backend Tests', () => {
         require('../src/middlewares/rateLimiter');
       }).not.toThrow();
     });
+
+    test('should load request ID middleware without errors', () => {
+      expect(() => {
+        require('../src/middlewares/requestId');
+      }).not.toThrow();
+    });
   });
 
   describe('Basic Functionality', () => {
@@ -0,0 +1,129 @@
+/**
+ * Security audit log: append-only storage, request IDs and the user's own history
+ */
+
+process.env.NODE_ENV = 'test';
+
+const AuditEvent = require('../src/models/AuditEvent');
+const auditService = require('../src/services/auditService');
+const { assignRequestId } = require('../src/middlewares/requestId');
+const { AUDIT_EVENTS } = require('../src/config/auditEvents');
+const { USER_ID, OTHER_USER_ID, objectId, mockQuery, buildReq, buildRes } = require('./helpers/fixtures');
+
+describe('Audit log', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('AuditEvent model', () => {
+    test.each([
+      ['updateOne', () => AuditEvent.updateOne({}, { outcome: 'failure' })],
+      ['deleteMany', () => AuditEvent.deleteMany({})],
+      ['findOneAndDelete', () => AuditEvent.findOneAndDelete({})]
+    ])('should refuse %s', async (_, run) => {
+      await expect(run()).rejects.toThrow('Audit events are append-only');
+    });
+
+    test('should refuse to save changes to an existing event', async () => {
+      const event = new AuditEvent({ type: AUDIT_EVENTS.LOGIN_SUCCESS, userId: objectId(USER_ID) });
+      event.isNew = false;
+      event.outcome = 'failure';
+
+      await expect(event.save()).rejects.toThrow('Audit events are append-only');
+    });
+  });
+
+  describe('record', () => {
+    test('should store the event with the request context', async () => {
+      const create = jest.spyOn(AuditEvent, 'create').mockResolvedValue({});
+
+      await auditService.record(AUDIT_EVENTS.PASSWORD_CHANGE, { userId: USER_ID }, {
+        ipAddress: '203.0.113.9',
+        userAgent: 'curl/8.0',
+        requestId: 'req-1',
+        deviceName: 'curl'
+      });
+
+      expect(create).toHaveBeenCalledWith({
+        type: 'password_change',
+        outcome: 'success',
+        userId: USER_ID,
+        actorId: null,
+        metadata: {},
+        ipAddress: '203.0.113.9',
+        userAgent: 'curl/8.0',
+        requestId: 'req-1'
+      });
+    });
+
+    test('should never break the audited action when the write fails', async () => {
+      jest.spyOn(AuditEvent, 'create').mockRejectedValue(new Error('connection lost'));
+
+      await expect(auditService.record(AUDIT_EVENTS.LOGOUT, { userId: USER_ID })).resolves.toBeUndefined();
+    });
+  });
+
+  describe('listUserEventsService', () => {
+    test('should hide who performed staff actions and from where', async () => {
+      const events = [
+        {
+          _id: 'e2',
+          type: AUDIT_EVENTS.ADMIN_ACTION,
+          outcome: 'success',
+          userId: objectId(USER_ID),
+          actorId: objectId(OTHER_USER_ID),
+          metadata: { action: 'suspend' },
+          ipAddress: '198.51.100.7',
+          userAgent: 'Firefox',
+          createdAt: new Date()
+        },
+        {
+          _id: 'e1',
+          type: AUDIT_EVENTS.LOGIN_SUCCESS,
+          outcome: 'success',
+          userId: objectId(USER_ID),
+          actorId: null,
+          metadata: {},
+          ipAddress: '203.0.113.9',
+          userAgent: 'Chrome',
+          createdAt: new Date()
+        }
+      ];
+      const find = jest.spyOn(AuditEvent, 'find').mockReturnValue(mockQuery(events));
+      jest.spyOn(AuditEvent, 'countDocuments').mockResolvedValue(2);
+
+      const result = await auditService.listUserEventsService(USER_ID, {});
+
+      expect(find).toHaveBeenCalledWith({ userId: USER_ID });
+      const [staffAction, login] = result.events;
+      expect(staffAction).toMatchObject({ performedByStaff: true, ipAddress: null, userAgent: null });
+      expect(staffAction).not.toHaveProperty('actorId');
+      expect(login).toMatchObject({ performedByStaff: false, ipAddress: '203.0.113.9', userAgent: 'Chrome' });
+      expect(result.pagination.totalItems).toBe(2);
+    });
+  });
+
+  describe('assignRequestId', () => {
+    const run = (incomingId) => {
+      const req = buildReq({ get: jest.fn().mockReturnValue(incomingId) });
+      const res = { ...buildRes(), set: jest.fn() };
+      const next = jest.fn();
+      assignRequestId(req, res, next);
+      return { req, res, next };
+    };
+
+    test('should keep a well-formed ID from the proxy', () => {
+      const { req, res, next } = run('abc-123');
+
+      expect(req.id).toBe('abc-123');
+      expect(res.set).toHaveBeenCalledWith('X-Request-Id', 'abc-123');
+      expect(next).toHaveBeenCalled();
+    });
+
+    test('should replace a malformed ID with a fresh one', () => {
+      const { req } = run('bad id\r\nX-Injected: 1');
+
+      expect(req.id).toMatch(/^[0-9a-f-]{36}$/);
+    });
+  });
+});
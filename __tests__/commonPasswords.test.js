@@ -0,0 +1,76 @@
+/**
+ * Common and breached password rejection
+ */
+
+process.env.NODE_ENV = 'test';
+
+const { validationResult } = require('express-validator');
+const { isCommonPassword, hashCommonPassword } = require('../src/utils/commonPasswords');
+const { validatePasswordReset, validateRegistration } = require('../src/validators/authValidators');
+
+// Run a validation chain and return the messages for one field
+const fieldErrors = async (rules, body, field) => {
+  const req = { body };
+  for (const rule of rules) {
+    await rule.run(req);
+  }
+  return validationResult(req).array().filter(error => error.path === field).map(error => error.msg);
+};
+
+describe('Common passwords', () => {
+  describe('isCommonPassword', () => {
+    test('should catch listed passwords regardless of case', () => {
+      expect(isCommonPassword('password1')).toBe(true);
+      expect(isCommonPassword('PASSWORD1')).toBe(true);
+    });
+
+    test('should ignore trailing symbols', () => {
+      expect(isCommonPassword('Welcome1!')).toBe(true);
+      expect(isCommonPassword('Qwerty123?!')).toBe(true);
+    });
+
+    test('should accept passwords that are not on the list', () => {
+      expect(isCommonPassword('Tr0ub4dor-Horse-Staple')).toBe(false);
+      expect(isCommonPassword('')).toBe(false);
+      expect(isCommonPassword(undefined)).toBe(false);
+    });
+
+    test('should compare uppercase SHA-1 hashes of the lowercased password', () => {
+      expect(hashCommonPassword('Password')).toBe('5BAA61E4C9B93F3F0682250B6CF8331B7EE68FD8');
+    });
+  });
+
+  describe('validators', () => {
+    test('should reject a common password on reset without echoing it', async () => {
+      const errors = await fieldErrors(validatePasswordReset, {
+        token: 'token',
+        newPassword: 'Password1!',
+        confirmPassword: 'Password1!'
+      }, 'newPassword');
+
+      expect(errors).toHaveLength(1);
+      expect(errors[0]).toMatch(/too common/);
+      expect(errors[0]).not.toContain('Password1');
+    });
+
+    test('should accept a strong password on reset', async () => {
+      const errors = await fieldErrors(validatePasswordReset, {
+        token: 'token',
+        newPassword: 'Tr0ub4dor-Horse-Staple',
+        confirmPassword: 'Tr0ub4dor-Horse-Staple'
+      }, 'newPassword');
+
+      expect(errors).toEqual([]);
+    });
+
+    test('should only report the format error for a weak password', async () => {
+      const errors = await fieldErrors(validateRegistration, {
+        username: 'alice',
+        email: 'alice@example.com',
+        password: 'password'
+      }, 'password');
+
+      expect(errors).toEqual(['Password must contain at least one uppercase letter, one lowercase letter, and one number']);
+    });
+  });
+});
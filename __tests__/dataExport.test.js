@@ -0,0 +1,290 @@
+/**
+ * GDPR data export: job lifecycle and the contents of the generated ZIP
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+
+process.env.NODE_ENV = 'test';
+process.env.EXPORT_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'chattr-export-test-'));
+
+jest.mock('axios', () => ({
+  get: jest.fn()
+}));
+
+jest.mock('../src/models/User', () => ({
+  findById: jest.fn()
+}));
+
+jest.mock('../src/models/Message', () => ({
+  find: jest.fn()
+}));
+
+jest.mock('../src/models/FriendRequest', () => ({
+  find: jest.fn()
+}));
+
+jest.mock('../src/models/ExportJob', () => ({
+  findById: jest.fn(),
+  findOne: jest.fn(),
+  create: jest.fn(),
+  updateMany: jest.fn()
+}));
+
+const axios = require('axios');
+const User = require('../src/models/User');
+const Message = require('../src/models/Message');
+const FriendRequest = require('../src/models/FriendRequest');
+const ExportJob = require('../src/models/ExportJob');
+const {
+  requestExportService,
+  getExportDownloadService,
+  runExportJob
+} = require('../src/services/dataExportService');
+const { USER_ID, OTHER_USER_ID, objectId, mockQuery, buildUser } = require('./helpers/fixtures');
+
+const EXPORT_DIR = process.env.EXPORT_DIR;
+
+/**
+ * File names in a ZIP, read from its central directory
+ */
+const listZipEntries = (buffer) => {
+  const names = [];
+  // The end-of-central-directory record points at the first central directory header
+  const endOfDirectory = buffer.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+  let offset = buffer.readUInt32LE(endOfDirectory + 16);
+
+  while (buffer.readUInt32LE(offset) === 0x02014b50) {
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    names.push(buffer.toString('utf8', offset + 46, offset + 46 + nameLength));
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+
+  return names;
+};
+
+const buildJob = (overrides = {}) => ({
+  _id: objectId(OTHER_USER_ID),
+  userId: objectId(USER_ID),
+  status: 'pending',
+  save: jest.fn().mockResolvedValue(),
+  ...overrides
+});
+
+const sentMessage = (overrides = {}) => ({
+  _id: 'message-1',
+  conversationId: 'conversation-1',
+  sender: { _id: objectId(USER_ID), username: 'alice' },
+  receiver: { _id: objectId(OTHER_USER_ID), username: 'bob' },
+  messageType: 'text',
+  content: 'Hello <b>bob</b>',
+  createdAt: new Date('2026-01-01T12:00:00Z'),
+  ...overrides
+});
+
+describe('Data export', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  afterAll(() => {
+    fs.rmSync(EXPORT_DIR, { recursive: true, force: true });
+  });
+
+  describe('requestExportService', () => {
+    test('should refuse a second export while one is running', async () => {
+      ExportJob.findOne.mockResolvedValueOnce(buildJob({ status: 'processing' }));
+
+      await expect(requestExportService(USER_ID)).rejects.toMatchObject({ statusCode: 409 });
+      expect(ExportJob.create).not.toHaveBeenCalled();
+    });
+
+    test('should limit completed exports to one per cooldown period', async () => {
+      ExportJob.findOne.mockResolvedValueOnce(null).mockResolvedValueOnce(buildJob({ status: 'completed' }));
+
+      await expect(requestExportService(USER_ID)).rejects.toMatchObject({ statusCode: 429 });
+    });
+
+    test('should fail jobs left behind by a restart before checking for active ones', async () => {
+      ExportJob.findOne.mockResolvedValue(null);
+      ExportJob.create.mockResolvedValue(buildJob());
+      ExportJob.findById.mockResolvedValue(null);
+
+      const job = await requestExportService(USER_ID);
+
+      expect(ExportJob.updateMany).toHaveBeenCalledWith(
+        expect.objectContaining({ userId: USER_ID, status: { $in: ['pending', 'processing'] } }),
+        expect.objectContaining({ status: 'failed' })
+      );
+      expect(job).toMatchObject({ status: 'pending', downloadUrl: null });
+    });
+  });
+
+  describe('getExportDownloadService', () => {
+    test('should 404 for a job of another user', async () => {
+      ExportJob.findOne.mockResolvedValue(null);
+
+      await expect(getExportDownloadService(USER_ID, OTHER_USER_ID)).rejects.toMatchObject({ statusCode: 404 });
+      expect(ExportJob.findOne).toHaveBeenCalledWith({ _id: OTHER_USER_ID, userId: USER_ID });
+    });
+
+    test('should refuse an expired export', async () => {
+      ExportJob.findOne.mockResolvedValue(buildJob({
+        status: 'completed',
+        fileName: 'gone.zip',
+        expiresAt: new Date(Date.now() - 1000)
+      }));
+
+      await expect(getExportDownloadService(USER_ID, OTHER_USER_ID)).rejects.toMatchObject({ statusCode: 410 });
+    });
+  });
+
+  describe('runExportJob', () => {
+    const mockUserData = (messages) => {
+      User.findById.mockReturnValue(mockQuery(buildUser({ profilePicture: '' })));
+      FriendRequest.find.mockReturnValue(mockQuery([]));
+      Message.find.mockReturnValue(mockQuery(messages));
+    };
+
+    test('should write the JSON files, the transcript and downloaded media', async () => {
+      const job = buildJob();
+      ExportJob.findById.mockResolvedValue(job);
+      mockUserData([
+        sentMessage(),
+        sentMessage({ _id: 'message-2', messageType: 'image', fileUrl: 'https://res.cloudinary.com/demo/photo.jpg', fileName: 'photo.jpg' })
+      ]);
+      axios.get.mockResolvedValue({ headers: { 'content-length': '11' }, data: Readable.from([Buffer.from('image-bytes')]) });
+
+      await runExportJob(job._id);
+
+      expect(axios.get).toHaveBeenCalledWith('https://res.cloudinary.com/demo/photo.jpg', expect.objectContaining({
+        responseType: 'stream',
+        maxRedirects: 0
+      }));
+
+      expect(job.status).toBe('completed');
+      expect(job.summary).toMatchObject({ messages: 2, mediaFiles: 1, mediaMissing: 0 });
+
+      const entries = listZipEntries(fs.readFileSync(path.join(EXPORT_DIR, job.fileName)));
+      expect(entries).toEqual(expect.arrayContaining([
+        'profile.json',
+        'friends.json',
+        'friend-requests.json',
+        'messages.json',
+        'media.json',
+        'transcript.html',
+        'media/0001-photo.jpg'
+      ]));
+    });
+
+    test('should record unreadable media as missing instead of failing the export', async () => {
+      const job = buildJob();
+      ExportJob.findById.mockResolvedValue(job);
+      mockUserData([
+        sentMessage({ messageType: 'document', fileUrl: '/uploads/../../etc/passwd', fileName: 'passwd' }),
+        sentMessage({ _id: 'message-2', messageType: 'image', fileUrl: 'https://res.cloudinary.com/demo/gone.jpg' })
+      ]);
+      axios.get.mockRejectedValue(new Error('Request failed with status code 404'));
+
+      await runExportJob(job._id);
+
+      expect(job.status).toBe('completed');
+      expect(job.summary).toMatchObject({ mediaFiles: 0, mediaMissing: 2 });
+    });
+
+    test('should leave out a file whose download fails part way and keep the others', async () => {
+      const job = buildJob();
+      ExportJob.findById.mockResolvedValue(job);
+      mockUserData([
+        sentMessage({ messageType: 'image', fileUrl: 'https://res.cloudinary.com/demo/broken.jpg', fileName: 'broken.jpg' }),
+        sentMessage({ _id: 'message-2', messageType: 'image', fileUrl: 'https://res.cloudinary.com/demo/photo.jpg', fileName: 'photo.jpg' })
+      ]);
+      let chunks = 0;
+      const broken = new Readable({
+        read() {
+          chunks += 1;
+          if (chunks === 1) {
+            this.push(Buffer.from('partial'));
+          } else {
+            this.destroy(new Error('socket hang up'));
+          }
+        }
+      });
+      axios.get
+        .mockResolvedValueOnce({ headers: {}, data: broken })
+        .mockResolvedValueOnce({ headers: {}, data: Readable.from([Buffer.from('image-bytes')]) });
+
+      await runExportJob(job._id);
+
+      expect(job.status).toBe('completed');
+      expect(job.summary).toMatchObject({ mediaFiles: 1, mediaMissing: 1 });
+      const entries = listZipEntries(fs.readFileSync(path.join(EXPORT_DIR, job.fileName)));
+      expect(entries).toContain('media/0002-photo.jpg');
+      expect(entries).not.toContain('media/0001-broken.jpg');
+      expect(fs.readdirSync(EXPORT_DIR).filter((file) => file.endsWith('.part'))).toEqual([]);
+    });
+
+    test('should download media one file at a time', async () => {
+      const job = buildJob();
+      ExportJob.findById.mockResolvedValue(job);
+      mockUserData(['one', 'two', 'three'].map((name, index) => sentMessage({
+        _id: `message-${index}`,
+        messageType: 'image',
+        fileUrl: `https://res.cloudinary.com/demo/${name}.jpg`,
+        fileName: `${name}.jpg`
+      })));
+      let active = 0;
+      let maxActive = 0;
+      axios.get.mockImplementation(async () => {
+        active += 1;
+        maxActive = Math.max(maxActive, active);
+        const data = Readable.from([Buffer.from('image-bytes')]);
+        data.on('close', () => {
+          active -= 1;
+        });
+        return { headers: {}, data };
+      });
+
+      await runExportJob(job._id);
+
+      expect(axios.get).toHaveBeenCalledTimes(3);
+      expect(maxActive).toBe(1);
+      expect(job.summary).toMatchObject({ mediaFiles: 3, mediaMissing: 0 });
+    });
+
+    test('should only download media from our Cloudinary storage', async () => {
+      const job = buildJob();
+      ExportJob.findById.mockResolvedValue(job);
+      mockUserData([
+        sentMessage({ messageType: 'image', fileUrl: 'http://169.254.169.254/latest/meta-data', fileName: 'meta' }),
+        sentMessage({ _id: 'message-2', messageType: 'image', fileUrl: 'http://res.cloudinary.com/demo/photo.jpg' })
+      ]);
+
+      await runExportJob(job._id);
+
+      expect(axios.get).not.toHaveBeenCalled();
+      expect(job.status).toBe('completed');
+      expect(job.summary).toMatchObject({ mediaFiles: 0, mediaMissing: 2 });
+    });
+
+    test('should skip remote media larger than the upload limit', async () => {
+      const job = buildJob();
+      ExportJob.findById.mockResolvedValue(job);
+      mockUserData([
+        sentMessage({ messageType: 'video', fileUrl: 'https://res.cloudinary.com/demo/huge.mp4', fileName: 'huge.mp4' })
+      ]);
+      const stream = Readable.from([Buffer.from('x')]);
+      axios.get.mockResolvedValue({ headers: { 'content-length': String(200 * 1024 * 1024) }, data: stream });
+
+      await runExportJob(job._id);
+
+      expect(stream.destroyed).toBe(true);
+      expect(job.status).toBe('completed');
+      expect(job.summary).toMatchObject({ mediaFiles: 0, mediaMissing: 1 });
+    });
+  });
+});
@@ -0,0 +1,222 @@
+/**
+ * Email change: confirmed from the new address, reportable from the old one
+ */
+
+process.env.NODE_ENV = 'test';
+process.env.EMAIL_CHANGE_EXPIRES_HOURS = '24';
+process.env.EMAIL_CHANGE_REPORT_DAYS = '7';
+
+jest.mock('../src/models/User', () => ({
+  findById: jest.fn(),
+  exists: jest.fn(),
+  updateOne: jest.fn()
+}));
+
+jest.mock('../src/models/EmailChangeRequest', () => ({
+  findOne: jest.fn(),
+  findOneAndUpdate: jest.fn(),
+  updateOne: jest.fn(),
+  updateMany: jest.fn(),
+  create: jest.fn()
+}));
+
+jest.mock('../src/models/RefreshToken', () => ({
+  deleteMany: jest.fn()
+}));
+
+jest.mock('../src/models/EmailVerificationToken', () => ({
+  deleteMany: jest.fn()
+}));
+
+jest.mock('../src/config/socket', () => ({
+  disconnectUserSockets: jest.fn()
+}));
+
+jest.mock('../src/services/emailService', () => ({
+  sendEmailChangeConfirmationEmail: jest.fn(),
+  sendEmailChangeNoticeEmail: jest.fn(),
+  sendEmailChangeReportedEmail: jest.fn()
+}));
+
+const bcrypt = require('bcryptjs');
+const User = require('../src/models/User');
+const EmailChangeRequest = require('../src/models/EmailChangeRequest');
+const RefreshToken = require('../src/models/RefreshToken');
+const EmailVerificationToken = require('../src/models/EmailVerificationToken');
+const { disconnectUserSockets } = require('../src/config/socket');
+const emailService = require('../src/services/emailService');
+const { hashToken } = require('../src/utils/secureToken');
+const {
+  requestEmailChangeService,
+  confirmEmailChangeService,
+  reportEmailChangeService
+} = require('../src/services/emailChangeService');
+const { USER_ID, objectId, mockQuery, buildUser } = require('./helpers/fixtures');
+
+const HOUR = 60 * 60 * 1000;
+
+const buildRequest = (overrides = {}) => ({
+  _id: objectId('507f1f77bcf86cd7994390aa'),
+  userId: objectId(USER_ID),
+  previousEmail: 'alice@example.com',
+  newEmail: 'alice@new.example.com',
+  confirmedAt: null,
+  confirmExpiresAt: new Date(Date.now() + HOUR),
+  ...overrides
+});
+
+describe('Email change', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    User.exists.mockResolvedValue(null);
+    EmailChangeRequest.findOne.mockResolvedValue(null);
+  });
+
+  describe('requestEmailChangeService', () => {
+    let user;
+
+    beforeEach(async () => {
+      user = buildUser({ password: await bcrypt.hash('Passw0rd!', 4) });
+      User.findById.mockReturnValue(mockQuery(user));
+    });
+
+    test('should send a hashed, expiring confirmation token to the new address', async () => {
+      const result = await requestEmailChangeService(USER_ID, 'Alice@New.Example.com', 'Passw0rd!');
+
+      expect(result.pendingEmail).toBe('alice@new.example.com');
+      expect(user.pendingEmail).toBe('alice@new.example.com');
+      expect(user.email).toBe('alice@example.com');
+
+      const [, newEmail, confirmToken] = emailService.sendEmailChangeConfirmationEmail.mock.calls[0];
+      const [, , reportToken] = emailService.sendEmailChangeNoticeEmail.mock.calls[0];
+      expect(newEmail).toBe('alice@new.example.com');
+
+      const stored = EmailChangeRequest.create.mock.calls[0][0];
+      expect(stored).toMatchObject({
+        previousEmail: 'alice@example.com',
+        newEmail: 'alice@new.example.com',
+        confirmTokenHash: hashToken(confirmToken),
+        reportTokenHash: hashToken(reportToken)
+      });
+      expect(stored.confirmExpiresAt.getTime() - Date.now()).toBeGreaterThan(23 * HOUR);
+      expect(stored.confirmExpiresAt.getTime() - Date.now()).toBeLessThanOrEqual(24 * HOUR);
+
+      // Earlier pending requests can no longer be confirmed
+      expect(EmailChangeRequest.updateMany).toHaveBeenCalledWith(
+        { userId: USER_ID, confirmedAt: null, cancelledAt: null },
+        { cancelledAt: expect.any(Date) }
+      );
+    });
+
+    test('should reject a wrong password', async () => {
+      await expect(requestEmailChangeService(USER_ID, 'alice@new.example.com', 'nope'))
+        .rejects.toMatchObject({ statusCode: 400 });
+      expect(EmailChangeRequest.create).not.toHaveBeenCalled();
+    });
+
+    test('should reject an address that is already registered', async () => {
+      User.exists.mockResolvedValue({ _id: objectId('507f1f77bcf86cd799439012') });
+
+      await expect(requestEmailChangeService(USER_ID, 'bob@example.com', 'Passw0rd!'))
+        .rejects.toMatchObject({ statusCode: 400, message: 'Email already registered' });
+      expect(emailService.sendEmailChangeConfirmationEmail).not.toHaveBeenCalled();
+    });
+
+    test('should throttle repeated requests', async () => {
+      EmailChangeRequest.findOne.mockResolvedValue(buildRequest());
+
+      await expect(requestEmailChangeService(USER_ID, 'alice@new.example.com', 'Passw0rd!'))
+        .rejects.toMatchObject({ statusCode: 429 });
+    });
+  });
+
+  describe('confirmEmailChangeService', () => {
+    test('should switch the address once and mark it verified', async () => {
+      const request = buildRequest();
+      const user = buildUser({ pendingEmail: request.newEmail, isVerified: false });
+      EmailChangeRequest.findOne.mockResolvedValue(request);
+      EmailChangeRequest.findOneAndUpdate.mockResolvedValue(request);
+      User.findById.mockResolvedValue(user);
+
+      await confirmEmailChangeService('confirm-token');
+
+      expect(EmailChangeRequest.findOne).toHaveBeenCalledWith({
+        confirmTokenHash: hashToken('confirm-token'),
+        confirmedAt: null,
+        cancelledAt: null
+      });
+      expect(EmailChangeRequest.findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: request._id, confirmedAt: null, cancelledAt: null },
+        { confirmedAt: expect.any(Date) }
+      );
+      expect(user).toMatchObject({ email: 'alice@new.example.com', pendingEmail: null, isVerified: true });
+      expect(EmailVerificationToken.deleteMany).toHaveBeenCalledWith({ userId: user._id });
+    });
+
+    test('should reject an expired confirmation link', async () => {
+      EmailChangeRequest.findOne.mockResolvedValue(buildRequest({ confirmExpiresAt: new Date(Date.now() - 1000) }));
+
+      await expect(confirmEmailChangeService('confirm-token')).rejects.toMatchObject({ statusCode: 400 });
+      expect(User.findById).not.toHaveBeenCalled();
+    });
+
+    test('should reject a link that was already used', async () => {
+      EmailChangeRequest.findOne.mockResolvedValue(buildRequest());
+      EmailChangeRequest.findOneAndUpdate.mockResolvedValue(null);
+      const user = buildUser();
+      User.findById.mockResolvedValue(user);
+
+      await expect(confirmEmailChangeService('confirm-token')).rejects.toMatchObject({ statusCode: 400 });
+      expect(user.save).not.toHaveBeenCalled();
+    });
+
+    test('should reject the change when the new address was taken meanwhile', async () => {
+      EmailChangeRequest.findOne.mockResolvedValue(buildRequest());
+      User.findById.mockResolvedValue(buildUser());
+      User.exists.mockResolvedValue({ _id: objectId('507f1f77bcf86cd799439012') });
+
+      await expect(confirmEmailChangeService('confirm-token'))
+        .rejects.toMatchObject({ statusCode: 400, message: 'Email already registered' });
+      expect(EmailChangeRequest.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('reportEmailChangeService', () => {
+    test('should revert a confirmed change and sign out every session', async () => {
+      const request = buildRequest({ confirmedAt: new Date() });
+      const user = buildUser({ email: request.newEmail });
+      EmailChangeRequest.findOneAndUpdate.mockResolvedValue(request);
+      User.findById.mockResolvedValue(user);
+
+      await reportEmailChangeService('report-token');
+
+      expect(EmailChangeRequest.findOneAndUpdate).toHaveBeenCalledWith(
+        { reportTokenHash: hashToken('report-token'), cancelledAt: null, expiresAt: { $gt: expect.any(Date) } },
+        { cancelledAt: expect.any(Date) }
+      );
+      expect(user.email).toBe('alice@example.com');
+      expect(user.save).toHaveBeenCalled();
+      expect(RefreshToken.deleteMany).toHaveBeenCalledWith({ userId: user._id });
+      expect(disconnectUserSockets).toHaveBeenCalledWith(user._id, 'email_change_reported');
+    });
+
+    test('should cancel a pending change without touching the address', async () => {
+      const request = buildRequest();
+      const user = buildUser({ pendingEmail: request.newEmail });
+      EmailChangeRequest.findOneAndUpdate.mockResolvedValue(request);
+      User.findById.mockResolvedValue(user);
+
+      await reportEmailChangeService('report-token');
+
+      expect(user.email).toBe('alice@example.com');
+      expect(user.pendingEmail).toBeNull();
+    });
+
+    test('should reject an unknown or expired report link', async () => {
+      EmailChangeRequest.findOneAndUpdate.mockResolvedValue(null);
+
+      await expect(reportEmailChangeService('report-token')).rejects.toMatchObject({ statusCode: 400 });
+      expect(RefreshToken.deleteMany).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,120 @@
+/**
+ * Email verification links: hashed, expiring and single-use tokens
+ */
+
+process.env.NODE_ENV = 'test';
+process.env.JWT_SECRET_KEY = 'test-secret-key';
+process.env.JWT_REFRESH_SECRET_KEY = 'test-refresh-secret-key';
+
+jest.mock('../src/models/User', () => ({
+  findById: jest.fn(),
+  findOne: jest.fn()
+}));
+
+jest.mock('../src/models/EmailVerificationToken', () => ({
+  findOne: jest.fn(),
+  create: jest.fn(),
+  deleteMany: jest.fn()
+}));
+
+jest.mock('../src/services/emailService', () => ({
+  sendVerificationEmail: jest.fn()
+}));
+
+jest.mock('../src/config/socket', () => ({
+  disconnectUserSockets: jest.fn()
+}));
+
+const User = require('../src/models/User');
+const EmailVerificationToken = require('../src/models/EmailVerificationToken');
+const emailService = require('../src/services/emailService');
+const { hashToken } = require('../src/utils/secureToken');
+const { verifyEmailService, resendVerificationService } = require('../src/services/authService');
+const { mockQuery, buildUser } = require('./helpers/fixtures');
+
+const NOW = new Date('2026-01-01T12:00:00Z').getTime();
+
+describe('Email verification', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(Date, 'now').mockReturnValue(NOW);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('resendVerificationService', () => {
+    test('should replace earlier links with a new hashed token that expires', async () => {
+      const user = buildUser({ isVerified: false });
+      User.findOne.mockReturnValue(mockQuery(user));
+      EmailVerificationToken.findOne.mockReturnValue(mockQuery(null));
+
+      await resendVerificationService('Alice@Example.com');
+
+      expect(User.findOne).toHaveBeenCalledWith({ email: 'alice@example.com' });
+      expect(EmailVerificationToken.deleteMany).toHaveBeenCalledWith({ userId: user._id });
+
+      const [, rawToken, hours] = emailService.sendVerificationEmail.mock.calls[0];
+      const stored = EmailVerificationToken.create.mock.calls[0][0];
+
+      expect(stored.tokenHash).toBe(hashToken(rawToken));
+      expect(stored.tokenHash).not.toBe(rawToken);
+      expect(stored.expiresAt.getTime()).toBe(NOW + hours * 60 * 60 * 1000);
+    });
+
+    test('should answer the same way for unknown and verified accounts', async () => {
+      User.findOne.mockReturnValueOnce(mockQuery(null)).mockReturnValueOnce(mockQuery(buildUser()));
+
+      const unknown = await resendVerificationService('nobody@example.com');
+      const verified = await resendVerificationService('alice@example.com');
+
+      expect(unknown).toEqual(verified);
+      expect(emailService.sendVerificationEmail).not.toHaveBeenCalled();
+    });
+
+    test('should not send another link within the resend interval', async () => {
+      User.findOne.mockReturnValue(mockQuery(buildUser({ isVerified: false })));
+      EmailVerificationToken.findOne.mockReturnValue(mockQuery({ _id: 'recent-token' }));
+
+      await resendVerificationService('alice@example.com');
+
+      expect(EmailVerificationToken.create).not.toHaveBeenCalled();
+      expect(emailService.sendVerificationEmail).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('verifyEmailService', () => {
+    test('should only accept an unexpired token, looked up by its hash', async () => {
+      const user = buildUser({ isVerified: false });
+      EmailVerificationToken.findOne.mockReturnValue(mockQuery({ userId: user._id }));
+      User.findById.mockReturnValue(mockQuery(user));
+
+      await verifyEmailService('raw-token');
+
+      expect(EmailVerificationToken.findOne).toHaveBeenCalledWith({
+        tokenHash: hashToken('raw-token'),
+        expiresAt: { $gt: NOW }
+      });
+    });
+
+    test('should verify the user and delete every token so the link is single-use', async () => {
+      const user = buildUser({ isVerified: false });
+      EmailVerificationToken.findOne.mockReturnValue(mockQuery({ userId: user._id }));
+      User.findById.mockReturnValue(mockQuery(user));
+
+      await verifyEmailService('raw-token');
+
+      expect(user.isVerified).toBe(true);
+      expect(user.save).toHaveBeenCalled();
+      expect(EmailVerificationToken.deleteMany).toHaveBeenCalledWith({ userId: user._id });
+    });
+
+    test('should reject an expired, unknown or already used token', async () => {
+      EmailVerificationToken.findOne.mockReturnValue(mockQuery(null));
+
+      await expect(verifyEmailService('raw-token')).rejects.toMatchObject({ statusCode: 400 });
+      expect(User.findById).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,78 @@
+/**
+ * Test doubles shared by the service and middleware tests.
+ * Each test file replaces the models it touches with jest.mock factories;
+ * these helpers build the documents, queries and Express objects they return.
+ */
+const mongoose = require('mongoose');
+
+const USER_ID = '507f1f77bcf86cd799439011';
+const OTHER_USER_ID = '507f1f77bcf86cd799439012';
+const THIRD_USER_ID = '507f1f77bcf86cd799439013';
+
+const objectId = (id) => new mongoose.Types.ObjectId(id);
+
+/**
+ * Stand-in for a Mongoose query: every builder method chains, and awaiting it
+ * resolves to `value` - so `await Model.findById(id)` and
+ * `await Model.findById(id).select(...).lean()` both work
+ */
+const mockQuery = (value) => {
+  const query = {};
+  ['select', 'populate', 'sort', 'skip', 'limit', 'lean', 'withReplyPreview'].forEach((method) => {
+    query[method] = jest.fn().mockReturnValue(query);
+  });
+  query.then = (resolve, reject) => Promise.resolve(value).then(resolve, reject);
+  return query;
+};
+
+/**
+ * A user document with the instance methods the services call
+ */
+const buildUser = (overrides = {}) => ({
+  _id: objectId(USER_ID),
+  username: 'alice',
+  email: 'alice@example.com',
+  role: 'user',
+  isActive: true,
+  isVerified: true,
+  passwordChangedAt: null,
+  friends: [],
+  changedPasswordAfter: jest.fn().mockReturnValue(false),
+  getActiveSuspension: jest.fn().mockReturnValue(null),
+  save: jest.fn().mockResolvedValue(),
+  ...overrides
+});
+
+/**
+ * Minimal Express request
+ */
+const buildReq = (overrides = {}) => ({
+  headers: {},
+  body: {},
+  params: {},
+  query: {},
+  ip: '127.0.0.1',
+  get: jest.fn(),
+  ...overrides
+});
+
+/**
+ * Minimal Express response - status() and json() chain like the real one
+ */
+const buildRes = () => {
+  const res = { on: jest.fn(), setHeader: jest.fn() };
+  res.status = jest.fn().mockReturnValue(res);
+  res.json = jest.fn().mockReturnValue(res);
+  return res;
+};
+
+module.exports = {
+  USER_ID,
+  OTHER_USER_ID,
+  THIRD_USER_ID,
+  objectId,
+  mockQuery,
+  buildUser,
+  buildReq,
+  buildRes
+};
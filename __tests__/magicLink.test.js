@@ -0,0 +1,158 @@
+/**
+ * Magic-link login: links are bound to the requesting device, expire and work once
+ */
+
+process.env.NODE_ENV = 'test';
+process.env.JWT_SECRET_KEY = 'test-secret-key';
+process.env.JWT_REFRESH_SECRET_KEY = 'test-refresh-secret-key';
+
+jest.mock('../src/models/User', () => ({
+  findById: jest.fn(),
+  findOne: jest.fn()
+}));
+
+jest.mock('../src/models/RefreshToken', () => ({
+  create: jest.fn()
+}));
+
+jest.mock('../src/models/EmailVerificationToken', () => ({
+  deleteMany: jest.fn()
+}));
+
+jest.mock('../src/models/MagicLinkToken', () => ({
+  findOne: jest.fn(),
+  findOneAndUpdate: jest.fn(),
+  create: jest.fn(),
+  deleteMany: jest.fn()
+}));
+
+jest.mock('../src/services/emailService', () => ({
+  sendMagicLinkEmail: jest.fn()
+}));
+
+jest.mock('../src/config/socket', () => ({
+  disconnectUserSockets: jest.fn(),
+  disconnectSessionSockets: jest.fn()
+}));
+
+jest.mock('../src/services/accountDeletionService', () => ({
+  cancelScheduledDeletion: jest.fn()
+}));
+
+jest.mock('../src/services/auditService', () => ({
+  record: jest.fn()
+}));
+
+const User = require('../src/models/User');
+const RefreshToken = require('../src/models/RefreshToken');
+const MagicLinkToken = require('../src/models/MagicLinkToken');
+const emailService = require('../src/services/emailService');
+const { hashToken } = require('../src/utils/secureToken');
+const { requestMagicLinkService, consumeMagicLinkService } = require('../src/services/authService');
+const { mockQuery, buildUser } = require('./helpers/fixtures');
+
+const NOW = new Date('2026-01-01T12:00:00Z').getTime();
+
+describe('Magic link login', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(Date, 'now').mockReturnValue(NOW);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('requestMagicLinkService', () => {
+    test('should bind the emailed token to the device token returned to the caller', async () => {
+      const user = buildUser();
+      User.findOne.mockReturnValue(mockQuery(user));
+      MagicLinkToken.findOne.mockResolvedValue(null);
+
+      const { deviceToken, expiresInMinutes } = await requestMagicLinkService('alice@example.com', { deviceName: 'Laptop' });
+
+      const [, rawToken] = emailService.sendMagicLinkEmail.mock.calls[0];
+      const stored = MagicLinkToken.create.mock.calls[0][0];
+
+      expect(MagicLinkToken.deleteMany).toHaveBeenCalledWith({ userId: user._id });
+      expect(stored).toMatchObject({
+        tokenHash: hashToken(rawToken),
+        deviceTokenHash: hashToken(deviceToken),
+        expiresAt: new Date(NOW + expiresInMinutes * 60 * 1000)
+      });
+      expect(rawToken).not.toBe(deviceToken);
+    });
+
+    test('should respond the same way for unknown accounts', async () => {
+      User.findOne.mockReturnValue(mockQuery(null));
+
+      const result = await requestMagicLinkService('nobody@example.com');
+
+      expect(result).toMatchObject({ message: expect.any(String), deviceToken: expect.any(String) });
+      expect(MagicLinkToken.create).not.toHaveBeenCalled();
+      expect(emailService.sendMagicLinkEmail).not.toHaveBeenCalled();
+    });
+
+    test('should respond the same way when the email cannot be sent', async () => {
+      User.findOne.mockReturnValue(mockQuery(buildUser()));
+      MagicLinkToken.findOne.mockResolvedValue(null);
+      emailService.sendMagicLinkEmail.mockRejectedValueOnce(new Error('SMTP unavailable'));
+
+      const result = await requestMagicLinkService('alice@example.com');
+
+      expect(result).toMatchObject({ message: expect.any(String), deviceToken: expect.any(String) });
+    });
+
+    test('should not send another link within the request interval', async () => {
+      User.findOne.mockReturnValue(mockQuery(buildUser()));
+      MagicLinkToken.findOne.mockResolvedValue({ _id: 'recent-link' });
+
+      await requestMagicLinkService('alice@example.com');
+
+      expect(emailService.sendMagicLinkEmail).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('consumeMagicLinkService', () => {
+    test('should claim the link only with the matching device token, unused and unexpired', async () => {
+      MagicLinkToken.findOneAndUpdate.mockResolvedValue(null);
+
+      await expect(consumeMagicLinkService('link-token', 'other-device')).rejects.toMatchObject({ statusCode: 400 });
+
+      expect(MagicLinkToken.findOneAndUpdate).toHaveBeenCalledWith(
+        {
+          tokenHash: hashToken('link-token'),
+          deviceTokenHash: hashToken('other-device'),
+          usedAt: null,
+          expiresAt: { $gt: NOW }
+        },
+        { usedAt: expect.any(Date) },
+        { new: true }
+      );
+      expect(User.findById).not.toHaveBeenCalled();
+    });
+
+    test('should start a session and verify the email address', async () => {
+      const user = buildUser({ isVerified: false, twoFactorEnabled: false });
+      MagicLinkToken.findOneAndUpdate.mockResolvedValue({ userId: user._id });
+      User.findById.mockReturnValue(mockQuery(user));
+
+      const result = await consumeMagicLinkService('link-token', 'device-token', { deviceName: 'Laptop' });
+
+      expect(user.isVerified).toBe(true);
+      expect(RefreshToken.create).toHaveBeenCalledWith(expect.objectContaining({ userId: user._id, deviceName: 'Laptop' }));
+      expect(result).toMatchObject({ accessToken: expect.any(String), refreshToken: expect.any(String) });
+    });
+
+    test('should still ask for the second factor', async () => {
+      const user = buildUser({ twoFactorEnabled: true });
+      MagicLinkToken.findOneAndUpdate.mockResolvedValue({ userId: user._id });
+      User.findById.mockReturnValue(mockQuery(user));
+
+      const result = await consumeMagicLinkService('link-token', 'device-token');
+
+      expect(result).toMatchObject({ mfaRequired: true, mfaToken: expect.any(String) });
+      expect(RefreshToken.create).not.toHaveBeenCalled();
+    });
+  });
+});
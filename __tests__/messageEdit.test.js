@@ -0,0 +1,106 @@
+/**
+ * Message editing: sender only, within the edit window, with bounded history
+ */
+
+process.env.NODE_ENV = 'test';
+process.env.MESSAGE_EDIT_WINDOW_MINUTES = '15';
+process.env.MESSAGE_EDIT_HISTORY_LIMIT = '10';
+
+jest.mock('../src/models/Message', () => ({
+  findById: jest.fn(),
+  findOneAndUpdate: jest.fn()
+}));
+
+jest.mock('../src/config/redis', () => ({
+  messageCache: { set: jest.fn() }
+}));
+
+jest.mock('../src/config/socket', () => ({
+  notifyMessageEdited: jest.fn()
+}));
+
+const Message = require('../src/models/Message');
+const { messageCache } = require('../src/config/redis');
+const { notifyMessageEdited } = require('../src/config/socket');
+const { editMessage } = require('../src/services/messageService');
+const { USER_ID, OTHER_USER_ID, objectId, mockQuery } = require('./helpers/fixtures');
+
+const MESSAGE_ID = '507f1f77bcf86cd7994390cc';
+const MINUTE = 60 * 1000;
+
+const buildMessage = (overrides = {}) => ({
+  _id: objectId(MESSAGE_ID),
+  sender: objectId(USER_ID),
+  receiver: objectId(OTHER_USER_ID),
+  messageType: 'text',
+  content: 'helo',
+  isDeleted: false,
+  createdAt: new Date(Date.now() - MINUTE),
+  ...overrides
+});
+
+describe('Message editing', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('should update the content and keep the previous version', async () => {
+    const updated = { ...buildMessage({ content: 'hello' }), toObject: () => ({ content: 'hello' }) };
+    Message.findById.mockResolvedValue(buildMessage());
+    Message.findOneAndUpdate.mockReturnValue(mockQuery(updated));
+
+    const result = await editMessage(MESSAGE_ID, USER_ID, '  hello ');
+
+    expect(result).toBe(updated);
+    const [filter, update] = Message.findOneAndUpdate.mock.calls[0];
+    // Only applies to the version that was read
+    expect(filter).toEqual({ _id: objectId(MESSAGE_ID), content: 'helo', isDeleted: false });
+    expect(update.$set).toEqual({ content: 'hello', editedAt: expect.any(Date) });
+    expect(update.$push.editHistory).toEqual({
+      $each: [{ content: 'helo', editedAt: update.$set.editedAt }],
+      $slice: -10
+    });
+    expect(messageCache.set).toHaveBeenCalledWith(MESSAGE_ID, { content: 'hello' }, 3600);
+    expect(notifyMessageEdited).toHaveBeenCalledWith(updated);
+  });
+
+  test('should only let the sender edit', async () => {
+    Message.findById.mockResolvedValue(buildMessage());
+
+    await expect(editMessage(MESSAGE_ID, OTHER_USER_ID, 'hello')).rejects.toMatchObject({ statusCode: 403 });
+    expect(Message.findOneAndUpdate).not.toHaveBeenCalled();
+  });
+
+  test('should refuse edits after the edit window', async () => {
+    Message.findById.mockResolvedValue(buildMessage({ createdAt: new Date(Date.now() - 16 * MINUTE) }));
+
+    await expect(editMessage(MESSAGE_ID, USER_ID, 'hello'))
+      .rejects.toMatchObject({ statusCode: 403, message: 'Messages can only be edited within 15 minutes of sending' });
+  });
+
+  test('should only edit text and link messages', async () => {
+    Message.findById.mockResolvedValue(buildMessage({ messageType: 'image' }));
+
+    await expect(editMessage(MESSAGE_ID, USER_ID, 'hello')).rejects.toMatchObject({ statusCode: 400 });
+  });
+
+  test('should treat deleted messages as missing', async () => {
+    Message.findById.mockResolvedValue(buildMessage({ isDeleted: true }));
+
+    await expect(editMessage(MESSAGE_ID, USER_ID, 'hello')).rejects.toMatchObject({ statusCode: 404 });
+  });
+
+  test('should reject an unchanged message', async () => {
+    Message.findById.mockResolvedValue(buildMessage());
+
+    await expect(editMessage(MESSAGE_ID, USER_ID, ' helo ')).rejects.toMatchObject({ statusCode: 400 });
+  });
+
+  test('should report a concurrent edit instead of dropping history', async () => {
+    Message.findById.mockResolvedValue(buildMessage());
+    Message.findOneAndUpdate.mockReturnValue(mockQuery(null));
+
+    await expect(editMessage(MESSAGE_ID, USER_ID, 'hello')).rejects.toMatchObject({ statusCode: 409 });
+    expect(notifyMessageEdited).not.toHaveBeenCalled();
+  });
+});
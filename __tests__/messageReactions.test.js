@@ -0,0 +1,128 @@
+/**
+ * Emoji reactions: one per user per emoji, live updates and per-message aggregation
+ */
+
+process.env.NODE_ENV = 'test';
+
+jest.mock('../src/models/Message', () => ({
+  findById: jest.fn()
+}));
+
+jest.mock('../src/models/User', () => ({
+  findById: jest.fn()
+}));
+
+jest.mock('../src/models/Reaction', () => {
+  const { isValidEmoji } = jest.requireActual('../src/models/Reaction');
+  return {
+    isValidEmoji,
+    countDocuments: jest.fn(),
+    create: jest.fn(),
+    deleteOne: jest.fn(),
+    aggregate: jest.fn()
+  };
+});
+
+jest.mock('../src/config/redis', () => ({
+  messageCache: { set: jest.fn() }
+}));
+
+jest.mock('../src/config/socket', () => ({
+  notifyMessageEdited: jest.fn(),
+  notifyReactionChanged: jest.fn()
+}));
+
+const Message = require('../src/models/Message');
+const User = require('../src/models/User');
+const Reaction = require('../src/models/Reaction');
+const { notifyReactionChanged } = require('../src/config/socket');
+const { addReaction, removeReaction } = require('../src/services/messageService');
+const { USER_ID, OTHER_USER_ID, THIRD_USER_ID, objectId, mockQuery, buildUser } = require('./helpers/fixtures');
+
+const MESSAGE_ID = '507f1f77bcf86cd7994390ff';
+
+const buildMessage = (overrides = {}) => ({
+  _id: objectId(MESSAGE_ID),
+  conversationId: [USER_ID, OTHER_USER_ID].sort().join('_'),
+  sender: objectId(OTHER_USER_ID),
+  receiver: objectId(USER_ID),
+  isDeleted: false,
+  ...overrides
+});
+
+describe('Message reactions', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    Message.findById.mockReturnValue(mockQuery(buildMessage()));
+    User.findById.mockResolvedValue(buildUser({ friends: [OTHER_USER_ID] }));
+    Reaction.countDocuments.mockResolvedValue(0);
+    Reaction.aggregate.mockResolvedValue([]);
+  });
+
+  describe('addReaction', () => {
+    test('should store the reaction, notify the conversation and return the summary', async () => {
+      Reaction.aggregate.mockResolvedValue([
+        { _id: { messageId: objectId(MESSAGE_ID), emoji: '👍' }, count: 2, userIds: [objectId(OTHER_USER_ID), objectId(USER_ID)] }
+      ]);
+
+      const result = await addReaction(MESSAGE_ID, USER_ID, '👍');
+
+      expect(Reaction.create).toHaveBeenCalledWith({ messageId: objectId(MESSAGE_ID), userId: USER_ID, emoji: '👍' });
+      expect(notifyReactionChanged).toHaveBeenCalledWith('reaction-added', expect.anything(), expect.objectContaining({
+        messageId: MESSAGE_ID,
+        userId: USER_ID,
+        emoji: '👍'
+      }));
+      expect(result.reactions).toEqual([
+        { emoji: '👍', count: 2, userIds: [objectId(OTHER_USER_ID), objectId(USER_ID)], reactedByMe: true }
+      ]);
+    });
+
+    test('should reject the same emoji twice with 409', async () => {
+      Reaction.create.mockRejectedValueOnce(Object.assign(new Error('E11000 duplicate key'), { code: 11000 }));
+
+      await expect(addReaction(MESSAGE_ID, USER_ID, '👍'))
+        .rejects.toMatchObject({ statusCode: 409, message: 'You already reacted with this emoji' });
+      expect(notifyReactionChanged).not.toHaveBeenCalled();
+    });
+
+    test.each(['nice', '', '<b>', ':+1:'])('should reject %p as a reaction', async (emoji) => {
+      await expect(addReaction(MESSAGE_ID, USER_ID, emoji)).rejects.toMatchObject({ statusCode: 400 });
+      expect(Message.findById).not.toHaveBeenCalled();
+    });
+
+    test.each(['👍🏽', '👨‍👩‍👧', '🇫🇷', '❤️'])('should accept %p as a single emoji', async (emoji) => {
+      await expect(addReaction(MESSAGE_ID, USER_ID, emoji)).resolves.toBeDefined();
+    });
+
+    test('should only let conversation participants react', async () => {
+      await expect(addReaction(MESSAGE_ID, THIRD_USER_ID, '👍')).rejects.toMatchObject({ statusCode: 403 });
+      expect(Reaction.create).not.toHaveBeenCalled();
+    });
+
+    test('should cap the number of reactions per user on a message', async () => {
+      Reaction.countDocuments.mockResolvedValue(10);
+
+      await expect(addReaction(MESSAGE_ID, USER_ID, '👍')).rejects.toMatchObject({ statusCode: 400 });
+      expect(Reaction.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('removeReaction', () => {
+    test('should only remove your own reaction', async () => {
+      Reaction.deleteOne.mockResolvedValue({ deletedCount: 1 });
+
+      await removeReaction(MESSAGE_ID, USER_ID, '👍');
+
+      expect(Reaction.deleteOne).toHaveBeenCalledWith({ messageId: objectId(MESSAGE_ID), userId: USER_ID, emoji: '👍' });
+      expect(notifyReactionChanged).toHaveBeenCalledWith('reaction-removed', expect.anything(), expect.anything());
+    });
+
+    test('should return 404 when there is no such reaction', async () => {
+      Reaction.deleteOne.mockResolvedValue({ deletedCount: 0 });
+
+      await expect(removeReaction(MESSAGE_ID, USER_ID, '👍')).rejects.toMatchObject({ statusCode: 404 });
+      expect(notifyReactionChanged).not.toHaveBeenCalled();
+    });
+  });
+});
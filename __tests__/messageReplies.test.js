@@ -0,0 +1,124 @@
+/**
+ * Replies: quoting a message from the same conversation, with a compact preview
+ */
+
+process.env.NODE_ENV = 'test';
+
+jest.mock('../src/models/Message', () => ({
+  findById: jest.fn(),
+  create: jest.fn(),
+  generateConversationId: jest.fn((a, b) => [a, b].sort().join('_'))
+}));
+
+jest.mock('../src/models/User', () => ({
+  findById: jest.fn()
+}));
+
+jest.mock('../src/config/redis', () => ({
+  messageCache: { set: jest.fn() }
+}));
+
+jest.mock('../src/config/socket', () => ({
+  notifyMessageEdited: jest.fn()
+}));
+
+const Message = require('../src/models/Message');
+const User = require('../src/models/User');
+const { sendTextMessage } = require('../src/services/messageService');
+const { USER_ID, OTHER_USER_ID, THIRD_USER_ID, objectId, mockQuery, buildUser } = require('./helpers/fixtures');
+
+const { formatReplyPreview } = jest.requireActual('../src/models/Message');
+
+const PARENT_ID = '507f1f77bcf86cd7994390dd';
+const CONVERSATION_ID = [USER_ID, OTHER_USER_ID].sort().join('_');
+
+const buildCreatedMessage = (data) => ({
+  _id: objectId('507f1f77bcf86cd7994390ee'),
+  ...data,
+  populate: jest.fn().mockResolvedValue(),
+  populateReplyPreview: jest.fn().mockResolvedValue(),
+  toObject: () => data
+});
+
+describe('Message replies', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    User.findById.mockResolvedValue(buildUser({ friends: [OTHER_USER_ID] }));
+    Message.create.mockImplementation(async (data) => buildCreatedMessage(data));
+  });
+
+  describe('sendTextMessage', () => {
+    test('should store the quoted message and populate its preview', async () => {
+      Message.findById.mockReturnValue(mockQuery({ _id: objectId(PARENT_ID), conversationId: CONVERSATION_ID, isDeleted: false }));
+
+      const message = await sendTextMessage(USER_ID, OTHER_USER_ID, 'agreed', PARENT_ID);
+
+      expect(Message.create).toHaveBeenCalledWith(expect.objectContaining({
+        conversationId: CONVERSATION_ID,
+        replyTo: objectId(PARENT_ID)
+      }));
+      expect(message.populateReplyPreview).toHaveBeenCalled();
+    });
+
+    test('should not look anything up for a plain message', async () => {
+      await sendTextMessage(USER_ID, OTHER_USER_ID, 'hello');
+
+      expect(Message.findById).not.toHaveBeenCalled();
+      expect(Message.create).toHaveBeenCalledWith(expect.objectContaining({ replyTo: null }));
+    });
+
+    test('should reject replying to a message from another conversation', async () => {
+      const otherConversation = [USER_ID, THIRD_USER_ID].sort().join('_');
+      Message.findById.mockReturnValue(mockQuery({ _id: objectId(PARENT_ID), conversationId: otherConversation, isDeleted: false }));
+
+      await expect(sendTextMessage(USER_ID, OTHER_USER_ID, 'agreed', PARENT_ID))
+        .rejects.toMatchObject({ statusCode: 400, message: 'You can only reply to messages in this conversation' });
+      expect(Message.create).not.toHaveBeenCalled();
+    });
+
+    test('should reject replying to a deleted message', async () => {
+      Message.findById.mockReturnValue(mockQuery({ _id: objectId(PARENT_ID), conversationId: CONVERSATION_ID, isDeleted: true }));
+
+      await expect(sendTextMessage(USER_ID, OTHER_USER_ID, 'agreed', PARENT_ID))
+        .rejects.toMatchObject({ statusCode: 400 });
+    });
+
+    test('should reject a malformed message id', async () => {
+      await expect(sendTextMessage(USER_ID, OTHER_USER_ID, 'agreed', 'not-an-id'))
+        .rejects.toMatchObject({ statusCode: 404 });
+      expect(Message.findById).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('formatReplyPreview', () => {
+    test('should truncate long quoted content', () => {
+      const preview = formatReplyPreview({
+        _id: objectId(PARENT_ID),
+        sender: { username: 'bob' },
+        messageType: 'text',
+        content: 'x'.repeat(150),
+        isDeleted: false
+      });
+
+      expect(preview.content).toBe(`${'x'.repeat(100)}…`);
+      expect(preview.sender).toEqual({ username: 'bob' });
+    });
+
+    test('should replace a deleted message with a placeholder', () => {
+      const preview = formatReplyPreview({
+        _id: objectId(PARENT_ID),
+        content: 'secret',
+        isDeleted: true
+      });
+
+      expect(preview).toEqual({ _id: objectId(PARENT_ID), isDeleted: true, placeholder: 'Message deleted' });
+    });
+
+    test('should leave unpopulated references alone', () => {
+      const id = objectId(PARENT_ID);
+
+      expect(formatReplyPreview(id)).toBe(id);
+      expect(formatReplyPreview(null)).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,257 @@
+/**
+ * OpenID Connect login: state, PKCE and nonce checks, account provisioning and linking
+ * The provider's HTTP endpoints are replaced by an axios mock
+ */
+
+process.env.NODE_ENV = 'test';
+process.env.OIDC_PROVIDERS = 'mock';
+process.env.OIDC_MOCK_ISSUER = 'https://idp.example.com';
+process.env.OIDC_MOCK_CLIENT_ID = 'chattr';
+process.env.OIDC_MOCK_CLIENT_SECRET = 'mock-secret';
+process.env.OIDC_MOCK_REDIRECT_URI = 'https://app.example.com/auth/oidc/callback';
+
+jest.mock('axios', () => ({
+  get: jest.fn(),
+  post: jest.fn()
+}));
+
+jest.mock('../src/models/User', () => {
+  const User = jest.fn(function (data) {
+    Object.assign(this, data);
+    this._id = 'new-user-id';
+    this.save = jest.fn().mockResolvedValue();
+  });
+  User.findById = jest.fn();
+  User.exists = jest.fn();
+  return User;
+});
+
+jest.mock('../src/models/UserIdentity', () => ({
+  findOne: jest.fn(),
+  create: jest.fn()
+}));
+
+jest.mock('../src/models/OidcAuthRequest', () => ({
+  create: jest.fn(),
+  findOneAndDelete: jest.fn()
+}));
+
+jest.mock('../src/services/usernameService', () => ({
+  isUsernameAvailable: jest.fn().mockResolvedValue(true)
+}));
+
+const crypto = require('crypto');
+const axios = require('axios');
+const jwt = require('jsonwebtoken');
+const User = require('../src/models/User');
+const UserIdentity = require('../src/models/UserIdentity');
+const OidcAuthRequest = require('../src/models/OidcAuthRequest');
+const { hashToken } = require('../src/utils/secureToken');
+const oidcClient = require('../src/utils/oidcClient');
+const {
+  startAuthorizationService,
+  completeAuthorizationService,
+  findOrProvisionUser,
+  linkIdentityService,
+  completeLinkService
+} = require('../src/services/oidcService');
+const { USER_ID, OTHER_USER_ID, objectId, mockQuery, buildUser } = require('./helpers/fixtures');
+
+const ISSUER = process.env.OIDC_MOCK_ISSUER;
+const METADATA = {
+  issuer: ISSUER,
+  authorization_endpoint: `${ISSUER}/authorize`,
+  token_endpoint: `${ISSUER}/token`,
+  jwks_uri: `${ISSUER}/jwks`
+};
+
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const JWK = { ...publicKey.export({ format: 'jwk' }), kid: 'key-1', use: 'sig', alg: 'RS256' };
+
+const signIdToken = (claims = {}, options = {}) => jwt.sign(
+  { sub: 'subject-1', email: 'alice@example.com', email_verified: true, nonce: 'nonce-1', ...claims },
+  privateKey,
+  { algorithm: 'RS256', keyid: 'key-1', issuer: ISSUER, audience: 'chattr', expiresIn: '5m', ...options }
+);
+
+const pendingRequest = (overrides = {}) => ({
+  provider: 'mock',
+  codeVerifier: 'verifier-1',
+  nonce: 'nonce-1',
+  linkUserId: null,
+  ...overrides
+});
+
+describe('OIDC', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    axios.get.mockImplementation(async (url) => ({
+      data: url === METADATA.jwks_uri ? { keys: [JWK] } : METADATA
+    }));
+  });
+
+  describe('startAuthorizationService', () => {
+    test('should send a PKCE challenge for the stored verifier and store only the state hash', async () => {
+      const { authorizationUrl, state } = await startAuthorizationService('mock');
+
+      const stored = OidcAuthRequest.create.mock.calls[0][0];
+      const params = new URL(authorizationUrl).searchParams;
+      const expectedChallenge = crypto.createHash('sha256').update(stored.codeVerifier).digest('base64url');
+
+      expect(stored.stateHash).toBe(hashToken(state));
+      expect(params.get('state')).toBe(state);
+      expect(params.get('nonce')).toBe(stored.nonce);
+      expect(params.get('code_challenge')).toBe(expectedChallenge);
+      expect(params.get('code_challenge_method')).toBe('S256');
+    });
+
+    test('should 404 on an unknown provider', async () => {
+      await expect(startAuthorizationService('nope')).rejects.toMatchObject({ statusCode: 404 });
+    });
+  });
+
+  describe('completeAuthorizationService', () => {
+    test('should reject an unknown, expired or already used state', async () => {
+      OidcAuthRequest.findOneAndDelete.mockResolvedValue(null);
+
+      await expect(completeAuthorizationService('state-1', 'code-1')).rejects.toMatchObject({ statusCode: 400 });
+
+      expect(OidcAuthRequest.findOneAndDelete).toHaveBeenCalledWith({
+        stateHash: hashToken('state-1'),
+        linkUserId: null,
+        expiresAt: { $gt: expect.any(Number) }
+      });
+      expect(axios.post).not.toHaveBeenCalled();
+    });
+
+    test('should redeem the code with the stored PKCE verifier and return verified claims', async () => {
+      OidcAuthRequest.findOneAndDelete.mockResolvedValue(pendingRequest());
+      axios.post.mockResolvedValue({ data: { id_token: signIdToken() } });
+
+      const result = await completeAuthorizationService('state-1', 'code-1');
+
+      const body = new URLSearchParams(axios.post.mock.calls[0][1]);
+      expect(body.get('code')).toBe('code-1');
+      expect(body.get('code_verifier')).toBe('verifier-1');
+      expect(result).toMatchObject({ provider: 'mock', claims: { sub: 'subject-1' }, linkUserId: null });
+    });
+
+    test('should reject an id_token with a different nonce', async () => {
+      OidcAuthRequest.findOneAndDelete.mockResolvedValue(pendingRequest());
+      axios.post.mockResolvedValue({ data: { id_token: signIdToken({ nonce: 'replayed' }) } });
+
+      await expect(completeAuthorizationService('state-1', 'code-1')).rejects.toMatchObject({ statusCode: 401 });
+    });
+
+    test('should reject an id_token issued to another client', async () => {
+      OidcAuthRequest.findOneAndDelete.mockResolvedValue(pendingRequest());
+      axios.post.mockResolvedValue({ data: { id_token: signIdToken({}, { audience: 'someone-else' }) } });
+
+      await expect(completeAuthorizationService('state-1', 'code-1')).rejects.toMatchObject({ statusCode: 401 });
+    });
+  });
+
+  describe('verifyIdToken', () => {
+    test('should reject a token signed with a key the provider does not publish', async () => {
+      const { privateKey: otherKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+      const forged = jwt.sign({ sub: 'subject-1', nonce: 'nonce-1' }, otherKey, {
+        algorithm: 'RS256', keyid: 'key-1', issuer: ISSUER, audience: 'chattr'
+      });
+
+      await expect(oidcClient.verifyIdToken(METADATA, { clientId: 'chattr' }, forged, { nonce: 'nonce-1' }))
+        .rejects.toMatchObject({ statusCode: 401 });
+    });
+  });
+
+  describe('findOrProvisionUser', () => {
+    const claims = { sub: 'subject-1', email: 'Alice@Example.com', email_verified: true, preferred_username: 'alice' };
+
+    test('should log in the user already linked to the identity', async () => {
+      const identity = { userId: objectId(USER_ID), save: jest.fn() };
+      const user = buildUser();
+      UserIdentity.findOne.mockResolvedValue(identity);
+      User.findById.mockReturnValue(mockQuery(user));
+
+      await expect(findOrProvisionUser('mock', claims)).resolves.toEqual({ user, isNewUser: false });
+      expect(identity.save).toHaveBeenCalled();
+      expect(User).not.toHaveBeenCalled();
+    });
+
+    test('should provision a new account and link the identity', async () => {
+      UserIdentity.findOne.mockResolvedValue(null);
+      User.exists.mockResolvedValue(null);
+
+      const { user, isNewUser } = await findOrProvisionUser('mock', claims);
+
+      expect(isNewUser).toBe(true);
+      expect(user).toMatchObject({ username: 'alice', email: 'alice@example.com', isVerified: true });
+      expect(user.save).toHaveBeenCalled();
+      expect(UserIdentity.create).toHaveBeenCalledWith(expect.objectContaining({
+        userId: 'new-user-id',
+        provider: 'mock',
+        subject: 'subject-1'
+      }));
+    });
+
+    test('should not take over an existing account with the same email', async () => {
+      UserIdentity.findOne.mockResolvedValue(null);
+      User.exists.mockResolvedValue({ _id: objectId(USER_ID) });
+
+      await expect(findOrProvisionUser('mock', claims)).rejects.toMatchObject({ statusCode: 409 });
+      expect(User).not.toHaveBeenCalled();
+      expect(UserIdentity.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('linkIdentityService', () => {
+    test('should link a new identity to the account', async () => {
+      UserIdentity.findOne.mockResolvedValue(null);
+
+      await linkIdentityService(USER_ID, 'mock', { sub: 'subject-1', email: 'alice@example.com' });
+
+      expect(UserIdentity.create).toHaveBeenCalledWith(expect.objectContaining({ userId: USER_ID, subject: 'subject-1' }));
+    });
+
+    test('should refuse an identity already linked to another account', async () => {
+      UserIdentity.findOne.mockResolvedValue({ userId: objectId(OTHER_USER_ID) });
+
+      await expect(linkIdentityService(USER_ID, 'mock', { sub: 'subject-1' })).rejects.toMatchObject({ statusCode: 409 });
+      expect(UserIdentity.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('completeLinkService', () => {
+    // A link request started by USER_ID, only handed out to a matching filter
+    const storeLinkRequest = () => {
+      const request = pendingRequest({ linkUserId: objectId(USER_ID) });
+      OidcAuthRequest.findOneAndDelete.mockImplementation(async (filter) => (
+        String(filter.linkUserId) === String(request.linkUserId) ? request : null
+      ));
+      axios.post.mockResolvedValue({ data: { id_token: signIdToken() } });
+    };
+
+    test('should link the identity to the account that started the link', async () => {
+      storeLinkRequest();
+      UserIdentity.findOne.mockResolvedValue(null);
+
+      await completeLinkService(USER_ID, 'state-1', 'code-1');
+
+      expect(UserIdentity.create).toHaveBeenCalledWith(expect.objectContaining({ userId: USER_ID, subject: 'subject-1' }));
+    });
+
+    test('should refuse to finish a link started by another account', async () => {
+      storeLinkRequest();
+
+      await expect(completeLinkService(OTHER_USER_ID, 'state-1', 'code-1')).rejects.toMatchObject({ statusCode: 400 });
+      expect(axios.post).not.toHaveBeenCalled();
+      expect(UserIdentity.create).not.toHaveBeenCalled();
+    });
+
+    test('should not finish a link on the unauthenticated login callback', async () => {
+      storeLinkRequest();
+
+      await expect(completeAuthorizationService('state-1', 'code-1')).rejects.toMatchObject({ statusCode: 400 });
+      expect(axios.post).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,219 @@
+/**
+ * Passkeys: single-use challenges, credential ownership and signature counters
+ * The WebAuthn verification library is mocked - only our checks around it are tested
+ */
+
+process.env.NODE_ENV = 'test';
+process.env.JWT_SECRET_KEY = 'test-secret-key';
+process.env.JWT_REFRESH_SECRET_KEY = 'test-refresh-secret-key';
+
+jest.mock('@simplewebauthn/server', () => ({
+  generateRegistrationOptions: jest.fn(),
+  verifyRegistrationResponse: jest.fn(),
+  generateAuthenticationOptions: jest.fn(),
+  verifyAuthenticationResponse: jest.fn()
+}));
+
+jest.mock('../src/models/User', () => ({
+  findById: jest.fn(),
+  findOne: jest.fn()
+}));
+
+jest.mock('../src/models/RefreshToken', () => ({
+  create: jest.fn()
+}));
+
+jest.mock('../src/models/Passkey', () => ({
+  find: jest.fn(),
+  findOne: jest.fn(),
+  exists: jest.fn(),
+  create: jest.fn(),
+  updateOne: jest.fn()
+}));
+
+jest.mock('../src/models/WebAuthnChallenge', () => ({
+  create: jest.fn(),
+  findOneAndDelete: jest.fn()
+}));
+
+jest.mock('../src/services/accountLockoutService', () => ({
+  clearFailedLogins: jest.fn()
+}));
+
+jest.mock('../src/config/socket', () => ({
+  disconnectUserSockets: jest.fn(),
+  disconnectSessionSockets: jest.fn()
+}));
+
+jest.mock('../src/services/accountDeletionService', () => ({
+  cancelScheduledDeletion: jest.fn()
+}));
+
+jest.mock('../src/services/auditService', () => ({
+  record: jest.fn()
+}));
+
+const webauthn = require('@simplewebauthn/server');
+const User = require('../src/models/User');
+const RefreshToken = require('../src/models/RefreshToken');
+const Passkey = require('../src/models/Passkey');
+const WebAuthnChallenge = require('../src/models/WebAuthnChallenge');
+const { verifyRegistrationService, verifyAuthenticationService } = require('../src/services/passkeyService');
+const { passkeyLoginService } = require('../src/services/authService');
+const { USER_ID, OTHER_USER_ID, objectId, mockQuery, buildUser } = require('./helpers/fixtures');
+
+const CREDENTIAL_ID = Buffer.from('credential-1').toString('base64url');
+
+const buildCredential = (challenge = 'challenge-1') => ({
+  id: CREDENTIAL_ID,
+  response: {
+    clientDataJSON: Buffer.from(JSON.stringify({ challenge })).toString('base64url'),
+    transports: ['internal']
+  }
+});
+
+const buildPasskey = (overrides = {}) => ({
+  _id: objectId(OTHER_USER_ID),
+  userId: objectId(USER_ID),
+  credentialId: CREDENTIAL_ID,
+  publicKey: Buffer.from('public-key'),
+  counter: 5,
+  transports: ['internal'],
+  save: jest.fn().mockResolvedValue(),
+  ...overrides
+});
+
+describe('Passkeys', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('verifyRegistrationService', () => {
+    test('should consume the registration challenge issued to this user', async () => {
+      WebAuthnChallenge.findOneAndDelete.mockResolvedValue(null);
+
+      await expect(verifyRegistrationService(USER_ID, buildCredential())).rejects.toMatchObject({ statusCode: 400 });
+
+      expect(WebAuthnChallenge.findOneAndDelete).toHaveBeenCalledWith({
+        challenge: 'challenge-1',
+        type: 'registration',
+        userId: USER_ID,
+        expiresAt: { $gt: expect.any(Number) }
+      });
+      expect(webauthn.verifyRegistrationResponse).not.toHaveBeenCalled();
+    });
+
+    test('should refuse a credential that is already registered', async () => {
+      WebAuthnChallenge.findOneAndDelete.mockResolvedValue({ challenge: 'challenge-1' });
+      webauthn.verifyRegistrationResponse.mockResolvedValue({
+        verified: true,
+        registrationInfo: { credentialID: Buffer.from('credential-1'), credentialPublicKey: Buffer.from('key'), counter: 0 }
+      });
+      Passkey.exists.mockResolvedValue({ _id: 'existing' });
+
+      await expect(verifyRegistrationService(USER_ID, buildCredential())).rejects.toMatchObject({ statusCode: 409 });
+
+      expect(Passkey.exists).toHaveBeenCalledWith({ credentialId: CREDENTIAL_ID });
+      expect(Passkey.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('verifyAuthenticationService', () => {
+    beforeEach(() => {
+      WebAuthnChallenge.findOneAndDelete.mockResolvedValue({ challenge: 'challenge-1', userId: null });
+    });
+
+    test('should reject an expired or already used challenge', async () => {
+      WebAuthnChallenge.findOneAndDelete.mockResolvedValue(null);
+
+      await expect(verifyAuthenticationService(buildCredential())).rejects.toMatchObject({ statusCode: 400 });
+      expect(Passkey.findOne).not.toHaveBeenCalled();
+    });
+
+    test('should reject a passkey of another user than the one who asked for the challenge', async () => {
+      WebAuthnChallenge.findOneAndDelete.mockResolvedValue({ challenge: 'challenge-1', userId: objectId(OTHER_USER_ID) });
+      Passkey.findOne.mockResolvedValue(buildPasskey());
+
+      await expect(verifyAuthenticationService(buildCredential())).rejects.toMatchObject({ statusCode: 401 });
+      expect(webauthn.verifyAuthenticationResponse).not.toHaveBeenCalled();
+    });
+
+    test('should verify against the stored counter and save the new one', async () => {
+      const passkey = buildPasskey();
+      const user = buildUser();
+      Passkey.findOne.mockResolvedValue(passkey);
+      Passkey.updateOne.mockResolvedValue({ matchedCount: 1 });
+      User.findById.mockReturnValue(mockQuery(user));
+      webauthn.verifyAuthenticationResponse.mockResolvedValue({
+        verified: true,
+        authenticationInfo: { newCounter: 6, userVerified: true }
+      });
+
+      await expect(verifyAuthenticationService(buildCredential())).resolves.toEqual({ user, userVerified: true });
+
+      expect(webauthn.verifyAuthenticationResponse).toHaveBeenCalledWith(expect.objectContaining({
+        expectedChallenge: 'challenge-1',
+        authenticator: expect.objectContaining({ counter: 5 })
+      }));
+      // Only applies if nobody else used the same counter first
+      expect(Passkey.updateOne).toHaveBeenCalledWith(
+        { _id: passkey._id, counter: 5 },
+        { counter: 6, lastUsedAt: expect.any(Date) }
+      );
+    });
+
+    test('should reject a concurrent use of the same assertion', async () => {
+      Passkey.findOne.mockResolvedValue(buildPasskey());
+      Passkey.updateOne.mockResolvedValue({ matchedCount: 0 });
+      webauthn.verifyAuthenticationResponse.mockResolvedValue({ verified: true, authenticationInfo: { newCounter: 6 } });
+
+      await expect(verifyAuthenticationService(buildCredential())).rejects.toMatchObject({ statusCode: 401 });
+      expect(User.findById).not.toHaveBeenCalled();
+    });
+
+    test('should reject a signature counter that went backwards', async () => {
+      const passkey = buildPasskey();
+      Passkey.findOne.mockResolvedValue(passkey);
+      webauthn.verifyAuthenticationResponse.mockRejectedValue(new Error('Response counter value 3 was lower than expected 5'));
+
+      await expect(verifyAuthenticationService(buildCredential())).rejects.toMatchObject({ statusCode: 401 });
+      expect(Passkey.updateOne).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('passkeyLoginService', () => {
+    const loginWithPasskey = (user, userVerified) => {
+      WebAuthnChallenge.findOneAndDelete.mockResolvedValue({ challenge: 'challenge-1', userId: null });
+      Passkey.findOne.mockResolvedValue(buildPasskey());
+      Passkey.updateOne.mockResolvedValue({ matchedCount: 1 });
+      User.findById.mockReturnValue(mockQuery(user));
+      webauthn.verifyAuthenticationResponse.mockResolvedValue({
+        verified: true,
+        authenticationInfo: { newCounter: 6, userVerified }
+      });
+      return passkeyLoginService(buildCredential(), { deviceName: 'Phone' });
+    };
+
+    test('should start a session after a user-verified assertion, even with two-factor enabled', async () => {
+      const user = buildUser({ twoFactorEnabled: true });
+
+      const result = await loginWithPasskey(user, true);
+
+      expect(RefreshToken.create).toHaveBeenCalledWith(expect.objectContaining({ userId: user._id, deviceName: 'Phone' }));
+      expect(result).toMatchObject({ accessToken: expect.any(String), refreshToken: expect.any(String) });
+    });
+
+    test('should ask for the two-factor code after a touch-only assertion', async () => {
+      const result = await loginWithPasskey(buildUser({ twoFactorEnabled: true }), false);
+
+      expect(result).toEqual({ mfaRequired: true, mfaToken: expect.any(String) });
+      expect(RefreshToken.create).not.toHaveBeenCalled();
+    });
+
+    test('should not ask for a code when two-factor is off', async () => {
+      const result = await loginWithPasskey(buildUser({ twoFactorEnabled: false }), false);
+
+      expect(result).toMatchObject({ accessToken: expect.any(String) });
+    });
+  });
+});
@@ -0,0 +1,155 @@
+/**
+ * Change password and rejection of access tokens issued before it
+ */
+
+process.env.NODE_ENV = 'test';
+process.env.JWT_SECRET_KEY = 'test-secret-key';
+process.env.JWT_REFRESH_SECRET_KEY = 'test-refresh-secret-key';
+
+jest.mock('../src/models/User', () => ({
+  findById: jest.fn(),
+  findOne: jest.fn()
+}));
+
+jest.mock('../src/models/RefreshToken', () => ({
+  exists: jest.fn(),
+  distinct: jest.fn().mockResolvedValue([]),
+  create: jest.fn(),
+  deleteMany: jest.fn().mockResolvedValue({ deletedCount: 0 })
+}));
+
+jest.mock('../src/config/socket', () => ({
+  disconnectUserSockets: jest.fn(),
+  disconnectSessionSockets: jest.fn()
+}));
+
+jest.mock('../src/services/accountDeletionService', () => ({
+  cancelScheduledDeletion: jest.fn()
+}));
+
+jest.mock('../src/services/auditService', () => ({
+  record: jest.fn()
+}));
+
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+const User = require('../src/models/User');
+const RefreshToken = require('../src/models/RefreshToken');
+const { changePasswordService } = require('../src/services/authService');
+const { signToken } = require('../src/config/jwtKeys');
+const { authenticateToken } = require('../src/middlewares/authMiddleware');
+const { USER_ID, mockQuery, buildUser, buildReq, buildRes } = require('./helpers/fixtures');
+
+// The schema itself, for the instance method under test
+const RealUser = jest.requireActual('../src/models/User');
+
+const signAccess = (iat) => signToken({ id: USER_ID, type: 'access', iat });
+
+describe('Password change', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('User#changedPasswordAfter', () => {
+    test('should be false when the password was never changed', () => {
+      const user = new RealUser({ username: 'alice', email: 'alice@example.com', password: 'x' });
+
+      expect(user.changedPasswordAfter(1)).toBe(false);
+    });
+
+    test('should compare the change time against the token iat in seconds', () => {
+      const changedAt = new Date('2026-01-01T12:00:00Z');
+      const user = new RealUser({ username: 'alice', email: 'alice@example.com', password: 'x', passwordChangedAt: changedAt });
+      const changedAtSeconds = changedAt.getTime() / 1000;
+
+      expect(user.changedPasswordAfter(changedAtSeconds - 60)).toBe(true);
+      expect(user.changedPasswordAfter(changedAtSeconds + 60)).toBe(false);
+    });
+
+    test('should reject tokens from the second of the change and keep the second after', () => {
+      const changedAt = new Date('2026-01-01T12:00:00.750Z');
+      const user = new RealUser({ username: 'alice', email: 'alice@example.com', password: 'x', passwordChangedAt: changedAt });
+      const changedAtSeconds = Math.floor(changedAt.getTime() / 1000);
+
+      expect(user.changedPasswordAfter(changedAtSeconds)).toBe(true);
+      expect(user.changedPasswordAfter(changedAtSeconds + 1)).toBe(false);
+    });
+  });
+
+  describe('authenticateToken', () => {
+    test('should reject an access token issued before the password change', async () => {
+      const iat = Math.floor(Date.now() / 1000) - 3600;
+      User.findById.mockReturnValue(mockQuery(buildUser({ changedPasswordAfter: jest.fn().mockReturnValue(true) })));
+      const req = buildReq({ headers: { authorization: `Bearer ${signAccess(iat)}` } });
+      const res = buildRes();
+      const next = jest.fn();
+
+      await authenticateToken(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ code: 'PASSWORD_CHANGED' }));
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    test('should accept a token issued after the change', async () => {
+      const user = buildUser();
+      User.findById.mockReturnValue(mockQuery(user));
+      const req = buildReq({ headers: { authorization: `Bearer ${signAccess(Math.floor(Date.now() / 1000))}` } });
+      const next = jest.fn();
+
+      await authenticateToken(req, buildRes(), next);
+
+      expect(next).toHaveBeenCalled();
+      expect(req.user).toEqual({ id: USER_ID, sessionId: null });
+    });
+  });
+
+  describe('changePasswordService', () => {
+    const withPassword = async (overrides = {}) => buildUser({
+      password: await bcrypt.hash('Old-Passw0rd!', 4),
+      ...overrides
+    });
+
+    test('should reject a wrong current password without changing anything', async () => {
+      const user = await withPassword();
+      User.findById.mockReturnValue(mockQuery(user));
+
+      await expect(changePasswordService(USER_ID, 'wrong', 'N3w-Passw0rd!', null))
+        .rejects.toMatchObject({ statusCode: 400 });
+
+      expect(user.save).not.toHaveBeenCalled();
+      expect(RefreshToken.deleteMany).not.toHaveBeenCalled();
+    });
+
+    test('should revoke every other session and keep the current one', async () => {
+      const user = await withPassword();
+      User.findById.mockReturnValue(mockQuery(user));
+      RefreshToken.exists.mockResolvedValue({ _id: 'kept-id' });
+
+      const result = await changePasswordService(USER_ID, 'Old-Passw0rd!', 'N3w-Passw0rd!', 'phone');
+
+      expect(await bcrypt.compare('N3w-Passw0rd!', user.password)).toBe(true);
+      expect(RefreshToken.deleteMany).toHaveBeenCalledWith({ userId: USER_ID, sessionId: { $ne: 'phone' } });
+      expect(RefreshToken.create).not.toHaveBeenCalled();
+      expect(jwt.decode(result.accessToken).sid).toBe('phone');
+      expect(new RealUser({ passwordChangedAt: user.passwordChangedAt }).changedPasswordAfter(jwt.decode(result.accessToken).iat)).toBe(false);
+      expect(result.refreshToken).toBeNull();
+    });
+
+    test('should issue an access token that the new passwordChangedAt still accepts', async () => {
+      const user = await withPassword();
+      User.findById.mockReturnValue(mockQuery(user));
+      RefreshToken.exists.mockResolvedValue(null);
+
+      const result = await changePasswordService(USER_ID, 'Old-Passw0rd!', 'N3w-Passw0rd!', null);
+
+      const saved = new RealUser({ username: 'alice', email: 'alice@example.com', password: 'x', passwordChangedAt: user.passwordChangedAt });
+      const { iat } = jwt.decode(result.accessToken);
+
+      expect(iat).toBeGreaterThan(Math.floor(user.passwordChangedAt.getTime() / 1000));
+      expect(saved.changedPasswordAfter(iat)).toBe(false);
+      expect(RefreshToken.deleteMany).toHaveBeenCalledWith({ userId: USER_ID });
+      expect(RefreshToken.create).toHaveBeenCalled();
+    });
+  });
+});
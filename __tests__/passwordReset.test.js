@@ -0,0 +1,131 @@
+/**
+ * Forgot / reset password
+ */
+
+process.env.NODE_ENV = 'test';
+process.env.JWT_SECRET_KEY = 'test-secret-key';
+process.env.JWT_REFRESH_SECRET_KEY = 'test-refresh-secret-key';
+
+jest.mock('../src/models/User', () => ({
+  findById: jest.fn(),
+  findOne: jest.fn()
+}));
+
+jest.mock('../src/models/RefreshToken', () => ({
+  deleteMany: jest.fn()
+}));
+
+jest.mock('../src/models/PasswordResetToken', () => ({
+  findOneAndUpdate: jest.fn(),
+  create: jest.fn(),
+  deleteMany: jest.fn()
+}));
+
+jest.mock('../src/services/emailService', () => ({
+  sendPasswordResetEmail: jest.fn()
+}));
+
+jest.mock('../src/config/socket', () => ({
+  disconnectUserSockets: jest.fn()
+}));
+
+jest.mock('../src/services/accountLockoutService', () => ({
+  clearFailedLogins: jest.fn()
+}));
+
+jest.mock('../src/services/auditService', () => ({
+  record: jest.fn()
+}));
+
+const bcrypt = require('bcryptjs');
+const User = require('../src/models/User');
+const RefreshToken = require('../src/models/RefreshToken');
+const PasswordResetToken = require('../src/models/PasswordResetToken');
+const emailService = require('../src/services/emailService');
+const { disconnectUserSockets } = require('../src/config/socket');
+const { clearFailedLogins } = require('../src/services/accountLockoutService');
+const { hashToken } = require('../src/utils/secureToken');
+const { forgotPasswordService, resetPasswordService } = require('../src/services/authService');
+const { mockQuery, buildUser } = require('./helpers/fixtures');
+
+const NOW = new Date('2026-01-01T12:00:00Z').getTime();
+
+describe('Password reset', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(Date, 'now').mockReturnValue(NOW);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('forgotPasswordService', () => {
+    test('should give the same answer whether or not the account exists', async () => {
+      User.findOne.mockReturnValueOnce(mockQuery(null)).mockReturnValueOnce(mockQuery(buildUser()));
+
+      const unknown = await forgotPasswordService('nobody@example.com');
+      const known = await forgotPasswordService('alice@example.com');
+
+      expect(unknown).toEqual(known);
+      expect(emailService.sendPasswordResetEmail).toHaveBeenCalledTimes(1);
+    });
+
+    test('should store only the hash of an expiring token and invalidate older links', async () => {
+      const user = buildUser();
+      User.findOne.mockReturnValue(mockQuery(user));
+
+      await forgotPasswordService('alice@example.com', '10.0.0.1');
+
+      const [, rawToken, minutes] = emailService.sendPasswordResetEmail.mock.calls[0];
+      const stored = PasswordResetToken.create.mock.calls[0][0];
+
+      expect(PasswordResetToken.deleteMany).toHaveBeenCalledWith({ userId: user._id });
+      expect(stored).toMatchObject({ userId: user._id, tokenHash: hashToken(rawToken), requestedIp: '10.0.0.1' });
+      expect(stored.expiresAt.getTime()).toBe(NOW + minutes * 60 * 1000);
+    });
+
+    test('should give the generic answer when the email cannot be sent', async () => {
+      User.findOne.mockReturnValueOnce(mockQuery(null)).mockReturnValueOnce(mockQuery(buildUser()));
+      emailService.sendPasswordResetEmail.mockRejectedValueOnce(new Error('SMTP unavailable'));
+
+      const unknown = await forgotPasswordService('nobody@example.com');
+      const known = await forgotPasswordService('alice@example.com');
+
+      expect(known).toEqual(unknown);
+    });
+  });
+
+  describe('resetPasswordService', () => {
+    test('should claim the token atomically so only an unused, unexpired link works', async () => {
+      PasswordResetToken.findOneAndUpdate.mockResolvedValue(null);
+
+      await expect(resetPasswordService('raw-token', 'N3w-Passw0rd!')).rejects.toMatchObject({ statusCode: 400 });
+
+      expect(PasswordResetToken.findOneAndUpdate).toHaveBeenCalledWith(
+        { tokenHash: hashToken('raw-token'), usedAt: null, expiresAt: { $gt: NOW } },
+        { usedAt: expect.any(Date) },
+        { new: true }
+      );
+      expect(User.findById).not.toHaveBeenCalled();
+    });
+
+    test('should set the new password, unlock the account and log the user out everywhere', async () => {
+      const user = buildUser({ password: 'old-hash' });
+      PasswordResetToken.findOneAndUpdate.mockResolvedValue({ userId: user._id });
+      User.findById.mockReturnValue(mockQuery(user));
+
+      await resetPasswordService('raw-token', 'N3w-Passw0rd!');
+
+      // A login right after the reset gets a token from a later second than the change
+      // (Date.now is pinned in these tests, the real clock is read through new Date())
+      expect(Math.floor(new Date().getTime() / 1000)).toBeGreaterThan(Math.floor(user.passwordChangedAt.getTime() / 1000));
+      expect(await bcrypt.compare('N3w-Passw0rd!', user.password)).toBe(true);
+      expect(user.save).toHaveBeenCalled();
+      expect(PasswordResetToken.deleteMany).toHaveBeenCalledWith({ userId: user._id });
+      expect(clearFailedLogins).toHaveBeenCalledWith(user._id);
+      expect(RefreshToken.deleteMany).toHaveBeenCalledWith({ userId: user._id });
+      expect(disconnectUserSockets).toHaveBeenCalledWith(user._id, 'password_reset');
+    });
+  });
+});
@@ -0,0 +1,131 @@
+/**
+ * Refresh token rotation, reuse detection and token family revocation
+ * Models are mocked - no database required
+ */
+
+process.env.NODE_ENV = 'test';
+process.env.JWT_SECRET_KEY = 'test-secret-key';
+process.env.JWT_REFRESH_SECRET_KEY = 'test-refresh-secret-key';
+process.env.REFRESH_TOKEN_REUSE_GRACE_SECONDS = '10';
+
+jest.mock('../src/models/User', () => ({
+  findById: jest.fn()
+}));
+
+jest.mock('../src/models/RefreshToken', () => ({
+  findOne: jest.fn(),
+  findOneAndUpdate: jest.fn(),
+  findById: jest.fn(),
+  create: jest.fn(),
+  revokeFamily: jest.fn()
+}));
+
+jest.mock('../src/config/socket', () => ({
+  disconnectUserSockets: jest.fn(),
+  disconnectSessionSockets: jest.fn()
+}));
+
+jest.mock('../src/services/auditService', () => ({
+  record: jest.fn()
+}));
+
+const User = require('../src/models/User');
+const RefreshToken = require('../src/models/RefreshToken');
+const { disconnectSessionSockets } = require('../src/config/socket');
+const auditService = require('../src/services/auditService');
+const { signToken, verifyToken } = require('../src/config/jwtKeys');
+const { refreshTokenService } = require('../src/services/authService');
+const { USER_ID, mockQuery, buildUser } = require('./helpers/fixtures');
+
+const SESSION_ID = 'session-1';
+const TOKEN_ID = 'token-id';
+
+const refreshToken = (payload = {}) => signToken({ id: USER_ID, type: 'refresh', sid: SESSION_ID, ...payload }, { expiresIn: '7d' });
+
+const buildStoredToken = (overrides = {}) => ({
+  _id: TOKEN_ID,
+  userId: { toString: () => USER_ID },
+  sessionId: SESSION_ID,
+  rotatedAt: null,
+  deviceName: 'Laptop',
+  createdAt: new Date(),
+  ...overrides
+});
+
+describe('Refresh token rotation', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    User.findById.mockReturnValue(mockQuery(buildUser()));
+    RefreshToken.findOne.mockResolvedValue(buildStoredToken());
+    RefreshToken.findOneAndUpdate.mockResolvedValue(buildStoredToken({ rotatedAt: new Date() }));
+  });
+
+  test('should rotate the token within the same session', async () => {
+    const result = await refreshTokenService(refreshToken());
+
+    expect(RefreshToken.findOneAndUpdate).toHaveBeenCalledWith(
+      { _id: TOKEN_ID, rotatedAt: null },
+      expect.objectContaining({ sessionId: SESSION_ID }),
+      { new: true }
+    );
+    expect(RefreshToken.create).toHaveBeenCalledWith(expect.objectContaining({
+      token: result.refreshToken,
+      sessionId: SESSION_ID,
+      deviceName: 'Laptop'
+    }));
+    expect(verifyToken(result.accessToken)).toMatchObject({ id: USER_ID, type: 'access', sid: SESSION_ID });
+    expect(RefreshToken.revokeFamily).not.toHaveBeenCalled();
+  });
+
+  test('should reject an access token', async () => {
+    const token = signToken({ id: USER_ID, type: 'access', sid: SESSION_ID }, { expiresIn: '15m' });
+
+    await expect(refreshTokenService(token)).rejects.toMatchObject({ statusCode: 401 });
+    expect(RefreshToken.findOne).not.toHaveBeenCalled();
+  });
+
+  test('should reject a token that is no longer stored', async () => {
+    RefreshToken.findOne.mockResolvedValue(null);
+
+    await expect(refreshTokenService(refreshToken())).rejects.toMatchObject({ statusCode: 401 });
+    expect(RefreshToken.findOneAndUpdate).not.toHaveBeenCalled();
+  });
+
+  test('should revoke the whole family when a rotated token is reused', async () => {
+    const rotatedAt = new Date(Date.now() - 60 * 1000);
+    RefreshToken.findOne.mockResolvedValue(buildStoredToken({ rotatedAt }));
+    RefreshToken.findOneAndUpdate.mockResolvedValue(null);
+    RefreshToken.findById.mockResolvedValue(buildStoredToken({ rotatedAt }));
+
+    await expect(refreshTokenService(refreshToken())).rejects.toMatchObject({ statusCode: 401 });
+
+    expect(RefreshToken.revokeFamily).toHaveBeenCalledWith(SESSION_ID);
+    expect(auditService.record).toHaveBeenCalledWith(
+      'token_reuse_detected',
+      expect.objectContaining({ outcome: 'failure' }),
+      expect.anything()
+    );
+    expect(disconnectSessionSockets).toHaveBeenCalledWith(SESSION_ID, 'token_reuse_detected');
+    expect(RefreshToken.create).not.toHaveBeenCalled();
+  });
+
+  test('should not revoke the family for a concurrent refresh within the grace window', async () => {
+    RefreshToken.findOneAndUpdate.mockResolvedValue(null);
+    RefreshToken.findById.mockResolvedValue(buildStoredToken({ rotatedAt: new Date(Date.now() - 1000) }));
+
+    await expect(refreshTokenService(refreshToken())).rejects.toMatchObject({ statusCode: 401 });
+
+    expect(RefreshToken.revokeFamily).not.toHaveBeenCalled();
+    expect(RefreshToken.create).not.toHaveBeenCalled();
+  });
+
+  test('should not extend the session of a suspended user', async () => {
+    User.findById.mockReturnValue(mockQuery(buildUser({
+      isActive: false,
+      getActiveSuspension: jest.fn().mockReturnValue({ reason: 'Spam', suspendedAt: new Date(), suspendedUntil: null })
+    })));
+
+    await expect(refreshTokenService(refreshToken())).rejects.toMatchObject({ statusCode: 403 });
+    expect(RefreshToken.findOneAndUpdate).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,157 @@
+/**
+ * Registration modes and invite codes
+ */
+
+process.env.NODE_ENV = 'test';
+
+jest.mock('../src/models/InviteCode', () => ({
+  findOne: jest.fn(),
+  findOneAndUpdate: jest.fn(),
+  updateOne: jest.fn(),
+  create: jest.fn()
+}));
+
+jest.mock('../src/services/auditService', () => ({
+  record: jest.fn()
+}));
+
+const { hashToken } = require('../src/utils/secureToken');
+const { USER_ID, objectId } = require('./helpers/fixtures');
+
+const HOUR = 60 * 60 * 1000;
+
+// The mode is read once at startup, so load a fresh copy for each configuration
+const loadRegistration = (mode, allowedDomains = '') => {
+  process.env.REGISTRATION_MODE = mode;
+  process.env.REGISTRATION_ALLOWED_DOMAINS = allowedDomains;
+
+  let modules;
+  jest.isolateModules(() => {
+    modules = {
+      InviteCode: require('../src/models/InviteCode'),
+      registrationService: require('../src/services/registrationService')
+    };
+  });
+  return modules;
+};
+
+const buildInvite = (overrides = {}) => {
+  const invite = {
+    _id: objectId('507f1f77bcf86cd7994390bb'),
+    createdBy: objectId(USER_ID),
+    maxUses: 1,
+    useCount: 0,
+    expiresAt: null,
+    revokedAt: null,
+    ...overrides
+  };
+  const InviteCodeModel = jest.requireActual('../src/models/InviteCode');
+  invite.getUnusableReason = InviteCodeModel.schema.methods.getUnusableReason.bind(invite);
+  return invite;
+};
+
+describe('Registration modes', () => {
+  afterAll(() => {
+    delete process.env.REGISTRATION_MODE;
+    delete process.env.REGISTRATION_ALLOWED_DOMAINS;
+  });
+
+  describe('assertRegistrationOpen', () => {
+    test('should let anyone register in open mode', () => {
+      const { registrationService } = loadRegistration('open');
+
+      expect(() => registrationService.assertRegistrationOpen('alice@example.com')).not.toThrow();
+    });
+
+    test('should refuse every registration in closed mode', () => {
+      const { registrationService } = loadRegistration('closed');
+
+      expect(() => registrationService.assertRegistrationOpen('alice@example.com'))
+        .toThrow(expect.objectContaining({ statusCode: 403, code: 'REGISTRATION_CLOSED' }));
+    });
+
+    test('should treat an unknown mode as closed', () => {
+      const { registrationService } = loadRegistration('sometimes');
+
+      expect(registrationService.getRegistrationInfoService().mode).toBe('closed');
+    });
+
+    test('should only accept allowlisted domains and their subdomains', () => {
+      const { registrationService } = loadRegistration('allowlist', 'example.com, @corp.test');
+
+      expect(() => registrationService.assertRegistrationOpen('alice@example.com')).not.toThrow();
+      expect(() => registrationService.assertRegistrationOpen('bob@eu.corp.test')).not.toThrow();
+      expect(() => registrationService.assertRegistrationOpen('eve@notexample.com'))
+        .toThrow(expect.objectContaining({ statusCode: 403, code: 'EMAIL_DOMAIN_NOT_ALLOWED' }));
+    });
+  });
+
+  describe('invite codes', () => {
+    test('should not look up invite codes outside invite mode', async () => {
+      const { InviteCode, registrationService } = loadRegistration('open');
+
+      await expect(registrationService.findUsableInviteCode(undefined)).resolves.toBeNull();
+      expect(InviteCode.findOne).not.toHaveBeenCalled();
+    });
+
+    test('should require an invite code in invite mode', async () => {
+      const { registrationService } = loadRegistration('invite');
+
+      await expect(registrationService.findUsableInviteCode(''))
+        .rejects.toMatchObject({ statusCode: 403, code: 'INVITE_REQUIRED' });
+    });
+
+    test('should match the code by hash, ignoring case and dashes', async () => {
+      const { InviteCode, registrationService } = loadRegistration('invite');
+      const invite = buildInvite();
+      InviteCode.findOne.mockResolvedValue(invite);
+
+      await expect(registrationService.findUsableInviteCode('abcd-efgh')).resolves.toBe(invite);
+      expect(InviteCode.findOne).toHaveBeenCalledWith({ codeHash: hashToken('ABCDEFGH') });
+    });
+
+    test.each([
+      ['a revoked', { revokedAt: new Date() }],
+      ['an expired', { expiresAt: new Date(Date.now() - HOUR) }],
+      ['a used-up', { useCount: 1 }]
+    ])('should reject %s invite code', async (_, overrides) => {
+      const { InviteCode, registrationService } = loadRegistration('invite');
+      InviteCode.findOne.mockResolvedValue(buildInvite(overrides));
+
+      await expect(registrationService.findUsableInviteCode('ABCD-EFGH'))
+        .rejects.toMatchObject({ statusCode: 403, code: 'INVITE_INVALID' });
+    });
+
+    test('should redeem atomically so a code cannot be over-used', async () => {
+      const { InviteCode, registrationService } = loadRegistration('invite');
+      const invite = buildInvite({ maxUses: 3 });
+      InviteCode.findOneAndUpdate.mockResolvedValue(null);
+
+      await expect(registrationService.redeemInviteCode(invite))
+        .rejects.toMatchObject({ statusCode: 403, code: 'INVITE_INVALID' });
+
+      const [filter, update] = InviteCode.findOneAndUpdate.mock.calls[0];
+      expect(filter).toMatchObject({ _id: invite._id, revokedAt: null, useCount: { $lt: 3 } });
+      expect(update).toEqual({ $inc: { useCount: 1 } });
+    });
+
+    test('should store only the hash of a new invite code', async () => {
+      const { InviteCode, registrationService } = loadRegistration('invite');
+      InviteCode.create.mockImplementation(async (data) => buildInvite(data));
+
+      const { code } = await registrationService.createInviteCodeService(USER_ID, { maxUses: 5 });
+
+      const stored = InviteCode.create.mock.calls[0][0];
+      expect(stored.codeHash).toBe(hashToken(code.replace(/-/g, '')));
+      expect(stored).not.toHaveProperty('code');
+      expect(stored.maxUses).toBe(5);
+    });
+
+    test('should not provision identity provider accounts in invite mode', () => {
+      const { registrationService } = loadRegistration('invite');
+
+      expect(() => registrationService.assertProvisioningAllowed('alice@example.com'))
+        .toThrow(expect.objectContaining({ statusCode: 403, code: 'INVITE_REQUIRED' }));
+    });
+  });
+});
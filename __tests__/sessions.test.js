@@ -0,0 +1,118 @@
+/**
+ * Session management: listing devices and revoking sessions
+ */
+
+process.env.NODE_ENV = 'test';
+process.env.JWT_SECRET_KEY = 'test-secret-key';
+process.env.JWT_REFRESH_SECRET_KEY = 'test-refresh-secret-key';
+
+jest.mock('../src/models/User', () => ({
+  findById: jest.fn()
+}));
+
+jest.mock('../src/models/RefreshToken', () => ({
+  find: jest.fn(),
+  exists: jest.fn(),
+  distinct: jest.fn(),
+  deleteMany: jest.fn()
+}));
+
+jest.mock('../src/config/socket', () => ({
+  disconnectUserSockets: jest.fn(),
+  disconnectSessionSockets: jest.fn()
+}));
+
+const User = require('../src/models/User');
+const RefreshToken = require('../src/models/RefreshToken');
+const { disconnectUserSockets, disconnectSessionSockets } = require('../src/config/socket');
+const {
+  listSessionsService,
+  revokeSessionService,
+  revokeOtherSessionsService
+} = require('../src/services/authService');
+const { signToken } = require('../src/config/jwtKeys');
+const { authenticateToken } = require('../src/middlewares/authMiddleware');
+const { USER_ID, objectId, mockQuery, buildUser, buildReq, buildRes } = require('./helpers/fixtures');
+
+describe('Sessions', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('listSessionsService', () => {
+    test('should flag the session the request was made from', async () => {
+      const createdAt = new Date('2026-01-01T12:00:00Z');
+      RefreshToken.find.mockReturnValue(mockQuery([
+        { _id: objectId(USER_ID), sessionId: 'laptop', deviceName: 'Laptop', createdAt },
+        { _id: objectId(USER_ID), sessionId: 'phone', deviceName: 'Phone', createdAt }
+      ]));
+
+      const sessions = await listSessionsService(USER_ID, 'phone');
+
+      expect(sessions.map((s) => [s.id, s.isCurrent])).toEqual([['laptop', false], ['phone', true]]);
+    });
+  });
+
+  describe('revokeSessionService', () => {
+    test('should delete only that session and kick its sockets', async () => {
+      RefreshToken.deleteMany.mockResolvedValue({ deletedCount: 1 });
+
+      await revokeSessionService(USER_ID, 'phone');
+
+      expect(RefreshToken.deleteMany).toHaveBeenCalledWith({ userId: USER_ID, $or: [{ sessionId: 'phone' }] });
+      expect(disconnectSessionSockets).toHaveBeenCalledWith('phone', 'session_revoked');
+      expect(disconnectUserSockets).not.toHaveBeenCalled();
+    });
+
+    test('should 404 on a session that belongs to someone else or does not exist', async () => {
+      RefreshToken.deleteMany.mockResolvedValue({ deletedCount: 0 });
+
+      await expect(revokeSessionService(USER_ID, 'not-mine')).rejects.toMatchObject({ statusCode: 404 });
+      expect(disconnectSessionSockets).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('revokeOtherSessionsService', () => {
+    test('should keep the current session and disconnect the others', async () => {
+      RefreshToken.distinct.mockResolvedValue(['laptop', null]);
+      RefreshToken.deleteMany.mockResolvedValue({ deletedCount: 2 });
+
+      const result = await revokeOtherSessionsService(USER_ID, 'phone');
+
+      expect(RefreshToken.deleteMany).toHaveBeenCalledWith({ userId: USER_ID, sessionId: { $ne: 'phone' } });
+      expect(disconnectSessionSockets).toHaveBeenCalledTimes(1);
+      expect(disconnectSessionSockets).toHaveBeenCalledWith('laptop', 'session_revoked');
+      expect(result.revokedCount).toBe(2);
+    });
+  });
+
+  describe('authenticateToken', () => {
+    test('should reject an access token whose session was revoked', async () => {
+      const token = signToken({ id: USER_ID, type: 'access', sid: 'laptop' });
+      User.findById.mockReturnValue(mockQuery(buildUser()));
+      RefreshToken.exists.mockResolvedValue(null);
+      const res = buildRes();
+      const next = jest.fn();
+
+      await authenticateToken(buildReq({ headers: { authorization: `Bearer ${token}` } }), res, next);
+
+      expect(RefreshToken.exists).toHaveBeenCalledWith({ sessionId: 'laptop', rotatedAt: null });
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ code: 'SESSION_REVOKED' }));
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    test('should attach the session id of a live session', async () => {
+      const token = signToken({ id: USER_ID, type: 'access', sid: 'laptop' });
+      User.findById.mockReturnValue(mockQuery(buildUser()));
+      RefreshToken.exists.mockResolvedValue({ _id: 'token-id' });
+      const req = buildReq({ headers: { authorization: `Bearer ${token}` } });
+      const next = jest.fn();
+
+      await authenticateToken(req, buildRes(), next);
+
+      expect(next).toHaveBeenCalled();
+      expect(req.user).toEqual({ id: USER_ID, sessionId: 'laptop' });
+    });
+  });
+});
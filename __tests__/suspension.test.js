@@ -0,0 +1,118 @@
+/**
+ * Suspensions with a reason and an optional expiry
+ */
+
+process.env.NODE_ENV = 'test';
+
+jest.mock('../src/models/User', () => ({
+  findById: jest.fn(),
+  updateOne: jest.fn().mockResolvedValue({ modifiedCount: 1 })
+}));
+
+jest.mock('../src/models/RefreshToken', () => ({
+  deleteMany: jest.fn().mockResolvedValue({ deletedCount: 0 })
+}));
+
+jest.mock('../src/config/redis', () => ({
+  onlineUsers: {},
+  loginAttempts: {}
+}));
+
+jest.mock('../src/config/socket', () => ({
+  disconnectUserSockets: jest.fn(),
+  getConnectionStats: jest.fn()
+}));
+
+jest.mock('../src/services/auditService', () => ({
+  record: jest.fn()
+}));
+
+const User = require('../src/models/User');
+const { getSuspension, assertNotSuspended } = require('../src/services/suspensionService');
+const { suspendUserService } = require('../src/services/adminService');
+const { OTHER_USER_ID, objectId, mockQuery, buildUser } = require('./helpers/fixtures');
+
+const RealUser = jest.requireActual('../src/models/User');
+
+const NOW = new Date('2026-01-01T12:00:00Z').getTime();
+const HOUR = 60 * 60 * 1000;
+
+const suspendedUser = (suspendedUntil) => new RealUser({
+  username: 'bob',
+  email: 'bob@example.com',
+  password: 'x',
+  isActive: false,
+  suspendedAt: new Date(NOW - HOUR),
+  suspendedUntil,
+  suspensionReason: 'Spam'
+});
+
+describe('Suspension', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(Date, 'now').mockReturnValue(NOW);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('User#getActiveSuspension', () => {
+    test('should report an indefinite suspension', () => {
+      expect(suspendedUser(null).getActiveSuspension()).toMatchObject({ reason: 'Spam', suspendedUntil: null });
+    });
+
+    test('should report a suspension until it expires', () => {
+      expect(suspendedUser(new Date(NOW + HOUR)).getActiveSuspension()).not.toBeNull();
+      expect(suspendedUser(new Date(NOW)).getActiveSuspension()).toBeNull();
+    });
+  });
+
+  describe('getSuspension', () => {
+    test('should lift an expired suspension and let the user back in', async () => {
+      const user = suspendedUser(new Date(NOW - 1));
+
+      await expect(getSuspension(user)).resolves.toBeNull();
+
+      expect(User.updateOne).toHaveBeenCalledWith(
+        expect.objectContaining({ _id: user._id, isActive: false, suspendedUntil: { $ne: null, $lte: expect.any(Date) } }),
+        expect.objectContaining({ $set: expect.objectContaining({ isActive: true, suspendedUntil: null }) })
+      );
+      expect(user.isActive).toBe(true);
+    });
+
+    test('should leave an active suspension in place', async () => {
+      await expect(getSuspension(suspendedUser(new Date(NOW + HOUR)))).resolves.toMatchObject({ reason: 'Spam' });
+      expect(User.updateOne).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('assertNotSuspended', () => {
+    test('should reject with the expiry and reason in the message', async () => {
+      const until = new Date(NOW + HOUR);
+
+      await expect(assertNotSuspended(suspendedUser(until))).rejects.toMatchObject({
+        statusCode: 403,
+        message: `Your account has been suspended until ${until.toISOString()}. Reason: Spam`
+      });
+    });
+  });
+
+  describe('suspendUserService', () => {
+    test('should record the reason, the moderator and when the suspension ends', async () => {
+      const actor = buildUser({ role: 'admin' });
+      const target = buildUser({ _id: objectId(OTHER_USER_ID), username: 'bob' });
+      User.findById.mockReturnValue(mockQuery(target));
+
+      await suspendUserService(actor, OTHER_USER_ID, { reason: 'Spam', durationHours: 24 });
+
+      expect(target).toMatchObject({
+        isActive: false,
+        suspensionReason: 'Spam',
+        suspendedBy: actor._id,
+        suspendedUntil: new Date(NOW + 24 * HOUR)
+      });
+      expect(target.save).toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,229 @@
+/**
+ * Token verification rules shared by REST (authenticateToken) and Socket.IO (authenticateSocket)
+ * Models are mocked - no database required
+ */
+
+process.env.NODE_ENV = 'test';
+process.env.JWT_SECRET_KEY = 'test-secret-key';
+process.env.JWT_REFRESH_SECRET_KEY = 'test-refresh-secret-key';
+
+jest.mock('../src/models/User', () => ({
+  findById: jest.fn(),
+  updateOne: jest.fn()
+}));
+
+jest.mock('../src/models/RefreshToken', () => ({
+  exists: jest.fn()
+}));
+
+const jwt = require('jsonwebtoken');
+const User = require('../src/models/User');
+const RefreshToken = require('../src/models/RefreshToken');
+const { signToken } = require('../src/config/jwtKeys');
+const { verifyAccessToken } = require('../src/services/tokenVerificationService');
+const { authenticateToken, authenticateSocket } = require('../src/middlewares/authMiddleware');
+const { USER_ID, mockQuery, buildUser, buildReq, buildRes } = require('./helpers/fixtures');
+
+const SESSION_ID = 'session-1';
+
+const mockUser = (user) => {
+  User.findById.mockReturnValue(mockQuery(user));
+};
+
+const accessToken = (payload = {}) => signToken({ id: USER_ID, type: 'access', sid: SESSION_ID, ...payload }, { expiresIn: '15m' });
+const refreshToken = () => signToken({ id: USER_ID, type: 'refresh', sid: SESSION_ID }, { expiresIn: '7d' });
+
+const runHttp = async (token) => {
+  const req = buildReq({ headers: token ? { authorization: `Bearer ${token}` } : {} });
+  const res = buildRes();
+  const next = jest.fn();
+  await authenticateToken(req, res, next);
+  return { req, res, next };
+};
+
+const runSocket = async (token) => {
+  const socket = { handshake: { auth: { token }, headers: {} } };
+  const next = jest.fn();
+  await authenticateSocket(socket, next);
+  return { socket, next, error: next.mock.calls[0][0] };
+};
+
+// jwtKeys reads its configuration when it is loaded
+const loadJwtKeys = (env) => {
+  const saved = { ...process.env };
+  Object.assign(process.env, env);
+  try {
+    let jwtKeys;
+    jest.isolateModules(() => {
+      jwtKeys = require('../src/config/jwtKeys');
+    });
+    return jwtKeys;
+  } finally {
+    process.env = saved;
+  }
+};
+
+describe('JWT keys', () => {
+  test('should verify legacy HS256 tokens only when JWT_ACCEPT_LEGACY_HS256 is "true"', () => {
+    const token = jwt.sign({ id: USER_ID, type: 'access' }, process.env.JWT_SECRET_KEY);
+    const options = { legacySecret: process.env.JWT_SECRET_KEY };
+
+    expect(() => loadJwtKeys({}).verifyToken(token, options)).toThrow('invalid signature');
+    expect(() => loadJwtKeys({ JWT_ACCEPT_LEGACY_HS256: 'false' }).verifyToken(token, options)).toThrow('invalid signature');
+    expect(loadJwtKeys({ JWT_ACCEPT_LEGACY_HS256: 'true' }).verifyToken(token, options)).toMatchObject({ id: USER_ID });
+  });
+
+  test('should refuse to start in production without a signing key', () => {
+    expect(() => loadJwtKeys({ NODE_ENV: 'production', JWT_KEYS_DIR: '', JWT_PRIVATE_KEY: '' })).toThrow('No JWT signing keys configured');
+  });
+});
+
+describe('Token verification', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockUser(buildUser());
+    RefreshToken.exists.mockResolvedValue({ _id: 'token-id' });
+  });
+
+  describe('verifyAccessToken', () => {
+    test('should accept a valid access token', async () => {
+      const result = await verifyAccessToken(accessToken());
+
+      expect(result.userId).toBe(USER_ID);
+      expect(result.sessionId).toBe(SESSION_ID);
+      expect(RefreshToken.exists).toHaveBeenCalledWith({ sessionId: SESSION_ID, rotatedAt: null });
+    });
+
+    test('should reject a missing token', async () => {
+      await expect(verifyAccessToken(undefined)).rejects.toMatchObject({ statusCode: 401, code: 'TOKEN_MISSING' });
+    });
+
+    test('should reject a refresh token', async () => {
+      await expect(verifyAccessToken(refreshToken())).rejects.toMatchObject({ statusCode: 403, code: 'INVALID_TOKEN_TYPE' });
+      expect(User.findById).not.toHaveBeenCalled();
+    });
+
+    test('should reject a token without a type (old userId payload)', async () => {
+      const token = signToken({ userId: USER_ID });
+
+      await expect(verifyAccessToken(token)).rejects.toMatchObject({ code: 'INVALID_TOKEN_TYPE' });
+    });
+
+    test('should reject a legacy HS256 token unless legacy tokens are enabled', async () => {
+      const token = jwt.sign({ id: USER_ID, type: 'access', sid: SESSION_ID }, process.env.JWT_SECRET_KEY);
+
+      await expect(verifyAccessToken(token)).rejects.toMatchObject({ statusCode: 403, code: 'INVALID_TOKEN' });
+    });
+
+    test('should reject a token with a bad signature', async () => {
+      const token = jwt.sign({ id: USER_ID, type: 'access' }, 'some-other-secret');
+
+      await expect(verifyAccessToken(token)).rejects.toMatchObject({ statusCode: 403, code: 'INVALID_TOKEN' });
+    });
+
+    test('should reject an expired token', async () => {
+      const token = signToken({ id: USER_ID, type: 'access', sid: SESSION_ID }, { expiresIn: -10 });
+
+      await expect(verifyAccessToken(token)).rejects.toMatchObject({ statusCode: 401, code: 'TOKEN_EXPIRED' });
+    });
+
+    test('should reject a revoked session', async () => {
+      RefreshToken.exists.mockResolvedValue(null);
+
+      await expect(verifyAccessToken(accessToken())).rejects.toMatchObject({ statusCode: 401, code: 'SESSION_REVOKED' });
+    });
+
+    test('should reject a token issued before a password change', async () => {
+      mockUser(buildUser({ changedPasswordAfter: jest.fn().mockReturnValue(true) }));
+
+      await expect(verifyAccessToken(accessToken())).rejects.toMatchObject({ statusCode: 401, code: 'PASSWORD_CHANGED' });
+    });
+
+    test('should reject a suspended user', async () => {
+      mockUser(buildUser({
+        isActive: false,
+        getActiveSuspension: jest.fn().mockReturnValue({ reason: 'Spam', suspendedAt: new Date(), suspendedUntil: null })
+      }));
+
+      await expect(verifyAccessToken(accessToken())).rejects.toMatchObject({ statusCode: 403, code: 'ACCOUNT_SUSPENDED' });
+    });
+
+    test('should reject a deleted user', async () => {
+      mockUser(null);
+
+      await expect(verifyAccessToken(accessToken())).rejects.toMatchObject({ statusCode: 401, code: 'USER_NOT_FOUND' });
+    });
+  });
+
+  describe('HTTP (authenticateToken)', () => {
+    test('should authenticate a valid access token', async () => {
+      const { req, res, next } = await runHttp(accessToken());
+
+      expect(next).toHaveBeenCalledWith();
+      expect(res.status).not.toHaveBeenCalled();
+      expect(req.user).toEqual({ id: USER_ID, sessionId: SESSION_ID });
+    });
+
+    test('should reject a refresh token', async () => {
+      const { res, next } = await runHttp(refreshToken());
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ success: false, code: 'INVALID_TOKEN_TYPE' }));
+    });
+
+    test('should reject a revoked token', async () => {
+      RefreshToken.exists.mockResolvedValue(null);
+
+      const { res, next } = await runHttp(accessToken());
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ code: 'SESSION_REVOKED' }));
+    });
+  });
+
+  describe('Socket.IO (authenticateSocket)', () => {
+    test('should authenticate a valid access token', async () => {
+      const { socket, error } = await runSocket(accessToken());
+
+      expect(error).toBeUndefined();
+      expect(socket.userId).toBe(USER_ID);
+      expect(socket.sessionId).toBe(SESSION_ID);
+      expect(socket.user.username).toBe('alice');
+    });
+
+    test('should accept a Bearer Authorization header', async () => {
+      const socket = { handshake: { auth: {}, headers: { authorization: `Bearer ${accessToken()}` } } };
+      const next = jest.fn();
+
+      await authenticateSocket(socket, next);
+
+      expect(next).toHaveBeenCalledWith();
+      expect(socket.userId).toBe(USER_ID);
+    });
+
+    test('should reject a refresh token', async () => {
+      const { socket, error } = await runSocket(refreshToken());
+
+      expect(error).toBeInstanceOf(Error);
+      expect(error.data).toEqual({ code: 'INVALID_TOKEN_TYPE' });
+      expect(socket.userId).toBeUndefined();
+    });
+
+    test('should reject a revoked token', async () => {
+      RefreshToken.exists.mockResolvedValue(null);
+
+      const { socket, error } = await runSocket(accessToken());
+
+      expect(error.data).toEqual({ code: 'SESSION_REVOKED' });
+      expect(socket.userId).toBeUndefined();
+    });
+
+    test('should reject a missing token', async () => {
+      const { error } = await runSocket(undefined);
+
+      expect(error.data).toEqual({ code: 'TOKEN_MISSING' });
+    });
+  });
+});
@@ -0,0 +1,174 @@
+/**
+ * Two-factor codes: TOTP replay protection and single-use recovery codes
+ * Models are mocked - no database required
+ */
+
+process.env.NODE_ENV = 'test';
+
+jest.mock('../src/models/User', () => ({
+  findById: jest.fn(),
+  updateOne: jest.fn()
+}));
+
+const User = require('../src/models/User');
+const { generateSecret, generateTotp, verifyTotp } = require('../src/utils/totp');
+const { hashToken } = require('../src/utils/secureToken');
+const { verifyTwoFactorCode, confirmTwoFactorService } = require('../src/services/twoFactorService');
+const { USER_ID, mockQuery, buildUser } = require('./helpers/fixtures');
+
+const PERIOD_MS = 30 * 1000;
+
+const buildTwoFactorUser = (overrides = {}) => buildUser({
+  twoFactorEnabled: true,
+  twoFactorSecret: generateSecret(),
+  twoFactorLastUsedStep: null,
+  twoFactorRecoveryCodes: [hashToken('abcde-12345'), hashToken('fghij-67890')],
+  ...overrides
+});
+
+describe('Two-factor authentication', () => {
+  describe('verifyTotp', () => {
+    test('should accept the current code and return its time step', () => {
+      const secret = generateSecret();
+      const now = Date.now();
+
+      expect(verifyTotp(secret, generateTotp(secret, now), { timestamp: now })).toBe(Math.floor(now / PERIOD_MS));
+    });
+
+    test('should allow one step of clock drift but not more', () => {
+      const secret = generateSecret();
+      const now = Date.now();
+
+      expect(verifyTotp(secret, generateTotp(secret, now - PERIOD_MS), { timestamp: now })).not.toBeNull();
+      expect(verifyTotp(secret, generateTotp(secret, now - 3 * PERIOD_MS), { timestamp: now })).toBeNull();
+    });
+
+    test('should refuse steps at or before the last used step', () => {
+      const secret = generateSecret();
+      const now = Date.now();
+      const step = Math.floor(now / PERIOD_MS);
+
+      expect(verifyTotp(secret, generateTotp(secret, now), { timestamp: now, lastUsedStep: step })).toBeNull();
+      expect(verifyTotp(secret, generateTotp(secret, now - PERIOD_MS), { timestamp: now, lastUsedStep: step - 1 })).toBeNull();
+    });
+
+    test('should reject malformed codes', () => {
+      const secret = generateSecret();
+
+      expect(verifyTotp(secret, '12345')).toBeNull();
+      expect(verifyTotp(secret, 'abcdef')).toBeNull();
+      expect(verifyTotp(secret, undefined)).toBeNull();
+    });
+  });
+
+  describe('verifyTwoFactorCode', () => {
+    beforeEach(() => {
+      jest.clearAllMocks();
+      User.updateOne.mockResolvedValue({ matchedCount: 1 });
+    });
+
+    test('should consume a TOTP step only if no later step was used', async () => {
+      const user = buildTwoFactorUser();
+      const step = Math.floor(Date.now() / PERIOD_MS);
+
+      await expect(verifyTwoFactorCode(user, generateTotp(user.twoFactorSecret))).resolves.toEqual({ method: 'totp' });
+
+      expect(User.updateOne).toHaveBeenCalledWith(
+        {
+          _id: user._id,
+          $or: [{ twoFactorLastUsedStep: null }, { twoFactorLastUsedStep: { $lt: step } }]
+        },
+        { $set: { twoFactorLastUsedStep: step } }
+      );
+      expect(user.save).not.toHaveBeenCalled();
+    });
+
+    test('should refuse a TOTP code another request consumed first', async () => {
+      const user = buildTwoFactorUser();
+      User.updateOne.mockResolvedValue({ matchedCount: 0 });
+
+      await expect(verifyTwoFactorCode(user, generateTotp(user.twoFactorSecret))).resolves.toBeNull();
+    });
+
+    test('should refuse a replayed TOTP code without touching the database', async () => {
+      const user = buildTwoFactorUser({ twoFactorLastUsedStep: Math.floor(Date.now() / PERIOD_MS) });
+
+      await expect(verifyTwoFactorCode(user, generateTotp(user.twoFactorSecret))).resolves.toBeNull();
+      expect(User.updateOne).not.toHaveBeenCalled();
+    });
+
+    test('should pull a recovery code only if it is still stored', async () => {
+      const user = buildTwoFactorUser();
+
+      await expect(verifyTwoFactorCode(user, 'ABCDE-12345')).resolves.toEqual({
+        method: 'recovery_code',
+        remainingRecoveryCodes: 1
+      });
+      expect(User.updateOne).toHaveBeenCalledWith(
+        { _id: user._id, twoFactorRecoveryCodes: hashToken('abcde-12345') },
+        { $pull: { twoFactorRecoveryCodes: hashToken('abcde-12345') } }
+      );
+    });
+
+    test('should refuse a recovery code another request used first', async () => {
+      const user = buildTwoFactorUser();
+      User.updateOne.mockResolvedValue({ matchedCount: 0 });
+
+      await expect(verifyTwoFactorCode(user, 'abcde-12345')).resolves.toBeNull();
+    });
+
+    test('should reject an unknown code without writing', async () => {
+      const user = buildTwoFactorUser();
+
+      await expect(verifyTwoFactorCode(user, '00000-00000')).resolves.toBeNull();
+      expect(User.updateOne).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('confirmTwoFactorService', () => {
+    const pendingUser = () => buildUser({
+      twoFactorEnabled: false,
+      twoFactorPendingSecret: generateSecret(),
+      twoFactorLastUsedStep: null
+    });
+
+    beforeEach(() => {
+      jest.clearAllMocks();
+      User.updateOne.mockResolvedValue({ matchedCount: 1 });
+    });
+
+    test('should enable two-factor against the verified secret in one conditional update', async () => {
+      const user = pendingUser();
+      const secret = user.twoFactorPendingSecret;
+      const step = Math.floor(Date.now() / PERIOD_MS);
+      User.findById.mockReturnValue(mockQuery(user));
+
+      const { recoveryCodes } = await confirmTwoFactorService(USER_ID, generateTotp(secret));
+
+      const [filter, update] = User.updateOne.mock.calls[0];
+      expect(filter).toEqual({
+        _id: user._id,
+        twoFactorEnabled: false,
+        twoFactorPendingSecret: secret,
+        $or: [{ twoFactorLastUsedStep: null }, { twoFactorLastUsedStep: { $lt: step } }]
+      });
+      expect(update.$set).toMatchObject({
+        twoFactorEnabled: true,
+        twoFactorSecret: secret,
+        twoFactorPendingSecret: null,
+        twoFactorLastUsedStep: step
+      });
+      expect(update.$set.twoFactorRecoveryCodes).toEqual(recoveryCodes.map((code) => hashToken(code)));
+      expect(user.save).not.toHaveBeenCalled();
+    });
+
+    test('should fail when a concurrent confirmation already used the code', async () => {
+      const user = pendingUser();
+      User.findById.mockReturnValue(mockQuery(user));
+      User.updateOne.mockResolvedValue({ matchedCount: 0 });
+
+      await expect(confirmTwoFactorService(USER_ID, generateTotp(user.twoFactorPendingSecret)))
+        .rejects.toMatchObject({ statusCode: 400 });
+    });
+  });
+});
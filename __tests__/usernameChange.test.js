@@ -0,0 +1,127 @@
+/**
+ * Username changes: cooldown, history and the hold on released names
+ */
+
+process.env.NODE_ENV = 'test';
+process.env.USERNAME_HOLD_DAYS = '90';
+process.env.USERNAME_CHANGE_COOLDOWN_DAYS = '30';
+
+jest.mock('../src/models/User', () => ({
+  findById: jest.fn(),
+  findOne: jest.fn()
+}));
+
+jest.mock('../src/models/Message', () => ({
+  find: jest.fn()
+}));
+
+jest.mock('../src/models/UsernameHistory', () => ({
+  exists: jest.fn(),
+  create: jest.fn()
+}));
+
+jest.mock('../src/config/redis', () => ({
+  messageCache: { deleteMany: jest.fn() }
+}));
+
+jest.mock('../src/config/socket', () => ({
+  notifyUserUpdated: jest.fn()
+}));
+
+const User = require('../src/models/User');
+const Message = require('../src/models/Message');
+const UsernameHistory = require('../src/models/UsernameHistory');
+const { messageCache } = require('../src/config/redis');
+const { notifyUserUpdated } = require('../src/config/socket');
+const { isUsernameAvailable } = require('../src/services/usernameService');
+const { changeUsernameService } = require('../src/services/userService');
+const { USER_ID, OTHER_USER_ID, objectId, mockQuery, buildUser } = require('./helpers/fixtures');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Message.find(...).select(...).lean().cursor() over the given ids
+const mockMessageCursor = (ids) => {
+  const query = mockQuery([]);
+  query.cursor = jest.fn().mockReturnValue((async function* () {
+    for (const id of ids) {
+      yield { _id: id };
+    }
+  })());
+  Message.find.mockReturnValue(query);
+};
+
+describe('Username change', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    User.findOne.mockReturnValue(mockQuery(null));
+    UsernameHistory.exists.mockResolvedValue(null);
+    mockMessageCursor([]);
+  });
+
+  describe('isUsernameAvailable', () => {
+    test('should refuse a name another account uses', async () => {
+      User.findOne.mockReturnValue(mockQuery({ _id: objectId(OTHER_USER_ID) }));
+
+      await expect(isUsernameAvailable('bob', USER_ID)).resolves.toBe(false);
+    });
+
+    test('should refuse a name on hold for someone else, case-insensitively', async () => {
+      UsernameHistory.exists.mockResolvedValue({ _id: 'history-id' });
+
+      await expect(isUsernameAvailable('Bob', USER_ID)).resolves.toBe(false);
+      expect(UsernameHistory.exists).toHaveBeenCalledWith({
+        usernameLower: 'bob',
+        reservedUntil: { $gt: expect.any(Date) },
+        userId: { $ne: USER_ID }
+      });
+    });
+
+    test('should let a user take back their own held name', async () => {
+      await expect(isUsernameAvailable('alice_old', USER_ID)).resolves.toBe(true);
+      expect(UsernameHistory.exists.mock.calls[0][0].userId).toEqual({ $ne: USER_ID });
+    });
+  });
+
+  describe('changeUsernameService', () => {
+    test('should rename the user, hold the old name and tell friends', async () => {
+      const friends = [objectId(OTHER_USER_ID)];
+      const user = buildUser({ friends, usernameChangedAt: null });
+      User.findById.mockReturnValue(mockQuery(user));
+      mockMessageCursor(['message-1', 'message-2']);
+
+      await changeUsernameService(USER_ID, 'alice2');
+
+      expect(user).toMatchObject({ username: 'alice2', usernameChangedAt: expect.any(Date) });
+      const release = UsernameHistory.create.mock.calls[0][0];
+      expect(release).toMatchObject({ userId: user._id, username: 'alice', usernameLower: 'alice' });
+      expect(release.reservedUntil.getTime() - Date.now()).toBeCloseTo(90 * DAY, -4);
+      expect(messageCache.deleteMany).toHaveBeenCalledWith(['message-1', 'message-2']);
+      expect(notifyUserUpdated).toHaveBeenCalledWith(user._id, friends, { username: 'alice2', oldUsername: 'alice' });
+    });
+
+    test('should allow only one change per cooldown period', async () => {
+      const user = buildUser({ usernameChangedAt: new Date(Date.now() - DAY) });
+      User.findById.mockReturnValue(mockQuery(user));
+
+      await expect(changeUsernameService(USER_ID, 'alice2')).rejects.toMatchObject({ statusCode: 429 });
+      expect(user.save).not.toHaveBeenCalled();
+    });
+
+    test('should allow a change once the cooldown has passed', async () => {
+      const user = buildUser({ usernameChangedAt: new Date(Date.now() - 31 * DAY) });
+      User.findById.mockReturnValue(mockQuery(user));
+
+      await expect(changeUsernameService(USER_ID, 'alice2')).resolves.toBe(user);
+    });
+
+    test('should refuse a name on hold', async () => {
+      const user = buildUser();
+      User.findById.mockReturnValue(mockQuery(user));
+      UsernameHistory.exists.mockResolvedValue({ _id: 'history-id' });
+
+      await expect(changeUsernameService(USER_ID, 'bob')).rejects.toMatchObject({ statusCode: 400 });
+      expect(user.save).not.toHaveBeenCalled();
+      expect(UsernameHistory.create).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -10,8 +10,11 @@ const http = require('http');
 const logger = require('./src/utils/logger');
 const { errorHandler, notFoundHandler } = require('./src/utils/errorHandler');
 const { rateLimiters } = require('./src/middlewares/rateLimiter');
+const { assignRequestId } = require('./src/middlewares/requestId');
 const { setupSocket } = require('./src/config/socket');
 const { shutdown: shutdownRedis } = require('./src/config/redis');
+const { getJwks } = require('./src/config/jwtKeys');
+const { startAccountDeletionJob } = require('./src/jobs/accountDeletionJob');
 
 // Import routes
 const authRoutes = require('./src/routes/authRoutes');
@@ -19,6 +22,9 @@ const userRoutes = require('./src/routes/userRoutes');
 const friendRoutes = require('./src/routes/friendRoutes');
 const messageRoutes = require('./src/routes/messageRoutes');
 const onlineStatusRoutes = require('./src/routes/onlineStatusRoutes');
+const adminRoutes = require('./src/routes/adminRoutes');
+const apiKeyRoutes = require('./src/routes/apiKeyRoutes');
+const botRoutes = require('./src/routes/botRoutes');
 
 const app = express();
 const PORT = process.env.PORT || 5500;
@@ -60,8 +66,8 @@ const corsOptions = {
     },
     credentials: true,
     methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS'],
-    allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With'],
-    exposedHeaders: ['Content-Range', 'X-Content-Range'],
+    allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'X-Request-Id'],
+    exposedHeaders: ['Content-Range', 'X-Content-Range', 'X-Request-Id'],
     maxAge: 86400, // 24 hours
     optionsSuccessStatus: 200
 };
@@ -69,6 +75,9 @@ const corsOptions = {
 app.use(cors(corsOptions));
 app.options('*', cors(corsOptions)); // Handle preflight requests
 
+// Request ID for log and audit correlation
+app.use(assignRequestId);
+
 // Security middleware (AFTER CORS)
 app.use(helmet({
     crossOriginResourcePolicy: { policy: "cross-origin" }
@@ -121,11 +130,15 @@ app.get('/', (req, res) => {
         environment: NODE_ENV,
         endpoints: {
             health: '/health',
+            jwks: '/.well-known/jwks.json',
             auth: '/api/auth',
             users: '/api/user',
             friends: '/api/friends',
             messages: '/api/messages',
-            status: '/api/online-status'
+            status: '/api/online-status',
+            admin: '/api/admin',
+            apiKeys: '/api/api-keys',
+            bots: '/api/bots'
         },
         documentation: 'https://github.com/Dhruv-158/Backend-chatter'
     });
@@ -202,12 +215,21 @@ app.get('/favicon.ico', (req, res) => {
     res.status(204).send(); // No content response
 });
 
+// Public keys for verifying our JWTs (other services don't need the signing secret)
+app.get('/.well-known/jwks.json', (req, res) => {
+    res.set('Cache-Control', 'public, max-age=300');
+    res.status(200).json(getJwks());
+});
+
 // API routes
 app.use('/api/auth', authRoutes);
 app.use('/api/user', userRoutes);
 app.use('/api/friends', friendRoutes);
 app.use('/api/messages', messageRoutes);
 app.use('/api/online-status', onlineStatusRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/api-keys', apiKeyRoutes);
+app.use('/api/bots', botRoutes);
 
 // 404 handler
 app.use(notFoundHandler);
@@ -236,8 +258,10 @@ const connectDB = async () => {
     }
 };
 
-// Connect to database
-connectDB();
+// Connect to database, then start background jobs
+connectDB().then(() => {
+    startAccountDeletionJob();
+});
 
 // Mongoose connection event handlers
 mongoose.connection.on('error', (err) => {
@@ -0,0 +1,43 @@
+/**
+ * Build the bundled common-password list from a plain-text word list
+ *
+ * Usage:
+ *   node scripts/buildCommonPasswordList.js <wordlist.txt> [output]
+ *
+ * The word list has one password per line. Only entries that could pass the password
+ * rules (8+ characters with letters and digits) are kept. They are stored as SHA-1
+ * hashes so the repository doesn't ship the passwords themselves.
+ * Output defaults to src/data/commonPasswords.txt.
+ */
+const fs = require('fs');
+const path = require('path');
+const { COMMON_PASSWORDS_FILE, hashCommonPassword } = require('../src/utils/commonPasswords');
+
+const MIN_LENGTH = 8;
+
+const main = () => {
+    const [input, output = COMMON_PASSWORDS_FILE] = process.argv.slice(2);
+
+    if (!input) {
+        console.error('Usage: node scripts/buildCommonPasswordList.js <wordlist.txt> [output]');
+        process.exit(1);
+    }
+
+    const passwords = fs.readFileSync(path.resolve(input), 'utf8')
+        .split(/\r?\n/)
+        .map(line => line.trim())
+        .filter(line => line.length >= MIN_LENGTH && /[a-z]/i.test(line) && /\d/.test(line));
+
+    const hashes = [...new Set(passwords.map(hashCommonPassword))].sort();
+
+    const header = [
+        `# SHA-1 of lowercased common/breached passwords (${hashes.length} entries)`,
+        `# Generated by scripts/buildCommonPasswordList.js from ${path.basename(input)}`
+    ];
+
+    fs.writeFileSync(path.resolve(output), `${[...header, ...hashes].join('\n')}\n`);
+
+    console.log(`✅ Wrote ${hashes.length} password hashes to ${output}`);
+};
+
+main();
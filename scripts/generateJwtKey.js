@@ -0,0 +1,50 @@
+/**
+ * Generate a JWT signing key for key rotation
+ *
+ * Usage:
+ *   npm run generate-jwt-key -- [ES256|RS256] [directory]
+ *   node scripts/generateJwtKey.js ES256 ./keys
+ *
+ * Writes <kid>.pem into the directory (default: JWT_KEYS_DIR or ./keys).
+ * To rotate:
+ *   1. Pin the current key with JWT_ACTIVE_KID=<current kid> on every node. Without it
+ *      the newest key by name signs, so the new key would start signing as soon as
+ *      it's deployed - before the other nodes can verify its tokens.
+ *   2. Generate a key and deploy it to every node.
+ *   3. Set JWT_ACTIVE_KID to the new kid.
+ * Once tokens signed by the old key have expired, replace its <kid>.pem with
+ * <kid>.pub.pem (public key only) or remove it.
+ */
+require('dotenv').config();
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const ALGORITHMS = {
+    ES256: () => crypto.generateKeyPairSync('ec', { namedCurve: 'prime256v1' }),
+    RS256: () => crypto.generateKeyPairSync('rsa', { modulusLength: 2048 })
+};
+
+const main = () => {
+    const alg = (process.argv[2] || 'ES256').toUpperCase();
+    const dir = path.resolve(process.argv[3] || process.env.JWT_KEYS_DIR || './keys');
+
+    if (!ALGORITHMS[alg]) {
+        console.error(`Unsupported algorithm "${alg}". Expected one of: ${Object.keys(ALGORITHMS).join(', ')}`);
+        process.exit(1);
+    }
+
+    const { privateKey } = ALGORITHMS[alg]();
+    const kid = `${new Date().toISOString().slice(0, 10)}-${crypto.randomBytes(3).toString('hex')}`;
+    const filePath = path.join(dir, `${kid}.pem`);
+
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(filePath, privateKey.export({ type: 'pkcs8', format: 'pem' }), { mode: 0o600 });
+
+    console.log(`✅ Generated ${alg} key ${kid}`);
+    console.log(`   ${filePath}`);
+    console.log(`   Deploy it to every node (with JWT_ACTIVE_KID still set to the current key),`);
+    console.log(`   then activate it with JWT_ACTIVE_KID=${kid}`);
+};
+
+main();
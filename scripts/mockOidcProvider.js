@@ -0,0 +1,129 @@
+/**
+ * Local mock OpenID Connect provider for developing and testing OIDC login
+ *
+ * Usage:
+ *   node scripts/mockOidcProvider.js
+ *
+ * Then configure the API with:
+ *   OIDC_PROVIDERS=mock
+ *   OIDC_MOCK_ISSUER=http://localhost:4010
+ *   OIDC_MOCK_CLIENT_ID=chattr
+ *   OIDC_MOCK_CLIENT_SECRET=mock-secret
+ *   OIDC_MOCK_REDIRECT_URI=http://localhost:5173/auth/oidc/callback
+ *
+ * /authorize logs in immediately as the user given by ?login_hint=<email>
+ * (default mock.user@example.com) and redirects back with a code.
+ */
+const crypto = require('crypto');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+
+const PORT = parseInt(process.env.MOCK_OIDC_PORT) || 4010;
+const ISSUER = process.env.MOCK_OIDC_ISSUER || `http://localhost:${PORT}`;
+const CLIENT_ID = process.env.MOCK_OIDC_CLIENT_ID || 'chattr';
+const CLIENT_SECRET = process.env.MOCK_OIDC_CLIENT_SECRET || 'mock-secret';
+const CODE_TTL_MS = 60 * 1000;
+
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const kid = crypto.randomBytes(8).toString('hex');
+const codes = new Map(); // code -> { clientId, redirectUri, codeChallenge, nonce, email, expiresAt }
+
+const base64url = (buffer) => buffer.toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+
+const app = express();
+app.use(express.urlencoded({ extended: false }));
+
+app.get('/.well-known/openid-configuration', (req, res) => {
+    res.json({
+        issuer: ISSUER,
+        authorization_endpoint: `${ISSUER}/authorize`,
+        token_endpoint: `${ISSUER}/token`,
+        jwks_uri: `${ISSUER}/jwks`,
+        response_types_supported: ['code'],
+        subject_types_supported: ['public'],
+        id_token_signing_alg_values_supported: ['RS256'],
+        code_challenge_methods_supported: ['S256'],
+        token_endpoint_auth_methods_supported: ['client_secret_basic', 'client_secret_post']
+    });
+});
+
+app.get('/jwks', (req, res) => {
+    res.json({ keys: [{ ...publicKey.export({ format: 'jwk' }), kid, use: 'sig', alg: 'RS256' }] });
+});
+
+app.get('/authorize', (req, res) => {
+    const { client_id, redirect_uri, state, nonce, code_challenge, code_challenge_method, login_hint } = req.query;
+
+    if (client_id !== CLIENT_ID || !redirect_uri || !code_challenge || code_challenge_method !== 'S256') {
+        return res.status(400).send('invalid_request');
+    }
+
+    const code = crypto.randomBytes(16).toString('hex');
+    codes.set(code, {
+        clientId: client_id,
+        redirectUri: redirect_uri,
+        codeChallenge: code_challenge,
+        nonce,
+        email: login_hint || 'mock.user@example.com',
+        expiresAt: Date.now() + CODE_TTL_MS
+    });
+
+    const target = new URL(redirect_uri);
+    target.searchParams.set('code', code);
+    if (state) {
+        target.searchParams.set('state', state);
+    }
+    res.redirect(target.toString());
+});
+
+app.post('/token', (req, res) => {
+    let clientId = req.body.client_id;
+    let clientSecret = req.body.client_secret;
+
+    const basic = (req.get('authorization') || '').match(/^Basic (.+)$/);
+    if (basic) {
+        [clientId, clientSecret] = Buffer.from(basic[1], 'base64').toString().split(':').map(decodeURIComponent);
+    }
+
+    if (clientId !== CLIENT_ID || clientSecret !== CLIENT_SECRET) {
+        return res.status(401).json({ error: 'invalid_client' });
+    }
+
+    const entry = codes.get(req.body.code);
+    codes.delete(req.body.code);
+
+    if (!entry || entry.expiresAt < Date.now() || entry.redirectUri !== req.body.redirect_uri) {
+        return res.status(400).json({ error: 'invalid_grant' });
+    }
+
+    const challenge = base64url(crypto.createHash('sha256').update(req.body.code_verifier || '').digest());
+    if (challenge !== entry.codeChallenge) {
+        return res.status(400).json({ error: 'invalid_grant', error_description: 'PKCE verification failed' });
+    }
+
+    const idToken = jwt.sign({
+        sub: crypto.createHash('sha256').update(entry.email).digest('hex').substring(0, 24),
+        email: entry.email,
+        email_verified: true,
+        preferred_username: entry.email.split('@')[0],
+        name: entry.email.split('@')[0],
+        nonce: entry.nonce
+    }, privateKey, {
+        algorithm: 'RS256',
+        keyid: kid,
+        issuer: ISSUER,
+        audience: CLIENT_ID,
+        expiresIn: '5m'
+    });
+
+    res.json({
+        access_token: crypto.randomBytes(16).toString('hex'),
+        token_type: 'Bearer',
+        expires_in: 300,
+        id_token: idToken
+    });
+});
+
+app.listen(PORT, () => {
+    console.log(`Mock OIDC provider listening on ${ISSUER} (client_id=${CLIENT_ID})`);
+});
@@ -0,0 +1,56 @@
+/**
+ * Bootstrap CLI - change a user's role
+ *
+ * Usage:
+ *   npm run promote-user -- <email|username> [role]
+ *   node scripts/promoteUser.js admin@example.com admin
+ *
+ * role: admin (default) | moderator | user
+ */
+require('dotenv').config();
+const mongoose = require('mongoose');
+const User = require('../src/models/User');
+
+const ROLES = User.schema.path('role').enumValues;
+
+const main = async () => {
+    const [identifier, role = 'admin'] = process.argv.slice(2);
+
+    if (!identifier) {
+        console.error('Usage: node scripts/promoteUser.js <email|username> [role]');
+        process.exit(1);
+    }
+
+    if (!ROLES.includes(role)) {
+        console.error(`Invalid role "${role}". Expected one of: ${ROLES.join(', ')}`);
+        process.exit(1);
+    }
+
+    if (!process.env.MONGODB_URI) {
+        console.error('MONGODB_URI is not defined in environment variables');
+        process.exit(1);
+    }
+
+    await mongoose.connect(process.env.MONGODB_URI, { serverSelectionTimeoutMS: 5000 });
+
+    const user = await User.findOneAndUpdate(
+        { $or: [{ email: identifier.toLowerCase() }, { username: identifier }] },
+        { role },
+        { new: true }
+    );
+
+    if (!user) {
+        console.error(`No user found with email or username "${identifier}"`);
+        await mongoose.disconnect();
+        process.exit(1);
+    }
+
+    console.log(`✅ ${user.username} <${user.email}> is now "${user.role}"`);
+    await mongoose.disconnect();
+};
+
+main().catch(async (error) => {
+    console.error(`❌ Failed to update role: ${error.message}`);
+    await mongoose.disconnect();
+    process.exit(1);
+});
@@ -0,0 +1,44 @@
+/**
+ * API key scopes
+ *
+ * API keys are denied by default: a request authenticated with a key is only allowed
+ * when its method and path match one of API_KEY_ROUTES and the key holds that scope.
+ */
+
+const API_KEY_SCOPES = {
+    'messages:send': 'Send messages to friends, edit them and react to messages',
+    'messages:read': 'Read conversations and mark messages as read',
+    'friends:read': 'List friends and friend requests',
+    'friends:write': 'Send, accept, reject and cancel friend requests, remove friends',
+    'profile:read': 'Read your profile, search users and check online status'
+};
+
+const API_KEY_ROUTES = [
+    { method: 'POST', path: /^\/api\/messages\/(text|link|image|video|document|audio)\/[^/]+$/, scope: 'messages:send' },
+    { method: 'PATCH', path: /^\/api\/messages\/[^/]+$/, scope: 'messages:send' },
+    { method: 'POST', path: /^\/api\/messages\/[^/]+\/reactions$/, scope: 'messages:send' },
+    { method: 'DELETE', path: /^\/api\/messages\/[^/]+\/reactions$/, scope: 'messages:send' },
+    { method: 'GET', path: /^\/api\/messages\/(conversations|conversation\/[^/]+)$/, scope: 'messages:read' },
+    { method: 'PUT', path: /^\/api\/messages\/[^/]+\/(read|read-all)$/, scope: 'messages:read' },
+    { method: 'GET', path: /^\/api\/friends(\/requests\/(pending|sent)|\/status\/[^/]+)?$/, scope: 'friends:read' },
+    { method: 'POST', path: /^\/api\/friends\/request\/[^/]+$/, scope: 'friends:write' },
+    { method: 'PUT', path: /^\/api\/friends\/(accept|reject)\/[^/]+$/, scope: 'friends:write' },
+    { method: 'DELETE', path: /^\/api\/friends\/(cancel|remove)\/[^/]+$/, scope: 'friends:write' },
+    { method: 'GET', path: /^\/api\/user\/(profile|search)$/, scope: 'profile:read' },
+    { method: 'GET', path: /^\/api\/online-status\/(user\/[^/]+|friends|count)$/, scope: 'profile:read' },
+    { method: 'POST', path: /^\/api\/online-status\/check-multiple$/, scope: 'profile:read' }
+];
+
+/**
+ * Scope needed to call an endpoint with an API key (null = not available to API keys)
+ */
+const getRequiredScope = (method, url) => {
+    const path = url.split('?')[0].replace(/\/+$/, '');
+    const route = API_KEY_ROUTES.find(r => r.method === method && r.path.test(path));
+    return route ? route.scope : null;
+};
+
+module.exports = {
+    API_KEY_SCOPES,
+    getRequiredScope
+};
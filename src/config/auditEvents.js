@@ -0,0 +1,26 @@
+/**
+ * Security audit event types
+ *
+ * Events are written to the append-only AuditEvent collection. Staff actions share
+ * the admin_action type and name the action in `metadata.action`.
+ */
+
+const AUDIT_EVENTS = {
+    LOGIN_SUCCESS: 'login_success',
+    LOGIN_FAILURE: 'login_failure',
+    LOGOUT: 'logout',
+    TOKEN_REFRESH: 'token_refresh',
+    TOKEN_REUSE: 'token_reuse_detected',
+    PASSWORD_CHANGE: 'password_change',
+    PASSWORD_RESET: 'password_reset',
+    PROFILE_PICTURE_CHANGE: 'profile_picture_change',
+    FRIEND_REMOVED: 'friend_removed',
+    ADMIN_ACTION: 'admin_action'
+};
+
+const AUDIT_EVENT_TYPES = Object.values(AUDIT_EVENTS);
+
+module.exports = {
+    AUDIT_EVENTS,
+    AUDIT_EVENT_TYPES
+};
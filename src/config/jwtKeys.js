@@ -0,0 +1,188 @@
+/**
+ * JWT signing keys
+ *
+ * Tokens are signed with an asymmetric key (RS256 or ES256) and carry its id in the
+ * `kid` header, so keys can be rotated without invalidating tokens signed by older ones.
+ *
+ * Keys are read from JWT_KEYS_DIR:
+ *   <kid>.pem      private key - can sign and verify
+ *   <kid>.pub.pem  public key only - verifies tokens from a retired key
+ * A single key can also be given through JWT_PRIVATE_KEY (PEM) and JWT_KEY_ID.
+ * JWT_ACTIVE_KID picks the signing key (default: the last private key by name).
+ * Pin JWT_ACTIVE_KID before adding a key - otherwise the new key (newest by name)
+ * starts signing as soon as it is loaded, before every node can verify it.
+ *
+ * Tokens without a `kid` are legacy HS256 tokens. They are rejected unless
+ * JWT_ACCEPT_LEGACY_HS256 is "true" - set it only while migrating, and remove it once
+ * the longest refresh token lifetime (JWT_REFRESH_EXPIRES_IN) has passed.
+ *
+ * Production refuses to start without a key.
+ */
+require('dotenv').config();
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const jwt = require('jsonwebtoken');
+const logger = require('../utils/logger');
+
+const ACCEPT_LEGACY_HS256 = process.env.JWT_ACCEPT_LEGACY_HS256 === 'true';
+
+/**
+ * Work out the JWS algorithm for a key
+ */
+const getAlgorithm = (keyObject) => {
+    if (keyObject.asymmetricKeyType === 'rsa') {
+        return 'RS256';
+    }
+    if (keyObject.asymmetricKeyType === 'ec' && keyObject.asymmetricKeyDetails?.namedCurve === 'prime256v1') {
+        return 'ES256';
+    }
+    throw new Error('Unsupported JWT key type - use an RSA or P-256 EC key');
+};
+
+const buildKey = (kid, { privateKey = null, publicKey }) => ({
+    kid,
+    alg: getAlgorithm(publicKey),
+    privateKey,
+    publicKey
+});
+
+/**
+ * Load keys from JWT_KEYS_DIR
+ */
+const loadKeysFromDir = (dir) => {
+    const keys = [];
+
+    if (!fs.existsSync(dir)) {
+        throw new Error(`JWT_KEYS_DIR "${dir}" does not exist`);
+    }
+
+    for (const file of fs.readdirSync(dir).sort()) {
+        const pem = fs.readFileSync(path.join(dir, file), 'utf8');
+
+        if (file.endsWith('.pub.pem')) {
+            keys.push(buildKey(file.slice(0, -'.pub.pem'.length), { publicKey: crypto.createPublicKey(pem) }));
+        } else if (file.endsWith('.pem')) {
+            const privateKey = crypto.createPrivateKey(pem);
+            keys.push(buildKey(file.slice(0, -'.pem'.length), { privateKey, publicKey: crypto.createPublicKey(privateKey) }));
+        }
+    }
+
+    return keys;
+};
+
+/**
+ * Throwaway key for development and tests (tokens stop working on restart)
+ */
+const generateEphemeralKey = () => {
+    const { privateKey, publicKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'prime256v1' });
+    return buildKey(`dev-${crypto.randomBytes(4).toString('hex')}`, { privateKey, publicKey });
+};
+
+const loadKeys = () => {
+    const keys = [];
+
+    if (process.env.JWT_KEYS_DIR) {
+        keys.push(...loadKeysFromDir(process.env.JWT_KEYS_DIR));
+    }
+
+    if (process.env.JWT_PRIVATE_KEY) {
+        const privateKey = crypto.createPrivateKey(process.env.JWT_PRIVATE_KEY.replace(/\\n/g, '\n'));
+        keys.push(buildKey(process.env.JWT_KEY_ID || 'default', { privateKey, publicKey: crypto.createPublicKey(privateKey) }));
+    }
+
+    if (keys.length === 0) {
+        if (process.env.NODE_ENV === 'production') {
+            throw new Error('No JWT signing keys configured - set JWT_KEYS_DIR or JWT_PRIVATE_KEY');
+        }
+        logger.warn('⚠️  No JWT signing keys configured - using an ephemeral key (tokens will not survive a restart)');
+        keys.push(generateEphemeralKey());
+    }
+
+    return keys;
+};
+
+const keys = loadKeys();
+const keysById = new Map(keys.map(key => [key.kid, key]));
+
+const resolveSigningKey = () => {
+    const signingKeys = keys.filter(key => key.privateKey);
+    const activeKid = process.env.JWT_ACTIVE_KID;
+
+    if (activeKid) {
+        const key = keysById.get(activeKid);
+        if (!key || !key.privateKey) {
+            throw new Error(`JWT_ACTIVE_KID "${activeKid}" does not match a private key`);
+        }
+        return key;
+    }
+
+    if (signingKeys.length === 0) {
+        throw new Error('No private JWT key available for signing');
+    }
+
+    return signingKeys[signingKeys.length - 1];
+};
+
+const signingKey = resolveSigningKey();
+
+/**
+ * Sign a JWT with the active key
+ */
+const signToken = (payload, options = {}) => {
+    return jwt.sign(payload, signingKey.privateKey, {
+        ...options,
+        algorithm: signingKey.alg,
+        keyid: signingKey.kid
+    });
+};
+
+/**
+ * Verify a JWT signed by any known key.
+ * legacySecret verifies tokens issued before asymmetric signing (no `kid`).
+ * Throws the usual jsonwebtoken errors (JsonWebTokenError / TokenExpiredError).
+ */
+const verifyToken = (token, { legacySecret, ...options } = {}) => {
+    const decoded = jwt.decode(token, { complete: true });
+
+    if (!decoded || !decoded.header) {
+        throw new jwt.JsonWebTokenError('jwt malformed');
+    }
+
+    const { kid, alg } = decoded.header;
+
+    if (kid) {
+        const key = keysById.get(kid);
+
+        if (!key) {
+            throw new jwt.JsonWebTokenError('unknown signing key');
+        }
+        return jwt.verify(token, key.publicKey, { ...options, algorithms: [key.alg] });
+    }
+
+    if (alg === 'HS256' && ACCEPT_LEGACY_HS256 && legacySecret) {
+        return jwt.verify(token, legacySecret, { ...options, algorithms: ['HS256'] });
+    }
+
+    throw new jwt.JsonWebTokenError('invalid signature');
+};
+
+/**
+ * Public keys as a JWK Set (served at /.well-known/jwks.json)
+ */
+const getJwks = () => ({
+    keys: keys.map(key => ({
+        ...key.publicKey.export({ format: 'jwk' }),
+        kid: key.kid,
+        alg: key.alg,
+        use: 'sig'
+    }))
+});
+
+logger.info(`🔑 JWT signing key: ${signingKey.kid} (${signingKey.alg}), ${keys.length} key(s) loaded`);
+
+module.exports = {
+    signToken,
+    verifyToken,
+    getJwks
+};
@@ -0,0 +1,66 @@
+/**
+ * OpenID Connect providers
+ *
+ * OIDC_PROVIDERS is a comma-separated list of provider names. Each provider is
+ * configured through OIDC_<NAME>_* variables, e.g. for "google":
+ *   OIDC_GOOGLE_ISSUER, OIDC_GOOGLE_CLIENT_ID, OIDC_GOOGLE_CLIENT_SECRET,
+ *   OIDC_GOOGLE_REDIRECT_URI, OIDC_GOOGLE_SCOPES, OIDC_GOOGLE_DISPLAY_NAME
+ */
+require('dotenv').config();
+const logger = require('../utils/logger');
+
+const DEFAULT_SCOPES = 'openid email profile';
+
+const envKey = (name) => name.toUpperCase().replace(/[^A-Z0-9]/g, '_');
+
+const loadProviders = () => {
+    const names = (process.env.OIDC_PROVIDERS || '')
+        .split(',')
+        .map(name => name.trim().toLowerCase())
+        .filter(Boolean);
+
+    const providers = new Map();
+
+    for (const name of names) {
+        const prefix = `OIDC_${envKey(name)}_`;
+        const issuer = process.env[`${prefix}ISSUER`];
+        const clientId = process.env[`${prefix}CLIENT_ID`];
+        const redirectUri = process.env[`${prefix}REDIRECT_URI`];
+
+        if (!issuer || !clientId || !redirectUri) {
+            logger.warn(`OIDC provider "${name}" is missing ISSUER, CLIENT_ID or REDIRECT_URI - skipping`);
+            continue;
+        }
+
+        providers.set(name, {
+            name,
+            displayName: process.env[`${prefix}DISPLAY_NAME`] || name,
+            issuer,
+            clientId,
+            clientSecret: process.env[`${prefix}CLIENT_SECRET`] || null,
+            redirectUri,
+            scopes: process.env[`${prefix}SCOPES`] || DEFAULT_SCOPES,
+            // client_secret_basic (default when a secret is set) or client_secret_post
+            tokenEndpointAuthMethod: process.env[`${prefix}TOKEN_AUTH_METHOD`] || 'client_secret_basic'
+        });
+    }
+
+    return providers;
+};
+
+const providers = loadProviders();
+
+/**
+ * Get a configured provider by name (undefined when not configured)
+ */
+const getProvider = (name) => providers.get(String(name || '').toLowerCase());
+
+/**
+ * Public list of configured providers
+ */
+const listProviders = () => Array.from(providers.values()).map(({ name, displayName }) => ({ name, displayName }));
+
+module.exports = {
+    getProvider,
+    listProviders
+};
@@ -225,6 +225,16 @@ const messageCache = {
         } catch (error) {
             logger.error(`Failed to delete cached message: ${error.message}`);
         }
+    },
+
+    // Delete several cached messages at once
+    deleteMany: async (messageIds) => {
+        if (!redisClient || messageIds.length === 0) return;
+        try {
+            await redisClient.del(...messageIds.map(messageId => `message:${messageId}`));
+        } catch (error) {
+            logger.error(`Failed to delete cached messages: ${error.message}`);
+        }
     }
 };
 
@@ -267,6 +277,60 @@ const typingIndicators = {
     }
 };
 
+// Helper functions for per-account failed login tracking
+const loginAttempts = {
+    // Get failed attempt state (null if Redis is unavailable)
+    get: async (userId) => {
+        if (!redisClient) return null; // Caller falls back to MongoDB
+        try {
+            const data = await redisClient.hgetall(`login_attempts:${userId}`);
+            return {
+                count: parseInt(data.count) || 0,
+                lockUntil: data.lockUntil ? parseInt(data.lockUntil) : null
+            };
+        } catch (error) {
+            logger.error(`Failed to get login attempts: ${error.message}`);
+            return null;
+        }
+    },
+
+    // Increment failed attempts, returns the new count (null if Redis is unavailable)
+    increment: async (userId, windowSeconds) => {
+        if (!redisClient) return null;
+        try {
+            const key = `login_attempts:${userId}`;
+            const results = await redisClient.multi()
+                .hincrby(key, 'count', 1)
+                .expire(key, windowSeconds)
+                .exec();
+            return results[0][1];
+        } catch (error) {
+            logger.error(`Failed to increment login attempts: ${error.message}`);
+            return null;
+        }
+    },
+
+    // Store the time until which login is blocked
+    setLockUntil: async (userId, lockUntil) => {
+        if (!redisClient) return;
+        try {
+            await redisClient.hset(`login_attempts:${userId}`, 'lockUntil', lockUntil);
+        } catch (error) {
+            logger.error(`Failed to set login lock: ${error.message}`);
+        }
+    },
+
+    // Reset failed attempts
+    clear: async (userId) => {
+        if (!redisClient) return;
+        try {
+            await redisClient.del(`login_attempts:${userId}`);
+        } catch (error) {
+            logger.error(`Failed to clear login attempts: ${error.message}`);
+        }
+    }
+};
+
 // Graceful shutdown
 const shutdown = async () => {
     if (!REDIS_ENABLED || !redisClient) {
@@ -291,5 +355,6 @@ module.exports = {
     onlineUsers,
     messageCache,
     typingIndicators,
+    loginAttempts,
     shutdown
 };
@@ -0,0 +1,55 @@
+require('dotenv').config();
+const logger = require('../utils/logger');
+
+/**
+ * Registration mode (REGISTRATION_MODE):
+ * - open:      anyone can register
+ * - invite:    a valid invite code is required
+ * - allowlist: only emails on REGISTRATION_ALLOWED_DOMAINS can register
+ * - closed:    nobody can register
+ */
+const REGISTRATION_MODES = ['open', 'invite', 'allowlist', 'closed'];
+
+const resolveMode = () => {
+    const mode = (process.env.REGISTRATION_MODE || 'open').toLowerCase();
+
+    if (!REGISTRATION_MODES.includes(mode)) {
+        logger.error(`Unknown REGISTRATION_MODE "${mode}" - registration is closed`);
+        return 'closed';
+    }
+    return mode;
+};
+
+const REGISTRATION_MODE = resolveMode();
+
+const ALLOWED_DOMAINS = (process.env.REGISTRATION_ALLOWED_DOMAINS || '')
+    .split(',')
+    .map(domain => domain.trim().toLowerCase().replace(/^@/, ''))
+    .filter(Boolean);
+
+if (REGISTRATION_MODE === 'allowlist' && ALLOWED_DOMAINS.length === 0) {
+    logger.warn('REGISTRATION_MODE is allowlist but REGISTRATION_ALLOWED_DOMAINS is empty - nobody can register');
+}
+
+const getRegistrationMode = () => REGISTRATION_MODE;
+
+const getAllowedDomains = () => [...ALLOWED_DOMAINS];
+
+/**
+ * Whether the email's domain (or a parent domain) is on the allowlist
+ */
+const isEmailDomainAllowed = (email) => {
+    const domain = String(email || '').toLowerCase().split('@')[1];
+
+    if (!domain) {
+        return false;
+    }
+    return ALLOWED_DOMAINS.some(allowed => domain === allowed || domain.endsWith(`.${allowed}`));
+};
+
+module.exports = {
+    REGISTRATION_MODES,
+    getRegistrationMode,
+    getAllowedDomains,
+    isEmailDomainAllowed
+};
@@ -1,8 +1,9 @@
+const crypto = require('crypto');
 const { Server } = require('socket.io');
-const jwt = require('jsonwebtoken');
 const logger = require('../utils/logger');
 const Message = require('../models/Message');
 const User = require('../models/User');
+const { authenticateSocket } = require('../middlewares/authMiddleware');
 const { 
     redisPublisher, 
     redisSubscriber, 
@@ -33,6 +34,139 @@ const getConnectionStats = () => {
 // Store typing status: { conversationId: Set<userId> }
 const typingUsers = new Map();
 
+// Socket.IO server instance (set by setupSocket) for use outside connection handlers
+let ioInstance = null;
+
+// Tags what this instance publishes, so it can skip its own messages when they come back
+const INSTANCE_ID = crypto.randomUUID();
+
+// Room joined by every socket opened with a given login session
+const getSessionRoom = (sessionId) => `session:${sessionId}`;
+
+/**
+ * Disconnect sockets in a room (user or session) connected to this server instance
+ */
+const disconnectLocalSockets = (room, reason) => {
+    if (!ioInstance) return;
+
+    ioInstance.to(room).emit('force-logout', { reason });
+    ioInstance.in(room).disconnectSockets(true);
+    logger.info(`🔒 Disconnected sockets in ${room} (${reason})`);
+};
+
+/**
+ * Disconnect sockets in a room on every server instance (via Redis Pub/Sub)
+ */
+const forceDisconnect = async (room, reason) => {
+    disconnectLocalSockets(room, reason);
+
+    if (redisPublisher) {
+        try {
+            await redisPublisher.publish('force_disconnect', JSON.stringify({ room, reason }));
+        } catch (error) {
+            logger.error(`Failed to publish force_disconnect for ${room}: ${error.message}`);
+        }
+    }
+};
+
+/**
+ * Disconnect all sockets of a user on every server instance
+ */
+const disconnectUserSockets = async (userId, reason = 'session_revoked') => {
+    await forceDisconnect(userId.toString(), reason);
+};
+
+/**
+ * Disconnect the sockets opened with one login session on every server instance
+ */
+const disconnectSessionSockets = async (sessionId, reason = 'session_revoked') => {
+    await forceDisconnect(getSessionRoom(sessionId), reason);
+};
+
+/**
+ * Emit an event to users' personal rooms connected to this server instance
+ */
+const emitToLocalUsers = (userIds, event, payload) => {
+    if (!ioInstance) return;
+
+    userIds.forEach(userId => ioInstance.to(userId.toString()).emit(event, payload));
+};
+
+/**
+ * Emit an event to users on every server instance: directly on this one, through
+ * Redis Pub/Sub on the others (see isOwnPublish)
+ */
+const emitToUsers = async (channel, event, userIds, payload) => {
+    emitToLocalUsers(userIds, event, payload);
+
+    if (redisPublisher) {
+        try {
+            await redisPublisher.publish(channel, JSON.stringify({ origin: INSTANCE_ID, userIds, payload }));
+        } catch (error) {
+            logger.error(`Failed to publish ${channel}: ${error.message}`);
+        }
+    }
+};
+
+/**
+ * Whether a Pub/Sub message was published by this instance (and already emitted locally)
+ */
+const isOwnPublish = (data) => data.origin === INSTANCE_ID;
+
+/**
+ * Update the user cached on a user's sockets connected to this server instance,
+ * so events they send (e.g. typing indicators) carry the new username
+ */
+const applyLocalUserUpdate = (payload) => {
+    if (!ioInstance || !payload.username) return;
+
+    const socketIds = ioInstance.sockets.adapter.rooms.get(payload.userId) || [];
+    socketIds.forEach((socketId) => {
+        const socket = ioInstance.sockets.sockets.get(socketId);
+        if (socket && socket.user) {
+            socket.user.username = payload.username;
+        }
+    });
+};
+
+/**
+ * Tell a user (other devices) and their friends that the user's profile changed,
+ * on every server instance, so clients can refresh names they display
+ */
+const notifyUserUpdated = async (userId, friendIds, changes) => {
+    const userIds = [userId, ...friendIds].map(id => id.toString());
+    const payload = { userId: userId.toString(), ...changes, timestamp: new Date() };
+
+    applyLocalUserUpdate(payload);
+    await emitToUsers('user_updated', 'user-updated', userIds, payload);
+};
+
+/**
+ * Tell both participants (every device, on every server instance) that a message was edited
+ */
+const notifyMessageEdited = async (message) => {
+    const userIds = [message.sender, message.receiver].map(user => (user._id || user).toString());
+    const payload = {
+        messageId: message._id.toString(),
+        conversationId: message.conversationId,
+        content: message.content,
+        editedAt: message.editedAt
+    };
+
+    await emitToUsers('message_edited', 'message-edited', userIds, payload);
+};
+
+/**
+ * Tell both participants (every device, on every server instance) that a reaction
+ * was added or removed. event is 'reaction-added' or 'reaction-removed'.
+ */
+const notifyReactionChanged = async (event, message, payload) => {
+    const userIds = [message.sender, message.receiver].map(user => (user._id || user).toString());
+    const channel = event === 'reaction-added' ? 'reaction_added' : 'reaction_removed';
+
+    await emitToUsers(channel, event, userIds, payload);
+};
+
 const setupSocket = (server) => {
     const io = new Server(server, {
         cors: {
@@ -48,38 +182,11 @@ const setupSocket = (server) => {
         pingTimeout: 60000,
         pingInterval: 25000
     });
+    ioInstance = io;
 
     // Socket authentication middleware
-    io.use(async (socket, next) => {
-        try {
-            const token = socket.handshake.auth.token || socket.handshake.headers.authorization?.replace('Bearer ', '');
-            
-            if (!token) {
-                return next(new Error('Authentication token required'));
-            }
-
-            const decoded = jwt.verify(token, process.env.JWT_SECRET_KEY);
-            const userId = decoded.userId || decoded.id;
-            
-            if (!userId) {
-                return next(new Error('Invalid token payload'));
-            }
-            
-            const user = await User.findById(userId).select('-password');
-            
-            if (!user) {
-                logger.error(`User not found for ID: ${userId}`);
-                return next(new Error('User not found'));
-            }
-
-            socket.userId = user._id.toString();
-            socket.user = user;
-            next();
-        } catch (error) {
-            logger.error(`Socket authentication error: ${error.message}`, { error: error.stack });
-            next(new Error('Authentication failed'));
-        }
-    });
+    // Same checks as authenticateToken (type, password change, suspension, revocation)
+    io.use(authenticateSocket);
 
     io.on('connection', (socket) => {
         const userId = socket.userId;
@@ -108,8 +215,11 @@ const setupSocket = (server) => {
         });
         logger.info(`🟢 Broadcasted user-online: ${userId}`);
 
-        // Join user to their personal room
+        // Join user to their personal room (and session room, used to revoke a single device)
         socket.join(userId);
+        if (socket.sessionId) {
+            socket.join(getSessionRoom(socket.sessionId));
+        }
 
         // Send online users to the connected user
         onlineUsers.getAll().then(users => {
@@ -163,6 +273,7 @@ const setupSocket = (server) => {
                     message = await Message.findById(messageId)
                         .populate('sender', 'username profilePicture')
                         .populate('receiver', 'username profilePicture')
+                        .withReplyPreview()
                         .lean(); // ✅ Use lean() for better performance
 
                     if (!message) {
@@ -174,6 +285,9 @@ const setupSocket = (server) => {
                     await messageCache.set(messageId, message, 3600);
                 }
 
+                // Quoted message as a compact preview (or a deleted placeholder)
+                message.replyTo = Message.formatReplyPreview(message.replyTo);
+
                 const receiverId = message.receiver._id.toString();
                 const receiverSocketId = activeUsers.get(receiverId);
 
@@ -416,9 +530,14 @@ const setupSocket = (server) => {
                     'message_read',
                     'message_deleted',
                     'user_typing',
-                    'user_status'
+                    'user_status',
+                    'force_disconnect',
+                    'user_updated',
+                    'message_edited',
+                    'reaction_added',
+                    'reaction_removed'
                 );
-                logger.info(`✅ Subscribed to 5 Redis channels for cross-server messaging`);
+                logger.info(`✅ Subscribed to 10 Redis channels for cross-server messaging`);
             } catch (error) {
                 logger.error(`Failed to subscribe to Redis channels: ${error.message}`, { error: error.stack });
             }
@@ -515,6 +634,51 @@ const setupSocket = (server) => {
                         }
                         break;
 
+                    case 'force_disconnect':
+                        try {
+                            disconnectLocalSockets(data.room, data.reason);
+                        } catch (err) {
+                            logger.error(`Error handling force_disconnect from Redis: ${err.message}`);
+                        }
+                        break;
+
+                    case 'user_updated':
+                        try {
+                            if (isOwnPublish(data)) break;
+                            applyLocalUserUpdate(data.payload);
+                            emitToLocalUsers(data.userIds, 'user-updated', data.payload);
+                        } catch (err) {
+                            logger.error(`Error handling user_updated from Redis: ${err.message}`);
+                        }
+                        break;
+
+                    case 'message_edited':
+                        try {
+                            if (isOwnPublish(data)) break;
+                            emitToLocalUsers(data.userIds, 'message-edited', data.payload);
+                        } catch (err) {
+                            logger.error(`Error handling message_edited from Redis: ${err.message}`);
+                        }
+                        break;
+
+                    case 'reaction_added':
+                        try {
+                            if (isOwnPublish(data)) break;
+                            emitToLocalUsers(data.userIds, 'reaction-added', data.payload);
+                        } catch (err) {
+                            logger.error(`Error handling reaction_added from Redis: ${err.message}`);
+                        }
+                        break;
+
+                    case 'reaction_removed':
+                        try {
+                            if (isOwnPublish(data)) break;
+                            emitToLocalUsers(data.userIds, 'reaction-removed', data.payload);
+                        } catch (err) {
+                            logger.error(`Error handling reaction_removed from Redis: ${err.message}`);
+                        }
+                        break;
+
                     default:
                         logger.warn(`Unknown Redis channel: ${channel}`);
                 }
@@ -534,4 +698,13 @@ const setupSocket = (server) => {
     return io;
 };
 
-module.exports = { setupSocket, activeUsers, getConnectionStats };
+module.exports = {
+    setupSocket,
+    activeUsers,
+    getConnectionStats,
+    disconnectUserSockets,
+    disconnectSessionSockets,
+    notifyUserUpdated,
+    notifyMessageEdited,
+    notifyReactionChanged
+};
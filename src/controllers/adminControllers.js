@@ -0,0 +1,416 @@
+const adminService = require('../services/adminService');
+const registrationService = require('../services/registrationService');
+const auditService = require('../services/auditService');
+const { validationResult } = require('express-validator');
+const logger = require('../utils/logger');
+const { getRequestContext } = require('../utils/requestContext');
+
+/**
+ * List users
+ * @route GET /api/admin/users?search=&role=&status=&page=&limit=
+ * @access Admin, Moderator
+ */
+const listUsers = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const page = parseInt(req.query.page) || 1;
+        const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+        const { search, role, status } = req.query;
+
+        const result = await adminService.listUsersService({ search, role, status, page, limit });
+
+        return res.status(200).json({
+            success: true,
+            count: result.users.length,
+            data: result.users,
+            pagination: result.pagination
+        });
+    } catch (error) {
+        logger.error(`List users error: ${error.message}`);
+
+        return res.status(error.statusCode || 500).json({
+            success: false,
+            message: error.message || 'Failed to fetch users'
+        });
+    }
+};
+
+/**
+ * Get user details
+ * @route GET /api/admin/users/:userId
+ * @access Admin, Moderator
+ */
+const getUserDetails = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const result = await adminService.getUserDetailsService(req.params.userId);
+
+        return res.status(200).json({
+            success: true,
+            data: result
+        });
+    } catch (error) {
+        logger.error(`Get user details error: ${error.message}`);
+
+        return res.status(error.statusCode || 500).json({
+            success: false,
+            message: error.message || 'Failed to fetch user'
+        });
+    }
+};
+
+/**
+ * Suspend a user account
+ * @route PUT /api/admin/users/:userId/suspend
+ * @access Admin, Moderator
+ */
+const suspendUser = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const { userId } = req.params;
+        const { reason, durationHours } = req.body;
+        const result = await adminService.suspendUserService(req.userDetails, userId, { reason, durationHours }, getRequestContext(req));
+
+        logger.info(`Account ${userId} suspended by ${req.userDetails.role} ${req.user.id}`);
+
+        return res.status(200).json({
+            success: true,
+            message: result.message,
+            data: { suspension: result.suspension }
+        });
+    } catch (error) {
+        logger.error(`Suspend user error: ${error.message}`);
+
+        return res.status(error.statusCode || 500).json({
+            success: false,
+            message: error.message || 'Failed to suspend user'
+        });
+    }
+};
+
+/**
+ * Reactivate a suspended user account
+ * @route PUT /api/admin/users/:userId/reactivate
+ * @access Admin, Moderator
+ */
+const reactivateUser = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const { userId } = req.params;
+        const result = await adminService.reactivateUserService(req.userDetails, userId, getRequestContext(req));
+
+        logger.info(`Account ${userId} reactivated by ${req.userDetails.role} ${req.user.id}`);
+
+        return res.status(200).json({
+            success: true,
+            message: result.message
+        });
+    } catch (error) {
+        logger.error(`Reactivate user error: ${error.message}`);
+
+        return res.status(error.statusCode || 500).json({
+            success: false,
+            message: error.message || 'Failed to reactivate user'
+        });
+    }
+};
+
+/**
+ * Force logout a user from all sessions
+ * @route POST /api/admin/users/:userId/logout
+ * @access Admin, Moderator
+ */
+const forceLogoutUser = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const { userId } = req.params;
+        const result = await adminService.forceLogoutService(req.userDetails, userId, getRequestContext(req));
+
+        logger.info(`Account ${userId} force logged out by ${req.userDetails.role} ${req.user.id}`);
+
+        return res.status(200).json({
+            success: true,
+            message: result.message,
+            data: { revokedCount: result.revokedCount }
+        });
+    } catch (error) {
+        logger.error(`Force logout error: ${error.message}`);
+
+        return res.status(error.statusCode || 500).json({
+            success: false,
+            message: error.message || 'Failed to log out user'
+        });
+    }
+};
+
+/**
+ * Get platform statistics
+ * @route GET /api/admin/stats
+ * @access Admin
+ */
+const getPlatformStats = async (req, res) => {
+    try {
+        const result = await adminService.getPlatformStatsService();
+
+        return res.status(200).json({
+            success: true,
+            data: result
+        });
+    } catch (error) {
+        logger.error(`Get platform stats error: ${error.message}`);
+
+        return res.status(error.statusCode || 500).json({
+            success: false,
+            message: error.message || 'Failed to fetch statistics'
+        });
+    }
+};
+
+/**
+ * Get login lockout status for a user
+ * @route GET /api/admin/users/:userId/lockout
+ * @access Admin
+ */
+const getUserLockout = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const result = await adminService.getUserLockoutService(req.params.userId);
+
+        return res.status(200).json({
+            success: true,
+            data: result
+        });
+    } catch (error) {
+        logger.error(`Get user lockout error: ${error.message}`);
+
+        return res.status(error.statusCode || 500).json({
+            success: false,
+            message: error.message || 'Failed to fetch lockout status'
+        });
+    }
+};
+
+/**
+ * Unlock a locked account
+ * @route DELETE /api/admin/users/:userId/lockout
+ * @access Admin
+ */
+const unlockUser = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const { userId } = req.params;
+        const result = await adminService.unlockUserService(req.userDetails, userId, getRequestContext(req));
+
+        logger.info(`Account ${userId} unlocked by admin ${req.user.id}`);
+
+        return res.status(200).json({
+            success: true,
+            message: result.message
+        });
+    } catch (error) {
+        logger.error(`Unlock user error: ${error.message}`);
+
+        return res.status(error.statusCode || 500).json({
+            success: false,
+            message: error.message || 'Failed to unlock account'
+        });
+    }
+};
+
+/**
+ * Query the security audit log
+ * @route GET /api/admin/audit-events?userId=&actorId=&type=&outcome=&ipAddress=&requestId=&from=&to=&page=&limit=
+ * @access Admin
+ */
+const listAuditEvents = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const page = parseInt(req.query.page) || 1;
+        const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+        const { userId, actorId, type, outcome, ipAddress, requestId, from, to } = req.query;
+
+        const result = await auditService.queryAuditEventsService({
+            userId, actorId, type, outcome, ipAddress, requestId, from, to, page, limit
+        });
+
+        return res.status(200).json({
+            success: true,
+            count: result.events.length,
+            data: result.events,
+            pagination: result.pagination
+        });
+    } catch (error) {
+        logger.error(`List audit events error: ${error.message}`);
+
+        return res.status(error.statusCode || 500).json({
+            success: false,
+            message: error.message || 'Failed to fetch audit events'
+        });
+    }
+};
+
+/**
+ * Create an invite code (the code is only shown in this response)
+ * @route POST /api/admin/invites
+ * @access Admin
+ */
+const createInviteCode = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const { maxUses, expiresInDays, note } = req.body;
+        const result = await registrationService.createInviteCodeService(req.user.id, { maxUses, expiresInDays, note }, getRequestContext(req));
+
+        return res.status(201).json({
+            success: true,
+            message: 'Invite code created. Copy it now - it will not be shown again.',
+            data: result
+        });
+    } catch (error) {
+        logger.error(`Create invite code error: ${error.message}`);
+
+        return res.status(error.statusCode || 500).json({
+            success: false,
+            message: error.message || 'Failed to create invite code'
+        });
+    }
+};
+
+/**
+ * List invite codes
+ * @route GET /api/admin/invites?page=&limit=
+ * @access Admin
+ */
+const listInviteCodes = async (req, res) => {
+    try {
+        const page = parseInt(req.query.page) || 1;
+        const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+        const result = await registrationService.listInviteCodesService({ page, limit });
+
+        return res.status(200).json({
+            success: true,
+            count: result.invites.length,
+            data: result.invites,
+            pagination: result.pagination
+        });
+    } catch (error) {
+        logger.error(`List invite codes error: ${error.message}`);
+
+        return res.status(error.statusCode || 500).json({
+            success: false,
+            message: error.message || 'Failed to fetch invite codes'
+        });
+    }
+};
+
+/**
+ * Revoke an invite code
+ * @route DELETE /api/admin/invites/:inviteId
+ * @access Admin
+ */
+const revokeInviteCode = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const result = await registrationService.revokeInviteCodeService(req.user.id, req.params.inviteId, getRequestContext(req));
+
+        logger.info(`Invite code ${req.params.inviteId} revoked by admin ${req.user.id}`);
+
+        return res.status(200).json({
+            success: true,
+            message: result.message,
+            data: result.invite
+        });
+    } catch (error) {
+        logger.error(`Revoke invite code error: ${error.message}`);
+
+        return res.status(error.statusCode || 500).json({
+            success: false,
+            message: error.message || 'Failed to revoke invite code'
+        });
+    }
+};
+
+module.exports = {
+    listUsers,
+    getUserDetails,
+    suspendUser,
+    reactivateUser,
+    forceLogoutUser,
+    getPlatformStats,
+    getUserLockout,
+    unlockUser,
+    listAuditEvents,
+    createInviteCode,
+    listInviteCodes,
+    revokeInviteCode
+};
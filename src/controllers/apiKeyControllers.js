@@ -0,0 +1,256 @@
+const apiKeyService = require('../services/apiKeyService');
+const { validationResult } = require('express-validator');
+const logger = require('../utils/logger');
+
+/**
+ * List the scopes an API key can be granted
+ * @route GET /api/api-keys/scopes
+ * @access Private
+ */
+const getScopes = async (req, res) => {
+    try {
+        const scopes = apiKeyService.listScopesService();
+
+        return res.status(200).json({
+            success: true,
+            data: scopes
+        });
+    } catch (error) {
+        logger.error(`Get API key scopes error: ${error.message}`);
+
+        return res.status(error.statusCode || 500).json({
+            success: false,
+            message: error.message || 'Failed to fetch scopes'
+        });
+    }
+};
+
+/**
+ * Create an API key for the current user or one of their bots
+ * @route POST /api/api-keys
+ * @access Private (verified)
+ */
+const createApiKey = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const { name, scopes, botId, expiresInDays, rateLimitPerMinute } = req.body;
+        const result = await apiKeyService.createApiKeyService(req.user.id, {
+            name,
+            scopes,
+            botId,
+            expiresInDays,
+            rateLimitPerMinute
+        });
+
+        logger.info(`API key ${result.apiKey.prefix} created by ${req.user.id}`);
+
+        return res.status(201).json({
+            success: true,
+            message: 'API key created. Copy it now - it will not be shown again.',
+            data: result
+        });
+    } catch (error) {
+        logger.error(`Create API key error: ${error.message}`);
+
+        return res.status(error.statusCode || 500).json({
+            success: false,
+            message: error.message || 'Failed to create API key'
+        });
+    }
+};
+
+/**
+ * List API keys for the current user and their bots
+ * @route GET /api/api-keys
+ * @access Private
+ */
+const getApiKeys = async (req, res) => {
+    try {
+        const keys = await apiKeyService.listApiKeysService(req.user.id);
+
+        return res.status(200).json({
+            success: true,
+            count: keys.length,
+            data: keys
+        });
+    } catch (error) {
+        logger.error(`Get API keys error: ${error.message}`);
+
+        return res.status(error.statusCode || 500).json({
+            success: false,
+            message: error.message || 'Failed to fetch API keys'
+        });
+    }
+};
+
+/**
+ * Revoke an API key
+ * @route DELETE /api/api-keys/:keyId
+ * @access Private
+ */
+const revokeApiKey = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const result = await apiKeyService.revokeApiKeyService(req.user.id, req.params.keyId);
+
+        return res.status(200).json({
+            success: true,
+            message: result.message
+        });
+    } catch (error) {
+        logger.error(`Revoke API key error: ${error.message}`);
+
+        return res.status(error.statusCode || 500).json({
+            success: false,
+            message: error.message || 'Failed to revoke API key'
+        });
+    }
+};
+
+/**
+ * Usage log for an API key
+ * @route GET /api/api-keys/:keyId/usage?page=&limit=
+ * @access Private
+ */
+const getApiKeyUsage = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const page = parseInt(req.query.page) || 1;
+        const limit = Math.min(parseInt(req.query.limit) || 50, 100);
+        const result = await apiKeyService.getApiKeyUsageService(req.user.id, req.params.keyId, page, limit);
+
+        return res.status(200).json({
+            success: true,
+            count: result.entries.length,
+            data: result.entries,
+            pagination: result.pagination
+        });
+    } catch (error) {
+        logger.error(`Get API key usage error: ${error.message}`);
+
+        return res.status(error.statusCode || 500).json({
+            success: false,
+            message: error.message || 'Failed to fetch API key usage'
+        });
+    }
+};
+
+/**
+ * Create a bot account
+ * @route POST /api/bots
+ * @access Private (verified)
+ */
+const createBot = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const { username, bio } = req.body;
+        const bot = await apiKeyService.createBotService(req.user.id, { username, bio });
+
+        return res.status(201).json({
+            success: true,
+            message: 'Bot created successfully',
+            data: bot
+        });
+    } catch (error) {
+        logger.error(`Create bot error: ${error.message}`);
+
+        return res.status(error.statusCode || 500).json({
+            success: false,
+            message: error.message || 'Failed to create bot'
+        });
+    }
+};
+
+/**
+ * List the current user's bots
+ * @route GET /api/bots
+ * @access Private
+ */
+const getBots = async (req, res) => {
+    try {
+        const bots = await apiKeyService.listBotsService(req.user.id);
+
+        return res.status(200).json({
+            success: true,
+            count: bots.length,
+            data: bots
+        });
+    } catch (error) {
+        logger.error(`Get bots error: ${error.message}`);
+
+        return res.status(error.statusCode || 500).json({
+            success: false,
+            message: error.message || 'Failed to fetch bots'
+        });
+    }
+};
+
+/**
+ * Disable a bot and revoke its keys
+ * @route DELETE /api/bots/:botId
+ * @access Private
+ */
+const disableBot = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const result = await apiKeyService.disableBotService(req.user.id, req.params.botId);
+
+        return res.status(200).json({
+            success: true,
+            message: result.message
+        });
+    } catch (error) {
+        logger.error(`Disable bot error: ${error.message}`);
+
+        return res.status(error.statusCode || 500).json({
+            success: false,
+            message: error.message || 'Failed to disable bot'
+        });
+    }
+};
+
+module.exports = {
+    getScopes,
+    createApiKey,
+    getApiKeys,
+    revokeApiKey,
+    getApiKeyUsage,
+    createBot,
+    getBots,
+    disableBot
+};
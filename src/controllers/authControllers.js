@@ -1,6 +1,48 @@
 const authService = require('../services/authService');
+const twoFactorService = require('../services/twoFactorService');
+const oidcService = require('../services/oidcService');
+const passkeyService = require('../services/passkeyService');
+const registrationService = require('../services/registrationService');
 const { validationResult } = require('express-validator');
 const logger = require('../utils/logger');
+const { getRequestContext } = require('../utils/requestContext');
+
+/**
+ * Build the response payload for a successful login (token pair + user)
+ */
+const buildLoginData = (result) => ({
+    accessToken: result.accessToken,
+    refreshToken: result.refreshToken,
+    user: {
+        id: result.user.id,
+        username: result.user.username,
+        email: result.user.email,
+        isVerified: result.user.isVerified
+    }
+});
+
+/**
+ * Get the registration mode (open, invite, allowlist or closed)
+ * @route GET /api/auth/registration
+ * @access Public
+ */
+const getRegistrationInfo = async (req, res) => {
+    try {
+        const result = registrationService.getRegistrationInfoService();
+
+        return res.status(200).json({
+            success: true,
+            data: result
+        });
+    } catch (error) {
+        logger.error(`Get registration info error: ${error.message}`);
+
+        return res.status(error.statusCode || 500).json({
+            success: false,
+            message: error.message || 'Failed to fetch registration settings'
+        });
+    }
+};
 
 /**
  * Register a new user
@@ -19,8 +61,8 @@ const register = async (req, res) => {
             });
         }
 
-        const { username, email, password } = req.body;
-        const result = await authService.registerService({ username, email, password });
+        const { username, email, password, inviteCode } = req.body;
+        const result = await authService.registerService({ username, email, password, inviteCode });
         
         logger.info(`User registered successfully: ${email}`);
         
@@ -62,22 +104,27 @@ const login = async (req, res) => {
         }
 
         const { email, password } = req.body;
-        const result = await authService.loginService({ email, password });
+        const result = await authService.loginService({ email, password }, getRequestContext(req));
+
+        if (result.mfaRequired) {
+            logger.info(`Password verified, awaiting second factor: ${email}`);
+
+            return res.status(200).json({
+                success: true,
+                message: 'Two-factor authentication required',
+                data: {
+                    mfaRequired: true,
+                    mfaToken: result.mfaToken
+                }
+            });
+        }
         
         logger.info(`User logged in successfully: ${email}`);
         
         return res.status(200).json({
             success: true,
             message: 'Login successful',
-            data: {
-                accessToken: result.accessToken,
-                refreshToken: result.refreshToken,
-                user: {
-                    id: result.user.id,
-                    username: result.user.username,
-                    email: result.user.email
-                }
-            }
+            data: buildLoginData(result)
         });
     } catch (error) {
         logger.error(`Login error: ${error.message}`);
@@ -89,6 +136,130 @@ const login = async (req, res) => {
     }
 };
 
+/**
+ * Complete login with a two-factor code
+ * @route POST /api/auth/login/2fa
+ * @access Public
+ */
+const loginTwoFactor = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { mfaToken, code } = req.body;
+        const result = await authService.loginWithTwoFactorService(mfaToken, code, getRequestContext(req));
+
+        logger.info(`User logged in with two-factor authentication: ${result.user.email}`);
+
+        return res.status(200).json({
+            success: true,
+            message: 'Login successful',
+            data: {
+                ...buildLoginData(result),
+                ...(result.remainingRecoveryCodes !== undefined && {
+                    remainingRecoveryCodes: result.remainingRecoveryCodes
+                })
+            }
+        });
+    } catch (error) {
+        logger.error(`Two-factor login error: ${error.message}`);
+
+        return res.status(error.statusCode || 500).json({
+            success: false,
+            message: error.message || 'Login failed'
+        });
+    }
+};
+
+/**
+ * Request a magic login link
+ * @route POST /api/auth/magic-link
+ * @access Public
+ */
+const requestMagicLink = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const result = await authService.requestMagicLinkService(req.body.email, getRequestContext(req));
+
+        return res.status(200).json({
+            success: true,
+            message: result.message,
+            data: {
+                deviceToken: result.deviceToken,
+                expiresInMinutes: result.expiresInMinutes
+            }
+        });
+    } catch (error) {
+        logger.error(`Magic link request error: ${error.message}`);
+
+        return res.status(error.statusCode || 500).json({
+            success: false,
+            message: error.message || 'Failed to send login link'
+        });
+    }
+};
+
+/**
+ * Log in with a magic link
+ * @route POST /api/auth/magic-link/consume
+ * @access Public
+ */
+const consumeMagicLink = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { token, deviceToken } = req.body;
+        const result = await authService.consumeMagicLinkService(token, deviceToken, getRequestContext(req));
+
+        if (result.mfaRequired) {
+            return res.status(200).json({
+                success: true,
+                message: 'Two-factor authentication required',
+                data: {
+                    mfaRequired: true,
+                    mfaToken: result.mfaToken
+                }
+            });
+        }
+
+        logger.info(`User logged in with magic link: ${result.user.email}`);
+
+        return res.status(200).json({
+            success: true,
+            message: 'Login successful',
+            data: buildLoginData(result)
+        });
+    } catch (error) {
+        logger.error(`Magic link login error: ${error.message}`);
+
+        return res.status(error.statusCode || 500).json({
+            success: false,
+            message: error.message || 'Login failed'
+        });
+    }
+};
+
 /**
  * Refresh access token
  * @route POST /api/auth/refresh-token
@@ -105,7 +276,7 @@ const refreshToken = async (req, res) => {
             });
         }
 
-        const result = await authService.refreshTokenService(refreshToken);
+        const result = await authService.refreshTokenService(refreshToken, getRequestContext(req));
         
         return res.status(200).json({
             success: true,
@@ -135,7 +306,7 @@ const logout = async (req, res) => {
         const { refreshToken } = req.body;
         const userId = req.user.id;
         
-        await authService.logoutService(userId, refreshToken);
+        await authService.logoutService(userId, refreshToken, getRequestContext(req));
         
         logger.info(`User logged out: ${userId}`);
         
@@ -153,11 +324,801 @@ const logout = async (req, res) => {
     }
 };
 
+/**
+ * Verify email address
+ * @route POST /api/auth/verify-email
+ * @access Public
+ */
+const verifyEmail = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const result = await authService.verifyEmailService(req.body.token);
+
+        logger.info(`Email verified for user: ${result.userId}`);
+
+        return res.status(200).json({
+            success: true,
+            message: result.message
+        });
+    } catch (error) {
+        logger.error(`Email verification error: ${error.message}`);
+
+        return res.status(error.statusCode || 500).json({
+            success: false,
+            message: error.message || 'Email verification failed'
+        });
+    }
+};
+
+/**
+ * Resend verification email
+ * @route POST /api/auth/resend-verification
+ * @access Public
+ */
+const resendVerification = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const result = await authService.resendVerificationService(req.body.email);
+
+        return res.status(200).json({
+            success: true,
+            message: result.message
+        });
+    } catch (error) {
+        logger.error(`Resend verification error: ${error.message}`);
+
+        return res.status(error.statusCode || 500).json({
+            success: false,
+            message: error.message || 'Failed to resend verification email'
+        });
+    }
+};
+
+/**
+ * Request password reset email
+ * @route POST /api/auth/forgot-password
+ * @access Public
+ */
+const forgotPassword = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const result = await authService.forgotPasswordService(req.body.email, req.ip);
+
+        return res.status(200).json({
+            success: true,
+            message: result.message
+        });
+    } catch (error) {
+        logger.error(`Forgot password error: ${error.message}`);
+
+        return res.status(error.statusCode || 500).json({
+            success: false,
+            message: error.message || 'Failed to process password reset request'
+        });
+    }
+};
+
+/**
+ * Reset password with token
+ * @route POST /api/auth/reset-password
+ * @access Public
+ */
+const resetPassword = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { token, newPassword } = req.body;
+        const result = await authService.resetPasswordService(token, newPassword, getRequestContext(req));
+
+        logger.info(`Password reset for user: ${result.userId}`);
+
+        return res.status(200).json({
+            success: true,
+            message: result.message
+        });
+    } catch (error) {
+        logger.error(`Reset password error: ${error.message}`);
+
+        return res.status(error.statusCode || 500).json({
+            success: false,
+            message: error.message || 'Password reset failed'
+        });
+    }
+};
+
+/**
+ * Change password
+ * @route PUT /api/auth/password
+ * @access Private
+ */
+const changePassword = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { currentPassword, newPassword } = req.body;
+        const userId = req.user.id;
+        const result = await authService.changePasswordService(
+            userId,
+            currentPassword,
+            newPassword,
+            req.user.sessionId,
+            getRequestContext(req)
+        );
+
+        logger.info(`Password changed for user: ${userId}`);
+
+        return res.status(200).json({
+            success: true,
+            message: result.message,
+            data: {
+                accessToken: result.accessToken,
+                refreshToken: result.refreshToken
+            }
+        });
+    } catch (error) {
+        logger.error(`Change password error: ${error.message}`);
+
+        return res.status(error.statusCode || 500).json({
+            success: false,
+            message: error.message || 'Password change failed'
+        });
+    }
+};
 
+/**
+ * List active sessions (devices)
+ * @route GET /api/auth/sessions
+ * @access Private
+ */
+const getSessions = async (req, res) => {
+    try {
+        const sessions = await authService.listSessionsService(req.user.id, req.user.sessionId);
+
+        return res.status(200).json({
+            success: true,
+            count: sessions.length,
+            data: sessions
+        });
+    } catch (error) {
+        logger.error(`Get sessions error: ${error.message}`);
+
+        return res.status(error.statusCode || 500).json({
+            success: false,
+            message: error.message || 'Failed to fetch sessions'
+        });
+    }
+};
+
+/**
+ * Revoke a single session
+ * @route DELETE /api/auth/sessions/:sessionId
+ * @access Private
+ */
+const revokeSession = async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const { sessionId } = req.params;
+
+        const result = await authService.revokeSessionService(userId, sessionId);
+
+        logger.info(`Session ${sessionId} revoked by user ${userId}`);
+
+        return res.status(200).json({
+            success: true,
+            message: result.message
+        });
+    } catch (error) {
+        logger.error(`Revoke session error: ${error.message}`);
+
+        return res.status(error.statusCode || 500).json({
+            success: false,
+            message: error.message || 'Failed to revoke session'
+        });
+    }
+};
+
+/**
+ * Revoke sessions - all other sessions with ?others=true, otherwise every session
+ * @route DELETE /api/auth/sessions
+ * @access Private
+ */
+const revokeSessions = async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const keepCurrent = req.query.others === 'true';
+
+        if (keepCurrent && !req.user.sessionId) {
+            return res.status(400).json({
+                success: false,
+                message: 'Current session could not be identified. Please log in again'
+            });
+        }
+
+        const result = await authService.revokeOtherSessionsService(
+            userId,
+            keepCurrent ? req.user.sessionId : null
+        );
+
+        logger.info(`User ${userId} revoked ${result.revokedCount} session(s)`);
+
+        return res.status(200).json({
+            success: true,
+            message: result.message,
+            data: {
+                revokedCount: result.revokedCount
+            }
+        });
+    } catch (error) {
+        logger.error(`Revoke sessions error: ${error.message}`);
+
+        return res.status(error.statusCode || 500).json({
+            success: false,
+            message: error.message || 'Failed to revoke sessions'
+        });
+    }
+};
+
+/**
+ * Start two-factor enrollment
+ * @route POST /api/auth/2fa/setup
+ * @access Private
+ */
+const setupTwoFactor = async (req, res) => {
+    try {
+        const result = await twoFactorService.setupTwoFactorService(req.user.id);
+
+        return res.status(200).json({
+            success: true,
+            message: 'Scan the QR code with your authenticator app, then confirm with a code',
+            data: {
+                secret: result.secret,
+                otpauthUri: result.otpauthUri
+            }
+        });
+    } catch (error) {
+        logger.error(`Two-factor setup error: ${error.message}`);
+
+        return res.status(error.statusCode || 500).json({
+            success: false,
+            message: error.message || 'Failed to start two-factor setup'
+        });
+    }
+};
+
+/**
+ * Confirm two-factor enrollment
+ * @route POST /api/auth/2fa/confirm
+ * @access Private
+ */
+const confirmTwoFactor = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const result = await twoFactorService.confirmTwoFactorService(req.user.id, req.body.code);
+
+        logger.info(`Two-factor authentication enabled for user: ${req.user.id}`);
+
+        return res.status(200).json({
+            success: true,
+            message: result.message,
+            data: {
+                recoveryCodes: result.recoveryCodes
+            }
+        });
+    } catch (error) {
+        logger.error(`Two-factor confirm error: ${error.message}`);
+
+        return res.status(error.statusCode || 500).json({
+            success: false,
+            message: error.message || 'Failed to enable two-factor authentication'
+        });
+    }
+};
+
+/**
+ * Disable two-factor authentication
+ * @route POST /api/auth/2fa/disable
+ * @access Private
+ */
+const disableTwoFactor = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { password, code } = req.body;
+        const result = await twoFactorService.disableTwoFactorService(req.user.id, password, code);
+
+        logger.info(`Two-factor authentication disabled for user: ${req.user.id}`);
+
+        return res.status(200).json({
+            success: true,
+            message: result.message
+        });
+    } catch (error) {
+        logger.error(`Two-factor disable error: ${error.message}`);
+
+        return res.status(error.statusCode || 500).json({
+            success: false,
+            message: error.message || 'Failed to disable two-factor authentication'
+        });
+    }
+};
+
+/**
+ * List configured OpenID Connect providers
+ * @route GET /api/auth/oidc/providers
+ * @access Public
+ */
+const getOidcProviders = async (req, res) => {
+    try {
+        const providers = oidcService.listProviders();
+
+        return res.status(200).json({
+            success: true,
+            count: providers.length,
+            data: providers
+        });
+    } catch (error) {
+        logger.error(`Get OIDC providers error: ${error.message}`);
+
+        return res.status(error.statusCode || 500).json({
+            success: false,
+            message: error.message || 'Failed to fetch identity providers'
+        });
+    }
+};
+
+/**
+ * Start an OIDC login - returns the provider authorization URL
+ * @route GET /api/auth/oidc/:provider/authorize
+ * @access Public
+ */
+const startOidcLogin = async (req, res) => {
+    try {
+        const result = await oidcService.startAuthorizationService(req.params.provider);
+
+        return res.status(200).json({
+            success: true,
+            data: result
+        });
+    } catch (error) {
+        logger.error(`Start OIDC login error: ${error.message}`);
+
+        return res.status(error.statusCode || 500).json({
+            success: false,
+            message: error.message || 'Failed to start login'
+        });
+    }
+};
+
+/**
+ * Complete an OIDC login with the code returned by the provider
+ * @route POST /api/auth/oidc/callback
+ * @access Public
+ */
+const oidcCallback = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { state, code } = req.body;
+        const result = await authService.oidcLoginService(state, code, getRequestContext(req));
+
+        if (result.mfaRequired) {
+            return res.status(200).json({
+                success: true,
+                message: 'Two-factor authentication required',
+                data: {
+                    mfaRequired: true,
+                    mfaToken: result.mfaToken
+                }
+            });
+        }
+
+        logger.info(`User logged in with OIDC: ${result.user.email}${result.isNewUser ? ' (new account)' : ''}`);
+
+        return res.status(result.isNewUser ? 201 : 200).json({
+            success: true,
+            message: 'Login successful',
+            data: {
+                ...buildLoginData(result),
+                isNewUser: result.isNewUser
+            }
+        });
+    } catch (error) {
+        logger.error(`OIDC callback error: ${error.message}`);
+
+        return res.status(error.statusCode || 500).json({
+            success: false,
+            message: error.message || 'Login failed'
+        });
+    }
+};
+
+/**
+ * Start linking an OIDC identity to the current account (finished on /oidc/link/callback)
+ * @route POST /api/auth/oidc/:provider/link
+ * @access Private
+ */
+const startOidcLink = async (req, res) => {
+    try {
+        const result = await oidcService.startAuthorizationService(req.params.provider, req.user.id);
+
+        return res.status(200).json({
+            success: true,
+            data: result
+        });
+    } catch (error) {
+        logger.error(`Start OIDC link error: ${error.message}`);
+
+        return res.status(error.statusCode || 500).json({
+            success: false,
+            message: error.message || 'Failed to start identity linking'
+        });
+    }
+};
+
+/**
+ * Complete linking an OIDC identity - must be called by the account that started the link
+ * @route POST /api/auth/oidc/link/callback
+ * @access Private
+ */
+const oidcLinkCallback = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { state, code } = req.body;
+        const identity = await oidcService.completeLinkService(req.user.id, state, code);
+
+        return res.status(200).json({
+            success: true,
+            message: 'Identity linked successfully',
+            data: {
+                identity: {
+                    id: identity._id,
+                    provider: identity.provider,
+                    email: identity.email
+                }
+            }
+        });
+    } catch (error) {
+        logger.error(`OIDC link callback error: ${error.message}`);
+
+        return res.status(error.statusCode || 500).json({
+            success: false,
+            message: error.message || 'Failed to link identity'
+        });
+    }
+};
+
+/**
+ * List linked OIDC identities
+ * @route GET /api/auth/identities
+ * @access Private
+ */
+const getIdentities = async (req, res) => {
+    try {
+        const identities = await oidcService.listIdentitiesService(req.user.id);
+
+        return res.status(200).json({
+            success: true,
+            count: identities.length,
+            data: identities
+        });
+    } catch (error) {
+        logger.error(`Get identities error: ${error.message}`);
+
+        return res.status(error.statusCode || 500).json({
+            success: false,
+            message: error.message || 'Failed to fetch linked identities'
+        });
+    }
+};
+
+/**
+ * Unlink an OIDC identity
+ * @route DELETE /api/auth/identities/:identityId
+ * @access Private
+ */
+const unlinkIdentity = async (req, res) => {
+    try {
+        const result = await oidcService.unlinkIdentityService(req.user.id, req.params.identityId);
+
+        return res.status(200).json({
+            success: true,
+            message: result.message
+        });
+    } catch (error) {
+        logger.error(`Unlink identity error: ${error.message}`);
+
+        return res.status(error.statusCode || 500).json({
+            success: false,
+            message: error.message || 'Failed to unlink identity'
+        });
+    }
+};
+
+/**
+ * Get passkey login options
+ * @route POST /api/auth/passkeys/login/options
+ * @access Public
+ */
+const getPasskeyLoginOptions = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const options = await passkeyService.generateAuthenticationOptionsService(req.body.email);
+
+        return res.status(200).json({
+            success: true,
+            data: options
+        });
+    } catch (error) {
+        logger.error(`Passkey login options error: ${error.message}`);
+
+        return res.status(error.statusCode || 500).json({
+            success: false,
+            message: error.message || 'Failed to start passkey login'
+        });
+    }
+};
+
+/**
+ * Log in with a passkey
+ * @route POST /api/auth/passkeys/login/verify
+ * @access Public
+ */
+const loginWithPasskey = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const result = await authService.passkeyLoginService(req.body.credential, getRequestContext(req));
+
+        if (result.mfaRequired) {
+            return res.status(200).json({
+                success: true,
+                message: 'Two-factor authentication required',
+                data: {
+                    mfaRequired: true,
+                    mfaToken: result.mfaToken
+                }
+            });
+        }
+
+        logger.info(`User logged in with passkey: ${result.user.email}`);
+
+        return res.status(200).json({
+            success: true,
+            message: 'Login successful',
+            data: buildLoginData(result)
+        });
+    } catch (error) {
+        logger.error(`Passkey login error: ${error.message}`);
+
+        return res.status(error.statusCode || 500).json({
+            success: false,
+            message: error.message || 'Login failed'
+        });
+    }
+};
+
+/**
+ * Get passkey registration options
+ * @route POST /api/auth/passkeys/register/options
+ * @access Private
+ */
+const getPasskeyRegistrationOptions = async (req, res) => {
+    try {
+        const options = await passkeyService.generateRegistrationOptionsService(req.user.id);
+
+        return res.status(200).json({
+            success: true,
+            data: options
+        });
+    } catch (error) {
+        logger.error(`Passkey registration options error: ${error.message}`);
+
+        return res.status(error.statusCode || 500).json({
+            success: false,
+            message: error.message || 'Failed to start passkey registration'
+        });
+    }
+};
+
+/**
+ * Register a passkey
+ * @route POST /api/auth/passkeys/register/verify
+ * @access Private
+ */
+const registerPasskey = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { credential, name } = req.body;
+        const passkey = await passkeyService.verifyRegistrationService(req.user.id, credential, name);
+
+        logger.info(`Passkey registered for user: ${req.user.id}`);
+
+        return res.status(201).json({
+            success: true,
+            message: 'Passkey registered successfully',
+            data: passkey
+        });
+    } catch (error) {
+        logger.error(`Passkey registration error: ${error.message}`);
+
+        return res.status(error.statusCode || 500).json({
+            success: false,
+            message: error.message || 'Failed to register passkey'
+        });
+    }
+};
+
+/**
+ * List registered passkeys
+ * @route GET /api/auth/passkeys
+ * @access Private
+ */
+const getPasskeys = async (req, res) => {
+    try {
+        const passkeys = await passkeyService.listPasskeysService(req.user.id);
+
+        return res.status(200).json({
+            success: true,
+            count: passkeys.length,
+            data: passkeys
+        });
+    } catch (error) {
+        logger.error(`Get passkeys error: ${error.message}`);
+
+        return res.status(error.statusCode || 500).json({
+            success: false,
+            message: error.message || 'Failed to fetch passkeys'
+        });
+    }
+};
+
+/**
+ * Remove a passkey
+ * @route DELETE /api/auth/passkeys/:passkeyId
+ * @access Private
+ */
+const deletePasskey = async (req, res) => {
+    try {
+        const result = await passkeyService.deletePasskeyService(req.user.id, req.params.passkeyId);
+
+        logger.info(`Passkey ${req.params.passkeyId} removed by user: ${req.user.id}`);
+
+        return res.status(200).json({
+            success: true,
+            message: result.message
+        });
+    } catch (error) {
+        logger.error(`Delete passkey error: ${error.message}`);
+
+        return res.status(error.statusCode || 500).json({
+            success: false,
+            message: error.message || 'Failed to remove passkey'
+        });
+    }
+};
 
 module.exports = {
+    getRegistrationInfo,
     register,
     login,
+    loginTwoFactor,
+    requestMagicLink,
+    consumeMagicLink,
     refreshToken,
     logout,
+    verifyEmail,
+    resendVerification,
+    forgotPassword,
+    resetPassword,
+    changePassword,
+    getSessions,
+    revokeSession,
+    revokeSessions,
+    setupTwoFactor,
+    confirmTwoFactor,
+    disableTwoFactor,
+    getOidcProviders,
+    startOidcLogin,
+    oidcCallback,
+    startOidcLink,
+    oidcLinkCallback,
+    getIdentities,
+    unlinkIdentity,
+    getPasskeyLoginOptions,
+    loginWithPasskey,
+    getPasskeyRegistrationOptions,
+    registerPasskey,
+    getPasskeys,
+    deletePasskey,
 };
\ No newline at end of file
@@ -1,5 +1,6 @@
 const friendService = require('../services/friendService');
 const logger = require('../utils/logger');
+const { getRequestContext } = require('../utils/requestContext');
 
 /**
  * Send friend request
@@ -213,7 +214,7 @@ const removeFriend = async (req, res) => {
         const userId = req.user.id;
         const friendId = req.params.userId;
 
-        const result = await friendService.removeFriend(userId, friendId);
+        const result = await friendService.removeFriend(userId, friendId, getRequestContext(req));
 
         logger.info(`User ${userId} removed friend ${friendId}`);
 
@@ -11,7 +11,7 @@ const sendTextMessage = async (req, res) => {
     try {
         const senderId = req.user.id;
         const receiverId = req.params.friendId;
-        const { content } = req.body;
+        const { content, replyTo } = req.body;
 
         if (!content || content.trim().length === 0) {
             return res.status(400).json({
@@ -20,7 +20,7 @@ const sendTextMessage = async (req, res) => {
             });
         }
 
-        const message = await messageService.sendTextMessage(senderId, receiverId, content);
+        const message = await messageService.sendTextMessage(senderId, receiverId, content, replyTo);
 
         logger.info(`Text message sent from ${senderId} to ${receiverId}`);
 
@@ -55,7 +55,7 @@ const sendImageMessage = async (req, res) => {
             });
         }
 
-        const message = await messageService.sendImageMessage(senderId, receiverId, req.file);
+        const message = await messageService.sendImageMessage(senderId, receiverId, req.file, req.body.replyTo);
 
         logger.info(`Image message sent from ${senderId} to ${receiverId}`);
 
@@ -90,7 +90,7 @@ const sendVideoMessage = async (req, res) => {
             });
         }
 
-        const message = await messageService.sendVideoMessage(senderId, receiverId, req.file);
+        const message = await messageService.sendVideoMessage(senderId, receiverId, req.file, req.body.replyTo);
 
         logger.info(`Video message sent from ${senderId} to ${receiverId}`);
 
@@ -125,7 +125,7 @@ const sendDocumentMessage = async (req, res) => {
             });
         }
 
-        const message = await messageService.sendDocumentMessage(senderId, receiverId, req.file);
+        const message = await messageService.sendDocumentMessage(senderId, receiverId, req.file, req.body.replyTo);
 
         logger.info(`Document message sent from ${senderId} to ${receiverId}`);
 
@@ -160,7 +160,7 @@ const sendAudioMessage = async (req, res) => {
             });
         }
 
-        const message = await messageService.sendAudioMessage(senderId, receiverId, req.file);
+        const message = await messageService.sendAudioMessage(senderId, receiverId, req.file, req.body.replyTo);
 
         logger.info(`Audio message sent from ${senderId} to ${receiverId}`);
 
@@ -187,7 +187,7 @@ const sendLinkMessage = async (req, res) => {
     try {
         const senderId = req.user.id;
         const receiverId = req.params.friendId;
-        const { url, content } = req.body;
+        const { url, content, replyTo } = req.body;
 
         if (!url) {
             return res.status(400).json({
@@ -196,7 +196,7 @@ const sendLinkMessage = async (req, res) => {
             });
         }
 
-        const message = await messageService.sendLinkMessage(senderId, receiverId, url, content || '');
+        const message = await messageService.sendLinkMessage(senderId, receiverId, url, content || '', replyTo);
 
         logger.info(`Link message sent from ${senderId} to ${receiverId}`);
 
@@ -350,6 +350,111 @@ const deleteMessage = async (req, res) => {
     }
 };
 
+/**
+ * Edit a text or link message
+ * @route PATCH /api/messages/:messageId
+ * @access Private
+ */
+const editMessage = async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const messageId = req.params.messageId;
+        const { content } = req.body;
+
+        if (typeof content !== 'string' || content.trim().length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Message content cannot be empty'
+            });
+        }
+
+        const message = await messageService.editMessage(messageId, userId, content);
+
+        logger.info(`Message ${messageId} edited by ${userId}`);
+
+        return res.status(200).json({
+            success: true,
+            message: message
+        });
+    } catch (error) {
+        logger.error(`Edit message error: ${error.message}`);
+
+        return res.status(error.statusCode || 500).json({
+            success: false,
+            message: error.message || 'Failed to edit message'
+        });
+    }
+};
+
+/**
+ * Add an emoji reaction to a message
+ * @route POST /api/messages/:messageId/reactions
+ * @access Private
+ */
+const addReaction = async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const messageId = req.params.messageId;
+        const { emoji } = req.body;
+
+        if (!emoji) {
+            return res.status(400).json({
+                success: false,
+                message: 'Emoji is required'
+            });
+        }
+
+        const result = await messageService.addReaction(messageId, userId, emoji);
+
+        return res.status(201).json({
+            success: true,
+            data: result
+        });
+    } catch (error) {
+        logger.error(`Add reaction error: ${error.message}`);
+
+        return res.status(error.statusCode || 500).json({
+            success: false,
+            message: error.message || 'Failed to add reaction'
+        });
+    }
+};
+
+/**
+ * Remove your emoji reaction from a message
+ * @route DELETE /api/messages/:messageId/reactions
+ * @access Private
+ */
+const removeReaction = async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const messageId = req.params.messageId;
+        // Accepted in the body or the query string (some clients can't send a DELETE body)
+        const emoji = (req.body && req.body.emoji) || req.query.emoji;
+
+        if (!emoji) {
+            return res.status(400).json({
+                success: false,
+                message: 'Emoji is required'
+            });
+        }
+
+        const result = await messageService.removeReaction(messageId, userId, emoji);
+
+        return res.status(200).json({
+            success: true,
+            data: result
+        });
+    } catch (error) {
+        logger.error(`Remove reaction error: ${error.message}`);
+
+        return res.status(error.statusCode || 500).json({
+            success: false,
+            message: error.message || 'Failed to remove reaction'
+        });
+    }
+};
+
 /**
  * Get all conversations (chat list with last message and unread count per friend)
  * @route GET /api/messages/conversations
@@ -391,6 +496,9 @@ module.exports = {
     markAsRead,
     markConversationAsRead,
     deleteMessage,
+    editMessage,
+    addReaction,
+    removeReaction,
     getConversations         // Get chat list with unread badges per friend
     // ❌ REMOVED: getUnreadCount - Not useful, conversations API provides unread count per friend
 };
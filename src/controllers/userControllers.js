@@ -1,7 +1,12 @@
 const userService = require('../services/userService');
 const friendService = require('../services/friendService');
+const dataExportService = require('../services/dataExportService');
+const accountDeletionService = require('../services/accountDeletionService');
+const emailChangeService = require('../services/emailChangeService');
+const auditService = require('../services/auditService');
 const { validationResult } = require('express-validator');
 const logger = require('../utils/logger');
+const { getRequestContext } = require('../utils/requestContext');
 
 /**
  * Search users
@@ -67,6 +72,7 @@ const getProfile = async (req, res) => {
                 id: user._id,
                 username: user.username,
                 email: user.email,
+                pendingEmail: user.pendingEmail,
                 bio: user.bio,
                 profilePicture: user.profilePicture,
                 friendCount: user.friendCount, // ✅ NEW: Include friend count
@@ -123,6 +129,223 @@ const updateProfile = async (req, res) => {
     }
 };
 
+/**
+ * Change username
+ * @route PUT /api/user/username
+ * @access Private
+ */
+const changeUsername = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const updatedUser = await userService.changeUsernameService(req.user.id, req.body.username);
+
+        return res.status(200).json({
+            success: true,
+            message: 'Username changed successfully',
+            data: {
+                id: updatedUser._id,
+                username: updatedUser.username,
+                usernameChangedAt: updatedUser.usernameChangedAt
+            }
+        });
+    } catch (error) {
+        logger.error(`Change username error: ${error.message}`);
+        return res.status(error.statusCode || 500).json({
+            success: false,
+            message: error.message || 'Username change failed'
+        });
+    }
+};
+
+/**
+ * Get previous usernames
+ * @route GET /api/user/username/history
+ * @access Private
+ */
+const getUsernameHistory = async (req, res) => {
+    try {
+        const history = await userService.getUsernameHistoryService(req.user.id);
+
+        return res.status(200).json({
+            success: true,
+            count: history.length,
+            data: history
+        });
+    } catch (error) {
+        logger.error(`Get username history error: ${error.message}`);
+        return res.status(error.statusCode || 500).json({
+            success: false,
+            message: error.message || 'Failed to fetch username history'
+        });
+    }
+};
+
+/**
+ * Get your own security events, newest first
+ * @route GET /api/user/security-events?type=&page=&limit=
+ * @access Private
+ */
+const getSecurityEvents = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const page = parseInt(req.query.page) || 1;
+        const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+        const result = await auditService.listUserEventsService(req.user.id, { type: req.query.type, page, limit });
+
+        return res.status(200).json({
+            success: true,
+            count: result.events.length,
+            data: result.events,
+            pagination: result.pagination
+        });
+    } catch (error) {
+        logger.error(`Get security events error: ${error.message}`);
+        return res.status(error.statusCode || 500).json({
+            success: false,
+            message: error.message || 'Failed to fetch security events'
+        });
+    }
+};
+
+/**
+ * Request an email change (confirmed from the new address)
+ * @route POST /api/user/email
+ * @access Private
+ */
+const requestEmailChange = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { newEmail, password } = req.body;
+        const result = await emailChangeService.requestEmailChangeService(req.user.id, newEmail, password);
+
+        return res.status(200).json({
+            success: true,
+            message: result.message,
+            data: {
+                pendingEmail: result.pendingEmail
+            }
+        });
+    } catch (error) {
+        logger.error(`Request email change error: ${error.message}`);
+        return res.status(error.statusCode || 500).json({
+            success: false,
+            message: error.message || 'Email change request failed'
+        });
+    }
+};
+
+/**
+ * Cancel the pending email change
+ * @route DELETE /api/user/email/pending
+ * @access Private
+ */
+const cancelEmailChange = async (req, res) => {
+    try {
+        const result = await emailChangeService.cancelEmailChangeService(req.user.id);
+
+        return res.status(200).json({
+            success: true,
+            message: result.message
+        });
+    } catch (error) {
+        logger.error(`Cancel email change error: ${error.message}`);
+        return res.status(error.statusCode || 500).json({
+            success: false,
+            message: error.message || 'Failed to cancel email change'
+        });
+    }
+};
+
+/**
+ * Confirm an email change with the link sent to the new address
+ * @route POST /api/user/email/confirm
+ * @access Public
+ */
+const confirmEmailChange = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const result = await emailChangeService.confirmEmailChangeService(req.body.token);
+
+        return res.status(200).json({
+            success: true,
+            message: result.message,
+            data: {
+                email: result.email
+            }
+        });
+    } catch (error) {
+        logger.error(`Confirm email change error: ${error.message}`);
+        return res.status(error.statusCode || 500).json({
+            success: false,
+            message: error.message || 'Email change confirmation failed'
+        });
+    }
+};
+
+/**
+ * Report an unwanted email change with the link sent to the old address
+ * @route POST /api/user/email/report
+ * @access Public
+ */
+const reportEmailChange = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const result = await emailChangeService.reportEmailChangeService(req.body.token);
+
+        return res.status(200).json({
+            success: true,
+            message: result.message
+        });
+    } catch (error) {
+        logger.error(`Report email change error: ${error.message}`);
+        return res.status(error.statusCode || 500).json({
+            success: false,
+            message: error.message || 'Failed to report email change'
+        });
+    }
+};
+
 const changeProfilePicture = async (req, res) => {
     try {
         if (!req.file) {
@@ -132,7 +355,7 @@ const changeProfilePicture = async (req, res) => {
             });
         }
         const userId = req.user.id;
-        const updatedUser = await userService.changeProfilePictureService(userId, req.file);
+        const updatedUser = await userService.changeProfilePictureService(userId, req.file, getRequestContext(req));
         logger.info(`Profile picture updated: ${userId}`);
         return res.status(200).json({
             success: true,
@@ -152,10 +375,118 @@ const changeProfilePicture = async (req, res) => {
     }
 };
 
+/**
+ * Start a data export (profile, friends, messages and media as a ZIP)
+ * @route POST /api/user/export
+ * @access Private
+ */
+const requestDataExport = async (req, res) => {
+    try {
+        const job = await dataExportService.requestExportService(req.user.id);
+
+        return res.status(202).json({
+            success: true,
+            message: 'Export started. Check its status to download it when ready.',
+            data: job
+        });
+    } catch (error) {
+        logger.error(`Request data export error: ${error.message}`);
+
+        return res.status(error.statusCode || 500).json({
+            success: false,
+            message: error.message || 'Failed to start export'
+        });
+    }
+};
+
+/**
+ * Get export status, or download the ZIP with ?download=true
+ * @route GET /api/user/export/:jobId
+ * @access Private
+ */
+const getDataExport = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { jobId } = req.params;
+
+        if (req.query.download === 'true') {
+            const { filePath, downloadName } = await dataExportService.getExportDownloadService(req.user.id, jobId);
+            logger.info(`Data export ${jobId} downloaded by ${req.user.id}`);
+            return res.download(filePath, downloadName);
+        }
+
+        const job = await dataExportService.getExportStatusService(req.user.id, jobId);
+
+        return res.status(200).json({
+            success: true,
+            data: job
+        });
+    } catch (error) {
+        logger.error(`Get data export error: ${error.message}`);
+
+        return res.status(error.statusCode || 500).json({
+            success: false,
+            message: error.message || 'Failed to fetch export'
+        });
+    }
+};
+
+/**
+ * Schedule deletion of the current account (cancelled by logging in again)
+ * @route DELETE /api/user/account
+ * @access Private
+ */
+const deleteAccount = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const result = await accountDeletionService.requestAccountDeletionService(req.user.id, req.body.password);
+
+        return res.status(200).json({
+            success: true,
+            message: result.message,
+            data: {
+                deletionScheduledFor: result.deletionScheduledFor
+            }
+        });
+    } catch (error) {
+        logger.error(`Delete account error: ${error.message}`);
+
+        return res.status(error.statusCode || 500).json({
+            success: false,
+            message: error.message || 'Failed to delete account'
+        });
+    }
+};
 
 module.exports = {
     searchUsers,
     getProfile,
     updateProfile,
-    changeProfilePicture
+    changeUsername,
+    getUsernameHistory,
+    getSecurityEvents,
+    requestEmailChange,
+    cancelEmailChange,
+    confirmEmailChange,
+    reportEmailChange,
+    changeProfilePicture,
+    requestDataExport,
+    getDataExport,
+    deleteAccount
 };
\ No newline at end of file
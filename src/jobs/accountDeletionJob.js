@@ -0,0 +1,52 @@
+const { processDueDeletions } = require('../services/accountDeletionService');
+const logger = require('../utils/logger');
+
+const JOB_INTERVAL_MINUTES = parseInt(process.env.ACCOUNT_DELETION_JOB_INTERVAL_MINUTES) || 60;
+
+let timer = null;
+let running = false;
+
+/**
+ * Delete accounts whose grace period has ended
+ */
+const runAccountDeletionJob = async () => {
+    if (running) return;
+    running = true;
+
+    try {
+        const processed = await processDueDeletions();
+        if (processed > 0) {
+            logger.info(`🗑️ Account deletion job processed ${processed} account(s)`);
+        }
+    } catch (error) {
+        logger.error(`Account deletion job failed: ${error.message}`);
+    } finally {
+        running = false;
+    }
+};
+
+/**
+ * Run the job now and then every ACCOUNT_DELETION_JOB_INTERVAL_MINUTES
+ */
+const startAccountDeletionJob = () => {
+    if (timer) return;
+
+    runAccountDeletionJob();
+    timer = setInterval(runAccountDeletionJob, JOB_INTERVAL_MINUTES * 60 * 1000);
+    timer.unref(); // Don't keep the process alive for the job
+
+    logger.info(`Account deletion job scheduled every ${JOB_INTERVAL_MINUTES} minutes`);
+};
+
+const stopAccountDeletionJob = () => {
+    if (timer) {
+        clearInterval(timer);
+        timer = null;
+    }
+};
+
+module.exports = {
+    startAccountDeletionJob,
+    stopAccountDeletionJob,
+    runAccountDeletionJob
+};
@@ -1,61 +1,78 @@
 require('dotenv').config();
-const jwt = require('jsonwebtoken');
 const User = require('../models/User');
-const { AppError } = require('../utils/errorHandler');
+const { verifyAccessToken, verifyApiKey, assertApiKeyScope } = require('../services/tokenVerificationService');
+const { recordApiKeyUsage } = require('../services/apiKeyService');
+const { rateLimiters } = require('./rateLimiter');
 const logger = require('../utils/logger');
 
-const JWT_SECRET = process.env.JWT_SECRET_KEY;
+const EMAIL_VERIFICATION_REQUIRED = process.env.EMAIL_VERIFICATION_REQUIRED !== 'false';
 
-if (!JWT_SECRET) {
-    throw new Error('JWT_SECRET_KEY is not defined in environment variables');
-}
+/**
+ * Get the bearer token from an Authorization header
+ */
+const getBearerToken = (authHeader) => {
+    const match = authHeader && authHeader.match(/^Bearer\s+(.+)$/i);
+    return match ? match[1].trim() : null;
+};
+
+/**
+ * Get the key from an "ApiKey <key>" Authorization header
+ */
+const getApiKey = (authHeader) => {
+    const match = authHeader && authHeader.match(/^ApiKey\s+(.+)$/i);
+    return match ? match[1].trim() : null;
+};
+
+/**
+ * Authenticate with a personal API key - scoped, rate limited per key and logged
+ */
+const authenticateApiKey = async (key, req, res, next) => {
+    const { userId, apiKey } = await verifyApiKey(key);
+
+    res.on('finish', () => {
+        recordApiKeyUsage(apiKey, {
+            method: req.method,
+            path: req.originalUrl,
+            statusCode: res.statusCode,
+            ipAddress: req.ip || null,
+            userAgent: req.get('user-agent') || null
+        });
+    });
+
+    assertApiKeyScope(apiKey, req.method, req.originalUrl);
+
+    req.user = { id: userId, sessionId: null, apiKeyId: apiKey._id.toString(), scopes: apiKey.scopes };
+    req.apiKey = apiKey;
+
+    return rateLimiters.apiKey(req, res, next);
+};
 
 /**
- * Authenticate JWT token
+ * Authenticate JWT token (or "Authorization: ApiKey <key>")
  * @middleware
  */
 const authenticateToken = async (req, res, next) => {
     try {
-        // Get token from header
-        const authHeader = req.headers['authorization'];
-        const token = authHeader && authHeader.split(' ')[1];
-
-        if (!token) {
-            return res.status(401).json({ 
-                success: false,
-                message: 'Access token required' 
-            });
+        const apiKey = getApiKey(req.headers['authorization']);
+        if (apiKey) {
+            return await authenticateApiKey(apiKey, req, res, next);
         }
 
-        // Verify token
-        const decoded = jwt.verify(token, JWT_SECRET);
-        
-        // Check token type
-        if (decoded.type !== 'access') {
-            return res.status(403).json({ 
-                success: false,
-                message: 'Invalid token type' 
-            });
-        }
+        const token = getBearerToken(req.headers['authorization']);
+        const { userId, sessionId } = await verifyAccessToken(token);
 
         // Attach user info to request
-        req.user = { id: decoded.id };
+        req.user = { id: userId, sessionId };
         next();
     } catch (error) {
         logger.error(`Authentication error: ${error.message}`);
-        
-        if (error.name === 'JsonWebTokenError') {
-            return res.status(403).json({ 
-                success: false,
-                message: 'Invalid token' 
-            });
-        }
-        
-        if (error.name === 'TokenExpiredError') {
-            return res.status(401).json({ 
+
+        if (error.isOperational) {
+            return res.status(error.statusCode).json({ 
                 success: false,
-                message: 'Token expired',
-                code: 'TOKEN_EXPIRED'
+                message: error.message,
+                ...(error.code && { code: error.code }),
+                ...(error.data && { data: error.data })
             });
         }
         
@@ -66,6 +83,30 @@ const authenticateToken = async (req, res, next) => {
     }
 };
 
+/**
+ * Authenticate a Socket.IO handshake (io.use) with the same rules as authenticateToken.
+ * Accepts the token from `auth.token` or a Bearer Authorization header.
+ * @middleware
+ */
+const authenticateSocket = async (socket, next) => {
+    try {
+        const token = socket.handshake.auth?.token || getBearerToken(socket.handshake.headers?.authorization);
+        const { user, userId, sessionId } = await verifyAccessToken(token, { select: '-password' });
+
+        socket.userId = userId;
+        socket.user = user;
+        socket.sessionId = sessionId;
+        next();
+    } catch (error) {
+        logger.error(`Socket authentication error: ${error.message}`);
+
+        // err.data reaches the client in the connect_error event
+        const socketError = new Error(error.isOperational ? error.message : 'Authentication failed');
+        socketError.data = { code: error.code || 'AUTHENTICATION_FAILED' };
+        next(socketError);
+    }
+};
+
 /**
  * Fetch and attach user details to request
  * @middleware
@@ -100,24 +141,16 @@ const attachUserDetails = async (req, res, next) => {
  */
 const optionalAuth = async (req, res, next) => {
     try {
-        const authHeader = req.headers['authorization'];
-        const token = authHeader && authHeader.split(' ')[1];
+        const token = getBearerToken(req.headers['authorization']);
 
         if (!token) {
             return next();
         }
 
-        const decoded = jwt.verify(token, JWT_SECRET);
-        
-        if (decoded.type === 'access') {
-            req.user = { id: decoded.id };
-            
-            // Optionally attach user details
-            const user = await User.findById(decoded.id).select('-password');
-            if (user) {
-                req.userDetails = user;
-            }
-        }
+        const { user, userId, sessionId } = await verifyAccessToken(token, { select: '-password' });
+
+        req.user = { id: userId, sessionId };
+        req.userDetails = user;
         
         next();
     } catch (error) {
@@ -127,7 +160,7 @@ const optionalAuth = async (req, res, next) => {
 };
 
 /**
- * Check if user is admin (example role-based authorization)
+ * Check if user is admin
  * @middleware
  */
 const requireAdmin = async (req, res, next) => {
@@ -157,9 +190,81 @@ const requireAdmin = async (req, res, next) => {
     }
 };
 
+/**
+ * Require one of the given roles (use after attachUserDetails)
+ * @middleware
+ */
+const requireRole = (...roles) => async (req, res, next) => {
+    try {
+        if (!req.userDetails) {
+            return res.status(403).json({ 
+                success: false,
+                message: 'Access denied' 
+            });
+        }
+        
+        if (!roles.includes(req.userDetails.role)) {
+            return res.status(403).json({ 
+                success: false,
+                message: `${roles.map(r => r.charAt(0).toUpperCase() + r.slice(1)).join(' or ')} access required` 
+            });
+        }
+        
+        next();
+    } catch (error) {
+        logger.error(`Role check error: ${error.message}`);
+        
+        return res.status(500).json({ 
+            success: false,
+            message: 'Authorization check failed' 
+        });
+    }
+};
+
+/**
+ * Require a verified email address (set EMAIL_VERIFICATION_REQUIRED=false to disable)
+ * @middleware
+ */
+const requireVerified = async (req, res, next) => {
+    try {
+        if (!EMAIL_VERIFICATION_REQUIRED) {
+            return next();
+        }
+
+        const user = req.userDetails || await User.findById(req.user.id).select('isVerified');
+
+        if (!user) {
+            return res.status(404).json({ 
+                success: false,
+                message: 'User not found' 
+            });
+        }
+
+        if (!user.isVerified) {
+            return res.status(403).json({ 
+                success: false,
+                message: 'Please verify your email address to use this feature',
+                code: 'EMAIL_NOT_VERIFIED'
+            });
+        }
+
+        next();
+    } catch (error) {
+        logger.error(`Verification check error: ${error.message}`);
+        
+        return res.status(500).json({ 
+            success: false,
+            message: 'Verification check failed' 
+        });
+    }
+};
+
 module.exports = {
     authenticateToken,
+    authenticateSocket,
     attachUserDetails,
     optionalAuth,
-    requireAdmin
+    requireAdmin,
+    requireRole,
+    requireVerified
 };
\ No newline at end of file
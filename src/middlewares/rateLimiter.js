@@ -92,6 +92,67 @@ const searchLimiter = rateLimit({
     legacyHeaders: false
 });
 
+/**
+ * Rate limiter for email verification endpoints
+ * Allows 10 attempts per hour per IP
+ */
+const emailVerificationLimiter = rateLimit({
+    windowMs: 60 * 60 * 1000, // 1 hour
+    max: 10,
+    message: {
+        success: false,
+        message: 'Too many verification requests. Please try again after an hour.'
+    },
+    standardHeaders: true,
+    legacyHeaders: false
+});
+
+/**
+ * Rate limiter for password reset endpoints
+ * Allows 5 attempts per hour per IP
+ */
+const passwordResetLimiter = rateLimit({
+    windowMs: 60 * 60 * 1000, // 1 hour
+    max: 5,
+    message: {
+        success: false,
+        message: 'Too many password reset requests. Please try again after an hour.'
+    },
+    standardHeaders: true,
+    legacyHeaders: false
+});
+
+/**
+ * Rate limiter for magic-link login requests
+ * Allows 5 links per hour per IP
+ */
+const magicLinkLimiter = rateLimit({
+    windowMs: 60 * 60 * 1000, // 1 hour
+    max: 5,
+    message: {
+        success: false,
+        message: 'Too many login link requests. Please try again after an hour.'
+    },
+    standardHeaders: true,
+    legacyHeaders: false
+});
+
+/**
+ * Per-key rate limiter for API key requests
+ * Each key has its own budget (rateLimitPerMinute) instead of sharing the IP limit
+ */
+const apiKeyLimiter = rateLimit({
+    windowMs: 60 * 1000, // 1 minute
+    max: (req) => req.apiKey.rateLimitPerMinute,
+    keyGenerator: (req) => `api-key:${req.apiKey._id}`,
+    message: {
+        success: false,
+        message: 'API key rate limit exceeded. Please slow down.'
+    },
+    standardHeaders: true,
+    legacyHeaders: false
+});
+
 module.exports = {
     rateLimiters: {
         register: registerLimiter,
@@ -99,6 +160,10 @@ module.exports = {
         refreshToken: refreshTokenLimiter,
         general: generalLimiter,
         friendRequest: friendRequestLimiter,
-        search: searchLimiter
+        search: searchLimiter,
+        emailVerification: emailVerificationLimiter,
+        passwordReset: passwordResetLimiter,
+        magicLink: magicLinkLimiter,
+        apiKey: apiKeyLimiter
     }
 };
\ No newline at end of file
@@ -0,0 +1,21 @@
+const crypto = require('crypto');
+
+// IDs passed in by a proxy are only kept if they look like IDs
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._-]{1,100}$/;
+
+/**
+ * Tag every request with an ID, returned in the X-Request-Id header and stored
+ * with audit events so a log entry can be traced back to its request
+ */
+const assignRequestId = (req, res, next) => {
+    const incomingId = req.get('x-request-id');
+
+    req.id = incomingId && REQUEST_ID_PATTERN.test(incomingId) ? incomingId : crypto.randomUUID();
+    res.set('X-Request-Id', req.id);
+
+    next();
+};
+
+module.exports = {
+    assignRequestId
+};
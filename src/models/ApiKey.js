@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+const { API_KEY_SCOPES } = require('../config/apiKeyScopes');
+
+/**
+ * Personal API key - authenticates as `userId` (the owner or one of their bots)
+ */
+const apiKeySchema = new Schema({
+    // Account the key acts as
+    userId: {
+        type: Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true
+    },
+    // Human who created the key (same as userId for personal keys)
+    createdBy: {
+        type: Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true
+    },
+    name: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: 100
+    },
+    // First characters of the key, shown so users can tell keys apart
+    prefix: {
+        type: String,
+        required: true
+    },
+    // SHA-256 hash of the full key (raw key is only shown once)
+    keyHash: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    scopes: [{
+        type: String,
+        enum: Object.keys(API_KEY_SCOPES)
+    }],
+    rateLimitPerMinute: {
+        type: Number,
+        default: 60
+    },
+    expiresAt: {
+        type: Date,
+        default: null
+    },
+    revokedAt: {
+        type: Date,
+        default: null
+    },
+    lastUsedAt: {
+        type: Date,
+        default: null
+    },
+    lastUsedIp: {
+        type: String,
+        default: null
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// Check whether the key can still be used
+apiKeySchema.methods.isUsable = function() {
+    return !this.revokedAt && (!this.expiresAt || this.expiresAt.getTime() > Date.now());
+};
+
+module.exports = mongoose.model('ApiKey', apiKeySchema);
@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+const API_KEY_USAGE_RETENTION_DAYS = parseInt(process.env.API_KEY_USAGE_RETENTION_DAYS) || 30;
+
+/**
+ * One request made with an API key
+ */
+const apiKeyUsageSchema = new Schema({
+    apiKeyId: {
+        type: Schema.Types.ObjectId,
+        ref: 'ApiKey',
+        required: true
+    },
+    method: {
+        type: String,
+        required: true
+    },
+    path: {
+        type: String,
+        required: true
+    },
+    statusCode: {
+        type: Number,
+        default: null
+    },
+    ipAddress: {
+        type: String,
+        default: null
+    },
+    userAgent: {
+        type: String,
+        default: null
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+apiKeyUsageSchema.index({ apiKeyId: 1, createdAt: -1 });
+// Automatic cleanup of old usage entries
+apiKeyUsageSchema.index({ createdAt: 1 }, { expireAfterSeconds: API_KEY_USAGE_RETENTION_DAYS * 24 * 60 * 60 });
+
+module.exports = mongoose.model('ApiKeyUsage', apiKeyUsageSchema);
@@ -0,0 +1,89 @@
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+const { AUDIT_EVENT_TYPES } = require('../config/auditEvents');
+
+const AUDIT_EVENT_RETENTION_DAYS = parseInt(process.env.AUDIT_EVENT_RETENTION_DAYS) || 365;
+
+/**
+ * One security-relevant event (login, logout, password change, staff action...)
+ */
+const auditEventSchema = new Schema({
+    type: {
+        type: String,
+        enum: AUDIT_EVENT_TYPES,
+        required: true
+    },
+    outcome: {
+        type: String,
+        enum: ['success', 'failure'],
+        default: 'success'
+    },
+    // Account the event is about (null for failed logins with an unknown email)
+    userId: {
+        type: Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+    // Staff member who performed the action, when it wasn't the user
+    actorId: {
+        type: Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+    metadata: {
+        type: Schema.Types.Mixed,
+        default: {}
+    },
+    ipAddress: {
+        type: String,
+        default: null
+    },
+    userAgent: {
+        type: String,
+        default: null
+    },
+    requestId: {
+        type: String,
+        default: null
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now,
+        immutable: true
+    }
+}, {
+    minimize: false
+});
+
+auditEventSchema.index({ userId: 1, createdAt: -1 });
+auditEventSchema.index({ actorId: 1, createdAt: -1 });
+auditEventSchema.index({ type: 1, createdAt: -1 });
+auditEventSchema.index({ requestId: 1 });
+// Old events expire, nothing else removes them
+auditEventSchema.index({ createdAt: 1 }, { expireAfterSeconds: AUDIT_EVENT_RETENTION_DAYS * 24 * 60 * 60 });
+
+// Append-only: events can't be changed or deleted through the application
+const rejectChange = function(next) {
+    next(new Error('Audit events are append-only'));
+};
+
+auditEventSchema.pre([
+    'updateOne',
+    'updateMany',
+    'findOneAndUpdate',
+    'replaceOne',
+    'findOneAndReplace',
+    'deleteOne',
+    'deleteMany',
+    'findOneAndDelete',
+    'findOneAndRemove'
+], rejectChange);
+
+auditEventSchema.pre('save', function(next) {
+    if (!this.isNew) {
+        return rejectChange(next);
+    }
+    next();
+});
+
+module.exports = mongoose.model('AuditEvent', auditEventSchema);
@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+const emailChangeRequestSchema = new Schema({
+    userId: {
+        type: Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true
+    },
+    previousEmail: {
+        type: String,
+        required: true,
+        lowercase: true
+    },
+    newEmail: {
+        type: String,
+        required: true,
+        lowercase: true
+    },
+    // SHA-256 hash of the token sent to the new address (confirms the change)
+    confirmTokenHash: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    // SHA-256 hash of the token sent to the old address (reports the change)
+    reportTokenHash: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    confirmExpiresAt: {
+        type: Date,
+        required: true
+    },
+    confirmedAt: {
+        type: Date,
+        default: null
+    },
+    cancelledAt: {
+        type: Date,
+        default: null
+    },
+    // The old address can report the change until this time (also after it was confirmed)
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// Automatic cleanup once the report window has passed
+emailChangeRequestSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('EmailChangeRequest', emailChangeRequestSchema);
@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+const exportJobSchema = new Schema({
+    userId: {
+        type: Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true
+    },
+    status: {
+        type: String,
+        enum: ['pending', 'processing', 'completed', 'failed'],
+        default: 'pending'
+    },
+    // ZIP file name inside EXPORT_DIR (set once completed)
+    fileName: {
+        type: String,
+        default: null
+    },
+    fileSize: {
+        type: Number, // In bytes
+        default: null
+    },
+    // Counts of what went into the archive
+    summary: {
+        messages: { type: Number, default: 0 },
+        friends: { type: Number, default: 0 },
+        friendRequests: { type: Number, default: 0 },
+        mediaFiles: { type: Number, default: 0 },
+        mediaMissing: { type: Number, default: 0 }
+    },
+    error: {
+        type: String,
+        default: null
+    },
+    startedAt: {
+        type: Date,
+        default: null
+    },
+    completedAt: {
+        type: Date,
+        default: null
+    },
+    downloadedAt: {
+        type: Date,
+        default: null
+    },
+    // Download is available until this time; the document is removed afterwards
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+exportJobSchema.index({ userId: 1, createdAt: -1 });
+
+// Automatic cleanup of expired jobs (the ZIP files are removed by the export service)
+exportJobSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('ExportJob', exportJobSchema);
@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+const inviteCodeSchema = new Schema({
+    // SHA-256 hash of the normalised code (raw code is only shown when created)
+    codeHash: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    // First characters of the code, to recognise it in lists
+    prefix: {
+        type: String,
+        required: true
+    },
+    createdBy: {
+        type: Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true
+    },
+    note: {
+        type: String,
+        default: '',
+        maxlength: [200, 'Note cannot exceed 200 characters']
+    },
+    maxUses: {
+        type: Number,
+        default: 1,
+        min: 1
+    },
+    useCount: {
+        type: Number,
+        default: 0
+    },
+    expiresAt: {
+        type: Date,
+        default: null // null = never expires
+    },
+    revokedAt: {
+        type: Date,
+        default: null
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+inviteCodeSchema.index({ createdAt: -1 });
+
+/**
+ * Why the code can't be used right now, or null if it can
+ */
+inviteCodeSchema.methods.getUnusableReason = function() {
+    if (this.revokedAt) {
+        return 'This invite code has been revoked';
+    }
+    if (this.expiresAt && this.expiresAt.getTime() <= Date.now()) {
+        return 'This invite code has expired';
+    }
+    if (this.useCount >= this.maxUses) {
+        return 'This invite code has reached its usage limit';
+    }
+    return null;
+};
+
+module.exports = mongoose.model('InviteCode', inviteCodeSchema);
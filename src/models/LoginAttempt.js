@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+/**
+ * Failed login state for an email address without an account
+ * (MongoDB fallback when Redis is unavailable; accounts keep theirs on the user document)
+ */
+const loginAttemptSchema = new Schema({
+    // SHA-256 of the lowercased email address
+    key: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    failedLoginAttempts: {
+        type: Number,
+        default: 0
+    },
+    lastFailedLoginAt: {
+        type: Date,
+        default: null
+    },
+    loginLockedUntil: {
+        type: Date,
+        default: null
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    }
+});
+
+// Forget the attempts once the failure window has passed
+loginAttemptSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('LoginAttempt', loginAttemptSchema);
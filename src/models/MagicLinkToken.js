@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+const magicLinkTokenSchema = new Schema({
+    userId: {
+        type: Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true
+    },
+    // SHA-256 hash of the token sent by email (raw token is never stored)
+    tokenHash: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    // SHA-256 hash of the device token returned to the requesting client -
+    // the link only works together with it
+    deviceTokenHash: {
+        type: String,
+        required: true
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    usedAt: {
+        type: Date,
+        default: null
+    },
+    requestedIp: {
+        type: String,
+        default: null
+    },
+    requestedDevice: {
+        type: String,
+        default: null
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// Automatic cleanup of expired tokens
+magicLinkTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('MagicLinkToken', magicLinkTokenSchema);
@@ -1,6 +1,42 @@
 const mongoose = require('mongoose');
 const { Schema } = mongoose;
 
+// Quoted message shown with a reply
+const REPLY_PREVIEW_POPULATE = {
+    path: 'replyTo',
+    select: 'sender messageType content fileName isDeleted createdAt',
+    populate: { path: 'sender', select: 'username' }
+};
+const REPLY_PREVIEW_LENGTH = 100;
+
+/**
+ * Compact preview of a quoted message. Deleted messages become a placeholder.
+ * Unpopulated references are returned as they are.
+ */
+const formatReplyPreview = (parent) => {
+    if (!parent || parent instanceof mongoose.Types.ObjectId || !parent._id) {
+        return parent || null;
+    }
+
+    if (parent.isDeleted) {
+        return { _id: parent._id, isDeleted: true, placeholder: 'Message deleted' };
+    }
+
+    const content = parent.content && parent.content.length > REPLY_PREVIEW_LENGTH
+        ? `${parent.content.substring(0, REPLY_PREVIEW_LENGTH)}…`
+        : parent.content || '';
+
+    return {
+        _id: parent._id,
+        sender: parent.sender,
+        messageType: parent.messageType,
+        content,
+        fileName: parent.fileName,
+        isDeleted: false,
+        createdAt: parent.createdAt
+    };
+};
+
 const messageSchema = new Schema({
     conversationId: {
         type: String,
@@ -70,6 +106,28 @@ const messageSchema = new Schema({
     readAt: {
         type: Date
     },
+    // Message this one replies to (same conversation)
+    replyTo: {
+        type: Schema.Types.ObjectId,
+        ref: 'Message',
+        default: null
+    },
+    // Text and link messages can be edited by the sender for a while after sending
+    editedAt: {
+        type: Date,
+        default: null
+    },
+    // Previous versions, oldest first (capped at MESSAGE_EDIT_HISTORY_LIMIT)
+    editHistory: [{
+        _id: false,
+        content: {
+            type: String
+        },
+        // When this version was replaced
+        editedAt: {
+            type: Date
+        }
+    }],
     isDeleted: {
         type: Boolean,
         default: false
@@ -78,7 +136,15 @@ const messageSchema = new Schema({
         type: Date
     }
 }, {
-    timestamps: true
+    timestamps: true,
+    toJSON: {
+        transform: function(doc, ret) {
+            if (ret.replyTo) {
+                ret.replyTo = formatReplyPreview(ret.replyTo);
+            }
+            return ret;
+        }
+    }
 });
 
 // Indexes for better query performance
@@ -91,6 +157,19 @@ messageSchema.statics.generateConversationId = function(userId1, userId2) {
     return [userId1, userId2].sort().join('_');
 };
 
+// Static method to build the preview of a quoted message (for lean/cached messages)
+messageSchema.statics.formatReplyPreview = formatReplyPreview;
+
+// Query helper to populate the quoted message preview
+messageSchema.query.withReplyPreview = function() {
+    return this.populate(REPLY_PREVIEW_POPULATE);
+};
+
+// Instance method to populate the quoted message preview
+messageSchema.methods.populateReplyPreview = function() {
+    return this.populate(REPLY_PREVIEW_POPULATE);
+};
+
 // Instance method to mark as read
 messageSchema.methods.markAsRead = async function() {
     this.isRead = true;
@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+/**
+ * Pending OIDC authorization request (between redirect to the provider and callback)
+ */
+const oidcAuthRequestSchema = new Schema({
+    // SHA-256 hash of the state parameter
+    stateHash: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    provider: {
+        type: String,
+        required: true
+    },
+    // PKCE code verifier and id_token nonce (single use, short lived)
+    codeVerifier: {
+        type: String,
+        required: true
+    },
+    nonce: {
+        type: String,
+        required: true
+    },
+    // Set when an authenticated user is linking a new identity
+    linkUserId: {
+        type: Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// Automatic cleanup of abandoned requests
+oidcAuthRequestSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('OidcAuthRequest', oidcAuthRequestSchema);
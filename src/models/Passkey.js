@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+/**
+ * WebAuthn credential (passkey) registered by a user
+ */
+const passkeySchema = new Schema({
+    userId: {
+        type: Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true
+    },
+    // Base64url credential ID as reported by the authenticator
+    credentialId: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    // COSE-encoded public key
+    publicKey: {
+        type: Buffer,
+        required: true
+    },
+    // Signature counter - must increase on every assertion (0 = authenticator doesn't count)
+    counter: {
+        type: Number,
+        default: 0
+    },
+    transports: [{
+        type: String
+    }],
+    deviceType: {
+        type: String,
+        enum: ['singleDevice', 'multiDevice'],
+        default: 'singleDevice'
+    },
+    backedUp: {
+        type: Boolean,
+        default: false
+    },
+    aaguid: {
+        type: String,
+        default: null
+    },
+    name: {
+        type: String,
+        trim: true,
+        maxlength: 100,
+        default: 'Passkey'
+    },
+    lastUsedAt: {
+        type: Date,
+        default: null
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+module.exports = mongoose.model('Passkey', passkeySchema);
@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+// One emoji (skin tones, ZWJ sequences and flags included)
+const EMOJI_PATTERN = /^[\p{Extended_Pictographic}\p{Regional_Indicator}][\p{Extended_Pictographic}\p{Emoji_Modifier}\p{Regional_Indicator}\u200d\ufe0f]*$/u;
+const EMOJI_MAX_LENGTH = 32;
+
+/**
+ * An emoji reaction to a message - one per user per emoji
+ */
+const reactionSchema = new Schema({
+    messageId: {
+        type: Schema.Types.ObjectId,
+        ref: 'Message',
+        required: true
+    },
+    userId: {
+        type: Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true
+    },
+    emoji: {
+        type: String,
+        required: true,
+        maxlength: [EMOJI_MAX_LENGTH, 'Reaction must be a single emoji'],
+        match: [EMOJI_PATTERN, 'Reaction must be a single emoji']
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+reactionSchema.index({ messageId: 1, userId: 1, emoji: 1 }, { unique: true });
+
+// Static method to check an emoji before storing it
+reactionSchema.statics.isValidEmoji = function(emoji) {
+    return typeof emoji === 'string' && emoji.length <= EMOJI_MAX_LENGTH && EMOJI_PATTERN.test(emoji);
+};
+
+module.exports = mongoose.model('Reaction', reactionSchema);
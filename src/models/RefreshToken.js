@@ -19,6 +19,40 @@ const refreshTokenSchema = new Schema({
         required: true,
         index: true
     },
+    // Stable identifier of the login session (kept across token refreshes).
+    // All refresh tokens issued for one session form a token family.
+    sessionId: {
+        type: String,
+        required: true,
+        index: true
+    },
+    // Session / device metadata
+    deviceName: {
+        type: String,
+        default: 'Unknown device',
+        trim: true
+    },
+    ipAddress: {
+        type: String,
+        default: null
+    },
+    userAgent: {
+        type: String,
+        default: null
+    },
+    // Set when the token is exchanged for a new one - presenting it again signals theft
+    rotatedAt: {
+        type: Date,
+        default: null
+    },
+    lastUsedAt: {
+        type: Date,
+        default: Date.now
+    },
+    sessionStartedAt: {
+        type: Date,
+        default: Date.now
+    },
     createdAt: {
         type: Date,
         default: Date.now,
@@ -37,4 +71,9 @@ refreshTokenSchema.statics.cleanupExpiredTokens = async function() {
     return this.deleteMany({ expiresAt: { $lt: Date.now() } });
 };
 
+// Static method to revoke every token of a family (session)
+refreshTokenSchema.statics.revokeFamily = async function(sessionId) {
+    return this.deleteMany({ sessionId });
+};
+
 module.exports = mongoose.model('RefreshToken', refreshTokenSchema);
\ No newline at end of file
@@ -19,6 +19,13 @@ const userSchema = new Schema({
         trim: true,
         match: [/^\S+@\S+\.\S+$/, 'Please provide a valid email address']
     },
+    // New address waiting for confirmation - login keeps using `email` until then
+    pendingEmail: {
+        type: String,
+        default: null,
+        lowercase: true,
+        trim: true
+    },
     password: { 
         type: String, 
         required: [true, 'Password is required'],
@@ -35,19 +42,139 @@ const userSchema = new Schema({
         default: '',
         maxlength: [500, 'Bio cannot exceed 500 characters']
     },
+    // Username changes are limited to one per cooldown period
+    usernameChangedAt: {
+        type: Date,
+        default: null
+    },
     role: {
         type: String,
-        enum: ['user'],
+        enum: ['user', 'moderator', 'admin'],
         default: 'user'
     },
+    // Bots authenticate only with API keys and belong to a human owner
+    accountType: {
+        type: String,
+        enum: ['human', 'bot'],
+        default: 'human'
+    },
+    botOwner: {
+        type: Schema.Types.ObjectId,
+        ref: 'User',
+        default: null,
+        index: true
+    },
+    // Set when the owner disables the bot (kept apart from moderation suspensions)
+    botDisabledAt: {
+        type: Date,
+        default: null
+    },
+    // Who brought the user in (invite-only registration)
+    invitedBy: {
+        type: Schema.Types.ObjectId,
+        ref: 'User',
+        default: null,
+        index: true
+    },
+    inviteCode: {
+        type: Schema.Types.ObjectId,
+        ref: 'InviteCode',
+        default: null
+    },
     isActive: {
         type: Boolean,
         default: true
     },
+    // Moderation suspension (isActive is false while suspended)
+    suspendedAt: {
+        type: Date,
+        default: null
+    },
+    suspendedUntil: {
+        type: Date,
+        default: null // null = until lifted by staff
+    },
+    suspensionReason: {
+        type: String,
+        default: null,
+        maxlength: [500, 'Suspension reason cannot exceed 500 characters']
+    },
+    suspendedBy: {
+        type: Schema.Types.ObjectId,
+        ref: 'User',
+        default: null,
+        select: false
+    },
+    // Account deletion requested by the user - logging in before the date cancels it
+    deletionRequestedAt: {
+        type: Date,
+        default: null
+    },
+    deletionScheduledFor: {
+        type: Date,
+        default: null,
+        index: true
+    },
+    // Claimed by the deletion job while the account is being scrubbed
+    deletionStartedAt: {
+        type: Date,
+        default: null,
+        select: false
+    },
+    // Set on the anonymised record kept when messages are anonymised instead of purged
+    deletedAt: {
+        type: Date,
+        default: null
+    },
     isVerified: {
         type: Boolean,
         default: false
     },
+    passwordChangedAt: {
+        type: Date,
+        default: null
+    },
+    // Two-factor authentication (TOTP)
+    twoFactorEnabled: {
+        type: Boolean,
+        default: false
+    },
+    twoFactorSecret: {
+        type: String,
+        default: null,
+        select: false
+    },
+    twoFactorPendingSecret: {
+        type: String,
+        default: null,
+        select: false
+    },
+    twoFactorRecoveryCodes: {
+        type: [String], // SHA-256 hashes, each code is single-use
+        default: [],
+        select: false
+    },
+    twoFactorLastUsedStep: {
+        type: Number,
+        default: null,
+        select: false
+    },
+    // Failed login tracking (used when Redis is unavailable)
+    failedLoginAttempts: {
+        type: Number,
+        default: 0,
+        select: false
+    },
+    lastFailedLoginAt: {
+        type: Date,
+        default: null,
+        select: false
+    },
+    loginLockedUntil: {
+        type: Date,
+        default: null,
+        select: false
+    },
     lastLogin: {
         type: Date,
         default: null
@@ -75,6 +202,14 @@ const userSchema = new Schema({
         virtuals: true,
         transform: function(doc, ret) {
             delete ret.password;
+            delete ret.twoFactorSecret;
+            delete ret.twoFactorPendingSecret;
+            delete ret.twoFactorRecoveryCodes;
+            delete ret.twoFactorLastUsedStep;
+            delete ret.failedLoginAttempts;
+            delete ret.lastFailedLoginAt;
+            delete ret.loginLockedUntil;
+            delete ret.suspendedBy;
             delete ret.__v;
             return ret;
         }
@@ -87,6 +222,7 @@ userSchema.index({ email: 1 });
 userSchema.index({ username: 1 });
 userSchema.index({ createdAt: -1 });
 userSchema.index({ friends: 1 }); // ✅ NEW: Index for friends array queries
+userSchema.index({ role: 1 });
 
 // Virtual for user's full profile URL (example)
 userSchema.virtual('profileUrl').get(function() {
@@ -109,6 +245,32 @@ userSchema.methods.isAccountActive = function() {
     return this.isActive && this.isVerified;
 };
 
+// Instance method to check if password was changed after a token was issued.
+// iat has whole-second precision, so the change time is floored to seconds too and a
+// token from the second of the change is rejected - it may have been issued just before it.
+// The password change and reset services wait for the next second before issuing tokens.
+userSchema.methods.changedPasswordAfter = function(tokenIssuedAt) {
+    if (!this.passwordChangedAt) {
+        return false;
+    }
+    return Math.floor(this.passwordChangedAt.getTime() / 1000) >= tokenIssuedAt;
+};
+
+// Instance method returning the current suspension, or null if not suspended (or it has expired)
+userSchema.methods.getActiveSuspension = function() {
+    if (this.isActive) {
+        return null;
+    }
+    if (this.suspendedUntil && this.suspendedUntil.getTime() <= Date.now()) {
+        return null;
+    }
+    return {
+        reason: this.suspensionReason || null,
+        suspendedAt: this.suspendedAt || null,
+        suspendedUntil: this.suspendedUntil || null
+    };
+};
+
 // Static method to find active users
 userSchema.statics.findActiveUsers = function() {
     return this.find({ isActive: true, isVerified: true });
@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+/**
+ * External identity (OIDC provider account) linked to a user
+ */
+const userIdentitySchema = new Schema({
+    userId: {
+        type: Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true
+    },
+    provider: {
+        type: String,
+        required: true
+    },
+    // Provider's stable subject identifier ("sub" claim)
+    subject: {
+        type: String,
+        required: true
+    },
+    email: {
+        type: String,
+        lowercase: true,
+        default: null
+    },
+    emailVerified: {
+        type: Boolean,
+        default: false
+    },
+    lastLoginAt: {
+        type: Date,
+        default: null
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// One account per provider subject
+userIdentitySchema.index({ provider: 1, subject: 1 }, { unique: true });
+
+module.exports = mongoose.model('UserIdentity', userIdentitySchema);
@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+const usernameHistorySchema = new Schema({
+    // null once the account has been deleted (the hold still applies)
+    userId: {
+        type: Schema.Types.ObjectId,
+        ref: 'User',
+        default: null,
+        index: true
+    },
+    // The username that was given up
+    username: {
+        type: String,
+        required: true
+    },
+    // Lowercased copy - reservations are case-insensitive
+    usernameLower: {
+        type: String,
+        required: true
+    },
+    // Nobody else can take the name before this date
+    reservedUntil: {
+        type: Date,
+        required: true
+    },
+    changedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+usernameHistorySchema.index({ usernameLower: 1, reservedUntil: -1 });
+
+module.exports = mongoose.model('UsernameHistory', usernameHistorySchema);
@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+/**
+ * Pending WebAuthn ceremony challenge (single use, short lived)
+ */
+const webAuthnChallengeSchema = new Schema({
+    challenge: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    type: {
+        type: String,
+        enum: ['registration', 'authentication'],
+        required: true
+    },
+    // Registering user, or the user named at login (null for discoverable login)
+    userId: {
+        type: Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// Automatic cleanup of abandoned ceremonies
+webAuthnChallengeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('WebAuthnChallenge', webAuthnChallengeSchema);
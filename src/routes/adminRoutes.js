@@ -0,0 +1,41 @@
+const express = require('express');
+const router = express.Router();
+const adminController = require('../controllers/adminControllers');
+const { authenticateToken, attachUserDetails, requireAdmin, requireRole } = require('../middlewares/authMiddleware');
+const {
+    validateUserIdParam,
+    validateUserListQuery,
+    validateSuspension,
+    validateInviteCreation,
+    validateInviteIdParam,
+    validateAuditEventQuery
+} = require('../validators/adminValidators');
+
+const requireStaff = requireRole('admin', 'moderator');
+
+// All routes require an authenticated staff member
+router.use(authenticateToken, attachUserDetails);
+
+// Platform statistics
+router.get('/stats', requireAdmin, adminController.getPlatformStats);
+
+// User management (moderators may only act on regular users)
+router.get('/users', requireStaff, validateUserListQuery, adminController.listUsers);
+router.get('/users/:userId', requireStaff, validateUserIdParam, adminController.getUserDetails);
+router.put('/users/:userId/suspend', requireStaff, validateSuspension, adminController.suspendUser);
+router.put('/users/:userId/reactivate', requireStaff, validateUserIdParam, adminController.reactivateUser);
+router.post('/users/:userId/logout', requireStaff, validateUserIdParam, adminController.forceLogoutUser);
+
+// Login lockout status
+router.get('/users/:userId/lockout', requireAdmin, validateUserIdParam, adminController.getUserLockout);
+router.delete('/users/:userId/lockout', requireAdmin, validateUserIdParam, adminController.unlockUser);
+
+// Security audit log
+router.get('/audit-events', requireAdmin, validateAuditEventQuery, adminController.listAuditEvents);
+
+// Invite codes (invite-only registration)
+router.post('/invites', requireAdmin, validateInviteCreation, adminController.createInviteCode);
+router.get('/invites', requireAdmin, adminController.listInviteCodes);
+router.delete('/invites/:inviteId', requireAdmin, validateInviteIdParam, adminController.revokeInviteCode);
+
+module.exports = router;
@@ -0,0 +1,16 @@
+const express = require('express');
+const router = express.Router();
+const apiKeyController = require('../controllers/apiKeyControllers');
+const { authenticateToken, requireVerified } = require('../middlewares/authMiddleware');
+const { validateApiKeyCreation, validateApiKeyIdParam } = require('../validators/apiKeyValidators');
+
+// All routes require authentication (API keys can't manage API keys)
+router.use(authenticateToken);
+
+router.get('/scopes', apiKeyController.getScopes);
+router.post('/', requireVerified, validateApiKeyCreation, apiKeyController.createApiKey);
+router.get('/', apiKeyController.getApiKeys);
+router.delete('/:keyId', validateApiKeyIdParam, apiKeyController.revokeApiKey);
+router.get('/:keyId/usage', validateApiKeyIdParam, apiKeyController.getApiKeyUsage);
+
+module.exports = router;
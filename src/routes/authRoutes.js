@@ -2,10 +2,33 @@ const express = require('express');
 const router = express.Router();
 const authController = require('../controllers/authControllers');
 const { authenticateToken, attachUserDetails } = require('../middlewares/authMiddleware');
-const { validateRegistration, validateLogin, validateProfileUpdate } = require('../validators/authValidators');
+const {
+    validateRegistration,
+    validateLogin,
+    validateProfileUpdate,
+    validateEmailVerification,
+    validateResendVerification,
+    validateForgotPassword,
+    validatePasswordReset,
+    validatePasswordChange,
+    validateTwoFactorCode,
+    validateTwoFactorLogin,
+    validateTwoFactorDisable,
+    validateMagicLinkRequest,
+    validateMagicLinkConsume,
+    validateOidcCallback,
+    validatePasskeyLoginOptions,
+    validatePasskeyCredential,
+    validatePasskeyRegistration
+} = require('../validators/authValidators');
 const { rateLimiters } = require('../middlewares/rateLimiter');
 
 // Public routes
+router.get(
+    '/registration',
+    authController.getRegistrationInfo
+);
+
 router.post(
     '/register', 
     rateLimiters.register,
@@ -20,12 +43,95 @@ router.post(
     authController.login
 );
 
+router.post(
+    '/login/2fa',
+    rateLimiters.login,
+    validateTwoFactorLogin,
+    authController.loginTwoFactor
+);
+
+router.post(
+    '/magic-link',
+    rateLimiters.magicLink,
+    validateMagicLinkRequest,
+    authController.requestMagicLink
+);
+
+router.post(
+    '/magic-link/consume',
+    rateLimiters.login,
+    validateMagicLinkConsume,
+    authController.consumeMagicLink
+);
+
 router.post(
     '/refresh-token',
     rateLimiters.refreshToken,
     authController.refreshToken
 );
 
+router.post(
+    '/verify-email',
+    rateLimiters.emailVerification,
+    validateEmailVerification,
+    authController.verifyEmail
+);
+
+router.post(
+    '/resend-verification',
+    rateLimiters.emailVerification,
+    validateResendVerification,
+    authController.resendVerification
+);
+
+router.post(
+    '/forgot-password',
+    rateLimiters.passwordReset,
+    validateForgotPassword,
+    authController.forgotPassword
+);
+
+router.post(
+    '/reset-password',
+    rateLimiters.passwordReset,
+    validatePasswordReset,
+    authController.resetPassword
+);
+
+// OpenID Connect login
+router.get(
+    '/oidc/providers',
+    authController.getOidcProviders
+);
+
+router.get(
+    '/oidc/:provider/authorize',
+    rateLimiters.login,
+    authController.startOidcLogin
+);
+
+router.post(
+    '/oidc/callback',
+    rateLimiters.login,
+    validateOidcCallback,
+    authController.oidcCallback
+);
+
+// Passkey (WebAuthn) login
+router.post(
+    '/passkeys/login/options',
+    rateLimiters.login,
+    validatePasskeyLoginOptions,
+    authController.getPasskeyLoginOptions
+);
+
+router.post(
+    '/passkeys/login/verify',
+    rateLimiters.login,
+    validatePasskeyCredential,
+    authController.loginWithPasskey
+);
+
 // Protected routes
 router.post(
     '/logout',
@@ -33,6 +139,105 @@ router.post(
     authController.logout
 );
 
+router.put(
+    '/password',
+    authenticateToken,
+    validatePasswordChange,
+    authController.changePassword
+);
+
+// Session / device management
+router.get(
+    '/sessions',
+    authenticateToken,
+    authController.getSessions
+);
+
+router.delete(
+    '/sessions',
+    authenticateToken,
+    authController.revokeSessions
+);
+
+router.delete(
+    '/sessions/:sessionId',
+    authenticateToken,
+    authController.revokeSession
+);
+
+// Two-factor authentication (TOTP)
+router.post(
+    '/2fa/setup',
+    authenticateToken,
+    authController.setupTwoFactor
+);
+
+router.post(
+    '/2fa/confirm',
+    authenticateToken,
+    validateTwoFactorCode,
+    authController.confirmTwoFactor
+);
+
+router.post(
+    '/2fa/disable',
+    authenticateToken,
+    validateTwoFactorDisable,
+    authController.disableTwoFactor
+);
+
+// Passkeys
+router.post(
+    '/passkeys/register/options',
+    authenticateToken,
+    authController.getPasskeyRegistrationOptions
+);
+
+router.post(
+    '/passkeys/register/verify',
+    authenticateToken,
+    validatePasskeyRegistration,
+    authController.registerPasskey
+);
+
+router.get(
+    '/passkeys',
+    authenticateToken,
+    authController.getPasskeys
+);
+
+router.delete(
+    '/passkeys/:passkeyId',
+    authenticateToken,
+    authController.deletePasskey
+);
+
+// Linked OIDC identities
+router.post(
+    '/oidc/:provider/link',
+    authenticateToken,
+    authController.startOidcLink
+);
+
+router.post(
+    '/oidc/link/callback',
+    authenticateToken,
+    validateOidcCallback,
+    authController.oidcLinkCallback
+);
+
+router.get(
+    '/identities',
+    authenticateToken,
+    authController.getIdentities
+);
+
+router.delete(
+    '/identities/:identityId',
+    authenticateToken,
+    authController.unlinkIdentity
+);
+
 
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,14 @@
+const express = require('express');
+const router = express.Router();
+const apiKeyController = require('../controllers/apiKeyControllers');
+const { authenticateToken, requireVerified } = require('../middlewares/authMiddleware');
+const { validateBotCreation, validateBotIdParam } = require('../validators/apiKeyValidators');
+
+// All routes require authentication
+router.use(authenticateToken);
+
+router.post('/', requireVerified, validateBotCreation, apiKeyController.createBot);
+router.get('/', apiKeyController.getBots);
+router.delete('/:botId', validateBotIdParam, apiKeyController.disableBot);
+
+module.exports = router;
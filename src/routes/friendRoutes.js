@@ -1,14 +1,14 @@
 const express = require('express');
 const router = express.Router();
 const friendController = require('../controllers/friendControllers');
-const { authenticateToken } = require('../middlewares/authMiddleware');
+const { authenticateToken, requireVerified } = require('../middlewares/authMiddleware');
 const { rateLimiters } = require('../middlewares/rateLimiter');
 
 // All routes require authentication
 router.use(authenticateToken);
 
 // Friend request routes (with rate limiting)
-router.post('/request/:userId', rateLimiters.friendRequest, friendController.sendRequest);
+router.post('/request/:userId', rateLimiters.friendRequest, requireVerified, friendController.sendRequest);
 router.put('/accept/:requestId', friendController.acceptRequest);
 router.put('/reject/:requestId', friendController.rejectRequest);
 router.delete('/cancel/:requestId', friendController.cancelRequest);
@@ -1,7 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const messageController = require('../controllers/messageControllers');
-const { authenticateToken } = require('../middlewares/authMiddleware');
+const { authenticateToken, requireVerified } = require('../middlewares/authMiddleware');
 const { rateLimiters } = require('../middlewares/rateLimiter');
 const { 
     uploadImage, 
@@ -13,13 +13,13 @@ const {
 // All routes require authentication
 router.use(authenticateToken);
 
-// Send messages (with rate limiting)
-router.post('/text/:friendId', rateLimiters.general, messageController.sendTextMessage);
-router.post('/image/:friendId', rateLimiters.general, uploadImage.single('image'), messageController.sendImageMessage);
-router.post('/video/:friendId', rateLimiters.general, uploadVideo.single('video'), messageController.sendVideoMessage);
-router.post('/document/:friendId', rateLimiters.general, uploadDocument.single('document'), messageController.sendDocumentMessage);
-router.post('/audio/:friendId', rateLimiters.general, uploadAudio.single('audio'), messageController.sendAudioMessage);
-router.post('/link/:friendId', rateLimiters.general, messageController.sendLinkMessage);
+// Send messages (with rate limiting, verified accounts only)
+router.post('/text/:friendId', rateLimiters.general, requireVerified, messageController.sendTextMessage);
+router.post('/image/:friendId', rateLimiters.general, requireVerified, uploadImage.single('image'), messageController.sendImageMessage);
+router.post('/video/:friendId', rateLimiters.general, requireVerified, uploadVideo.single('video'), messageController.sendVideoMessage);
+router.post('/document/:friendId', rateLimiters.general, requireVerified, uploadDocument.single('document'), messageController.sendDocumentMessage);
+router.post('/audio/:friendId', rateLimiters.general, requireVerified, uploadAudio.single('audio'), messageController.sendAudioMessage);
+router.post('/link/:friendId', rateLimiters.general, requireVerified, messageController.sendLinkMessage);
 
 // Get messages
 router.get('/conversations', messageController.getConversations);  // ✅ Chat list with unread per friend
@@ -30,6 +30,13 @@ router.get('/conversation/:friendId', messageController.getMessages);  // ✅ Ch
 router.put('/:messageId/read', messageController.markAsRead);
 router.put('/:friendId/read-all', messageController.markConversationAsRead);
 
+// Edit message (text and link messages, within the edit window)
+router.patch('/:messageId', rateLimiters.general, requireVerified, messageController.editMessage);
+
+// Emoji reactions (one per user per emoji)
+router.post('/:messageId/reactions', rateLimiters.general, requireVerified, messageController.addReaction);
+router.delete('/:messageId/reactions', rateLimiters.general, requireVerified, messageController.removeReaction);
+
 // Delete message
 router.delete('/:messageId', messageController.deleteMessage);
 
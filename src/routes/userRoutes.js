@@ -3,6 +3,14 @@ const router = express.Router();
 const userController = require('../controllers/userControllers');
 const { authenticateToken, attachUserDetails } = require('../middlewares/authMiddleware');
 const { validateProfileUpdate } = require('../validators/authValidators');
+const {
+    validateExportJobIdParam,
+    validateAccountDeletion,
+    validateUsernameChange,
+    validateEmailChange,
+    validateEmailChangeToken,
+    validateSecurityEventsQuery
+} = require('../validators/userValidators');
 const { rateLimiters } = require('../middlewares/rateLimiter');
 const upload = require('../utils/multer');
 
@@ -29,6 +37,48 @@ router.put(
     userController.updateProfile
 );
 
+router.put(
+    '/username',
+    authenticateToken,
+    validateUsernameChange,
+    userController.changeUsername
+);
+
+router.get(
+    '/username/history',
+    authenticateToken,
+    userController.getUsernameHistory
+);
+
+// Email change - confirmed from the new address, reportable from the old one
+router.post(
+    '/email',
+    authenticateToken,
+    rateLimiters.emailVerification,
+    validateEmailChange,
+    userController.requestEmailChange
+);
+
+router.delete(
+    '/email/pending',
+    authenticateToken,
+    userController.cancelEmailChange
+);
+
+router.post(
+    '/email/confirm',
+    rateLimiters.emailVerification,
+    validateEmailChangeToken,
+    userController.confirmEmailChange
+);
+
+router.post(
+    '/email/report',
+    rateLimiters.emailVerification,
+    validateEmailChangeToken,
+    userController.reportEmailChange
+);
+
 router.put(
     '/profile/picture',
     authenticateToken,
@@ -37,4 +87,34 @@ router.put(
     userController.changeProfilePicture
 );
 
+// Security history (logins, password changes, staff actions...)
+router.get(
+    '/security-events',
+    authenticateToken,
+    validateSecurityEventsQuery,
+    userController.getSecurityEvents
+);
+
+// GDPR data export
+router.post(
+    '/export',
+    authenticateToken,
+    userController.requestDataExport
+);
+
+router.get(
+    '/export/:jobId',
+    authenticateToken,
+    validateExportJobIdParam,
+    userController.getDataExport
+);
+
+// Account deletion (after a grace period; logging in cancels it)
+router.delete(
+    '/account',
+    authenticateToken,
+    validateAccountDeletion,
+    userController.deleteAccount
+);
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,272 @@
+require('dotenv').config();
+const bcrypt = require('bcryptjs');
+const User = require('../models/User');
+const Message = require('../models/Message');
+const Reaction = require('../models/Reaction');
+const FriendRequest = require('../models/FriendRequest');
+const RefreshToken = require('../models/RefreshToken');
+const EmailVerificationToken = require('../models/EmailVerificationToken');
+const PasswordResetToken = require('../models/PasswordResetToken');
+const MagicLinkToken = require('../models/MagicLinkToken');
+const OidcAuthRequest = require('../models/OidcAuthRequest');
+const UserIdentity = require('../models/UserIdentity');
+const Passkey = require('../models/Passkey');
+const WebAuthnChallenge = require('../models/WebAuthnChallenge');
+const ApiKey = require('../models/ApiKey');
+const ApiKeyUsage = require('../models/ApiKeyUsage');
+const UsernameHistory = require('../models/UsernameHistory');
+const EmailChangeRequest = require('../models/EmailChangeRequest');
+const { AppError } = require('../utils/errorHandler');
+const { generateToken } = require('../utils/secureToken');
+const { deleteFile } = require('../utils/fileProcessor');
+const { onlineUsers, messageCache } = require('../config/redis');
+const { disconnectUserSockets } = require('../config/socket');
+const { clearFailedLogins } = require('./accountLockoutService');
+const { deleteUserExports } = require('./dataExportService');
+const { releaseUsername } = require('./usernameService');
+const emailService = require('./emailService');
+const logger = require('../utils/logger');
+
+const DELETION_GRACE_DAYS = parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS) || 14;
+// 'anonymize' keeps messages for the other participant under an anonymised account,
+// 'purge' deletes every message the user sent or received
+const MESSAGE_POLICY = process.env.ACCOUNT_DELETION_MESSAGE_POLICY === 'purge' ? 'purge' : 'anonymize';
+const DELETION_BATCH_SIZE = 20;
+// A claim older than this belongs to a run that crashed - the account is picked up again
+const DELETION_CLAIM_TIMEOUT_MS = 60 * 60 * 1000;
+const DELETED_EMAIL_DOMAIN = 'deleted.chattr.invalid';
+
+/**
+ * Schedule deletion of the user's account after the grace period.
+ * Requires the current password; every session is signed out so that logging in
+ * again (which cancels the deletion) is a deliberate step.
+ */
+const requestAccountDeletionService = async (userId, password) => {
+    try {
+        const user = await User.findById(userId).select('+password');
+
+        if (!user) {
+            throw new AppError('User not found', 404);
+        }
+
+        if (user.accountType === 'bot') {
+            throw new AppError('Bot accounts are removed by disabling them', 400);
+        }
+
+        const isPasswordValid = await bcrypt.compare(password, user.password);
+
+        if (!isPasswordValid) {
+            throw new AppError('Password is incorrect', 400);
+        }
+
+        user.deletionRequestedAt = new Date();
+        user.deletionScheduledFor = new Date(Date.now() + DELETION_GRACE_DAYS * 24 * 60 * 60 * 1000);
+        await user.save();
+
+        await RefreshToken.deleteMany({ userId });
+        await disconnectUserSockets(userId, 'account_deletion_scheduled');
+
+        try {
+            await emailService.sendAccountDeletionScheduledEmail(user, user.deletionScheduledFor);
+        } catch (error) {
+            logger.error(`Failed to send deletion notice to ${userId}: ${error.message}`);
+        }
+
+        logger.info(`Account ${userId} scheduled for deletion on ${user.deletionScheduledFor.toISOString()}`);
+
+        return {
+            message: `Your account will be deleted on ${user.deletionScheduledFor.toISOString()}. Log in before then to cancel.`,
+            deletionScheduledFor: user.deletionScheduledFor
+        };
+    } catch (error) {
+        throw error;
+    }
+};
+
+/**
+ * Cancel a scheduled deletion - called whenever the user logs in.
+ * Returns true if a deletion was cancelled.
+ */
+const cancelScheduledDeletion = async (userId) => {
+    const result = await User.updateOne(
+        { _id: userId, deletionScheduledFor: { $ne: null }, deletionStartedAt: null },
+        { deletionRequestedAt: null, deletionScheduledFor: null }
+    );
+
+    if (result.modifiedCount > 0) {
+        logger.info(`Scheduled deletion of account ${userId} cancelled by login`);
+        return true;
+    }
+    return false;
+};
+
+/**
+ * Delete or anonymise the user's messages and clear them from the Redis cache
+ */
+const scrubMessages = async (userId) => {
+    const messages = await Message.find({ $or: [{ sender: userId }, { receiver: userId }] })
+        .select('_id sender fileUrl thumbnailUrl')
+        .lean();
+
+    for (const message of messages) {
+        await messageCache.delete(message._id.toString());
+    }
+
+    if (MESSAGE_POLICY !== 'purge') {
+        return messages.length;
+    }
+
+    // Only media the user uploaded - the other participant's files go with their own account
+    const sentMedia = messages.filter((message) => message.fileUrl && message.sender.toString() === userId.toString());
+    for (const message of sentMedia) {
+        await deleteFile(message.fileUrl);
+
+        // Cloudinary thumbnails are transformations of the file itself
+        if (message.thumbnailUrl && message.thumbnailUrl !== message.fileUrl && !message.thumbnailUrl.includes('cloudinary.com')) {
+            await deleteFile(message.thumbnailUrl);
+        }
+    }
+
+    await Reaction.deleteMany({ messageId: { $in: messages.map(message => message._id) } });
+    await Message.deleteMany({ $or: [{ sender: userId }, { receiver: userId }] });
+
+    return messages.length;
+};
+
+/**
+ * Remove everything tied to an account. With the anonymise policy an empty,
+ * unusable record is kept so the other side of each conversation still resolves.
+ */
+const purgeAccount = async (user) => {
+    const userId = user._id;
+
+    // Bots belong to their owner and go with them
+    const bots = await User.find({ botOwner: userId, accountType: 'bot' });
+    for (const bot of bots) {
+        await purgeAccount(bot);
+    }
+
+    await disconnectUserSockets(userId, 'account_deleted');
+    await onlineUsers.remove(userId.toString());
+    await clearFailedLogins(userId);
+
+    await User.updateMany({ friends: userId }, { $pull: { friends: userId } });
+    await FriendRequest.deleteMany({ $or: [{ sender: userId }, { receiver: userId }] });
+
+    if (user.profilePicture) {
+        await deleteFile(user.profilePicture);
+    }
+
+    const messageCount = await scrubMessages(userId);
+
+    const apiKeyIds = await ApiKey.find({ userId }).distinct('_id');
+    await ApiKeyUsage.deleteMany({ apiKeyId: { $in: apiKeyIds } });
+
+    await Promise.all([
+        ApiKey.deleteMany({ userId }),
+        Reaction.deleteMany({ userId }),
+        RefreshToken.deleteMany({ userId }),
+        EmailVerificationToken.deleteMany({ userId }),
+        PasswordResetToken.deleteMany({ userId }),
+        MagicLinkToken.deleteMany({ userId }),
+        EmailChangeRequest.deleteMany({ userId }),
+        OidcAuthRequest.deleteMany({ linkUserId: userId }),
+        UserIdentity.deleteMany({ userId }),
+        Passkey.deleteMany({ userId }),
+        WebAuthnChallenge.deleteMany({ userId })
+    ]);
+    await deleteUserExports(userId);
+
+    // Forget previous usernames, but keep the current one on hold so nobody can pose as the user
+    await UsernameHistory.deleteMany({ userId });
+    await releaseUsername(null, user.username);
+
+    if (MESSAGE_POLICY === 'purge') {
+        await User.deleteOne({ _id: userId });
+    } else {
+        await User.updateOne({ _id: userId }, {
+            $set: {
+                username: `deleted_${userId.toString().slice(-12)}`,
+                email: `deleted-${userId}@${DELETED_EMAIL_DOMAIN}`,
+                pendingEmail: null,
+                password: await bcrypt.hash(generateToken(32), 12),
+                passwordChangedAt: new Date(),
+                profilePicture: '',
+                bio: '',
+                role: 'user',
+                friends: [],
+                isActive: false,
+                isVerified: false,
+                twoFactorEnabled: false,
+                deletedAt: new Date()
+            },
+            $unset: {
+                botOwner: 1,
+                botDisabledAt: 1,
+                invitedBy: 1,
+                inviteCode: 1,
+                suspendedAt: 1,
+                suspendedUntil: 1,
+                suspensionReason: 1,
+                suspendedBy: 1,
+                deletionRequestedAt: 1,
+                deletionScheduledFor: 1,
+                deletionStartedAt: 1,
+                twoFactorSecret: 1,
+                twoFactorPendingSecret: 1,
+                twoFactorRecoveryCodes: 1,
+                twoFactorLastUsedStep: 1,
+                failedLoginAttempts: 1,
+                lastFailedLoginAt: 1,
+                loginLockedUntil: 1,
+                lastLogin: 1,
+                lastSeen: 1
+            }
+        });
+    }
+
+    logger.info(`Account ${userId} deleted (${MESSAGE_POLICY}, ${messageCount} messages)`);
+};
+
+/**
+ * Delete every account whose grace period has ended. Accounts are claimed one at
+ * a time so several server instances can run the job side by side.
+ */
+const processDueDeletions = async () => {
+    let processed = 0;
+
+    while (processed < DELETION_BATCH_SIZE) {
+        const now = new Date();
+        const user = await User.findOneAndUpdate(
+            {
+                deletionScheduledFor: { $ne: null, $lte: now },
+                $or: [
+                    { deletionStartedAt: null },
+                    { deletionStartedAt: { $lt: new Date(now.getTime() - DELETION_CLAIM_TIMEOUT_MS) } }
+                ]
+            },
+            { deletionStartedAt: now },
+            { new: true }
+        );
+
+        if (!user) {
+            break;
+        }
+
+        try {
+            await purgeAccount(user);
+        } catch (error) {
+            // Left claimed - retried once the claim times out
+            logger.error(`Failed to delete account ${user._id}: ${error.message}`);
+        }
+        processed++;
+    }
+
+    return processed;
+};
+
+module.exports = {
+    requestAccountDeletionService,
+    cancelScheduledDeletion,
+    processDueDeletions
+};
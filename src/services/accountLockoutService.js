@@ -0,0 +1,270 @@
+require('dotenv').config();
+const User = require('../models/User');
+const LoginAttempt = require('../models/LoginAttempt');
+const { AppError } = require('../utils/errorHandler');
+const { hashToken } = require('../utils/secureToken');
+const { loginAttempts } = require('../config/redis');
+const emailService = require('./emailService');
+const logger = require('../utils/logger');
+
+// Failures before exponential backoff starts (1s, 2s, 4s, ... between attempts)
+const LOGIN_BACKOFF_THRESHOLD = parseInt(process.env.LOGIN_BACKOFF_THRESHOLD) || 3;
+// Failures before the account is locked for LOGIN_LOCKOUT_MINUTES
+const LOGIN_LOCKOUT_THRESHOLD = parseInt(process.env.LOGIN_LOCKOUT_THRESHOLD) || 10;
+const LOGIN_LOCKOUT_MINUTES = parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 30;
+const MAX_BACKOFF_SECONDS = 5 * 60;
+// Failed attempts are forgotten after this long without a new failure
+const FAILURE_WINDOW_SECONDS = 24 * 60 * 60;
+
+/**
+ * Time until which login is blocked after `count` failures (null = not blocked)
+ */
+const computeLockUntil = (count) => {
+    if (count >= LOGIN_LOCKOUT_THRESHOLD) {
+        return Date.now() + LOGIN_LOCKOUT_MINUTES * 60 * 1000;
+    }
+    if (count >= LOGIN_BACKOFF_THRESHOLD) {
+        const delaySeconds = Math.min(2 ** (count - LOGIN_BACKOFF_THRESHOLD), MAX_BACKOFF_SECONDS);
+        return Date.now() + delaySeconds * 1000;
+    }
+    return null;
+};
+
+/**
+ * Read failed attempt state from MongoDB
+ */
+const getMongoState = async (userId) => {
+    const user = await User.findById(userId).select('+failedLoginAttempts +lastFailedLoginAt +loginLockedUntil');
+
+    if (!user) {
+        return { count: 0, lockUntil: null };
+    }
+
+    const isStale = user.lastFailedLoginAt
+        && Date.now() - user.lastFailedLoginAt.getTime() > FAILURE_WINDOW_SECONDS * 1000;
+
+    return {
+        count: isStale ? 0 : user.failedLoginAttempts,
+        lockUntil: user.loginLockedUntil ? user.loginLockedUntil.getTime() : null
+    };
+};
+
+/**
+ * Count a failure on the user document (MongoDB fallback). The increment is atomic,
+ * so concurrent failures can't overwrite each other's count.
+ */
+const incrementMongoFailures = async (userId) => {
+    const now = Date.now();
+
+    // Start a new window if the last failure is stale
+    await User.updateOne(
+        { _id: userId, lastFailedLoginAt: { $lt: new Date(now - FAILURE_WINDOW_SECONDS * 1000) } },
+        { failedLoginAttempts: 0 }
+    );
+
+    const user = await User.findOneAndUpdate(
+        { _id: userId },
+        { $inc: { failedLoginAttempts: 1 }, $set: { lastFailedLoginAt: new Date(now) } },
+        { new: true }
+    ).select('+failedLoginAttempts');
+
+    if (!user) {
+        return 0;
+    }
+
+    const count = user.failedLoginAttempts;
+    const lockUntil = computeLockUntil(count);
+
+    if (lockUntil) {
+        // $max keeps a longer lock set by a concurrent failure
+        await User.updateOne({ _id: userId }, { $max: { loginLockedUntil: new Date(lockUntil) } });
+    }
+
+    return count;
+};
+
+/**
+ * Redis key for an email address without an account
+ */
+const unknownEmailKey = (email) => `email:${hashToken(email.toLowerCase())}`;
+
+/**
+ * Read failed attempt state for an unknown email from MongoDB
+ */
+const getUnknownEmailMongoState = async (key) => {
+    const attempt = await LoginAttempt.findOne({ key });
+
+    // The TTL monitor only runs once a minute
+    if (!attempt || attempt.expiresAt.getTime() <= Date.now()) {
+        return { count: 0, lockUntil: null };
+    }
+
+    return {
+        count: attempt.failedLoginAttempts,
+        lockUntil: attempt.loginLockedUntil ? attempt.loginLockedUntil.getTime() : null
+    };
+};
+
+/**
+ * Count a failure for an unknown email (MongoDB fallback)
+ */
+const incrementUnknownEmailFailures = async (key) => {
+    const now = Date.now();
+
+    // Start a new window if the last failure is stale
+    await LoginAttempt.deleteOne({ key, expiresAt: { $lte: new Date(now) } });
+
+    const attempt = await LoginAttempt.findOneAndUpdate(
+        { key },
+        {
+            $inc: { failedLoginAttempts: 1 },
+            $set: { lastFailedLoginAt: new Date(now), expiresAt: new Date(now + FAILURE_WINDOW_SECONDS * 1000) }
+        },
+        { new: true, upsert: true }
+    );
+
+    const count = attempt.failedLoginAttempts;
+    const lockUntil = computeLockUntil(count);
+
+    if (lockUntil) {
+        await LoginAttempt.updateOne({ key }, { $max: { loginLockedUntil: new Date(lockUntil) } });
+    }
+
+    return count;
+};
+
+/**
+ * Lockout status from failed attempt state
+ */
+const buildStatus = (state, storage) => {
+    const now = Date.now();
+    const isBlocked = Boolean(state.lockUntil) && state.lockUntil > now;
+
+    return {
+        failedAttempts: state.count,
+        isLocked: isBlocked && state.count >= LOGIN_LOCKOUT_THRESHOLD,
+        isThrottled: isBlocked,
+        lockedUntil: isBlocked ? new Date(state.lockUntil) : null,
+        retryAfterSeconds: isBlocked ? Math.ceil((state.lockUntil - now) / 1000) : 0,
+        storage,
+        policy: {
+            backoffThreshold: LOGIN_BACKOFF_THRESHOLD,
+            lockoutThreshold: LOGIN_LOCKOUT_THRESHOLD,
+            lockoutMinutes: LOGIN_LOCKOUT_MINUTES
+        }
+    };
+};
+
+/**
+ * Throw if login is locked or still in its backoff period
+ */
+const throwIfBlocked = (status) => {
+    if (status.isLocked) {
+        throw new AppError(
+            'Account temporarily locked due to too many failed login attempts. '
+            + `Try again in ${Math.ceil(status.retryAfterSeconds / 60)} minutes or reset your password to unlock it`,
+            423
+        );
+    }
+
+    if (status.isThrottled) {
+        throw new AppError(
+            `Too many failed login attempts. Please wait ${status.retryAfterSeconds} seconds before trying again`,
+            429
+        );
+    }
+};
+
+/**
+ * Get lockout status for an account (Redis when available, MongoDB otherwise)
+ */
+const getLockoutStatus = async (userId) => {
+    const redisState = await loginAttempts.get(userId.toString());
+    const state = redisState || await getMongoState(userId);
+
+    return buildStatus(state, redisState ? 'redis' : 'mongodb');
+};
+
+/**
+ * Throw if the account is locked or still in its backoff period
+ */
+const assertLoginAllowed = async (userId) => {
+    throwIfBlocked(await getLockoutStatus(userId));
+};
+
+/**
+ * Same check for an email without an account, so the response
+ * doesn't reveal which addresses are registered
+ */
+const assertUnknownEmailLoginAllowed = async (email) => {
+    const key = unknownEmailKey(email);
+    const redisState = await loginAttempts.get(key);
+    const state = redisState || await getUnknownEmailMongoState(key);
+
+    throwIfBlocked(buildStatus(state, redisState ? 'redis' : 'mongodb'));
+};
+
+/**
+ * Record a failed login attempt and apply backoff / lockout
+ */
+const recordFailedLogin = async (user) => {
+    const userId = user._id.toString();
+    let count = await loginAttempts.increment(userId, FAILURE_WINDOW_SECONDS);
+
+    if (count !== null) {
+        const lockUntil = computeLockUntil(count);
+        if (lockUntil) {
+            await loginAttempts.setLockUntil(userId, lockUntil);
+        }
+    } else {
+        count = await incrementMongoFailures(userId);
+    }
+
+    if (count === LOGIN_LOCKOUT_THRESHOLD) {
+        logger.warn(`🔒 Account locked after ${count} failed login attempts: ${userId}`);
+        emailService.sendAccountLockedEmail(user, LOGIN_LOCKOUT_MINUTES).catch((err) =>
+            logger.error(`Failed to send account locked email: ${err.message}`)
+        );
+    }
+
+    return count;
+};
+
+/**
+ * Record a failed login for an email without an account (no lockout email is sent)
+ */
+const recordUnknownEmailFailure = async (email) => {
+    const key = unknownEmailKey(email);
+    let count = await loginAttempts.increment(key, FAILURE_WINDOW_SECONDS);
+
+    if (count !== null) {
+        const lockUntil = computeLockUntil(count);
+        if (lockUntil) {
+            await loginAttempts.setLockUntil(key, lockUntil);
+        }
+    } else {
+        count = await incrementUnknownEmailFailures(key);
+    }
+
+    return count;
+};
+
+/**
+ * Reset failed attempts (successful login, password reset or admin unlock)
+ */
+const clearFailedLogins = async (userId) => {
+    await loginAttempts.clear(userId.toString());
+    await User.updateOne(
+        { _id: userId },
+        { failedLoginAttempts: 0, lastFailedLoginAt: null, loginLockedUntil: null }
+    );
+};
+
+module.exports = {
+    getLockoutStatus,
+    assertLoginAllowed,
+    assertUnknownEmailLoginAllowed,
+    recordFailedLogin,
+    recordUnknownEmailFailure,
+    clearFailedLogins
+};
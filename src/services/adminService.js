@@ -0,0 +1,338 @@
+const User = require('../models/User');
+const Message = require('../models/Message');
+const FriendRequest = require('../models/FriendRequest');
+const RefreshToken = require('../models/RefreshToken');
+const { AppError } = require('../utils/errorHandler');
+const { onlineUsers } = require('../config/redis');
+const { disconnectUserSockets, getConnectionStats } = require('../config/socket');
+const { getLockoutStatus, clearFailedLogins } = require('./accountLockoutService');
+const auditService = require('./auditService');
+const { AUDIT_EVENTS } = require('../config/auditEvents');
+
+// Anonymised accounts and accounts awaiting deletion are inactive or on their way out,
+// but weren't suspended by staff
+const NOT_DELETED = { deletedAt: null, deletionScheduledFor: null };
+
+const ADMIN_USER_FIELDS = 'username email role isActive suspendedAt suspendedUntil suspensionReason suspendedBy isVerified invitedBy profilePicture lastLogin lastSeen createdAt';
+
+// Roles each role may moderate
+const MODERATABLE_ROLES = {
+    admin: ['user', 'moderator'],
+    moderator: ['user']
+};
+
+/**
+ * Escape user input for use in a RegExp
+ */
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Load a target user and check the acting staff member may moderate them
+ */
+const getModeratableUser = async (actor, targetUserId) => {
+    if (actor._id.toString() === targetUserId.toString()) {
+        throw new AppError('You cannot perform this action on your own account', 400);
+    }
+
+    const target = await User.findById(targetUserId);
+
+    if (!target) {
+        throw new AppError('User not found', 404);
+    }
+
+    const allowedRoles = MODERATABLE_ROLES[actor.role] || [];
+    if (!allowedRoles.includes(target.role)) {
+        throw new AppError(`A ${actor.role} cannot perform this action on a ${target.role} account`, 403);
+    }
+
+    return target;
+};
+
+/**
+ * Audit an action a staff member took on an account
+ */
+const recordStaffAction = (actor, target, action, context, metadata = {}) => auditService.record(
+    AUDIT_EVENTS.ADMIN_ACTION,
+    { userId: target._id, actorId: actor._id, metadata: { action, ...metadata } },
+    context
+);
+
+/**
+ * List users with optional filters
+ */
+const listUsersService = async ({ search, role, status, page = 1, limit = 20 } = {}) => {
+    try {
+        const filter = {};
+
+        if (search) {
+            const regex = new RegExp(escapeRegex(search), 'i');
+            filter.$or = [{ username: regex }, { email: regex }];
+        }
+        if (role) {
+            filter.role = role;
+        }
+        if (status === 'active') {
+            filter.isActive = true;
+        } else if (status === 'suspended') {
+            // Expired suspensions are lifted lazily, so leave them out
+            Object.assign(filter, NOT_DELETED, { isActive: false });
+            filter.$and = [{ $or: [{ suspendedUntil: null }, { suspendedUntil: { $gt: new Date() } }] }];
+        }
+
+        const skip = (page - 1) * limit;
+
+        const [users, total] = await Promise.all([
+            User.find(filter)
+                .select(ADMIN_USER_FIELDS)
+                .sort({ createdAt: -1 })
+                .skip(skip)
+                .limit(limit),
+            User.countDocuments(filter)
+        ]);
+
+        return {
+            users,
+            pagination: {
+                currentPage: page,
+                totalPages: Math.ceil(total / limit),
+                totalItems: total,
+                itemsPerPage: limit
+            }
+        };
+    } catch (error) {
+        throw error;
+    }
+};
+
+/**
+ * Get a single user with moderation-relevant details
+ */
+const getUserDetailsService = async (userId) => {
+    try {
+        const user = await User.findById(userId).select(`${ADMIN_USER_FIELDS} friends bio`);
+
+        if (!user) {
+            throw new AppError('User not found', 404);
+        }
+
+        const [activeSessions, messagesSent, isOnline] = await Promise.all([
+            RefreshToken.countDocuments({ userId, rotatedAt: null, expiresAt: { $gt: Date.now() } }),
+            Message.countDocuments({ sender: userId }),
+            onlineUsers.isOnline(userId.toString())
+        ]);
+
+        const { friends, ...profile } = user.toObject();
+
+        return {
+            ...profile,
+            friendCount: friends.length,
+            activeSessions,
+            messagesSent,
+            isOnline: Boolean(isOnline)
+        };
+    } catch (error) {
+        throw error;
+    }
+};
+
+/**
+ * Suspend an account and log it out everywhere.
+ * Without durationHours the suspension lasts until staff lift it.
+ */
+const suspendUserService = async (actor, targetUserId, { reason = null, durationHours = null } = {}, context = {}) => {
+    try {
+        const target = await getModeratableUser(actor, targetUserId);
+
+        if (!target.isActive && target.getActiveSuspension()) {
+            throw new AppError('Account is already suspended', 400);
+        }
+
+        target.isActive = false;
+        target.suspendedAt = new Date();
+        target.suspendedUntil = durationHours ? new Date(Date.now() + durationHours * 60 * 60 * 1000) : null;
+        target.suspensionReason = reason || null;
+        target.suspendedBy = actor._id;
+        await target.save();
+
+        // Revoke sessions and kick live sockets on every node (force_disconnect pub/sub)
+        await RefreshToken.deleteMany({ userId: target._id });
+        await disconnectUserSockets(target._id, 'account_suspended');
+
+        await recordStaffAction(actor, target, 'suspend', context, { reason: target.suspensionReason, durationHours });
+
+        return {
+            message: `${target.username} has been suspended`,
+            suspension: target.getActiveSuspension()
+        };
+    } catch (error) {
+        throw error;
+    }
+};
+
+/**
+ * Lift a suspension
+ */
+const reactivateUserService = async (actor, targetUserId, context = {}) => {
+    try {
+        const target = await getModeratableUser(actor, targetUserId);
+
+        if (target.isActive) {
+            throw new AppError('Account is not suspended', 400);
+        }
+
+        target.isActive = true;
+        target.suspendedAt = null;
+        target.suspendedUntil = null;
+        target.suspensionReason = null;
+        target.suspendedBy = null;
+        await target.save();
+
+        await recordStaffAction(actor, target, 'reactivate', context);
+
+        return { message: `${target.username} has been reactivated` };
+    } catch (error) {
+        throw error;
+    }
+};
+
+/**
+ * Revoke every session of a user and disconnect their sockets
+ */
+const forceLogoutService = async (actor, targetUserId, context = {}) => {
+    try {
+        const target = await getModeratableUser(actor, targetUserId);
+
+        const result = await RefreshToken.deleteMany({ userId: target._id });
+        await disconnectUserSockets(target._id, 'forced_logout');
+
+        await recordStaffAction(actor, target, 'force_logout', context, { revokedCount: result.deletedCount });
+
+        return {
+            message: `${target.username} has been logged out of all sessions`,
+            revokedCount: result.deletedCount
+        };
+    } catch (error) {
+        throw error;
+    }
+};
+
+/**
+ * Platform-wide statistics
+ */
+const getPlatformStatsService = async () => {
+    try {
+        const now = Date.now();
+        const last24Hours = new Date(now - 24 * 60 * 60 * 1000);
+        const last7Days = new Date(now - 7 * 24 * 60 * 60 * 1000);
+
+        const [
+            totalUsers,
+            activeUsers,
+            suspendedUsers,
+            verifiedUsers,
+            newUsersLast7Days,
+            roles,
+            totalMessages,
+            messagesLast24Hours,
+            pendingFriendRequests,
+            activeSessions,
+            onlineCount
+        ] = await Promise.all([
+            User.countDocuments(),
+            User.countDocuments({ isActive: true }),
+            User.countDocuments({ ...NOT_DELETED, isActive: false }),
+            User.countDocuments({ isVerified: true }),
+            User.countDocuments({ createdAt: { $gte: last7Days } }),
+            User.aggregate([{ $group: { _id: '$role', count: { $sum: 1 } } }]),
+            Message.countDocuments({ isDeleted: false }),
+            Message.countDocuments({ createdAt: { $gte: last24Hours } }),
+            FriendRequest.countDocuments({ status: 'pending' }),
+            RefreshToken.countDocuments({ rotatedAt: null, expiresAt: { $gt: now } }),
+            onlineUsers.count()
+        ]);
+
+        return {
+            users: {
+                total: totalUsers,
+                active: activeUsers,
+                suspended: suspendedUsers,
+                verified: verifiedUsers,
+                newLast7Days: newUsersLast7Days,
+                byRole: roles.reduce((acc, r) => ({ ...acc, [r._id]: r.count }), {})
+            },
+            messages: {
+                total: totalMessages,
+                last24Hours: messagesLast24Hours
+            },
+            friendRequests: {
+                pending: pendingFriendRequests
+            },
+            sessions: {
+                active: activeSessions,
+                online: onlineCount,
+                socketConnections: getConnectionStats()
+            },
+            timestamp: new Date()
+        };
+    } catch (error) {
+        throw error;
+    }
+};
+
+/**
+ * Get login lockout status for a user
+ */
+const getUserLockoutService = async (userId) => {
+    try {
+        const user = await User.findById(userId).select('username email');
+
+        if (!user) {
+            throw new AppError('User not found', 404);
+        }
+
+        const status = await getLockoutStatus(user._id);
+
+        return {
+            user: {
+                id: user._id,
+                username: user.username,
+                email: user.email
+            },
+            ...status
+        };
+    } catch (error) {
+        throw error;
+    }
+};
+
+/**
+ * Clear failed login attempts and lift a lockout
+ */
+const unlockUserService = async (actor, userId, context = {}) => {
+    try {
+        const user = await User.findById(userId).select('_id');
+
+        if (!user) {
+            throw new AppError('User not found', 404);
+        }
+
+        await clearFailedLogins(user._id);
+
+        await recordStaffAction(actor, user, 'unlock', context);
+
+        return { message: 'Account unlocked successfully' };
+    } catch (error) {
+        throw error;
+    }
+};
+
+module.exports = {
+    listUsersService,
+    getUserDetailsService,
+    suspendUserService,
+    reactivateUserService,
+    forceLogoutService,
+    getPlatformStatsService,
+    getUserLockoutService,
+    unlockUserService
+};
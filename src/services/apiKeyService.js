@@ -0,0 +1,325 @@
+const bcrypt = require('bcryptjs');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const ApiKey = require('../models/ApiKey');
+const ApiKeyUsage = require('../models/ApiKeyUsage');
+const RefreshToken = require('../models/RefreshToken');
+const { AppError } = require('../utils/errorHandler');
+const { generateToken, hashToken } = require('../utils/secureToken');
+const { API_KEY_SCOPES } = require('../config/apiKeyScopes');
+const { isUsernameAvailable } = require('./usernameService');
+const logger = require('../utils/logger');
+
+const API_KEY_PREFIX = 'chattr';
+const MAX_KEYS_PER_ACCOUNT = 10;
+const MAX_BOTS_PER_USER = 5;
+const DEFAULT_RATE_LIMIT_PER_MINUTE = parseInt(process.env.API_KEY_RATE_LIMIT_PER_MINUTE) || 60;
+const BOT_EMAIL_DOMAIN = 'bots.chattr.invalid';
+
+/**
+ * Public representation of an API key (never includes the hash)
+ */
+const formatApiKey = (apiKey) => ({
+    id: apiKey._id,
+    name: apiKey.name,
+    prefix: apiKey.prefix,
+    userId: apiKey.userId,
+    scopes: apiKey.scopes,
+    rateLimitPerMinute: apiKey.rateLimitPerMinute,
+    expiresAt: apiKey.expiresAt,
+    revokedAt: apiKey.revokedAt,
+    lastUsedAt: apiKey.lastUsedAt,
+    createdAt: apiKey.createdAt
+});
+
+/**
+ * Accounts a user manages keys for: themselves and their bots
+ */
+const getManagedAccountIds = async (userId) => {
+    const bots = await User.find({ botOwner: userId, accountType: 'bot' }).select('_id');
+    return [userId, ...bots.map(bot => bot._id)];
+};
+
+/**
+ * List available scopes
+ */
+const listScopesService = () => {
+    return Object.entries(API_KEY_SCOPES).map(([scope, description]) => ({ scope, description }));
+};
+
+/**
+ * Create an API key for the user or one of their bots.
+ * The raw key is returned once and only its hash is stored.
+ */
+const createApiKeyService = async (userId, { name, scopes, botId = null, expiresInDays = null, rateLimitPerMinute = null }) => {
+    try {
+        const owner = await User.findById(userId).select('accountType');
+
+        if (!owner || owner.accountType === 'bot') {
+            throw new AppError('Bot accounts cannot create API keys', 403);
+        }
+
+        let accountId = owner._id;
+
+        if (botId) {
+            const bot = await User.findOne({ _id: botId, botOwner: userId, accountType: 'bot' }).select('_id botDisabledAt');
+
+            if (!bot) {
+                throw new AppError('Bot not found', 404);
+            }
+
+            if (bot.botDisabledAt) {
+                throw new AppError('This bot has been disabled', 400);
+            }
+            accountId = bot._id;
+        }
+
+        const unknownScopes = scopes.filter(scope => !API_KEY_SCOPES[scope]);
+        if (unknownScopes.length > 0) {
+            throw new AppError(`Unknown scopes: ${unknownScopes.join(', ')}`, 400);
+        }
+
+        const activeKeys = await ApiKey.countDocuments({ userId: accountId, revokedAt: null });
+        if (activeKeys >= MAX_KEYS_PER_ACCOUNT) {
+            throw new AppError(`An account can have at most ${MAX_KEYS_PER_ACCOUNT} active API keys`, 400);
+        }
+
+        const prefix = `${API_KEY_PREFIX}_${generateToken(4)}`;
+        const key = `${prefix}_${generateToken(24)}`;
+
+        const apiKey = await ApiKey.create({
+            userId: accountId,
+            createdBy: owner._id,
+            name,
+            prefix,
+            keyHash: hashToken(key),
+            scopes: [...new Set(scopes)],
+            rateLimitPerMinute: rateLimitPerMinute || DEFAULT_RATE_LIMIT_PER_MINUTE,
+            expiresAt: expiresInDays ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000) : null
+        });
+
+        logger.info(`API key ${prefix} created for account ${accountId} by ${userId}`);
+
+        return {
+            key,
+            apiKey: formatApiKey(apiKey)
+        };
+    } catch (error) {
+        throw error;
+    }
+};
+
+/**
+ * List API keys for the user and their bots
+ */
+const listApiKeysService = async (userId) => {
+    try {
+        const accountIds = await getManagedAccountIds(userId);
+        const keys = await ApiKey.find({ userId: { $in: accountIds } }).sort({ createdAt: -1 });
+
+        return keys.map(formatApiKey);
+    } catch (error) {
+        throw error;
+    }
+};
+
+/**
+ * Find a key the user manages
+ */
+const getManagedApiKey = async (userId, keyId) => {
+    if (!mongoose.Types.ObjectId.isValid(keyId)) {
+        throw new AppError('API key not found', 404);
+    }
+
+    const accountIds = await getManagedAccountIds(userId);
+    const apiKey = await ApiKey.findOne({ _id: keyId, userId: { $in: accountIds } });
+
+    if (!apiKey) {
+        throw new AppError('API key not found', 404);
+    }
+
+    return apiKey;
+};
+
+/**
+ * Revoke an API key
+ */
+const revokeApiKeyService = async (userId, keyId) => {
+    try {
+        const apiKey = await getManagedApiKey(userId, keyId);
+
+        if (apiKey.revokedAt) {
+            throw new AppError('API key is already revoked', 400);
+        }
+
+        apiKey.revokedAt = new Date();
+        await apiKey.save();
+
+        logger.info(`API key ${apiKey.prefix} revoked by ${userId}`);
+
+        return { message: 'API key revoked successfully' };
+    } catch (error) {
+        throw error;
+    }
+};
+
+/**
+ * Paginated usage log for a key
+ */
+const getApiKeyUsageService = async (userId, keyId, page = 1, limit = 50) => {
+    try {
+        const apiKey = await getManagedApiKey(userId, keyId);
+        const skip = (page - 1) * limit;
+
+        const [entries, total] = await Promise.all([
+            ApiKeyUsage.find({ apiKeyId: apiKey._id })
+                .select('method path statusCode ipAddress userAgent createdAt')
+                .sort({ createdAt: -1 })
+                .skip(skip)
+                .limit(limit),
+            ApiKeyUsage.countDocuments({ apiKeyId: apiKey._id })
+        ]);
+
+        return {
+            entries,
+            pagination: {
+                currentPage: page,
+                totalPages: Math.ceil(total / limit),
+                totalItems: total,
+                itemsPerPage: limit
+            }
+        };
+    } catch (error) {
+        throw error;
+    }
+};
+
+/**
+ * Record a request made with a key (called when the response finishes)
+ */
+const recordApiKeyUsage = async (apiKey, { method, path, statusCode, ipAddress, userAgent }) => {
+    try {
+        await Promise.all([
+            ApiKeyUsage.create({
+                apiKeyId: apiKey._id,
+                method,
+                path: path.substring(0, 500),
+                statusCode,
+                ipAddress,
+                userAgent: userAgent ? userAgent.substring(0, 500) : null
+            }),
+            ApiKey.updateOne({ _id: apiKey._id }, { lastUsedAt: new Date(), lastUsedIp: ipAddress })
+        ]);
+    } catch (error) {
+        logger.error(`Failed to record API key usage: ${error.message}`);
+    }
+};
+
+/**
+ * Public representation of a bot
+ */
+const formatBot = (bot) => ({
+    id: bot._id,
+    username: bot.username,
+    bio: bot.bio,
+    profilePicture: bot.profilePicture,
+    isActive: bot.isActive && !bot.botDisabledAt,
+    disabledAt: bot.botDisabledAt,
+    createdAt: bot.createdAt
+});
+
+/**
+ * Create a bot account owned by the user
+ */
+const createBotService = async (ownerId, { username, bio = '' }) => {
+    try {
+        const owner = await User.findById(ownerId).select('accountType');
+
+        if (!owner || owner.accountType === 'bot') {
+            throw new AppError('Bot accounts cannot create bots', 403);
+        }
+
+        const botCount = await User.countDocuments({ botOwner: ownerId, accountType: 'bot' });
+        if (botCount >= MAX_BOTS_PER_USER) {
+            throw new AppError(`You can own at most ${MAX_BOTS_PER_USER} bots`, 400);
+        }
+
+        if (!(await isUsernameAvailable(username))) {
+            throw new AppError('Username already taken', 400);
+        }
+
+        const bot = new User({
+            username,
+            bio,
+            accountType: 'bot',
+            botOwner: ownerId,
+            // Bots never log in interactively - unreachable email, unknown password
+            password: await bcrypt.hash(generateToken(32), 12),
+            isVerified: true
+        });
+        bot.email = `bot-${bot._id}@${BOT_EMAIL_DOMAIN}`;
+        await bot.save();
+
+        logger.info(`Bot ${bot.username} created by ${ownerId}`);
+
+        return formatBot(bot);
+    } catch (error) {
+        throw error;
+    }
+};
+
+/**
+ * List the user's bots
+ */
+const listBotsService = async (ownerId) => {
+    try {
+        const bots = await User.find({ botOwner: ownerId, accountType: 'bot' }).sort({ createdAt: -1 });
+        return bots.map(formatBot);
+    } catch (error) {
+        throw error;
+    }
+};
+
+/**
+ * Disable a bot: revoke its keys and mark the account disabled.
+ * This isn't a suspension - staff moderation tools don't see or lift it.
+ */
+const disableBotService = async (ownerId, botId) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(botId)) {
+            throw new AppError('Bot not found', 404);
+        }
+
+        const bot = await User.findOne({ _id: botId, botOwner: ownerId, accountType: 'bot' });
+
+        if (!bot) {
+            throw new AppError('Bot not found', 404);
+        }
+
+        if (bot.botDisabledAt) {
+            throw new AppError('Bot is already disabled', 400);
+        }
+
+        bot.botDisabledAt = new Date();
+        await bot.save();
+
+        await ApiKey.updateMany({ userId: bot._id, revokedAt: null }, { revokedAt: new Date() });
+        await RefreshToken.deleteMany({ userId: bot._id });
+
+        return { message: `${bot.username} has been disabled` };
+    } catch (error) {
+        throw error;
+    }
+};
+
+module.exports = {
+    listScopesService,
+    createApiKeyService,
+    listApiKeysService,
+    revokeApiKeyService,
+    getApiKeyUsageService,
+    recordApiKeyUsage,
+    createBotService,
+    listBotsService,
+    disableBotService
+};
@@ -0,0 +1,126 @@
+const AuditEvent = require('../models/AuditEvent');
+const logger = require('../utils/logger');
+
+/**
+ * Append an event to the audit log.
+ * Never throws - a failed write is logged so it can't break the audited action.
+ */
+const record = async (type, { userId = null, actorId = null, outcome = 'success', metadata = {} } = {}, context = {}) => {
+    try {
+        await AuditEvent.create({
+            type,
+            outcome,
+            userId,
+            actorId,
+            metadata,
+            ipAddress: context.ipAddress || null,
+            userAgent: context.userAgent || null,
+            requestId: context.requestId || null
+        });
+    } catch (error) {
+        logger.error(`Failed to record audit event ${type}: ${error.message}`);
+    }
+};
+
+/**
+ * An event as shown to the user it is about. Staff actions don't reveal
+ * which staff member performed them or from where.
+ */
+const formatUserEvent = (event) => {
+    const byStaff = Boolean(event.actorId) && event.actorId.toString() !== String(event.userId);
+
+    return {
+        id: event._id,
+        type: event.type,
+        outcome: event.outcome,
+        metadata: event.metadata,
+        ipAddress: byStaff ? null : event.ipAddress,
+        userAgent: byStaff ? null : event.userAgent,
+        performedByStaff: byStaff,
+        createdAt: event.createdAt
+    };
+};
+
+/**
+ * Security history of a single user, newest first
+ */
+const listUserEventsService = async (userId, { type, page = 1, limit = 20 } = {}) => {
+    try {
+        const filter = { userId, ...(type && { type }) };
+        const skip = (page - 1) * limit;
+
+        const [events, total] = await Promise.all([
+            AuditEvent.find(filter)
+                .sort({ createdAt: -1 })
+                .skip(skip)
+                .limit(limit)
+                .lean(),
+            AuditEvent.countDocuments(filter)
+        ]);
+
+        return {
+            events: events.map(formatUserEvent),
+            pagination: {
+                currentPage: page,
+                totalPages: Math.ceil(total / limit),
+                totalItems: total,
+                itemsPerPage: limit
+            }
+        };
+    } catch (error) {
+        throw error;
+    }
+};
+
+/**
+ * Query the whole audit log (staff)
+ */
+const queryAuditEventsService = async ({ userId, actorId, type, outcome, ipAddress, requestId, from, to, page = 1, limit = 50 } = {}) => {
+    try {
+        const filter = {};
+
+        if (userId) filter.userId = userId;
+        if (actorId) filter.actorId = actorId;
+        if (type) filter.type = type;
+        if (outcome) filter.outcome = outcome;
+        if (ipAddress) filter.ipAddress = ipAddress;
+        if (requestId) filter.requestId = requestId;
+        if (from || to) {
+            filter.createdAt = {
+                ...(from && { $gte: new Date(from) }),
+                ...(to && { $lte: new Date(to) })
+            };
+        }
+
+        const skip = (page - 1) * limit;
+
+        const [events, total] = await Promise.all([
+            AuditEvent.find(filter)
+                .populate('userId', 'username')
+                .populate('actorId', 'username')
+                .sort({ createdAt: -1 })
+                .skip(skip)
+                .limit(limit)
+                .lean(),
+            AuditEvent.countDocuments(filter)
+        ]);
+
+        return {
+            events,
+            pagination: {
+                currentPage: page,
+                totalPages: Math.ceil(total / limit),
+                totalItems: total,
+                itemsPerPage: limit
+            }
+        };
+    } catch (error) {
+        throw error;
+    }
+};
+
+module.exports = {
+    record,
+    listUserEventsService,
+    queryAuditEventsService
+};
@@ -1,20 +1,55 @@
 require('dotenv').config();
+const crypto = require('crypto');
 const User = require('../models/User');
 const RefreshToken = require('../models/RefreshToken');
+const EmailVerificationToken = require('../models/EmailVerificationToken');
+const PasswordResetToken = require('../models/PasswordResetToken');
+const MagicLinkToken = require('../models/MagicLinkToken');
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
+const { signToken, verifyToken } = require('../config/jwtKeys');
+const mongoose = require('mongoose');
 const { AppError } = require('../utils/errorHandler');
+const { generateToken, hashToken } = require('../utils/secureToken');
+const emailService = require('./emailService');
+const { TWO_FACTOR_FIELDS, verifyTwoFactorCode } = require('./twoFactorService');
+const {
+    assertLoginAllowed,
+    assertUnknownEmailLoginAllowed,
+    recordFailedLogin,
+    recordUnknownEmailFailure,
+    clearFailedLogins
+} = require('./accountLockoutService');
+const { SUSPENSION_FIELDS, assertNotSuspended } = require('./suspensionService');
+const oidcService = require('./oidcService');
+const passkeyService = require('./passkeyService');
+const { cancelScheduledDeletion } = require('./accountDeletionService');
+const { isUsernameAvailable } = require('./usernameService');
+const registrationService = require('./registrationService');
+const auditService = require('./auditService');
+const { AUDIT_EVENTS } = require('../config/auditEvents');
+const logger = require('../utils/logger');
+const { disconnectUserSockets, disconnectSessionSockets } = require('../config/socket');
 
+// Shared secrets only verify tokens issued before asymmetric signing (see config/jwtKeys)
 const JWT_SECRET = process.env.JWT_SECRET_KEY;
 const JWT_REFRESH_SECRET = process.env.JWT_REFRESH_SECRET_KEY;
 const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '7d';
 const JWT_REFRESH_EXPIRES_IN = process.env.JWT_REFRESH_EXPIRES_IN || '7d';
+const MFA_TOKEN_EXPIRES_IN = '5m';
+const REFRESH_TOKEN_TTL_MS = 7 * 24 * 60 * 60 * 1000; // 7 days
+// Concurrent refreshes (e.g. two tabs) within this window are rejected without revoking the family
+const REFRESH_TOKEN_REUSE_GRACE_MS = (parseInt(process.env.REFRESH_TOKEN_REUSE_GRACE_SECONDS) || 10) * 1000;
+const EMAIL_VERIFICATION_EXPIRES_HOURS = parseInt(process.env.EMAIL_VERIFICATION_EXPIRES_HOURS) || 24;
+const EMAIL_VERIFICATION_RESEND_INTERVAL_MS = 60 * 1000; // 1 minute between resends
+const PASSWORD_RESET_EXPIRES_MINUTES = parseInt(process.env.PASSWORD_RESET_EXPIRES_MINUTES) || 30;
+const MAGIC_LINK_EXPIRES_MINUTES = parseInt(process.env.MAGIC_LINK_EXPIRES_MINUTES) || 15;
+const MAGIC_LINK_REQUEST_INTERVAL_MS = 60 * 1000; // 1 minute between links per account
 
 /**
- * Generate access token
+ * Generate access token (sid ties it to a login session)
  */
-const generateAccessToken = (userId) => {
-    return jwt.sign({ id: userId, type: 'access' }, JWT_SECRET, { 
+const generateAccessToken = (userId, sessionId) => {
+    return signToken({ id: userId, type: 'access', sid: sessionId }, { 
         expiresIn: JWT_EXPIRES_IN 
     });
 };
@@ -22,19 +57,126 @@ const generateAccessToken = (userId) => {
 /**
  * Generate refresh token
  */
-const generateRefreshToken = (userId) => {
-    return jwt.sign({ id: userId, type: 'refresh' }, JWT_REFRESH_SECRET, { 
-        expiresIn: JWT_REFRESH_EXPIRES_IN 
+const generateRefreshToken = (userId, sessionId) => {
+    return signToken({ id: userId, type: 'refresh', sid: sessionId }, { 
+        expiresIn: JWT_REFRESH_EXPIRES_IN,
+        jwtid: generateToken(16) // Keeps tokens unique even when issued in the same second
     });
 };
 
+/**
+ * Generate short-lived "mfa pending" token (password verified, second factor outstanding)
+ */
+const generateMfaToken = (userId) => {
+    return signToken({ id: userId, type: 'mfa_pending' }, { 
+        expiresIn: MFA_TOKEN_EXPIRES_IN 
+    });
+};
+
+/**
+ * Public user fields returned with a token pair
+ */
+const formatAuthUser = (user) => ({
+    id: user._id,
+    username: user.username,
+    email: user.email,
+    isVerified: user.isVerified
+});
+
+/**
+ * Start a new login session
+ * Stores the refresh token with device metadata and returns the token pair.
+ * Logging in cancels a scheduled account deletion.
+ */
+const createSession = async (userId, context = {}) => {
+    await cancelScheduledDeletion(userId);
+
+    const sessionId = crypto.randomUUID();
+    const accessToken = generateAccessToken(userId, sessionId);
+    const refreshToken = generateRefreshToken(userId, sessionId);
+
+    await RefreshToken.create({
+        userId,
+        token: refreshToken,
+        sessionId,
+        expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_MS),
+        deviceName: context.deviceName,
+        ipAddress: context.ipAddress,
+        userAgent: context.userAgent
+    });
+
+    return { accessToken, refreshToken, sessionId };
+};
+
+/**
+ * Throw a 403 if the account can't sign in: a bot disabled by its owner, or a suspension
+ */
+const assertCanSignIn = async (user) => {
+    if (user.botDisabledAt) {
+        throw new AppError('This bot has been disabled', 403);
+    }
+
+    await assertNotSuspended(user);
+};
+
+/**
+ * Audit a successful login
+ */
+const recordLogin = (userId, method, context, metadata = {}) => auditService.record(
+    AUDIT_EVENTS.LOGIN_SUCCESS,
+    { userId, metadata: { method, ...metadata } },
+    context
+);
+
+/**
+ * Audit a failed login. The email is only kept when it matched no account.
+ */
+const recordLoginFailure = (method, error, context, { user = null, email = null } = {}) => auditService.record(
+    AUDIT_EVENTS.LOGIN_FAILURE,
+    {
+        userId: user ? user._id : null,
+        outcome: 'failure',
+        metadata: { method, reason: error.message, ...(!user && email && { email: email.toLowerCase() }) }
+    },
+    context
+);
+
+/**
+ * Wait until the second after a password change. Tokens from the second of the change
+ * are rejected (see User#changedPasswordAfter), so tokens issued from then on stay valid.
+ */
+const waitForNextSecond = (changedAt) => new Promise((resolve) => {
+    setTimeout(resolve, 1000 - (changedAt.getTime() % 1000));
+});
+
+/**
+ * Create a verification token for a user and email it
+ * Previous tokens are invalidated so only the latest link works
+ */
+const sendVerificationToken = async (user) => {
+    const token = generateToken();
+
+    await EmailVerificationToken.deleteMany({ userId: user._id });
+    await EmailVerificationToken.create({
+        userId: user._id,
+        tokenHash: hashToken(token),
+        expiresAt: new Date(Date.now() + EMAIL_VERIFICATION_EXPIRES_HOURS * 60 * 60 * 1000)
+    });
+
+    await emailService.sendVerificationEmail(user, token, EMAIL_VERIFICATION_EXPIRES_HOURS);
+};
+
 /**
  * Register a new user
  */
 const registerService = async (userData) => {
-    const { username, email, password } = userData;
+    const { username, email, password, inviteCode } = userData;
     
     try {
+        // Registration mode (closed / email allowlist / invite only)
+        registrationService.assertRegistrationOpen(email);
+        const invite = await registrationService.findUsableInviteCode(inviteCode);
+
         // Check if user already exists
         const existingUser = await User.findOne({ 
             $or: [{ username }, { email }] 
@@ -49,6 +191,11 @@ const registerService = async (userData) => {
             }
         }
 
+        // Usernames given up by other accounts are on hold for a while
+        if (!(await isUsernameAvailable(username))) {
+            throw new AppError('Username already taken', 400);
+        }
+
         // Validate password strength
         if (password.length < 8) {
             throw new AppError('Password must be at least 8 characters long', 400);
@@ -56,18 +203,38 @@ const registerService = async (userData) => {
 
         // Hash password
         const hashedPassword = await bcrypt.hash(password, 12);
+
+        if (invite) {
+            await registrationService.redeemInviteCode(invite);
+        }
         
         // Create new user
         const newUser = new User({
             username,
             email: email.toLowerCase(),
             password: hashedPassword,
+            invitedBy: invite ? invite.createdBy : null,
+            inviteCode: invite ? invite._id : null
         });
         
-        await newUser.save();
+        try {
+            await newUser.save();
+        } catch (saveError) {
+            if (invite) {
+                await registrationService.releaseInviteCode(invite);
+            }
+            throw saveError;
+        }
+
+        // Send verification email (registration still succeeds if mail delivery fails)
+        try {
+            await sendVerificationToken(newUser);
+        } catch (mailError) {
+            logger.error(`Failed to send verification email to ${newUser.email}: ${mailError.message}`);
+        }
         
         return { 
-            message: 'User registered successfully',
+            message: 'User registered successfully. Please check your email to verify your account',
             userId: newUser._id,
             username: newUser.username,
             email: newUser.email
@@ -80,60 +247,361 @@ const registerService = async (userData) => {
 /**
  * Login user
  */
-const loginService = async (credentials) => {
+const loginService = async (credentials, context = {}) => {
     const { email, password } = credentials;
+    let user = null;
     
     try {
         // Find user by email
-        const user = await User.findOne({ email: email.toLowerCase() }).select('+password');
+        user = await User.findOne({ email: email.toLowerCase() }).select('+password');
         
         if (!user) {
+            // Unknown emails get the same backoff and lockout, so responses don't reveal registered accounts
+            await assertUnknownEmailLoginAllowed(email);
+            await recordUnknownEmailFailure(email);
             throw new AppError('Invalid email or password', 401);
         }
+
+        // Per-account backoff / lockout (independent of the IP rate limiter)
+        await assertLoginAllowed(user._id);
         
         // Verify password
         const isPasswordValid = await bcrypt.compare(password, user.password);
         
         if (!isPasswordValid) {
+            await recordFailedLogin(user);
             throw new AppError('Invalid email or password', 401);
         }
+
+        await assertCanSignIn(user);
+
+        // Second factor required - exchange the mfa token at POST /api/auth/login/2fa
+        if (user.twoFactorEnabled) {
+            return {
+                mfaRequired: true,
+                mfaToken: generateMfaToken(user._id)
+            };
+        }
         
-        // Generate tokens
-        const accessToken = generateAccessToken(user._id);
-        const refreshToken = generateRefreshToken(user._id);
-        
-        // Store refresh token in database
-        await RefreshToken.create({
-            userId: user._id,
-            token: refreshToken,
-            expiresAt: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000) // 7 days
-        });
+        await clearFailedLogins(user._id);
+
+        // Generate tokens and store the session
+        const { accessToken, refreshToken } = await createSession(user._id, context);
         
         // Update last login
         user.lastLogin = Date.now();
         await user.save();
+
+        await recordLogin(user._id, 'password', context);
         
         return { 
             accessToken,
             refreshToken,
-            user: {
-                id: user._id,
-                username: user.username,
-                email: user.email
-            }
+            user: formatAuthUser(user)
         };
     } catch (error) {
+        await recordLoginFailure('password', error, context, { user, email });
         throw error;
     }
 };
 
+/**
+ * Complete login with a TOTP or recovery code
+ */
+const loginWithTwoFactorService = async (mfaToken, code, context = {}) => {
+    let user = null;
+
+    try {
+        const decoded = verifyToken(mfaToken, { legacySecret: JWT_SECRET });
+
+        if (decoded.type !== 'mfa_pending') {
+            throw new AppError('Invalid token type', 401);
+        }
+
+        user = await User.findById(decoded.id).select(TWO_FACTOR_FIELDS);
+
+        if (!user || !user.twoFactorEnabled) {
+            throw new AppError('Invalid or expired two-factor session', 401);
+        }
+
+        await assertLoginAllowed(user._id);
+
+        const verified = await verifyTwoFactorCode(user, code);
+
+        if (!verified) {
+            await recordFailedLogin(user);
+            throw new AppError('Invalid verification code', 401);
+        }
+
+        await assertCanSignIn(user);
+
+        await clearFailedLogins(user._id);
+
+        const { accessToken, refreshToken } = await createSession(user._id, context);
+
+        user.lastLogin = Date.now();
+        await user.save();
+
+        await recordLogin(user._id, 'two_factor', context, { factor: verified.method });
+
+        return {
+            accessToken,
+            refreshToken,
+            user: formatAuthUser(user),
+            ...(verified.method === 'recovery_code' && {
+                remainingRecoveryCodes: verified.remainingRecoveryCodes
+            })
+        };
+    } catch (error) {
+        const failure = error.name === 'JsonWebTokenError' || error.name === 'TokenExpiredError'
+            ? new AppError('Invalid or expired two-factor session', 401)
+            : error;
+
+        await recordLoginFailure('two_factor', failure, context, { user });
+        throw failure;
+    }
+};
+
+/**
+ * Complete an OIDC login (authorization code + PKCE) and issue our own token pair.
+ * Link flows (/oidc/:provider/link) are finished on /oidc/link/callback instead.
+ */
+const oidcLoginService = async (state, code, context = {}) => {
+    let user = null;
+
+    try {
+        const { provider, claims } = await oidcService.completeAuthorizationService(state, code);
+
+        const provisioned = await oidcService.findOrProvisionUser(provider, claims);
+        user = provisioned.user;
+        const { isNewUser } = provisioned;
+
+        await assertCanSignIn(user);
+
+        // The provider vouches for the first factor only
+        if (user.twoFactorEnabled) {
+            return {
+                mfaRequired: true,
+                mfaToken: generateMfaToken(user._id)
+            };
+        }
+
+        const { accessToken, refreshToken } = await createSession(user._id, context);
+
+        user.lastLogin = Date.now();
+        await user.save();
+
+        await recordLogin(user._id, 'oidc', context, { provider, isNewUser });
+
+        return {
+            accessToken,
+            refreshToken,
+            user: formatAuthUser(user),
+            isNewUser
+        };
+    } catch (error) {
+        await recordLoginFailure('oidc', error, context, { user });
+        throw error;
+    }
+};
+
+/**
+ * Log in with a passkey assertion
+ * A user-verified passkey (PIN/biometric) combines possession with user verification,
+ * so TOTP isn't asked for. A touch-only assertion is just possession - users with
+ * two-factor enabled still have to enter their code.
+ */
+const passkeyLoginService = async (credential, context = {}) => {
+    let user = null;
+
+    try {
+        const verified = await passkeyService.verifyAuthenticationService(credential);
+        user = verified.user;
+
+        await assertCanSignIn(user);
+
+        if (user.twoFactorEnabled && !verified.userVerified) {
+            return {
+                mfaRequired: true,
+                mfaToken: generateMfaToken(user._id)
+            };
+        }
+
+        await clearFailedLogins(user._id);
+
+        const { accessToken, refreshToken } = await createSession(user._id, context);
+
+        user.lastLogin = Date.now();
+        await user.save();
+
+        await recordLogin(user._id, 'passkey', context);
+
+        return {
+            accessToken,
+            refreshToken,
+            user: formatAuthUser(user)
+        };
+    } catch (error) {
+        await recordLoginFailure('passkey', error, context, { user });
+        throw error;
+    }
+};
+
+/**
+ * Request a magic login link
+ * Returns a device token the client must keep and send back with the emailed token,
+ * so the link only works on the device that asked for it. The response looks the same
+ * whether or not the account exists.
+ */
+const requestMagicLinkService = async (email, context = {}) => {
+    const deviceToken = generateToken();
+    const response = {
+        message: 'If an account exists for this email, a login link has been sent',
+        deviceToken,
+        expiresInMinutes: MAGIC_LINK_EXPIRES_MINUTES
+    };
+
+    try {
+        const user = await User.findOne({ email: email.toLowerCase() });
+
+        if (!user) {
+            return response;
+        }
+
+        // Throttle links per account
+        const recentToken = await MagicLinkToken.findOne({
+            userId: user._id,
+            createdAt: { $gt: new Date(Date.now() - MAGIC_LINK_REQUEST_INTERVAL_MS) }
+        });
+
+        if (recentToken) {
+            return response;
+        }
+
+        const token = generateToken();
+
+        // Only the most recent link stays valid
+        await MagicLinkToken.deleteMany({ userId: user._id });
+        await MagicLinkToken.create({
+            userId: user._id,
+            tokenHash: hashToken(token),
+            deviceTokenHash: hashToken(deviceToken),
+            expiresAt: new Date(Date.now() + MAGIC_LINK_EXPIRES_MINUTES * 60 * 1000),
+            requestedIp: context.ipAddress || null,
+            requestedDevice: context.deviceName || null
+        });
+
+        // A delivery failure must look like any other request, or it would reveal the account exists
+        try {
+            await emailService.sendMagicLinkEmail(user, token, MAGIC_LINK_EXPIRES_MINUTES, context.deviceName);
+        } catch (mailError) {
+            logger.error(`Failed to send magic link email to user ${user._id}: ${mailError.message}`);
+        }
+
+        return response;
+    } catch (error) {
+        throw error;
+    }
+};
+
+/**
+ * Log in with a magic link (emailed token + device token from the request step)
+ */
+const consumeMagicLinkService = async (token, deviceToken, context = {}) => {
+    let user = null;
+
+    try {
+        // Atomically mark the link as used so it can't be replayed
+        const storedToken = await MagicLinkToken.findOneAndUpdate(
+            {
+                tokenHash: hashToken(token),
+                deviceTokenHash: hashToken(deviceToken),
+                usedAt: null,
+                expiresAt: { $gt: Date.now() }
+            },
+            { usedAt: new Date() },
+            { new: true }
+        );
+
+        if (!storedToken) {
+            throw new AppError('Invalid or expired login link. Make sure you open it on the device that requested it', 400);
+        }
+
+        user = await User.findById(storedToken.userId);
+
+        if (!user) {
+            throw new AppError('Invalid or expired login link', 400);
+        }
+
+        await assertCanSignIn(user);
+
+        // Opening the emailed link proves ownership of the address
+        if (!user.isVerified) {
+            user.isVerified = true;
+            await EmailVerificationToken.deleteMany({ userId: user._id });
+        }
+
+        if (user.twoFactorEnabled) {
+            await user.save();
+
+            return {
+                mfaRequired: true,
+                mfaToken: generateMfaToken(user._id)
+            };
+        }
+
+        const { accessToken, refreshToken } = await createSession(user._id, context);
+
+        user.lastLogin = Date.now();
+        await user.save();
+
+        await recordLogin(user._id, 'magic_link', context);
+
+        return {
+            accessToken,
+            refreshToken,
+            user: formatAuthUser(user)
+        };
+    } catch (error) {
+        await recordLoginFailure('magic_link', error, context, { user });
+        throw error;
+    }
+};
+
+/**
+ * Revoke a whole token family after a rotated refresh token was presented again
+ */
+const handleRefreshTokenReuse = async (storedToken, context = {}) => {
+    const sessionId = storedToken.sessionId;
+
+    logger.warn('🚨 Security: refresh token reuse detected - revoking token family', {
+        event: 'refresh_token_reuse',
+        userId: storedToken.userId.toString(),
+        sessionId,
+        rotatedAt: storedToken.rotatedAt,
+        ipAddress: context.ipAddress,
+        userAgent: context.userAgent
+    });
+
+    await RefreshToken.revokeFamily(sessionId);
+    await disconnectSessionSockets(sessionId, 'token_reuse_detected');
+
+    await auditService.record(AUDIT_EVENTS.TOKEN_REUSE, {
+        userId: storedToken.userId,
+        outcome: 'failure',
+        metadata: { sessionId, rotatedAt: storedToken.rotatedAt }
+    }, context);
+};
+
 /**
  * Refresh access token
+ * Rotates the refresh token within its family (session). Presenting a token that was
+ * already rotated means it was copied, so the whole family is revoked.
  */
-const refreshTokenService = async (token) => {
+const refreshTokenService = async (token, context = {}) => {
     try {
         // Verify refresh token
-        const decoded = jwt.verify(token, JWT_REFRESH_SECRET);
+        const decoded = verifyToken(token, { legacySecret: JWT_REFRESH_SECRET });
         
         if (decoded.type !== 'refresh') {
             throw new AppError('Invalid token type', 401);
@@ -149,18 +617,55 @@ const refreshTokenService = async (token) => {
         if (!storedToken) {
             throw new AppError('Invalid or expired refresh token', 401);
         }
+
+        // Suspended accounts and disabled bots can't extend their sessions
+        const user = await User.findById(decoded.id).select(`${SUSPENSION_FIELDS} botDisabledAt`);
+
+        if (!user) {
+            throw new AppError('Invalid or expired refresh token', 401);
+        }
+
+        await assertCanSignIn(user);
+
+        // Older tokens may predate session ids - start a family for them
+        const sessionId = storedToken.sessionId || crypto.randomUUID();
+
+        // Mark the token as rotated atomically, so it can only be exchanged once
+        const rotatedToken = await RefreshToken.findOneAndUpdate(
+            { _id: storedToken._id, rotatedAt: null },
+            { rotatedAt: new Date(), sessionId },
+            { new: true }
+        );
+
+        if (!rotatedToken) {
+            const reusedToken = await RefreshToken.findById(storedToken._id);
+            const withinGrace = reusedToken && reusedToken.rotatedAt
+                && Date.now() - reusedToken.rotatedAt.getTime() < REFRESH_TOKEN_REUSE_GRACE_MS;
+
+            if (reusedToken && !withinGrace) {
+                await handleRefreshTokenReuse(reusedToken, context);
+            }
+            throw new AppError('Invalid or expired refresh token', 401);
+        }
         
-        // Generate new tokens
-        const newAccessToken = generateAccessToken(decoded.id);
-        const newRefreshToken = generateRefreshToken(decoded.id);
+        // Generate new tokens for the same session
+        const newAccessToken = generateAccessToken(decoded.id, sessionId);
+        const newRefreshToken = generateRefreshToken(decoded.id, sessionId);
         
-        // Delete old refresh token and store new one
-        await RefreshToken.deleteOne({ token });
+        // Store the next token of the family, carrying the session metadata over
         await RefreshToken.create({
             userId: decoded.id,
             token: newRefreshToken,
-            expiresAt: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000)
+            sessionId,
+            expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_MS),
+            deviceName: storedToken.deviceName,
+            ipAddress: context.ipAddress || storedToken.ipAddress,
+            userAgent: context.userAgent || storedToken.userAgent,
+            lastUsedAt: new Date(),
+            sessionStartedAt: storedToken.sessionStartedAt || storedToken.createdAt
         });
+
+        await auditService.record(AUDIT_EVENTS.TOKEN_REFRESH, { userId: decoded.id, metadata: { sessionId } }, context);
         
         return {
             accessToken: newAccessToken,
@@ -177,15 +682,23 @@ const refreshTokenService = async (token) => {
 /**
  * Logout user
  */
-const logoutService = async (userId, refreshToken) => {
+const logoutService = async (userId, refreshToken, context = {}) => {
     try {
-        // Delete refresh token from database
+        // Revoke the session (token family) the refresh token belongs to
         if (refreshToken) {
-            await RefreshToken.deleteOne({ userId, token: refreshToken });
+            const storedToken = await RefreshToken.findOne({ userId, token: refreshToken });
+
+            if (storedToken && storedToken.sessionId) {
+                await RefreshToken.revokeFamily(storedToken.sessionId);
+            } else {
+                await RefreshToken.deleteOne({ userId, token: refreshToken });
+            }
         } else {
             // Delete all refresh tokens for user (logout from all devices)
             await RefreshToken.deleteMany({ userId });
         }
+
+        await auditService.record(AUDIT_EVENTS.LOGOUT, { userId, metadata: { allSessions: !refreshToken } }, context);
         
         return { message: 'Logout successful' };
     } catch (error) {
@@ -193,10 +706,319 @@ const logoutService = async (userId, refreshToken) => {
     }
 };
 
+/**
+ * Verify email address using the token from the verification email
+ */
+const verifyEmailService = async (token) => {
+    try {
+        const storedToken = await EmailVerificationToken.findOne({
+            tokenHash: hashToken(token),
+            expiresAt: { $gt: Date.now() }
+        });
+
+        if (!storedToken) {
+            throw new AppError('Invalid or expired verification link', 400);
+        }
+
+        const user = await User.findById(storedToken.userId);
+
+        if (!user) {
+            await EmailVerificationToken.deleteMany({ userId: storedToken.userId });
+            throw new AppError('User not found', 404);
+        }
+
+        user.isVerified = true;
+        await user.save();
+
+        // Tokens are single-use
+        await EmailVerificationToken.deleteMany({ userId: user._id });
+
+        return { message: 'Email verified successfully', userId: user._id };
+    } catch (error) {
+        throw error;
+    }
+};
+
+/**
+ * Resend verification email
+ * Always resolves with the same message so the endpoint can't be used to discover accounts
+ */
+const resendVerificationService = async (email) => {
+    const response = { message: 'If an unverified account exists for this email, a new verification link has been sent' };
+
+    try {
+        const user = await User.findOne({ email: email.toLowerCase() });
+
+        if (!user || user.isVerified) {
+            return response;
+        }
+
+        // Throttle resends per account
+        const recentToken = await EmailVerificationToken.findOne({
+            userId: user._id,
+            createdAt: { $gt: new Date(Date.now() - EMAIL_VERIFICATION_RESEND_INTERVAL_MS) }
+        });
+
+        if (recentToken) {
+            return response;
+        }
+
+        await sendVerificationToken(user);
+
+        return response;
+    } catch (error) {
+        throw error;
+    }
+};
+
+/**
+ * Start password reset - emails a single-use reset link
+ * Always resolves with the same message so the endpoint can't be used to discover accounts
+ */
+const forgotPasswordService = async (email, requestedIp = null) => {
+    const response = { message: 'If an account exists for this email, a password reset link has been sent' };
+
+    try {
+        const user = await User.findOne({ email: email.toLowerCase() });
+
+        if (!user) {
+            return response;
+        }
+
+        const token = generateToken();
+
+        // Only the most recent link stays valid
+        await PasswordResetToken.deleteMany({ userId: user._id });
+        await PasswordResetToken.create({
+            userId: user._id,
+            tokenHash: hashToken(token),
+            expiresAt: new Date(Date.now() + PASSWORD_RESET_EXPIRES_MINUTES * 60 * 1000),
+            requestedIp
+        });
+
+        // A delivery failure must look like any other request, or it would reveal the account exists
+        try {
+            await emailService.sendPasswordResetEmail(user, token, PASSWORD_RESET_EXPIRES_MINUTES);
+        } catch (mailError) {
+            logger.error(`Failed to send password reset email to user ${user._id}: ${mailError.message}`);
+        }
+
+        return response;
+    } catch (error) {
+        throw error;
+    }
+};
+
+/**
+ * Reset password using a reset token
+ * Revokes every refresh token and disconnects live sockets
+ */
+const resetPasswordService = async (token, newPassword, context = {}) => {
+    try {
+        // Atomically mark the token as used so it can't be replayed
+        const storedToken = await PasswordResetToken.findOneAndUpdate(
+            {
+                tokenHash: hashToken(token),
+                usedAt: null,
+                expiresAt: { $gt: Date.now() }
+            },
+            { usedAt: new Date() },
+            { new: true }
+        );
+
+        if (!storedToken) {
+            throw new AppError('Invalid or expired password reset link', 400);
+        }
+
+        const user = await User.findById(storedToken.userId);
+
+        if (!user) {
+            throw new AppError('User not found', 404);
+        }
+
+        user.password = await bcrypt.hash(newPassword, 12);
+        user.passwordChangedAt = new Date();
+        // The reset link was delivered to this address, so it is verified
+        user.isVerified = true;
+        await user.save();
+        await waitForNextSecond(user.passwordChangedAt);
+
+        await PasswordResetToken.deleteMany({ userId: user._id });
+
+        // Resetting the password is the self-service unlock path
+        await clearFailedLogins(user._id);
+
+        // Log out everywhere
+        await RefreshToken.deleteMany({ userId: user._id });
+        await disconnectUserSockets(user._id, 'password_reset');
+
+        await auditService.record(AUDIT_EVENTS.PASSWORD_RESET, { userId: user._id }, context);
+
+        return { message: 'Password has been reset successfully. Please log in with your new password', userId: user._id };
+    } catch (error) {
+        throw error;
+    }
+};
+
+/**
+ * List active sessions (devices) for a user
+ */
+const listSessionsService = async (userId, currentSessionId) => {
+    try {
+        const tokens = await RefreshToken.find({
+            userId,
+            rotatedAt: null,
+            expiresAt: { $gt: Date.now() }
+        }).sort({ lastUsedAt: -1 });
+
+        return tokens.map((token) => {
+            const id = token.sessionId || token._id.toString();
+            return {
+                id,
+                deviceName: token.deviceName,
+                ipAddress: token.ipAddress,
+                userAgent: token.userAgent,
+                createdAt: token.sessionStartedAt || token.createdAt,
+                lastUsedAt: token.lastUsedAt || token.createdAt,
+                expiresAt: token.expiresAt,
+                isCurrent: Boolean(currentSessionId) && id === currentSessionId
+            };
+        });
+    } catch (error) {
+        throw error;
+    }
+};
+
+/**
+ * Revoke a single session and kick its socket connections
+ */
+const revokeSessionService = async (userId, sessionId) => {
+    try {
+        const result = await RefreshToken.deleteMany({
+            userId,
+            $or: [
+                { sessionId },
+                // Sessions created before session ids existed are addressed by token id
+                ...(mongoose.isValidObjectId(sessionId) ? [{ _id: sessionId }] : [])
+            ]
+        });
+
+        if (result.deletedCount === 0) {
+            throw new AppError('Session not found', 404);
+        }
+
+        await disconnectSessionSockets(sessionId, 'session_revoked');
+
+        return { message: 'Session revoked successfully' };
+    } catch (error) {
+        throw error;
+    }
+};
+
+/**
+ * Revoke every session except the current one (or all sessions if none is given)
+ */
+const revokeOtherSessionsService = async (userId, currentSessionId = null) => {
+    try {
+        const filter = {
+            userId,
+            ...(currentSessionId && { sessionId: { $ne: currentSessionId } })
+        };
+
+        const sessionIds = await RefreshToken.distinct('sessionId', filter);
+        const result = await RefreshToken.deleteMany(filter);
+
+        if (currentSessionId) {
+            await Promise.all(
+                sessionIds.filter(Boolean).map((id) => disconnectSessionSockets(id, 'session_revoked'))
+            );
+        } else {
+            await disconnectUserSockets(userId, 'session_revoked');
+        }
+
+        return {
+            message: currentSessionId ? 'All other sessions revoked' : 'All sessions revoked',
+            revokedCount: result.deletedCount
+        };
+    } catch (error) {
+        throw error;
+    }
+};
+
+/**
+ * Change password for an authenticated user
+ * Keeps the current session and revokes all others
+ */
+const changePasswordService = async (userId, currentPassword, newPassword, currentSessionId, context = {}) => {
+    try {
+        const user = await User.findById(userId).select('+password');
+
+        if (!user) {
+            throw new AppError('User not found', 404);
+        }
+
+        const isPasswordValid = await bcrypt.compare(currentPassword, user.password);
+
+        if (!isPasswordValid) {
+            await auditService.record(AUDIT_EVENTS.PASSWORD_CHANGE, {
+                userId,
+                outcome: 'failure',
+                metadata: { reason: 'Current password is incorrect' }
+            }, context);
+            throw new AppError('Current password is incorrect', 400);
+        }
+
+        user.password = await bcrypt.hash(newPassword, 12);
+        user.passwordChangedAt = new Date();
+        await user.save();
+        await waitForNextSecond(user.passwordChangedAt);
+
+        // Keep the current session, revoke every other one
+        const keptSession = currentSessionId
+            ? await RefreshToken.exists({ userId, sessionId: currentSessionId, rotatedAt: null, expiresAt: { $gt: Date.now() } })
+            : null;
+
+        await revokeOtherSessionsService(userId, keptSession ? currentSessionId : null);
+
+        await auditService.record(AUDIT_EVENTS.PASSWORD_CHANGE, { userId }, context);
+
+        // Access tokens issued before the change are now rejected, so hand out a fresh one
+        if (keptSession) {
+            return {
+                message: 'Password changed successfully',
+                accessToken: generateAccessToken(user._id, currentSessionId),
+                refreshToken: null // Current refresh token stays valid
+            };
+        }
+
+        const session = await createSession(user._id, context);
+
+        return {
+            message: 'Password changed successfully',
+            accessToken: session.accessToken,
+            refreshToken: session.refreshToken
+        };
+    } catch (error) {
+        throw error;
+    }
+};
 
 module.exports = {
     registerService,
     loginService,
+    loginWithTwoFactorService,
+    oidcLoginService,
+    passkeyLoginService,
+    requestMagicLinkService,
+    consumeMagicLinkService,
     refreshTokenService,
     logoutService,
+    verifyEmailService,
+    resendVerificationService,
+    forgotPasswordService,
+    resetPasswordService,
+    changePasswordService,
+    listSessionsService,
+    revokeSessionService,
+    revokeOtherSessionsService,
 };
\ No newline at end of file
@@ -0,0 +1,560 @@
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const mongoose = require('mongoose');
+const archiver = require('archiver');
+const axios = require('axios');
+const User = require('../models/User');
+const Message = require('../models/Message');
+const FriendRequest = require('../models/FriendRequest');
+const ExportJob = require('../models/ExportJob');
+const { AppError } = require('../utils/errorHandler');
+const logger = require('../utils/logger');
+
+const EXPORT_DIR = path.resolve(process.env.EXPORT_DIR || './exports');
+const UPLOADS_DIR = path.resolve('./uploads');
+const EXPORT_EXPIRES_HOURS = parseInt(process.env.DATA_EXPORT_EXPIRES_HOURS) || 48;
+const EXPORT_COOLDOWN_HOURS = parseInt(process.env.DATA_EXPORT_COOLDOWN_HOURS) || 24;
+// A job still "processing" after this long was interrupted (e.g. by a restart)
+const STALE_JOB_MINUTES = 60;
+const REMOTE_MEDIA_TIMEOUT_MS = 30 * 1000;
+const REMOTE_MEDIA_MAX_BYTES = 100 * 1024 * 1024; // Largest upload we accept
+// Remote media is only downloaded from our own storage - other URLs (e.g. a profile
+// picture from an identity provider) could point anywhere, including internal hosts
+const REMOTE_MEDIA_HOSTS = ['res.cloudinary.com'];
+
+/**
+ * Public representation of an export job
+ */
+const formatExportJob = (job) => ({
+    id: job._id,
+    status: job.status,
+    summary: job.status === 'completed' ? job.summary : undefined,
+    fileSize: job.fileSize,
+    error: job.error,
+    createdAt: job.createdAt,
+    completedAt: job.completedAt,
+    expiresAt: job.expiresAt,
+    downloadUrl: job.status === 'completed' ? `/api/user/export/${job._id}?download=true` : null
+});
+
+/**
+ * Escape text for the HTML transcript
+ */
+const escapeHtml = (value) => String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+/**
+ * Path of a job's ZIP file
+ */
+const getExportFilePath = (fileName) => path.join(EXPORT_DIR, fileName);
+
+/**
+ * Remove ZIP files older than the download window (their jobs have expired)
+ */
+const cleanupExpiredExportFiles = async () => {
+    try {
+        const cutoff = Date.now() - EXPORT_EXPIRES_HOURS * 60 * 60 * 1000;
+        const files = await fs.promises.readdir(EXPORT_DIR).catch(() => []);
+
+        for (const file of files) {
+            const filePath = getExportFilePath(file);
+            const stats = await fs.promises.stat(filePath);
+
+            if (stats.mtimeMs < cutoff) {
+                await fs.promises.unlink(filePath);
+            }
+        }
+    } catch (error) {
+        logger.error(`Failed to clean up expired exports: ${error.message}`);
+    }
+};
+
+/**
+ * Collect profile, friends, friend requests and messages for a user
+ */
+const collectUserData = async (userId) => {
+    const user = await User.findById(userId).populate('friends', 'username profilePicture');
+
+    if (!user) {
+        throw new AppError('User not found', 404);
+    }
+
+    const [friendRequests, messages] = await Promise.all([
+        FriendRequest.find({ $or: [{ sender: userId }, { receiver: userId }] })
+            .populate('sender', 'username')
+            .populate('receiver', 'username')
+            .sort({ createdAt: 1 })
+            .lean(),
+        Message.find({ $or: [{ sender: userId }, { receiver: userId }] })
+            .populate('sender', 'username')
+            .populate('receiver', 'username')
+            .sort({ createdAt: 1 })
+            .lean()
+    ]);
+
+    const profile = {
+        id: user._id,
+        username: user.username,
+        email: user.email,
+        bio: user.bio,
+        profilePicture: user.profilePicture || null,
+        role: user.role,
+        accountType: user.accountType,
+        isVerified: user.isVerified,
+        twoFactorEnabled: user.twoFactorEnabled,
+        lastLogin: user.lastLogin,
+        lastSeen: user.lastSeen,
+        createdAt: user.createdAt,
+        updatedAt: user.updatedAt
+    };
+
+    const friends = user.friends.map((friend) => ({
+        id: friend._id,
+        username: friend.username
+    }));
+
+    const formattedRequests = friendRequests.map((request) => ({
+        id: request._id,
+        direction: request.sender && request.sender._id.toString() === userId.toString() ? 'sent' : 'received',
+        sender: request.sender ? request.sender.username : null,
+        receiver: request.receiver ? request.receiver.username : null,
+        status: request.status,
+        createdAt: request.createdAt,
+        updatedAt: request.updatedAt
+    }));
+
+    const formattedMessages = messages.map((message) => ({
+        id: message._id,
+        conversationId: message.conversationId,
+        direction: message.sender && message.sender._id.toString() === userId.toString() ? 'sent' : 'received',
+        sender: message.sender ? message.sender.username : null,
+        receiver: message.receiver ? message.receiver.username : null,
+        messageType: message.messageType,
+        content: message.content || null,
+        fileUrl: message.fileUrl || null,
+        fileName: message.fileName || null,
+        fileSize: message.fileSize || null,
+        mimeType: message.mimeType || null,
+        linkMetadata: message.linkMetadata || null,
+        replyTo: message.replyTo || null,
+        editedAt: message.editedAt || null,
+        editHistory: message.editHistory || [],
+        isRead: message.isRead,
+        readAt: message.readAt || null,
+        isDeleted: message.isDeleted,
+        createdAt: message.createdAt
+    }));
+
+    return { profile, friends, friendRequests: formattedRequests, messages: formattedMessages };
+};
+
+/**
+ * Media uploaded by the user: profile picture and files in messages they sent
+ */
+const collectMediaReferences = (data) => {
+    const media = [];
+
+    if (data.profile.profilePicture) {
+        media.push({ source: 'profilePicture', messageId: null, url: data.profile.profilePicture });
+    }
+
+    for (const message of data.messages) {
+        if (message.direction === 'sent' && message.fileUrl) {
+            media.push({ source: 'message', messageId: message.id, url: message.fileUrl, fileName: message.fileName });
+        }
+    }
+
+    return media;
+};
+
+/**
+ * Whether a remote media URL points at our Cloudinary storage
+ */
+const isDownloadableMediaUrl = (url) => {
+    try {
+        const { protocol, hostname } = new URL(url);
+        return protocol === 'https:' && REMOTE_MEDIA_HOSTS.includes(hostname.toLowerCase());
+    } catch (error) {
+        return false;
+    }
+};
+
+/**
+ * Download a Cloudinary file to a temporary file, enforcing the upload size limit
+ */
+const downloadMedia = async (url, tempPath) => {
+    const response = await axios.get(url, {
+        responseType: 'stream',
+        timeout: REMOTE_MEDIA_TIMEOUT_MS,
+        maxContentLength: REMOTE_MEDIA_MAX_BYTES,
+        maxRedirects: 0
+    });
+
+    // axios doesn't enforce maxContentLength on streams, so check it here too
+    const declaredLength = parseInt(response.headers['content-length']);
+    if (declaredLength > REMOTE_MEDIA_MAX_BYTES) {
+        response.data.destroy();
+        throw new Error(`File is larger than ${REMOTE_MEDIA_MAX_BYTES} bytes`);
+    }
+
+    let receivedBytes = 0;
+    const sizeLimit = new Transform({
+        transform(chunk, encoding, callback) {
+            receivedBytes += chunk.length;
+            if (receivedBytes > REMOTE_MEDIA_MAX_BYTES) {
+                callback(new Error(`File is larger than ${REMOTE_MEDIA_MAX_BYTES} bytes`));
+                return;
+            }
+            callback(null, chunk);
+        }
+    });
+
+    // Rejects (and destroys every stream) if the download fails part way
+    await pipeline(response.data, sizeLimit, fs.createWriteStream(tempPath));
+};
+
+/**
+ * Append an entry and wait until the archiver has written it
+ */
+const appendEntry = (archive, source, name) => new Promise((resolve, reject) => {
+    const onEntry = (entry) => {
+        if (entry.name === name) {
+            cleanup();
+            resolve();
+        }
+    };
+    const onError = (error) => {
+        cleanup();
+        reject(error);
+    };
+    const cleanup = () => {
+        archive.off('entry', onEntry);
+        archive.off('error', onError);
+    };
+
+    archive.on('entry', onEntry);
+    archive.on('error', onError);
+    archive.append(source, { name });
+});
+
+/**
+ * Add a media file to the archive - local uploads are read from disk, Cloudinary
+ * URLs are downloaded. Files are added one at a time, and a download that fails
+ * part way leaves nothing in the archive. Returns the path inside the archive, or null.
+ */
+const addMediaToArchive = async (archive, item, index, tempPath) => {
+    const baseName = path.basename((item.fileName || item.url).split('?')[0]).replace(/[^a-zA-Z0-9._-]/g, '_');
+    const archivePath = `media/${String(index + 1).padStart(4, '0')}-${baseName}`;
+
+    if (/^https?:\/\//i.test(item.url)) {
+        if (!isDownloadableMediaUrl(item.url)) {
+            return null;
+        }
+
+        try {
+            await downloadMedia(item.url, tempPath);
+            await appendEntry(archive, fs.createReadStream(tempPath), archivePath);
+        } finally {
+            await fs.promises.unlink(tempPath).catch(() => {});
+        }
+        return archivePath;
+    }
+
+    // Local file - stored as /uploads/<type>/<file>; never read outside uploads/
+    const relativePath = item.url.replace(/^\/?uploads\//, '');
+    const filePath = path.resolve(UPLOADS_DIR, relativePath);
+
+    if (!filePath.startsWith(UPLOADS_DIR + path.sep) || !fs.existsSync(filePath)) {
+        return null;
+    }
+
+    await appendEntry(archive, fs.createReadStream(filePath), archivePath);
+    return archivePath;
+};
+
+/**
+ * Render the messages as a readable HTML transcript, grouped by conversation
+ */
+const buildHtmlTranscript = (data) => {
+    const conversations = new Map();
+
+    for (const message of data.messages) {
+        const partner = message.direction === 'sent' ? message.receiver : message.sender;
+        if (!conversations.has(message.conversationId)) {
+            conversations.set(message.conversationId, { partner, messages: [] });
+        }
+        conversations.get(message.conversationId).messages.push(message);
+    }
+
+    const sections = [...conversations.values()].map(({ partner, messages }) => {
+        const rows = messages.map((message) => {
+            let body = escapeHtml(message.content);
+
+            if (message.messageType === 'link' && message.linkMetadata && message.linkMetadata.url) {
+                body = `<a href="${escapeHtml(message.linkMetadata.url)}">${escapeHtml(message.linkMetadata.title || message.linkMetadata.url)}</a>`;
+            } else if (message.fileUrl) {
+                body = `[${escapeHtml(message.messageType)}] <a href="${escapeHtml(message.fileUrl)}">${escapeHtml(message.fileName || message.fileUrl)}</a>`
+                    + (message.content ? `<br>${escapeHtml(message.content)}` : '');
+            }
+
+            return `<tr class="${message.direction}">`
+                + `<td>${escapeHtml(new Date(message.createdAt).toISOString())}</td>`
+                + `<td>${escapeHtml(message.sender)}</td>`
+                + `<td>${body}${message.isDeleted ? ' <em>(deleted)</em>' : ''}</td>`
+                + '</tr>';
+        }).join('\n');
+
+        return `<h2>Conversation with ${escapeHtml(partner || 'deleted user')}</h2>\n`
+            + `<table>\n<tr><th>Time (UTC)</th><th>From</th><th>Message</th></tr>\n${rows}\n</table>`;
+    });
+
+    return '<!DOCTYPE html>\n<html>\n<head>\n<meta charset="utf-8">\n'
+        + `<title>Chattr export for ${escapeHtml(data.profile.username)}</title>\n`
+        + '<style>body{font-family:sans-serif;margin:2em}table{border-collapse:collapse;width:100%;margin-bottom:2em}'
+        + 'td,th{border:1px solid #ddd;padding:6px;text-align:left;vertical-align:top}tr.sent{background:#eef6ff}</style>\n'
+        + '</head>\n<body>\n'
+        + `<h1>Chattr export for ${escapeHtml(data.profile.username)}</h1>\n`
+        + `<p>Generated ${escapeHtml(new Date().toISOString())} - ${data.messages.length} messages in ${conversations.size} conversations.</p>\n`
+        + `${sections.join('\n') || '<p>No messages.</p>'}\n`
+        + '</body>\n</html>\n';
+};
+
+/**
+ * Build the ZIP for a job. Runs in the background after the job is created.
+ */
+const runExportJob = async (jobId) => {
+    const job = await ExportJob.findById(jobId);
+
+    if (!job || job.status !== 'pending') {
+        return;
+    }
+
+    job.status = 'processing';
+    job.startedAt = new Date();
+    await job.save();
+
+    const fileName = `${job._id}.zip`;
+    const filePath = getExportFilePath(fileName);
+    let output = null;
+    let archive = null;
+
+    try {
+        await fs.promises.mkdir(EXPORT_DIR, { recursive: true });
+
+        const data = await collectUserData(job.userId);
+        const mediaReferences = collectMediaReferences(data);
+
+        output = fs.createWriteStream(filePath);
+        archive = archiver('zip', { zlib: { level: 9 } });
+        let archiveError = null;
+        const finished = new Promise((resolve, reject) => {
+            output.on('close', resolve);
+            output.on('error', reject);
+            archive.on('error', reject);
+            archive.on('warning', (warning) => logger.warn(`Export ${job._id} warning: ${warning.message}`));
+        });
+        // Handled straight away - an error while a download is awaited below
+        // would otherwise be an unhandled rejection
+        finished.catch((error) => {
+            archiveError = error;
+        });
+        archive.pipe(output);
+
+        const mediaManifest = [];
+        for (const [index, item] of mediaReferences.entries()) {
+            if (archiveError) {
+                throw archiveError;
+            }
+
+            try {
+                const archivePath = await addMediaToArchive(archive, item, index, `${filePath}.part`);
+                mediaManifest.push({ ...item, included: Boolean(archivePath), archivePath });
+            } catch (error) {
+                logger.warn(`Export ${job._id}: could not fetch ${item.url}: ${error.message}`);
+                mediaManifest.push({ ...item, included: false, archivePath: null, error: error.message });
+            }
+        }
+
+        if (archiveError) {
+            throw archiveError;
+        }
+
+        archive.append(JSON.stringify(data.profile, null, 2), { name: 'profile.json' });
+        archive.append(JSON.stringify(data.friends, null, 2), { name: 'friends.json' });
+        archive.append(JSON.stringify(data.friendRequests, null, 2), { name: 'friend-requests.json' });
+        archive.append(JSON.stringify(data.messages, null, 2), { name: 'messages.json' });
+        archive.append(JSON.stringify(mediaManifest, null, 2), { name: 'media.json' });
+        archive.append(buildHtmlTranscript(data), { name: 'transcript.html' });
+
+        await archive.finalize();
+        await finished;
+
+        const stats = await fs.promises.stat(filePath);
+        const mediaFiles = mediaManifest.filter((item) => item.included).length;
+
+        job.status = 'completed';
+        job.fileName = fileName;
+        job.fileSize = stats.size;
+        job.summary = {
+            messages: data.messages.length,
+            friends: data.friends.length,
+            friendRequests: data.friendRequests.length,
+            mediaFiles,
+            mediaMissing: mediaManifest.length - mediaFiles
+        };
+        job.completedAt = new Date();
+        job.expiresAt = new Date(Date.now() + EXPORT_EXPIRES_HOURS * 60 * 60 * 1000);
+        await job.save();
+
+        logger.info(`Data export ${job._id} completed for user ${job.userId} (${stats.size} bytes)`);
+    } catch (error) {
+        logger.error(`Data export ${job._id} failed: ${error.message}`);
+
+        if (archive) {
+            archive.abort();
+        }
+        if (output) {
+            output.destroy();
+        }
+        await fs.promises.unlink(filePath).catch(() => {});
+        job.status = 'failed';
+        job.error = 'Export failed. Please try again.';
+        job.completedAt = new Date();
+        await job.save();
+    }
+};
+
+/**
+ * Start a data export for the user
+ */
+const requestExportService = async (userId) => {
+    try {
+        await cleanupExpiredExportFiles();
+
+        // Jobs interrupted by a restart never finish - fail them so a new export can start
+        await ExportJob.updateMany(
+            {
+                userId,
+                status: { $in: ['pending', 'processing'] },
+                createdAt: { $lt: new Date(Date.now() - STALE_JOB_MINUTES * 60 * 1000) }
+            },
+            { status: 'failed', error: 'Export was interrupted. Please try again.', completedAt: new Date() }
+        );
+
+        const activeJob = await ExportJob.findOne({ userId, status: { $in: ['pending', 'processing'] } });
+        if (activeJob) {
+            throw new AppError('An export is already in progress', 409);
+        }
+
+        const recentJob = await ExportJob.findOne({
+            userId,
+            status: 'completed',
+            createdAt: { $gt: new Date(Date.now() - EXPORT_COOLDOWN_HOURS * 60 * 60 * 1000) }
+        });
+        if (recentJob) {
+            throw new AppError(`You can request one export every ${EXPORT_COOLDOWN_HOURS} hours. Your latest export is still available.`, 429);
+        }
+
+        const job = await ExportJob.create({
+            userId,
+            expiresAt: new Date(Date.now() + EXPORT_EXPIRES_HOURS * 60 * 60 * 1000)
+        });
+
+        setImmediate(() => {
+            runExportJob(job._id).catch((error) => {
+                logger.error(`Data export ${job._id} crashed: ${error.message}`);
+            });
+        });
+
+        logger.info(`Data export ${job._id} requested by ${userId}`);
+
+        return formatExportJob(job);
+    } catch (error) {
+        throw error;
+    }
+};
+
+/**
+ * Get one of the user's export jobs
+ */
+const getExportJob = async (userId, jobId) => {
+    if (!mongoose.Types.ObjectId.isValid(jobId)) {
+        throw new AppError('Export not found', 404);
+    }
+
+    const job = await ExportJob.findOne({ _id: jobId, userId });
+
+    if (!job) {
+        throw new AppError('Export not found', 404);
+    }
+
+    return job;
+};
+
+/**
+ * Status of an export job
+ */
+const getExportStatusService = async (userId, jobId) => {
+    try {
+        const job = await getExportJob(userId, jobId);
+        return formatExportJob(job);
+    } catch (error) {
+        throw error;
+    }
+};
+
+/**
+ * Resolve the ZIP file of a completed export for download
+ */
+const getExportDownloadService = async (userId, jobId) => {
+    try {
+        const job = await getExportJob(userId, jobId);
+
+        if (job.status !== 'completed') {
+            throw new AppError('Export is not ready yet', 409);
+        }
+
+        const filePath = getExportFilePath(job.fileName);
+
+        if (job.expiresAt.getTime() <= Date.now() || !fs.existsSync(filePath)) {
+            throw new AppError('Export has expired. Please request a new one.', 410);
+        }
+
+        job.downloadedAt = new Date();
+        await job.save();
+
+        const date = job.completedAt.toISOString().slice(0, 10);
+
+        return { filePath, downloadName: `chattr-export-${date}.zip` };
+    } catch (error) {
+        throw error;
+    }
+};
+
+/**
+ * Remove every export (jobs and ZIP files) of a user - used when the account is deleted
+ */
+const deleteUserExports = async (userId) => {
+    const jobs = await ExportJob.find({ userId, fileName: { $ne: null } }).select('fileName');
+
+    for (const job of jobs) {
+        await fs.promises.unlink(getExportFilePath(job.fileName)).catch(() => {});
+    }
+
+    await ExportJob.deleteMany({ userId });
+};
+
+module.exports = {
+    requestExportService,
+    getExportStatusService,
+    getExportDownloadService,
+    runExportJob,
+    deleteUserExports
+};
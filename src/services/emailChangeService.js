@@ -0,0 +1,241 @@
+require('dotenv').config();
+const bcrypt = require('bcryptjs');
+const User = require('../models/User');
+const RefreshToken = require('../models/RefreshToken');
+const EmailVerificationToken = require('../models/EmailVerificationToken');
+const EmailChangeRequest = require('../models/EmailChangeRequest');
+const { AppError } = require('../utils/errorHandler');
+const { generateToken, hashToken } = require('../utils/secureToken');
+const { disconnectUserSockets } = require('../config/socket');
+const emailService = require('./emailService');
+const logger = require('../utils/logger');
+
+const EMAIL_CHANGE_EXPIRES_HOURS = parseInt(process.env.EMAIL_CHANGE_EXPIRES_HOURS) || 24;
+// The old address can report (and revert) the change for this long
+const EMAIL_CHANGE_REPORT_DAYS = parseInt(process.env.EMAIL_CHANGE_REPORT_DAYS) || 7;
+const EMAIL_CHANGE_REQUEST_INTERVAL_MS = 60 * 1000; // 1 minute between requests
+
+/**
+ * Start an email change. The new address gets a confirmation link, the current
+ * one a notice with a link to report the change. Login keeps using the current
+ * address until the new one is confirmed.
+ */
+const requestEmailChangeService = async (userId, newEmail, password) => {
+    try {
+        const user = await User.findById(userId).select('+password');
+
+        if (!user) {
+            throw new AppError('User not found', 404);
+        }
+
+        if (user.accountType === 'bot') {
+            throw new AppError('Bot accounts have no email address', 400);
+        }
+
+        const isPasswordValid = await bcrypt.compare(password, user.password);
+
+        if (!isPasswordValid) {
+            throw new AppError('Password is incorrect', 400);
+        }
+
+        const email = newEmail.toLowerCase();
+
+        if (email === user.email) {
+            throw new AppError('This is already your email address', 400);
+        }
+
+        if (await User.exists({ email })) {
+            throw new AppError('Email already registered', 400);
+        }
+
+        const recentRequest = await EmailChangeRequest.findOne({
+            userId,
+            createdAt: { $gt: new Date(Date.now() - EMAIL_CHANGE_REQUEST_INTERVAL_MS) }
+        });
+
+        if (recentRequest) {
+            throw new AppError('Please wait a minute before requesting another email change', 429);
+        }
+
+        // Only the latest pending request can be confirmed
+        await EmailChangeRequest.updateMany(
+            { userId, confirmedAt: null, cancelledAt: null },
+            { cancelledAt: new Date() }
+        );
+
+        const confirmToken = generateToken();
+        const reportToken = generateToken();
+
+        await EmailChangeRequest.create({
+            userId,
+            previousEmail: user.email,
+            newEmail: email,
+            confirmTokenHash: hashToken(confirmToken),
+            reportTokenHash: hashToken(reportToken),
+            confirmExpiresAt: new Date(Date.now() + EMAIL_CHANGE_EXPIRES_HOURS * 60 * 60 * 1000),
+            expiresAt: new Date(Date.now() + EMAIL_CHANGE_REPORT_DAYS * 24 * 60 * 60 * 1000)
+        });
+
+        user.pendingEmail = email;
+        await user.save();
+
+        await emailService.sendEmailChangeConfirmationEmail(user, email, confirmToken, EMAIL_CHANGE_EXPIRES_HOURS);
+
+        try {
+            await emailService.sendEmailChangeNoticeEmail(user, email, reportToken, EMAIL_CHANGE_REPORT_DAYS);
+        } catch (mailError) {
+            logger.error(`Failed to send email change notice to ${user.email}: ${mailError.message}`);
+        }
+
+        logger.info(`Email change requested for user ${userId}`);
+
+        return {
+            message: `We sent a confirmation link to ${email}. Your current address stays active until you confirm.`,
+            pendingEmail: email
+        };
+    } catch (error) {
+        throw error;
+    }
+};
+
+/**
+ * Confirm the change with the token sent to the new address.
+ * Clicking the link verifies the new address.
+ */
+const confirmEmailChangeService = async (token) => {
+    try {
+        const request = await EmailChangeRequest.findOne({
+            confirmTokenHash: hashToken(token),
+            confirmedAt: null,
+            cancelledAt: null
+        });
+
+        if (!request || request.confirmExpiresAt.getTime() <= Date.now()) {
+            throw new AppError('Invalid or expired confirmation link', 400);
+        }
+
+        const user = await User.findById(request.userId);
+
+        if (!user || user.email !== request.previousEmail) {
+            throw new AppError('Invalid or expired confirmation link', 400);
+        }
+
+        if (await User.exists({ email: request.newEmail, _id: { $ne: user._id } })) {
+            throw new AppError('Email already registered', 400);
+        }
+
+        // Single-use: only one confirmation can win
+        const claimed = await EmailChangeRequest.findOneAndUpdate(
+            { _id: request._id, confirmedAt: null, cancelledAt: null },
+            { confirmedAt: new Date() }
+        );
+
+        if (!claimed) {
+            throw new AppError('Invalid or expired confirmation link', 400);
+        }
+
+        user.email = request.newEmail;
+        user.pendingEmail = null;
+        user.isVerified = true;
+
+        try {
+            await user.save();
+        } catch (error) {
+            await EmailChangeRequest.updateOne({ _id: request._id }, { confirmedAt: null });
+            if (error.code === 11000) {
+                throw new AppError('Email already registered', 400);
+            }
+            throw error;
+        }
+
+        // Links sent to the old address for verification no longer apply
+        await EmailVerificationToken.deleteMany({ userId: user._id });
+
+        logger.info(`Email changed for user ${user._id}`);
+
+        return { message: 'Email address changed successfully', userId: user._id, email: user.email };
+    } catch (error) {
+        throw error;
+    }
+};
+
+/**
+ * Report a change with the token sent to the old address: cancel it (or revert it
+ * if it was already confirmed) and sign out every session
+ */
+const reportEmailChangeService = async (token) => {
+    try {
+        const request = await EmailChangeRequest.findOneAndUpdate(
+            {
+                reportTokenHash: hashToken(token),
+                cancelledAt: null,
+                expiresAt: { $gt: new Date() }
+            },
+            { cancelledAt: new Date() }
+        );
+
+        if (!request) {
+            throw new AppError('Invalid or expired link', 400);
+        }
+
+        const user = await User.findById(request.userId);
+
+        if (!user) {
+            throw new AppError('User not found', 404);
+        }
+
+        if (request.confirmedAt && user.email === request.newEmail) {
+            // Only revert if nobody registered the old address in the meantime
+            if (await User.exists({ email: request.previousEmail, _id: { $ne: user._id } })) {
+                logger.error(`Could not revert email change for user ${user._id}: previous address is in use`);
+            } else {
+                user.email = request.previousEmail;
+            }
+        }
+
+        if (user.pendingEmail === request.newEmail) {
+            user.pendingEmail = null;
+        }
+        await user.save();
+
+        // Whoever requested the change may be signed in
+        await RefreshToken.deleteMany({ userId: user._id });
+        await disconnectUserSockets(user._id, 'email_change_reported');
+
+        try {
+            await emailService.sendEmailChangeReportedEmail(user);
+        } catch (mailError) {
+            logger.error(`Failed to send email change report confirmation to ${user.email}: ${mailError.message}`);
+        }
+
+        logger.warn(`Email change reported for user ${user._id} - change cancelled and sessions revoked`);
+
+        return { message: 'The email change was cancelled and every device has been signed out', userId: user._id };
+    } catch (error) {
+        throw error;
+    }
+};
+
+/**
+ * Cancel your own pending email change
+ */
+const cancelEmailChangeService = async (userId) => {
+    try {
+        await EmailChangeRequest.updateMany(
+            { userId, confirmedAt: null, cancelledAt: null },
+            { cancelledAt: new Date() }
+        );
+        await User.updateOne({ _id: userId }, { pendingEmail: null });
+
+        return { message: 'Pending email change cancelled' };
+    } catch (error) {
+        throw error;
+    }
+};
+
+module.exports = {
+    requestEmailChangeService,
+    confirmEmailChangeService,
+    reportEmailChangeService,
+    cancelEmailChangeService
+};
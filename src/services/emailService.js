@@ -0,0 +1,172 @@
+require('dotenv').config();
+const { sendMail } = require('../utils/mailer');
+
+const CLIENT_URL = process.env.CLIENT_URL || 'http://localhost:5173';
+
+/**
+ * Build a link into the frontend app
+ */
+const buildClientLink = (pathname, token) => {
+    return `${CLIENT_URL}${pathname}?token=${encodeURIComponent(token)}`;
+};
+
+/**
+ * Send email verification link
+ */
+const sendVerificationEmail = async (user, token, expiresInHours) => {
+    const link = buildClientLink('/verify-email', token);
+
+    return sendMail({
+        to: user.email,
+        subject: 'Verify your Chattr email address',
+        text: `Hi ${user.username},\n\n`
+            + `Please verify your email address by opening the link below:\n${link}\n\n`
+            + `This link expires in ${expiresInHours} hours. If you did not create a Chattr account, you can ignore this email.`,
+        html: `<p>Hi ${user.username},</p>`
+            + `<p>Please verify your email address by clicking the link below:</p>`
+            + `<p><a href="${link}">Verify email</a></p>`
+            + `<p>This link expires in ${expiresInHours} hours. If you did not create a Chattr account, you can ignore this email.</p>`
+    });
+};
+
+/**
+ * Send password reset link
+ */
+const sendPasswordResetEmail = async (user, token, expiresInMinutes) => {
+    const link = buildClientLink('/reset-password', token);
+
+    return sendMail({
+        to: user.email,
+        subject: 'Reset your Chattr password',
+        text: `Hi ${user.username},\n\n`
+            + `We received a request to reset your password. Open the link below to choose a new one:\n${link}\n\n`
+            + `This link expires in ${expiresInMinutes} minutes and can only be used once. If you did not request a reset, you can ignore this email.`,
+        html: `<p>Hi ${user.username},</p>`
+            + `<p>We received a request to reset your password. Click the link below to choose a new one:</p>`
+            + `<p><a href="${link}">Reset password</a></p>`
+            + `<p>This link expires in ${expiresInMinutes} minutes and can only be used once. If you did not request a reset, you can ignore this email.</p>`
+    });
+};
+
+/**
+ * Notify a user that their account was locked after repeated failed logins
+ */
+const sendAccountLockedEmail = async (user, lockMinutes) => {
+    const link = `${CLIENT_URL}/forgot-password`;
+
+    return sendMail({
+        to: user.email,
+        subject: 'Your Chattr account has been temporarily locked',
+        text: `Hi ${user.username},\n\n`
+            + `We locked your account for ${lockMinutes} minutes after several failed login attempts.\n\n`
+            + `If this wasn't you, someone may be trying to guess your password. You can unlock your account right away by resetting your password:\n${link}`,
+        html: `<p>Hi ${user.username},</p>`
+            + `<p>We locked your account for ${lockMinutes} minutes after several failed login attempts.</p>`
+            + `<p>If this wasn't you, someone may be trying to guess your password. You can unlock your account right away by <a href="${link}">resetting your password</a>.</p>`
+    });
+};
+
+/**
+ * Send a magic login link
+ */
+const sendMagicLinkEmail = async (user, token, expiresInMinutes, deviceName) => {
+    const link = buildClientLink('/magic-link', token);
+    const device = deviceName ? ` from ${deviceName}` : '';
+
+    return sendMail({
+        to: user.email,
+        subject: 'Your Chattr login link',
+        text: `Hi ${user.username},\n\n`
+            + `Open the link below on the same device to log in to Chattr${device}:\n${link}\n\n`
+            + `This link expires in ${expiresInMinutes} minutes and can only be used once. If you did not request it, you can ignore this email.`,
+        html: `<p>Hi ${user.username},</p>`
+            + `<p>Click the link below on the same device to log in to Chattr${device}:</p>`
+            + `<p><a href="${link}">Log in to Chattr</a></p>`
+            + `<p>This link expires in ${expiresInMinutes} minutes and can only be used once. If you did not request it, you can ignore this email.</p>`
+    });
+};
+
+/**
+ * Ask the new address to confirm an email change
+ */
+const sendEmailChangeConfirmationEmail = async (user, newEmail, token, expiresInHours) => {
+    const link = buildClientLink('/confirm-email-change', token);
+
+    return sendMail({
+        to: newEmail,
+        subject: 'Confirm your new Chattr email address',
+        text: `Hi ${user.username},\n\n`
+            + `Please confirm that you want to use this address for your Chattr account:\n${link}\n\n`
+            + `This link expires in ${expiresInHours} hours. If you did not request this, you can ignore this email.`,
+        html: `<p>Hi ${user.username},</p>`
+            + `<p>Please confirm that you want to use this address for your Chattr account:</p>`
+            + `<p><a href="${link}">Confirm new email</a></p>`
+            + `<p>This link expires in ${expiresInHours} hours. If you did not request this, you can ignore this email.</p>`
+    });
+};
+
+/**
+ * Tell the current address about a requested email change, with a link to report it
+ */
+const sendEmailChangeNoticeEmail = async (user, newEmail, token, reportWindowDays) => {
+    const link = buildClientLink('/report-email-change', token);
+
+    return sendMail({
+        to: user.email,
+        subject: 'Your Chattr email address is being changed',
+        text: `Hi ${user.username},\n\n`
+            + `Someone asked to change the email address of your Chattr account to ${newEmail}.\n\n`
+            + `If this wasn't you, open the link below within ${reportWindowDays} days to cancel the change and sign out every device:\n${link}`,
+        html: `<p>Hi ${user.username},</p>`
+            + `<p>Someone asked to change the email address of your Chattr account to <strong>${newEmail}</strong>.</p>`
+            + `<p>If this wasn't you, <a href="${link}">cancel the change</a> within ${reportWindowDays} days. This also signs out every device.</p>`
+    });
+};
+
+/**
+ * Confirm that a reported email change was reverted
+ */
+const sendEmailChangeReportedEmail = async (user) => {
+    const link = `${CLIENT_URL}/forgot-password`;
+
+    return sendMail({
+        to: user.email,
+        subject: 'Email change cancelled',
+        text: `Hi ${user.username},\n\n`
+            + `We cancelled the email change you reported and signed out every device.\n\n`
+            + `Someone may know your password - please choose a new one:\n${link}`,
+        html: `<p>Hi ${user.username},</p>`
+            + `<p>We cancelled the email change you reported and signed out every device.</p>`
+            + `<p>Someone may know your password - please <a href="${link}">choose a new one</a>.</p>`
+    });
+};
+
+/**
+ * Confirm that the account is scheduled for deletion and how to cancel it
+ */
+const sendAccountDeletionScheduledEmail = async (user, deletionDate) => {
+    const link = `${CLIENT_URL}/login`;
+    const date = deletionDate.toUTCString();
+
+    return sendMail({
+        to: user.email,
+        subject: 'Your Chattr account is scheduled for deletion',
+        text: `Hi ${user.username},\n\n`
+            + `Your Chattr account and its data will be permanently deleted on ${date}.\n\n`
+            + `Changed your mind? Just log in before then and the deletion will be cancelled:\n${link}`,
+        html: `<p>Hi ${user.username},</p>`
+            + `<p>Your Chattr account and its data will be permanently deleted on ${date}.</p>`
+            + `<p>Changed your mind? Just <a href="${link}">log in</a> before then and the deletion will be cancelled.</p>`
+    });
+};
+
+module.exports = {
+    sendVerificationEmail,
+    sendPasswordResetEmail,
+    sendMagicLinkEmail,
+    sendAccountLockedEmail,
+    sendEmailChangeConfirmationEmail,
+    sendEmailChangeNoticeEmail,
+    sendEmailChangeReportedEmail,
+    sendAccountDeletionScheduledEmail
+};
@@ -2,6 +2,8 @@ const User = require('../models/User');
 const FriendRequest = require('../models/FriendRequest');
 const { AppError } = require('../utils/errorHandler');
 const { onlineUsers } = require('../config/redis');
+const auditService = require('./auditService');
+const { AUDIT_EVENTS } = require('../config/auditEvents');
 
 /**
  * Send a friend request
@@ -290,7 +292,7 @@ const getFriendsList = async (userId, page = 1, limit = 50) => {
 /**
  * Remove a friend
  */
-const removeFriend = async (userId, friendId) => {
+const removeFriend = async (userId, friendId, context = {}) => {
     try {
         const user = await User.findById(userId);
         const friend = await User.findById(friendId);
@@ -326,6 +328,11 @@ const removeFriend = async (userId, friendId) => {
             ]
         });
 
+        await auditService.record(AUDIT_EVENTS.FRIEND_REMOVED, {
+            userId,
+            metadata: { friendId: friend._id, friendUsername: friend.username }
+        }, context);
+
         return { message: `${friend.username} has been removed from your friends list` };
     } catch (error) {
         throw error;
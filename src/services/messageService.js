@@ -1,7 +1,11 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
 const Message = require('../models/Message');
 const User = require('../models/User');
+const Reaction = require('../models/Reaction');
 const { AppError } = require('../utils/errorHandler');
 const { messageCache } = require('../config/redis');
+const { notifyMessageEdited, notifyReactionChanged } = require('../config/socket');
 const {
     generateImageThumbnail,
     compressImage,
@@ -13,6 +17,11 @@ const {
     getFileSize
 } = require('../utils/fileProcessor');
 
+const MESSAGE_EDIT_WINDOW_MINUTES = parseInt(process.env.MESSAGE_EDIT_WINDOW_MINUTES) || 15;
+const MESSAGE_EDIT_HISTORY_LIMIT = parseInt(process.env.MESSAGE_EDIT_HISTORY_LIMIT) || 10;
+const EDITABLE_MESSAGE_TYPES = ['text', 'link'];
+const MAX_REACTIONS_PER_USER = 10; // Different emojis one user can put on one message
+
 /**
  * Check if users are friends
  */
@@ -27,25 +36,53 @@ const checkFriendship = async (userId1, userId2) => {
     return true;
 };
 
+/**
+ * Check the message being replied to belongs to the same conversation.
+ * Returns its id, or null when the message isn't a reply.
+ */
+const resolveReplyTo = async (replyTo, conversationId) => {
+    if (!replyTo) {
+        return null;
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(replyTo)) {
+        throw new AppError('The message you are replying to was not found', 404);
+    }
+
+    const parent = await Message.findById(replyTo).select('conversationId isDeleted');
+
+    if (!parent || parent.conversationId !== conversationId) {
+        throw new AppError('You can only reply to messages in this conversation', 400);
+    }
+
+    if (parent.isDeleted) {
+        throw new AppError('You cannot reply to a deleted message', 400);
+    }
+
+    return parent._id;
+};
+
 /**
  * Send text message
  */
-const sendTextMessage = async (senderId, receiverId, content) => {
+const sendTextMessage = async (senderId, receiverId, content, replyTo = null) => {
     try {
         await checkFriendship(senderId, receiverId);
-
         const conversationId = Message.generateConversationId(senderId, receiverId);
+        const replyToId = await resolveReplyTo(replyTo, conversationId);
 
         const message = await Message.create({
             conversationId,
             sender: senderId,
             receiver: receiverId,
+            replyTo: replyToId,
             messageType: 'text',
             content: content.trim()
         });
 
         await message.populate('sender', 'username profilePicture');
         await message.populate('receiver', 'username profilePicture');
+        await message.populateReplyPreview();
 
         // ✅ Cache the message for 1 hour
         await messageCache.set(message._id.toString(), message.toObject(), 3600);
@@ -59,9 +96,11 @@ const sendTextMessage = async (senderId, receiverId, content) => {
 /**
  * Send image message
  */
-const sendImageMessage = async (senderId, receiverId, file) => {
+const sendImageMessage = async (senderId, receiverId, file, replyTo = null) => {
     try {
         await checkFriendship(senderId, receiverId);
+        const conversationId = Message.generateConversationId(senderId, receiverId);
+        const replyToId = await resolveReplyTo(replyTo, conversationId);
 
         // Compress image (skipped if Cloudinary)
         await compressImage(file.path);
@@ -69,7 +108,6 @@ const sendImageMessage = async (senderId, receiverId, file) => {
         // Generate thumbnail
         const thumbnailUrl = await generateImageThumbnail(file.path);
 
-        const conversationId = Message.generateConversationId(senderId, receiverId);
         const fileSize = await getFileSize(file.path);
 
         // Determine file URL (Cloudinary or local)
@@ -79,6 +117,7 @@ const sendImageMessage = async (senderId, receiverId, file) => {
             conversationId,
             sender: senderId,
             receiver: receiverId,
+            replyTo: replyToId,
             messageType: 'image',
             fileUrl: fileUrl,
             fileName: file.originalname,
@@ -89,6 +128,7 @@ const sendImageMessage = async (senderId, receiverId, file) => {
 
         await message.populate('sender', 'username profilePicture');
         await message.populate('receiver', 'username profilePicture');
+        await message.populateReplyPreview();
 
         // ✅ Cache the message for 1 hour
         await messageCache.set(message._id.toString(), message.toObject(), 3600);
@@ -106,9 +146,11 @@ const sendImageMessage = async (senderId, receiverId, file) => {
 /**
  * Send video message
  */
-const sendVideoMessage = async (senderId, receiverId, file) => {
+const sendVideoMessage = async (senderId, receiverId, file, replyTo = null) => {
     try {
         await checkFriendship(senderId, receiverId);
+        const conversationId = Message.generateConversationId(senderId, receiverId);
+        const replyToId = await resolveReplyTo(replyTo, conversationId);
 
         // Generate thumbnail and get duration
         const [thumbnailUrl, duration] = await Promise.all([
@@ -116,7 +158,6 @@ const sendVideoMessage = async (senderId, receiverId, file) => {
             getVideoDuration(file.path)
         ]);
 
-        const conversationId = Message.generateConversationId(senderId, receiverId);
         const fileSize = await getFileSize(file.path);
 
         // Determine file URL (Cloudinary or local)
@@ -126,6 +167,7 @@ const sendVideoMessage = async (senderId, receiverId, file) => {
             conversationId,
             sender: senderId,
             receiver: receiverId,
+            replyTo: replyToId,
             messageType: 'video',
             fileUrl: fileUrl,
             fileName: file.originalname,
@@ -137,6 +179,7 @@ const sendVideoMessage = async (senderId, receiverId, file) => {
 
         await message.populate('sender', 'username profilePicture');
         await message.populate('receiver', 'username profilePicture');
+        await message.populateReplyPreview();
 
         // ✅ Cache the message for 1 hour
         await messageCache.set(message._id.toString(), message.toObject(), 3600);
@@ -154,11 +197,12 @@ const sendVideoMessage = async (senderId, receiverId, file) => {
 /**
  * Send document message
  */
-const sendDocumentMessage = async (senderId, receiverId, file) => {
+const sendDocumentMessage = async (senderId, receiverId, file, replyTo = null) => {
     try {
         await checkFriendship(senderId, receiverId);
-
         const conversationId = Message.generateConversationId(senderId, receiverId);
+        const replyToId = await resolveReplyTo(replyTo, conversationId);
+
         const fileSize = await getFileSize(file.path);
 
         // Determine file URL (Cloudinary or local)
@@ -168,6 +212,7 @@ const sendDocumentMessage = async (senderId, receiverId, file) => {
             conversationId,
             sender: senderId,
             receiver: receiverId,
+            replyTo: replyToId,
             messageType: 'document',
             fileUrl: fileUrl,
             fileName: file.originalname,
@@ -177,6 +222,7 @@ const sendDocumentMessage = async (senderId, receiverId, file) => {
 
         await message.populate('sender', 'username profilePicture');
         await message.populate('receiver', 'username profilePicture');
+        await message.populateReplyPreview();
 
         // ✅ Cache the message for 1 hour
         await messageCache.set(message._id.toString(), message.toObject(), 3600);
@@ -194,14 +240,15 @@ const sendDocumentMessage = async (senderId, receiverId, file) => {
 /**
  * Send audio message
  */
-const sendAudioMessage = async (senderId, receiverId, file) => {
+const sendAudioMessage = async (senderId, receiverId, file, replyTo = null) => {
     try {
         await checkFriendship(senderId, receiverId);
+        const conversationId = Message.generateConversationId(senderId, receiverId);
+        const replyToId = await resolveReplyTo(replyTo, conversationId);
 
         // Get audio duration
         const duration = await getAudioDuration(file.path);
 
-        const conversationId = Message.generateConversationId(senderId, receiverId);
         const fileSize = await getFileSize(file.path);
 
         // Determine file URL (Cloudinary or local)
@@ -211,6 +258,7 @@ const sendAudioMessage = async (senderId, receiverId, file) => {
             conversationId,
             sender: senderId,
             receiver: receiverId,
+            replyTo: replyToId,
             messageType: 'audio',
             fileUrl: fileUrl,
             fileName: file.originalname,
@@ -221,6 +269,7 @@ const sendAudioMessage = async (senderId, receiverId, file) => {
 
         await message.populate('sender', 'username profilePicture');
         await message.populate('receiver', 'username profilePicture');
+        await message.populateReplyPreview();
 
         // ✅ Cache the message for 1 hour
         await messageCache.set(message._id.toString(), message.toObject(), 3600);
@@ -238,9 +287,11 @@ const sendAudioMessage = async (senderId, receiverId, file) => {
 /**
  * Send link message with preview
  */
-const sendLinkMessage = async (senderId, receiverId, url, content = '') => {
+const sendLinkMessage = async (senderId, receiverId, url, content = '', replyTo = null) => {
     try {
         await checkFriendship(senderId, receiverId);
+        const conversationId = Message.generateConversationId(senderId, receiverId);
+        const replyToId = await resolveReplyTo(replyTo, conversationId);
 
         // Extract link metadata
         const linkMetadata = await extractLinkMetadata(url);
@@ -249,12 +300,11 @@ const sendLinkMessage = async (senderId, receiverId, url, content = '') => {
             throw new AppError('Invalid URL or unable to fetch link preview', 400);
         }
 
-        const conversationId = Message.generateConversationId(senderId, receiverId);
-
         const message = await Message.create({
             conversationId,
             sender: senderId,
             receiver: receiverId,
+            replyTo: replyToId,
             messageType: 'link',
             content: content.trim(),
             linkMetadata: linkMetadata
@@ -262,6 +312,7 @@ const sendLinkMessage = async (senderId, receiverId, url, content = '') => {
 
         await message.populate('sender', 'username profilePicture');
         await message.populate('receiver', 'username profilePicture');
+        await message.populateReplyPreview();
 
         // ✅ Cache the message for 1 hour
         await messageCache.set(message._id.toString(), message.toObject(), 3600);
@@ -272,6 +323,42 @@ const sendLinkMessage = async (senderId, receiverId, url, content = '') => {
     }
 };
 
+/**
+ * Reactions per message, grouped by emoji in the order they were first used
+ * Returns a Map of messageId -> [{ emoji, count, userIds, reactedByMe }]
+ */
+const getReactionSummaries = async (messageIds, userId) => {
+    const groups = await Reaction.aggregate([
+        { $match: { messageId: { $in: messageIds } } },
+        {
+            $group: {
+                _id: { messageId: '$messageId', emoji: '$emoji' },
+                count: { $sum: 1 },
+                userIds: { $push: '$userId' },
+                firstReactedAt: { $min: '$createdAt' }
+            }
+        },
+        { $sort: { firstReactedAt: 1 } }
+    ]);
+
+    const summaries = new Map();
+
+    groups.forEach((group) => {
+        const messageId = group._id.messageId.toString();
+        if (!summaries.has(messageId)) {
+            summaries.set(messageId, []);
+        }
+        summaries.get(messageId).push({
+            emoji: group._id.emoji,
+            count: group.count,
+            userIds: group.userIds,
+            reactedByMe: group.userIds.some(id => id.toString() === userId.toString())
+        });
+    });
+
+    return summaries;
+};
+
 /**
  * Get conversation messages with pagination
  */
@@ -288,6 +375,7 @@ const getConversationMessages = async (userId, friendId, page = 1, limit = 50) =
         })
             .populate('sender', 'username profilePicture')
             .populate('receiver', 'username profilePicture')
+            .withReplyPreview()
             .sort({ createdAt: -1 })
             .skip(skip)
             .limit(limit);
@@ -297,8 +385,14 @@ const getConversationMessages = async (userId, friendId, page = 1, limit = 50) =
             isDeleted: false
         });
 
+        const reactions = await getReactionSummaries(messages.map(message => message._id), userId);
+
         return {
-            messages: messages.reverse(), // Reverse to show oldest first
+            // Reverse to show oldest first
+            messages: messages.reverse().map(message => ({
+                ...message.toJSON(),
+                reactions: reactions.get(message._id.toString()) || []
+            })),
             pagination: {
                 currentPage: page,
                 totalPages: Math.ceil(total / limit),
@@ -415,6 +509,174 @@ const deleteMessage = async (messageId, userId) => {
     }
 };
 
+/**
+ * Edit a text or link message
+ * Only the sender can edit, within the edit window. The replaced version is kept in editHistory.
+ */
+const editMessage = async (messageId, userId, content) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(messageId)) {
+            throw new AppError('Message not found', 404);
+        }
+
+        const message = await Message.findById(messageId);
+
+        if (!message || message.isDeleted) {
+            throw new AppError('Message not found', 404);
+        }
+
+        // Only sender can edit
+        if (message.sender.toString() !== userId) {
+            throw new AppError('You can only edit messages you sent', 403);
+        }
+
+        if (!EDITABLE_MESSAGE_TYPES.includes(message.messageType)) {
+            throw new AppError('Only text and link messages can be edited', 400);
+        }
+
+        const editDeadline = message.createdAt.getTime() + MESSAGE_EDIT_WINDOW_MINUTES * 60 * 1000;
+        if (Date.now() > editDeadline) {
+            throw new AppError(`Messages can only be edited within ${MESSAGE_EDIT_WINDOW_MINUTES} minutes of sending`, 403);
+        }
+
+        const newContent = content.trim();
+
+        if (newContent === (message.content || '')) {
+            throw new AppError('The message is unchanged', 400);
+        }
+
+        // Only apply the edit to the version we read, so concurrent edits can't drop history
+        const editedAt = new Date();
+        const updated = await Message.findOneAndUpdate(
+            { _id: message._id, content: message.content, isDeleted: false },
+            {
+                $set: { content: newContent, editedAt },
+                $push: {
+                    editHistory: {
+                        $each: [{ content: message.content || '', editedAt }],
+                        $slice: -MESSAGE_EDIT_HISTORY_LIMIT
+                    }
+                }
+            },
+            { new: true }
+        )
+            .populate('sender', 'username profilePicture')
+            .populate('receiver', 'username profilePicture')
+            .withReplyPreview();
+
+        if (!updated) {
+            throw new AppError('The message was changed in the meantime. Please try again', 409);
+        }
+
+        // ✅ Refresh the cached copy
+        await messageCache.set(updated._id.toString(), updated.toObject(), 3600);
+
+        await notifyMessageEdited(updated);
+
+        return updated;
+    } catch (error) {
+        throw error;
+    }
+};
+
+/**
+ * Load a message the user can react to (a participant, and still friends with the other one)
+ */
+const getReactableMessage = async (messageId, userId) => {
+    if (!mongoose.Types.ObjectId.isValid(messageId)) {
+        throw new AppError('Message not found', 404);
+    }
+
+    const message = await Message.findById(messageId).select('conversationId sender receiver isDeleted');
+
+    if (!message || message.isDeleted) {
+        throw new AppError('Message not found', 404);
+    }
+
+    const isSender = message.sender.toString() === userId;
+    if (!isSender && message.receiver.toString() !== userId) {
+        throw new AppError('You can only react to messages in your conversations', 403);
+    }
+
+    await checkFriendship(userId, (isSender ? message.receiver : message.sender).toString());
+
+    return message;
+};
+
+/**
+ * Add an emoji reaction (one per user per emoji)
+ */
+const addReaction = async (messageId, userId, emoji) => {
+    try {
+        if (!Reaction.isValidEmoji(emoji)) {
+            throw new AppError('Reaction must be a single emoji', 400);
+        }
+
+        const message = await getReactableMessage(messageId, userId);
+
+        const existing = await Reaction.countDocuments({ messageId: message._id, userId });
+        if (existing >= MAX_REACTIONS_PER_USER) {
+            throw new AppError(`You can add up to ${MAX_REACTIONS_PER_USER} reactions to a message`, 400);
+        }
+
+        try {
+            await Reaction.create({ messageId: message._id, userId, emoji });
+        } catch (error) {
+            if (error.code === 11000) {
+                throw new AppError('You already reacted with this emoji', 409);
+            }
+            throw error;
+        }
+
+        await notifyReactionChanged('reaction-added', message, {
+            messageId: message._id.toString(),
+            conversationId: message.conversationId,
+            userId,
+            emoji,
+            timestamp: new Date()
+        });
+
+        const reactions = await getReactionSummaries([message._id], userId);
+
+        return { messageId: message._id, reactions: reactions.get(message._id.toString()) || [] };
+    } catch (error) {
+        throw error;
+    }
+};
+
+/**
+ * Remove your own emoji reaction
+ */
+const removeReaction = async (messageId, userId, emoji) => {
+    try {
+        if (!Reaction.isValidEmoji(emoji)) {
+            throw new AppError('Reaction must be a single emoji', 400);
+        }
+
+        const message = await getReactableMessage(messageId, userId);
+
+        const result = await Reaction.deleteOne({ messageId: message._id, userId, emoji });
+
+        if (result.deletedCount === 0) {
+            throw new AppError('Reaction not found', 404);
+        }
+
+        await notifyReactionChanged('reaction-removed', message, {
+            messageId: message._id.toString(),
+            conversationId: message.conversationId,
+            userId,
+            emoji,
+            timestamp: new Date()
+        });
+
+        const reactions = await getReactionSummaries([message._id], userId);
+
+        return { messageId: message._id, reactions: reactions.get(message._id.toString()) || [] };
+    } catch (error) {
+        throw error;
+    }
+};
+
 /**
  * Get all conversations for a user
  * ✅ Returns format matching frontend expectations:
@@ -526,5 +788,8 @@ module.exports = {
     markConversationAsRead,
     getUnreadCount,
     deleteMessage,
+    editMessage,
+    addReaction,
+    removeReaction,
     getUserConversations
 };
@@ -0,0 +1,290 @@
+const bcrypt = require('bcryptjs');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const UserIdentity = require('../models/UserIdentity');
+const OidcAuthRequest = require('../models/OidcAuthRequest');
+const { AppError } = require('../utils/errorHandler');
+const { generateToken, hashToken } = require('../utils/secureToken');
+const { getProvider, listProviders } = require('../config/oidc');
+const oidcClient = require('../utils/oidcClient');
+const { isUsernameAvailable } = require('./usernameService');
+const { assertProvisioningAllowed } = require('./registrationService');
+const logger = require('../utils/logger');
+
+const AUTH_REQUEST_TTL_MS = 10 * 60 * 1000; // 10 minutes to complete the provider login
+const USERNAME_MAX_BASE_LENGTH = 24;
+
+/**
+ * Resolve a configured provider or fail with 404
+ */
+const requireProvider = (providerName) => {
+    const provider = getProvider(providerName);
+
+    if (!provider) {
+        throw new AppError(`Unknown identity provider "${providerName}"`, 404);
+    }
+    return provider;
+};
+
+/**
+ * Start an authorization-code + PKCE flow and return the provider URL.
+ * Pass linkUserId to link the identity to an existing account instead of logging in.
+ */
+const startAuthorizationService = async (providerName, linkUserId = null) => {
+    try {
+        const provider = requireProvider(providerName);
+        const metadata = await oidcClient.discover(provider.issuer);
+
+        const state = generateToken(32);
+        const nonce = generateToken(16);
+        const { codeVerifier, codeChallenge } = oidcClient.generatePkce();
+        const expiresAt = new Date(Date.now() + AUTH_REQUEST_TTL_MS);
+
+        await OidcAuthRequest.create({
+            stateHash: hashToken(state),
+            provider: provider.name,
+            codeVerifier,
+            nonce,
+            linkUserId,
+            expiresAt
+        });
+
+        return {
+            authorizationUrl: oidcClient.buildAuthorizationUrl(metadata, provider, { state, nonce, codeChallenge }),
+            state,
+            expiresAt
+        };
+    } catch (error) {
+        throw error;
+    }
+};
+
+/**
+ * Consume a pending authorization request, exchange the code and verify the id_token.
+ * A link request can only be completed by the account that started it (linkUserId),
+ * and a login request only without one - otherwise someone could start a link for
+ * their own account and get a victim to finish it with the victim's identity.
+ */
+const completeAuthorizationService = async (state, code, linkUserId = null) => {
+    try {
+        // Single use - delete the pending request as we read it
+        const authRequest = await OidcAuthRequest.findOneAndDelete({
+            stateHash: hashToken(state),
+            linkUserId: linkUserId || null,
+            expiresAt: { $gt: Date.now() }
+        });
+
+        if (!authRequest) {
+            throw new AppError('Invalid or expired login request. Please try again', 400);
+        }
+
+        const provider = requireProvider(authRequest.provider);
+        const metadata = await oidcClient.discover(provider.issuer);
+
+        const tokens = await oidcClient.exchangeCode(metadata, provider, {
+            code,
+            codeVerifier: authRequest.codeVerifier
+        });
+
+        if (!tokens || !tokens.id_token) {
+            throw new AppError('Identity provider did not return an id_token', 502);
+        }
+
+        const claims = await oidcClient.verifyIdToken(metadata, provider, tokens.id_token, {
+            nonce: authRequest.nonce
+        });
+
+        return {
+            provider: provider.name,
+            claims,
+            linkUserId: authRequest.linkUserId
+        };
+    } catch (error) {
+        throw error;
+    }
+};
+
+/**
+ * Turn provider claims into a valid, unused username
+ */
+const generateUsername = async (claims) => {
+    const candidates = [
+        claims.preferred_username,
+        claims.nickname,
+        claims.email && claims.email.split('@')[0],
+        claims.given_name,
+        claims.name
+    ];
+
+    let base = candidates
+        .map(value => String(value || '').replace(/[^a-zA-Z0-9_]/g, '').substring(0, USERNAME_MAX_BASE_LENGTH))
+        .find(value => value.length >= 3) || 'user';
+
+    if (base.length < 3) {
+        base = 'user';
+    }
+
+    if (await isUsernameAvailable(base)) {
+        return base;
+    }
+
+    for (let attempt = 0; attempt < 5; attempt++) {
+        const candidate = `${base}_${Math.floor(1000 + Math.random() * 9000)}`;
+        if (await isUsernameAvailable(candidate)) {
+            return candidate;
+        }
+    }
+
+    return `user_${generateToken(6)}`;
+};
+
+/**
+ * Find the user linked to a provider identity, provisioning a new account if needed
+ */
+const findOrProvisionUser = async (providerName, claims) => {
+    try {
+        const identity = await UserIdentity.findOne({ provider: providerName, subject: claims.sub });
+
+        if (identity) {
+            const user = await User.findById(identity.userId);
+
+            if (!user) {
+                // Account was removed - drop the orphaned link and provision again
+                await identity.deleteOne();
+            } else {
+                identity.lastLoginAt = new Date();
+                await identity.save();
+                return { user, isNewUser: false };
+            }
+        }
+
+        const email = claims.email ? String(claims.email).toLowerCase() : null;
+
+        if (!email) {
+            throw new AppError('Identity provider did not share an email address', 400);
+        }
+
+        // Never merge into an existing account by email alone - the owner must link it
+        if (await User.exists({ email })) {
+            throw new AppError('An account with this email already exists. Log in and link this provider from your account settings', 409);
+        }
+
+        // New accounts follow the registration mode
+        assertProvisioningAllowed(email);
+
+        const user = new User({
+            username: await generateUsername(claims),
+            email,
+            // Random, unknown password - the user can set one through password reset
+            password: await bcrypt.hash(generateToken(32), 12),
+            profilePicture: typeof claims.picture === 'string' ? claims.picture : '',
+            isVerified: claims.email_verified === true
+        });
+        await user.save();
+
+        await UserIdentity.create({
+            userId: user._id,
+            provider: providerName,
+            subject: claims.sub,
+            email,
+            emailVerified: claims.email_verified === true,
+            lastLoginAt: new Date()
+        });
+
+        logger.info(`Provisioned user ${user.username} from ${providerName} identity`);
+
+        return { user, isNewUser: true };
+    } catch (error) {
+        throw error;
+    }
+};
+
+/**
+ * Link a provider identity to an existing user
+ */
+const linkIdentityService = async (userId, providerName, claims) => {
+    try {
+        const existing = await UserIdentity.findOne({ provider: providerName, subject: claims.sub });
+
+        if (existing) {
+            if (existing.userId.toString() === userId.toString()) {
+                return existing;
+            }
+            throw new AppError('This identity is already linked to another account', 409);
+        }
+
+        return await UserIdentity.create({
+            userId,
+            provider: providerName,
+            subject: claims.sub,
+            email: claims.email ? String(claims.email).toLowerCase() : null,
+            emailVerified: claims.email_verified === true
+        });
+    } catch (error) {
+        throw error;
+    }
+};
+
+/**
+ * Finish linking an identity to the signed-in account that started the link
+ */
+const completeLinkService = async (userId, state, code) => {
+    try {
+        const { provider, claims } = await completeAuthorizationService(state, code, userId);
+
+        return await linkIdentityService(userId, provider, claims);
+    } catch (error) {
+        throw error;
+    }
+};
+
+/**
+ * List identities linked to a user
+ */
+const listIdentitiesService = async (userId) => {
+    try {
+        const identities = await UserIdentity.find({ userId }).sort({ createdAt: 1 });
+
+        return identities.map(identity => ({
+            id: identity._id,
+            provider: identity.provider,
+            email: identity.email,
+            lastLoginAt: identity.lastLoginAt,
+            linkedAt: identity.createdAt
+        }));
+    } catch (error) {
+        throw error;
+    }
+};
+
+/**
+ * Unlink an identity (the account stays reachable through password reset)
+ */
+const unlinkIdentityService = async (userId, identityId) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(identityId)) {
+            throw new AppError('Identity not found', 404);
+        }
+
+        const identity = await UserIdentity.findOneAndDelete({ _id: identityId, userId });
+
+        if (!identity) {
+            throw new AppError('Identity not found', 404);
+        }
+
+        return { message: `${identity.provider} identity unlinked` };
+    } catch (error) {
+        throw error;
+    }
+};
+
+module.exports = {
+    listProviders,
+    startAuthorizationService,
+    completeAuthorizationService,
+    findOrProvisionUser,
+    linkIdentityService,
+    completeLinkService,
+    listIdentitiesService,
+    unlinkIdentityService
+};
@@ -0,0 +1,328 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const {
+    generateRegistrationOptions,
+    verifyRegistrationResponse,
+    generateAuthenticationOptions,
+    verifyAuthenticationResponse
+} = require('@simplewebauthn/server');
+const User = require('../models/User');
+const Passkey = require('../models/Passkey');
+const WebAuthnChallenge = require('../models/WebAuthnChallenge');
+const { AppError } = require('../utils/errorHandler');
+const logger = require('../utils/logger');
+
+const RP_NAME = process.env.WEBAUTHN_RP_NAME || 'Chattr';
+const RP_ID = process.env.WEBAUTHN_RP_ID || 'localhost';
+const EXPECTED_ORIGINS = (process.env.WEBAUTHN_ORIGINS || process.env.CLIENT_URL || 'http://localhost:5173')
+    .split(',')
+    .map(origin => origin.trim())
+    .filter(Boolean);
+const CEREMONY_TIMEOUT_MS = 5 * 60 * 1000; // 5 minutes
+const MAX_PASSKEYS_PER_USER = 10;
+
+/**
+ * Read the challenge the browser signed from a ceremony response
+ */
+const getResponseChallenge = (credential) => {
+    try {
+        const clientData = JSON.parse(Buffer.from(credential.response.clientDataJSON, 'base64url').toString('utf8'));
+        return clientData.challenge;
+    } catch (error) {
+        throw new AppError('Invalid passkey response', 400);
+    }
+};
+
+/**
+ * Atomically consume a pending challenge
+ */
+const consumeChallenge = async (credential, type, userId = null) => {
+    const challenge = getResponseChallenge(credential);
+
+    const stored = await WebAuthnChallenge.findOneAndDelete({
+        challenge,
+        type,
+        ...(userId && { userId }),
+        expiresAt: { $gt: Date.now() }
+    });
+
+    if (!stored) {
+        throw new AppError('Passkey request expired. Please try again', 400);
+    }
+
+    return stored;
+};
+
+/**
+ * Credential descriptor for allow/exclude lists
+ */
+const toDescriptor = (passkey) => ({
+    id: Buffer.from(passkey.credentialId, 'base64url'),
+    type: 'public-key',
+    transports: passkey.transports
+});
+
+/**
+ * Public representation of a passkey
+ */
+const formatPasskey = (passkey) => ({
+    id: passkey._id,
+    name: passkey.name,
+    deviceType: passkey.deviceType,
+    backedUp: passkey.backedUp,
+    transports: passkey.transports,
+    lastUsedAt: passkey.lastUsedAt,
+    createdAt: passkey.createdAt
+});
+
+/**
+ * Start passkey registration for a logged-in user
+ */
+const generateRegistrationOptionsService = async (userId) => {
+    try {
+        const user = await User.findById(userId).select('username email');
+
+        if (!user) {
+            throw new AppError('User not found', 404);
+        }
+
+        const passkeys = await Passkey.find({ userId });
+
+        if (passkeys.length >= MAX_PASSKEYS_PER_USER) {
+            throw new AppError(`You can register at most ${MAX_PASSKEYS_PER_USER} passkeys`, 400);
+        }
+
+        const options = await generateRegistrationOptions({
+            rpName: RP_NAME,
+            rpID: RP_ID,
+            userID: user._id.toString(),
+            userName: user.email,
+            userDisplayName: user.username,
+            timeout: CEREMONY_TIMEOUT_MS,
+            attestationType: 'none',
+            // Don't register the same authenticator twice
+            excludeCredentials: passkeys.map(toDescriptor),
+            authenticatorSelection: {
+                residentKey: 'preferred',
+                userVerification: 'preferred'
+            }
+        });
+
+        await WebAuthnChallenge.create({
+            challenge: options.challenge,
+            type: 'registration',
+            userId: user._id,
+            expiresAt: new Date(Date.now() + CEREMONY_TIMEOUT_MS)
+        });
+
+        return options;
+    } catch (error) {
+        throw error;
+    }
+};
+
+/**
+ * Finish passkey registration and store the credential
+ */
+const verifyRegistrationService = async (userId, credential, name) => {
+    try {
+        const challenge = await consumeChallenge(credential, 'registration', userId);
+
+        let verification;
+        try {
+            verification = await verifyRegistrationResponse({
+                response: credential,
+                expectedChallenge: challenge.challenge,
+                expectedOrigin: EXPECTED_ORIGINS,
+                expectedRPID: RP_ID,
+                requireUserVerification: false
+            });
+        } catch (error) {
+            throw new AppError(`Passkey registration failed: ${error.message}`, 400);
+        }
+
+        if (!verification.verified || !verification.registrationInfo) {
+            throw new AppError('Passkey registration failed', 400);
+        }
+
+        const {
+            credentialID,
+            credentialPublicKey,
+            counter,
+            credentialDeviceType,
+            credentialBackedUp,
+            aaguid
+        } = verification.registrationInfo;
+
+        const credentialId = Buffer.from(credentialID).toString('base64url');
+
+        if (await Passkey.exists({ credentialId })) {
+            throw new AppError('This passkey is already registered', 409);
+        }
+
+        const passkey = await Passkey.create({
+            userId,
+            credentialId,
+            publicKey: Buffer.from(credentialPublicKey),
+            counter,
+            transports: credential.response?.transports || [],
+            deviceType: credentialDeviceType,
+            backedUp: credentialBackedUp,
+            aaguid: aaguid || null,
+            name: name || 'Passkey'
+        });
+
+        return formatPasskey(passkey);
+    } catch (error) {
+        throw error;
+    }
+};
+
+/**
+ * Start passkey login. With an email the user's passkeys are offered;
+ * without one the browser picks a discoverable passkey.
+ */
+const generateAuthenticationOptionsService = async (email = null) => {
+    try {
+        let user = null;
+        let passkeys = [];
+
+        if (email) {
+            user = await User.findOne({ email: email.toLowerCase() }).select('_id');
+            passkeys = user ? await Passkey.find({ userId: user._id }) : [];
+        }
+
+        const options = await generateAuthenticationOptions({
+            rpID: RP_ID,
+            timeout: CEREMONY_TIMEOUT_MS,
+            // An empty list looks the same as discoverable login, so it doesn't reveal accounts
+            allowCredentials: passkeys.map(toDescriptor),
+            userVerification: 'preferred'
+        });
+
+        await WebAuthnChallenge.create({
+            challenge: options.challenge,
+            type: 'authentication',
+            userId: user ? user._id : null,
+            expiresAt: new Date(Date.now() + CEREMONY_TIMEOUT_MS)
+        });
+
+        return options;
+    } catch (error) {
+        throw error;
+    }
+};
+
+/**
+ * Verify a passkey assertion and return the user it belongs to, and whether the
+ * authenticator verified the user (PIN/biometric) rather than just a touch
+ */
+const verifyAuthenticationService = async (credential) => {
+    try {
+        const challenge = await consumeChallenge(credential, 'authentication');
+
+        const passkey = await Passkey.findOne({ credentialId: credential.id });
+
+        if (!passkey || (challenge.userId && !challenge.userId.equals(passkey.userId))) {
+            throw new AppError('Passkey not recognised', 401);
+        }
+
+        let verification;
+        try {
+            verification = await verifyAuthenticationResponse({
+                response: credential,
+                expectedChallenge: challenge.challenge,
+                expectedOrigin: EXPECTED_ORIGINS,
+                expectedRPID: RP_ID,
+                authenticator: {
+                    credentialID: Buffer.from(passkey.credentialId, 'base64url'),
+                    credentialPublicKey: passkey.publicKey,
+                    counter: passkey.counter,
+                    transports: passkey.transports
+                },
+                requireUserVerification: false
+            });
+        } catch (error) {
+            // A counter that didn't increase suggests a cloned authenticator
+            if (/counter/i.test(error.message)) {
+                logger.warn('🚨 Security: passkey signature counter did not increase', {
+                    event: 'passkey_counter_regression',
+                    userId: passkey.userId.toString(),
+                    passkeyId: passkey._id.toString(),
+                    storedCounter: passkey.counter
+                });
+            }
+            throw new AppError('Passkey verification failed', 401);
+        }
+
+        if (!verification.verified) {
+            throw new AppError('Passkey verification failed', 401);
+        }
+
+        // Conditional on the counter we verified against, so two concurrent uses of
+        // the same assertion can't both succeed
+        const updated = await Passkey.updateOne(
+            { _id: passkey._id, counter: passkey.counter },
+            { counter: verification.authenticationInfo.newCounter, lastUsedAt: new Date() }
+        );
+
+        if (updated.matchedCount === 0) {
+            throw new AppError('Passkey verification failed', 401);
+        }
+
+        const user = await User.findById(passkey.userId);
+
+        if (!user) {
+            throw new AppError('Passkey not recognised', 401);
+        }
+
+        return {
+            user,
+            userVerified: verification.authenticationInfo.userVerified === true
+        };
+    } catch (error) {
+        throw error;
+    }
+};
+
+/**
+ * List a user's passkeys
+ */
+const listPasskeysService = async (userId) => {
+    try {
+        const passkeys = await Passkey.find({ userId }).sort({ createdAt: 1 });
+        return passkeys.map(formatPasskey);
+    } catch (error) {
+        throw error;
+    }
+};
+
+/**
+ * Remove a passkey
+ */
+const deletePasskeyService = async (userId, passkeyId) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(passkeyId)) {
+            throw new AppError('Passkey not found', 404);
+        }
+
+        const passkey = await Passkey.findOneAndDelete({ _id: passkeyId, userId });
+
+        if (!passkey) {
+            throw new AppError('Passkey not found', 404);
+        }
+
+        return { message: 'Passkey removed successfully' };
+    } catch (error) {
+        throw error;
+    }
+};
+
+module.exports = {
+    generateRegistrationOptionsService,
+    verifyRegistrationService,
+    generateAuthenticationOptionsService,
+    verifyAuthenticationService,
+    listPasskeysService,
+    deletePasskeyService
+};
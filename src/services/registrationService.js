@@ -0,0 +1,259 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const InviteCode = require('../models/InviteCode');
+const { AppError } = require('../utils/errorHandler');
+const { hashToken } = require('../utils/secureToken');
+const { base32Encode } = require('../utils/totp');
+const { getRegistrationMode, getAllowedDomains, isEmailDomainAllowed } = require('../config/registration');
+const auditService = require('./auditService');
+const { AUDIT_EVENTS } = require('../config/auditEvents');
+const logger = require('../utils/logger');
+
+/**
+ * Invite codes are matched case-insensitively, ignoring dashes and spaces
+ */
+const normalizeInviteCode = (code) => String(code || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+
+/**
+ * Generate a readable invite code, e.g. ABCD-EFGH-IJKL-MNOP
+ */
+const generateInviteCode = () => {
+    return base32Encode(crypto.randomBytes(10)).match(/.{1,4}/g).join('-');
+};
+
+/**
+ * Public registration settings, so the client knows which fields to show
+ */
+const getRegistrationInfoService = () => {
+    const mode = getRegistrationMode();
+
+    return {
+        mode,
+        inviteRequired: mode === 'invite',
+        allowedDomains: mode === 'allowlist' ? getAllowedDomains() : undefined
+    };
+};
+
+/**
+ * Refuse the registration if it's closed or the email's domain isn't allowed
+ */
+const assertRegistrationOpen = (email) => {
+    const mode = getRegistrationMode();
+
+    if (mode === 'closed') {
+        throw new AppError('Registration is currently closed', 403, 'REGISTRATION_CLOSED');
+    }
+
+    if (mode === 'allowlist' && !isEmailDomainAllowed(email)) {
+        const domains = getAllowedDomains();
+        const message = domains.length > 0
+            ? `Registration is limited to ${domains.map(domain => `@${domain}`).join(', ')} email addresses`
+            : 'Registration is limited to approved email domains';
+        throw new AppError(message, 403, 'EMAIL_DOMAIN_NOT_ALLOWED');
+    }
+};
+
+/**
+ * In invite mode, find the invite code and check it can still be used.
+ * Returns null in every other mode.
+ */
+const findUsableInviteCode = async (code) => {
+    if (getRegistrationMode() !== 'invite') {
+        return null;
+    }
+
+    const normalized = normalizeInviteCode(code);
+
+    if (!normalized) {
+        throw new AppError('An invite code is required to register', 403, 'INVITE_REQUIRED');
+    }
+
+    const invite = await InviteCode.findOne({ codeHash: hashToken(normalized) });
+
+    if (!invite) {
+        throw new AppError('This invite code is not valid', 403, 'INVITE_INVALID');
+    }
+
+    const reason = invite.getUnusableReason();
+    if (reason) {
+        throw new AppError(reason, 403, 'INVITE_INVALID');
+    }
+
+    return invite;
+};
+
+/**
+ * Use up one redemption of an invite code (atomic, so a code can't be over-used)
+ */
+const redeemInviteCode = async (invite) => {
+    const now = new Date();
+    const redeemed = await InviteCode.findOneAndUpdate(
+        {
+            _id: invite._id,
+            revokedAt: null,
+            useCount: { $lt: invite.maxUses },
+            $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }]
+        },
+        { $inc: { useCount: 1 } },
+        { new: true }
+    );
+
+    if (!redeemed) {
+        throw new AppError('This invite code has reached its usage limit', 403, 'INVITE_INVALID');
+    }
+
+    return redeemed;
+};
+
+/**
+ * Give back a redemption when the registration failed after redeeming
+ */
+const releaseInviteCode = async (invite) => {
+    await InviteCode.updateOne({ _id: invite._id, useCount: { $gt: 0 } }, { $inc: { useCount: -1 } });
+};
+
+/**
+ * Accounts created through an identity provider follow the same rules.
+ * There's no way to pass an invite code there, so invite mode requires
+ * registering first and linking the provider afterwards.
+ */
+const assertProvisioningAllowed = (email) => {
+    assertRegistrationOpen(email);
+
+    if (getRegistrationMode() === 'invite') {
+        throw new AppError('Registration requires an invite code. Register with your invite code first, then link this provider', 403, 'INVITE_REQUIRED');
+    }
+};
+
+/**
+ * Current state of an invite code
+ */
+const getInviteStatus = (invite) => {
+    if (invite.revokedAt) return 'revoked';
+    if (invite.expiresAt && invite.expiresAt.getTime() <= Date.now()) return 'expired';
+    if (invite.useCount >= invite.maxUses) return 'used';
+    return 'active';
+};
+
+/**
+ * Public representation of an invite code (never includes the hash)
+ */
+const formatInviteCode = (invite) => {
+    return {
+        id: invite._id,
+        prefix: invite.prefix,
+        note: invite.note,
+        maxUses: invite.maxUses,
+        useCount: invite.useCount,
+        status: getInviteStatus(invite),
+        expiresAt: invite.expiresAt,
+        revokedAt: invite.revokedAt,
+        createdBy: invite.createdBy,
+        createdAt: invite.createdAt
+    };
+};
+
+/**
+ * Create an invite code. The code is returned once and never stored in plain text.
+ */
+const createInviteCodeService = async (actorId, { maxUses = 1, expiresInDays = null, note = '' } = {}, context = {}) => {
+    try {
+        const code = generateInviteCode();
+        const normalized = normalizeInviteCode(code);
+
+        const invite = await InviteCode.create({
+            codeHash: hashToken(normalized),
+            prefix: normalized.substring(0, 4),
+            createdBy: actorId,
+            note,
+            maxUses,
+            expiresAt: expiresInDays ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000) : null
+        });
+
+        logger.info(`Invite code ${invite.prefix}… (${maxUses} uses) created by ${actorId}`);
+
+        await auditService.record(AUDIT_EVENTS.ADMIN_ACTION, {
+            actorId,
+            metadata: { action: 'invite_create', inviteId: invite._id, prefix: invite.prefix, maxUses }
+        }, context);
+
+        return { code, invite: formatInviteCode(invite) };
+    } catch (error) {
+        throw error;
+    }
+};
+
+/**
+ * List invite codes, newest first
+ */
+const listInviteCodesService = async ({ page = 1, limit = 20 } = {}) => {
+    try {
+        const skip = (page - 1) * limit;
+
+        const [invites, total] = await Promise.all([
+            InviteCode.find()
+                .populate('createdBy', 'username')
+                .sort({ createdAt: -1 })
+                .skip(skip)
+                .limit(limit),
+            InviteCode.countDocuments()
+        ]);
+
+        return {
+            invites: invites.map(formatInviteCode),
+            pagination: {
+                currentPage: page,
+                totalPages: Math.ceil(total / limit),
+                totalItems: total,
+                itemsPerPage: limit
+            }
+        };
+    } catch (error) {
+        throw error;
+    }
+};
+
+/**
+ * Revoke an invite code (accounts already created with it are unaffected)
+ */
+const revokeInviteCodeService = async (actorId, inviteId, context = {}) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(inviteId)) {
+            throw new AppError('Invite code not found', 404);
+        }
+
+        const invite = await InviteCode.findById(inviteId);
+
+        if (!invite) {
+            throw new AppError('Invite code not found', 404);
+        }
+
+        if (invite.revokedAt) {
+            throw new AppError('Invite code is already revoked', 400);
+        }
+
+        invite.revokedAt = new Date();
+        await invite.save();
+
+        await auditService.record(AUDIT_EVENTS.ADMIN_ACTION, {
+            actorId,
+            metadata: { action: 'invite_revoke', inviteId: invite._id, prefix: invite.prefix }
+        }, context);
+
+        return { message: 'Invite code revoked', invite: formatInviteCode(invite) };
+    } catch (error) {
+        throw error;
+    }
+};
+
+module.exports = {
+    getRegistrationInfoService,
+    assertRegistrationOpen,
+    findUsableInviteCode,
+    redeemInviteCode,
+    releaseInviteCode,
+    assertProvisioningAllowed,
+    createInviteCodeService,
+    listInviteCodesService,
+    revokeInviteCodeService
+};
@@ -0,0 +1,86 @@
+const User = require('../models/User');
+const { AppError } = require('../utils/errorHandler');
+const logger = require('../utils/logger');
+
+// Fields needed to evaluate a suspension
+const SUSPENSION_FIELDS = 'isActive suspendedAt suspendedUntil suspensionReason';
+
+/**
+ * Build the message shown to a suspended user
+ */
+const formatSuspensionMessage = (suspension) => {
+    let message = 'Your account has been suspended';
+
+    if (suspension.suspendedUntil) {
+        message += ` until ${suspension.suspendedUntil.toISOString()}`;
+    }
+    if (suspension.reason) {
+        message += `. Reason: ${suspension.reason}`;
+    }
+
+    return message;
+};
+
+/**
+ * Lift a suspension whose expiry has passed
+ */
+const liftExpiredSuspension = async (user) => {
+    const result = await User.updateOne(
+        { _id: user._id, isActive: false, suspendedUntil: { $ne: null, $lte: new Date() } },
+        {
+            $set: {
+                isActive: true,
+                suspendedAt: null,
+                suspendedUntil: null,
+                suspensionReason: null,
+                suspendedBy: null
+            }
+        }
+    );
+
+    if (result.modifiedCount > 0) {
+        logger.info(`Suspension of user ${user._id} expired and was lifted`);
+    }
+
+    user.isActive = true;
+    user.suspendedAt = null;
+    user.suspendedUntil = null;
+    user.suspensionReason = null;
+};
+
+/**
+ * Get the active suspension for a user (loaded with SUSPENSION_FIELDS).
+ * Expired suspensions are lifted on the way and return null.
+ */
+const getSuspension = async (user) => {
+    if (user.isActive) {
+        return null;
+    }
+
+    const suspension = user.getActiveSuspension();
+
+    if (!suspension) {
+        await liftExpiredSuspension(user);
+        return null;
+    }
+
+    return suspension;
+};
+
+/**
+ * Throw a 403 if the user is currently suspended
+ */
+const assertNotSuspended = async (user) => {
+    const suspension = await getSuspension(user);
+
+    if (suspension) {
+        throw new AppError(formatSuspensionMessage(suspension), 403);
+    }
+};
+
+module.exports = {
+    SUSPENSION_FIELDS,
+    formatSuspensionMessage,
+    getSuspension,
+    assertNotSuspended
+};
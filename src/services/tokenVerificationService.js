@@ -0,0 +1,152 @@
+require('dotenv').config();
+const User = require('../models/User');
+const RefreshToken = require('../models/RefreshToken');
+const ApiKey = require('../models/ApiKey');
+const { verifyToken } = require('../config/jwtKeys');
+const { AppError } = require('../utils/errorHandler');
+const { hashToken } = require('../utils/secureToken');
+const { getRequiredScope } = require('../config/apiKeyScopes');
+const { SUSPENSION_FIELDS, getSuspension, formatSuspensionMessage } = require('./suspensionService');
+
+// Legacy HS256 secret - only for tokens issued before asymmetric signing
+const JWT_SECRET = process.env.JWT_SECRET_KEY;
+
+// Fields the checks below need
+const TOKEN_USER_FIELDS = `passwordChangedAt ${SUSPENSION_FIELDS}`;
+
+/**
+ * Verify an access token - shared by REST (authenticateToken) and Socket.IO (authenticateSocket).
+ *
+ * Checks, in order: signature and expiry, token type, that the user still exists,
+ * password change time, suspension and session revocation.
+ * Throws an AppError with statusCode and code on failure.
+ *
+ * @param {string} token - Raw JWT
+ * @param {object} [options]
+ * @param {string} [options.select] - User fields to load (must include TOKEN_USER_FIELDS)
+ * @returns {Promise<{ user, userId: string, sessionId: string|null, decoded: object }>}
+ */
+const verifyAccessToken = async (token, { select = TOKEN_USER_FIELDS } = {}) => {
+    if (!token) {
+        throw new AppError('Access token required', 401, 'TOKEN_MISSING');
+    }
+
+    let decoded;
+    try {
+        decoded = verifyToken(token, { legacySecret: JWT_SECRET });
+    } catch (error) {
+        if (error.name === 'TokenExpiredError') {
+            throw new AppError('Token expired', 401, 'TOKEN_EXPIRED');
+        }
+        throw new AppError('Invalid token', 403, 'INVALID_TOKEN');
+    }
+
+    // Refresh and MFA tokens are signed by the same keys - only access tokens authenticate
+    if (decoded.type !== 'access' || !decoded.id) {
+        throw new AppError('Invalid token type', 403, 'INVALID_TOKEN_TYPE');
+    }
+
+    const user = await User.findById(decoded.id).select(select);
+
+    if (!user) {
+        throw new AppError('User no longer exists', 401, 'USER_NOT_FOUND');
+    }
+
+    // Reject tokens issued before the last password change
+    if (user.changedPasswordAfter(decoded.iat)) {
+        throw new AppError('Password was changed recently. Please log in again', 401, 'PASSWORD_CHANGED');
+    }
+
+    const suspension = await getSuspension(user);
+
+    if (suspension) {
+        const error = new AppError(formatSuspensionMessage(suspension), 403, 'ACCOUNT_SUSPENDED');
+        error.data = { suspension };
+        throw error;
+    }
+
+    // Reject tokens whose login session has been revoked
+    if (decoded.sid && !(await RefreshToken.exists({ sessionId: decoded.sid, rotatedAt: null }))) {
+        throw new AppError('Session has been revoked. Please log in again', 401, 'SESSION_REVOKED');
+    }
+
+    return {
+        user,
+        userId: user._id.toString(),
+        sessionId: decoded.sid || null,
+        decoded
+    };
+};
+
+/**
+ * Verify a personal API key (Authorization: ApiKey <key>).
+ * Checks that the key exists, isn't revoked or expired, that the account isn't a disabled
+ * bot or pending deletion, and that neither the account nor (for bots) its owner is suspended.
+ *
+ * @param {string} key - Raw API key
+ * @returns {Promise<{ user, userId: string, apiKey }>}
+ */
+const verifyApiKey = async (key) => {
+    const apiKey = key ? await ApiKey.findOne({ keyHash: hashToken(key) }) : null;
+
+    if (!apiKey || !apiKey.isUsable()) {
+        throw new AppError('Invalid or expired API key', 401, 'INVALID_API_KEY');
+    }
+
+    const user = await User.findById(apiKey.userId).select(`${TOKEN_USER_FIELDS} accountType botOwner botDisabledAt deletionScheduledFor`);
+
+    if (!user) {
+        throw new AppError('Invalid or expired API key', 401, 'INVALID_API_KEY');
+    }
+
+    if (user.botDisabledAt) {
+        throw new AppError('This bot has been disabled', 403, 'BOT_DISABLED');
+    }
+
+    const suspension = await getSuspension(user);
+
+    if (suspension) {
+        throw new AppError(formatSuspensionMessage(suspension), 403, 'ACCOUNT_SUSPENDED');
+    }
+
+    // Keys stop working while a deletion is pending; logging in cancels it
+    if (user.deletionScheduledFor) {
+        throw new AppError('This account is scheduled for deletion', 403, 'ACCOUNT_PENDING_DELETION');
+    }
+
+    if (user.botOwner) {
+        const owner = await User.findById(user.botOwner).select(SUSPENSION_FIELDS);
+
+        if (!owner || await getSuspension(owner)) {
+            throw new AppError('The owner of this bot is suspended', 403, 'OWNER_SUSPENDED');
+        }
+    }
+
+    return {
+        user,
+        userId: user._id.toString(),
+        apiKey
+    };
+};
+
+/**
+ * Check an API key may call an endpoint (API keys are denied unless the route has a scope)
+ */
+const assertApiKeyScope = (apiKey, method, url) => {
+    const requiredScope = getRequiredScope(method, url);
+
+    if (!requiredScope) {
+        throw new AppError('This endpoint is not available to API keys', 403, 'API_KEY_NOT_ALLOWED');
+    }
+
+    if (!apiKey.scopes.includes(requiredScope)) {
+        throw new AppError(`API key is missing the ${requiredScope} scope`, 403, 'INSUFFICIENT_SCOPE');
+    }
+};
+
+module.exports = {
+    TOKEN_USER_FIELDS,
+    verifyAccessToken,
+    verifyApiKey,
+    assertApiKeyScope
+};
@@ -0,0 +1,208 @@
+require('dotenv').config();
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const User = require('../models/User');
+const { AppError } = require('../utils/errorHandler');
+const { hashToken } = require('../utils/secureToken');
+const { generateSecret, verifyTotp, buildOtpauthUri } = require('../utils/totp');
+
+const TWO_FACTOR_ISSUER = process.env.TWO_FACTOR_ISSUER || 'Chattr';
+const RECOVERY_CODE_COUNT = 10;
+
+const TWO_FACTOR_FIELDS = '+twoFactorSecret +twoFactorPendingSecret +twoFactorRecoveryCodes +twoFactorLastUsedStep';
+
+/**
+ * Generate plain recovery codes (formatted xxxxx-xxxxx)
+ */
+const generateRecoveryCodes = () => {
+    return Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+        const code = crypto.randomBytes(5).toString('hex');
+        return `${code.slice(0, 5)}-${code.slice(5)}`;
+    });
+};
+
+const normalizeRecoveryCode = (code) => String(code || '').trim().toLowerCase().replace(/\s/g, '');
+
+/**
+ * Verify a TOTP or recovery code for a user loaded with TWO_FACTOR_FIELDS.
+ * Consumes the code (replay protection / single-use recovery codes). Both updates are
+ * conditional, so two requests racing with the same code can't both succeed. The loaded
+ * document is left as it is - saving it later must not write back an older step or
+ * recovery code list.
+ */
+const verifyTwoFactorCode = async (user, code) => {
+    const matchedStep = verifyTotp(user.twoFactorSecret, code, {
+        lastUsedStep: user.twoFactorLastUsedStep
+    });
+
+    if (matchedStep !== null) {
+        const { matchedCount } = await User.updateOne(
+            {
+                _id: user._id,
+                $or: [
+                    { twoFactorLastUsedStep: null },
+                    { twoFactorLastUsedStep: { $lt: matchedStep } }
+                ]
+            },
+            { $set: { twoFactorLastUsedStep: matchedStep } }
+        );
+
+        return matchedCount === 0 ? null : { method: 'totp' };
+    }
+
+    const codeHash = hashToken(normalizeRecoveryCode(code));
+
+    if (!user.twoFactorRecoveryCodes.includes(codeHash)) {
+        return null;
+    }
+
+    const { matchedCount } = await User.updateOne(
+        { _id: user._id, twoFactorRecoveryCodes: codeHash },
+        { $pull: { twoFactorRecoveryCodes: codeHash } }
+    );
+
+    if (matchedCount === 0) {
+        return null;
+    }
+
+    return { method: 'recovery_code', remainingRecoveryCodes: user.twoFactorRecoveryCodes.length - 1 };
+};
+
+/**
+ * Start 2FA enrollment - generates a secret the user adds to their authenticator app
+ */
+const setupTwoFactorService = async (userId) => {
+    try {
+        const user = await User.findById(userId).select(TWO_FACTOR_FIELDS);
+
+        if (!user) {
+            throw new AppError('User not found', 404);
+        }
+
+        if (user.twoFactorEnabled) {
+            throw new AppError('Two-factor authentication is already enabled', 400);
+        }
+
+        const secret = generateSecret();
+        user.twoFactorPendingSecret = secret;
+        await user.save();
+
+        return {
+            secret,
+            otpauthUri: buildOtpauthUri({ secret, accountName: user.email, issuer: TWO_FACTOR_ISSUER })
+        };
+    } catch (error) {
+        throw error;
+    }
+};
+
+/**
+ * Confirm 2FA enrollment with a code from the authenticator app
+ * Returns the recovery codes - they are only shown once
+ */
+const confirmTwoFactorService = async (userId, code) => {
+    try {
+        const user = await User.findById(userId).select(TWO_FACTOR_FIELDS);
+
+        if (!user) {
+            throw new AppError('User not found', 404);
+        }
+
+        if (user.twoFactorEnabled) {
+            throw new AppError('Two-factor authentication is already enabled', 400);
+        }
+
+        if (!user.twoFactorPendingSecret) {
+            throw new AppError('Two-factor setup has not been started', 400);
+        }
+
+        const matchedStep = verifyTotp(user.twoFactorPendingSecret, code);
+
+        if (matchedStep === null) {
+            throw new AppError('Invalid verification code', 400);
+        }
+
+        const recoveryCodes = generateRecoveryCodes();
+
+        // Only enable against the secret we verified, and only once per code
+        const { matchedCount } = await User.updateOne(
+            {
+                _id: user._id,
+                twoFactorEnabled: false,
+                twoFactorPendingSecret: user.twoFactorPendingSecret,
+                $or: [
+                    { twoFactorLastUsedStep: null },
+                    { twoFactorLastUsedStep: { $lt: matchedStep } }
+                ]
+            },
+            {
+                $set: {
+                    twoFactorEnabled: true,
+                    twoFactorSecret: user.twoFactorPendingSecret,
+                    twoFactorPendingSecret: null,
+                    twoFactorLastUsedStep: matchedStep,
+                    twoFactorRecoveryCodes: recoveryCodes.map((recoveryCode) => hashToken(recoveryCode))
+                }
+            }
+        );
+
+        if (matchedCount === 0) {
+            throw new AppError('Invalid verification code', 400);
+        }
+
+        return {
+            message: 'Two-factor authentication enabled',
+            recoveryCodes
+        };
+    } catch (error) {
+        throw error;
+    }
+};
+
+/**
+ * Disable 2FA - requires the password and a current TOTP or recovery code
+ */
+const disableTwoFactorService = async (userId, password, code) => {
+    try {
+        const user = await User.findById(userId).select(`+password ${TWO_FACTOR_FIELDS}`);
+
+        if (!user) {
+            throw new AppError('User not found', 404);
+        }
+
+        if (!user.twoFactorEnabled) {
+            throw new AppError('Two-factor authentication is not enabled', 400);
+        }
+
+        const isPasswordValid = await bcrypt.compare(password, user.password);
+
+        if (!isPasswordValid) {
+            throw new AppError('Password is incorrect', 400);
+        }
+
+        const verified = await verifyTwoFactorCode(user, code);
+
+        if (!verified) {
+            throw new AppError('Invalid verification code', 400);
+        }
+
+        user.twoFactorEnabled = false;
+        user.twoFactorSecret = null;
+        user.twoFactorPendingSecret = null;
+        user.twoFactorRecoveryCodes = [];
+        user.twoFactorLastUsedStep = null;
+        await user.save();
+
+        return { message: 'Two-factor authentication disabled' };
+    } catch (error) {
+        throw error;
+    }
+};
+
+module.exports = {
+    TWO_FACTOR_FIELDS,
+    verifyTwoFactorCode,
+    setupTwoFactorService,
+    confirmTwoFactorService,
+    disableTwoFactorService
+};
@@ -1,6 +1,14 @@
 require('dotenv').config();
 const User = require('../models/User');
+const Message = require('../models/Message');
+const UsernameHistory = require('../models/UsernameHistory');
 const { AppError } = require('../utils/errorHandler');
+const { isUsernameAvailable, releaseUsername } = require('./usernameService');
+const auditService = require('./auditService');
+const { AUDIT_EVENTS } = require('../config/auditEvents');
+const { messageCache } = require('../config/redis');
+const { notifyUserUpdated } = require('../config/socket');
+const logger = require('../utils/logger');
 const fs = require('fs').promises;
 const path = require('path');
 const { deleteFile } = require('../utils/fileProcessor');
@@ -24,6 +32,7 @@ const searchUsers = async (query, currentUserId, page = 1, limit = 20) => {
 
         const users = await User.find({
             _id: { $ne: currentUserId }, // Exclude current user
+            deletedAt: null, // Exclude deleted accounts
             $or: [
                 { username: searchRegex },  // Starts with query (priority)
                 { username: containsRegex }, // Contains query (fallback)
@@ -37,6 +46,7 @@ const searchUsers = async (query, currentUserId, page = 1, limit = 20) => {
 
         const total = await User.countDocuments({
             _id: { $ne: currentUserId },
+            deletedAt: null,
             $or: [
                 { username: searchRegex },
                 { username: containsRegex },
@@ -79,7 +89,102 @@ const updateProfileService = async (userId, updateData) => {
     }
 };
 
-const changeProfilePictureService = async (userId, file) => {
+const USERNAME_CHANGE_COOLDOWN_DAYS = parseInt(process.env.USERNAME_CHANGE_COOLDOWN_DAYS) || 30;
+const CACHE_INVALIDATION_BATCH_SIZE = 500;
+
+/**
+ * Drop cached messages that embed the user's old username
+ */
+const invalidateCachedMessages = async (userId) => {
+    const cursor = Message.find({ $or: [{ sender: userId }, { receiver: userId }] })
+        .select('_id')
+        .lean()
+        .cursor();
+
+    let batch = [];
+    for await (const message of cursor) {
+        batch.push(message._id.toString());
+        if (batch.length >= CACHE_INVALIDATION_BATCH_SIZE) {
+            await messageCache.deleteMany(batch);
+            batch = [];
+        }
+    }
+    await messageCache.deleteMany(batch);
+};
+
+/**
+ * Change username
+ * Limited to once per cooldown period; the old name is kept in the history and
+ * held for USERNAME_HOLD_DAYS so nobody else can take it
+ */
+const changeUsernameService = async (userId, newUsername) => {
+    try {
+        const user = await User.findById(userId);
+        if (!user) {
+            throw new AppError('User not found', 404);
+        }
+
+        if (user.username === newUsername) {
+            throw new AppError('This is already your username', 400);
+        }
+
+        if (user.usernameChangedAt) {
+            const nextChangeAt = new Date(user.usernameChangedAt.getTime() + USERNAME_CHANGE_COOLDOWN_DAYS * 24 * 60 * 60 * 1000);
+            if (nextChangeAt > new Date()) {
+                throw new AppError(`You can change your username again on ${nextChangeAt.toISOString()}`, 429);
+            }
+        }
+
+        if (!(await isUsernameAvailable(newUsername, userId))) {
+            throw new AppError('Username already taken', 400);
+        }
+
+        const oldUsername = user.username;
+        user.username = newUsername;
+        user.usernameChangedAt = new Date();
+
+        try {
+            await user.save();
+        } catch (error) {
+            // Taken by someone else in the meantime
+            if (error.code === 11000) {
+                throw new AppError('Username already taken', 400);
+            }
+            throw error;
+        }
+
+        await releaseUsername(user._id, oldUsername);
+        await invalidateCachedMessages(user._id);
+        await notifyUserUpdated(user._id, user.friends, { username: newUsername, oldUsername });
+
+        logger.info(`Username changed: ${oldUsername} -> ${newUsername} (${userId})`);
+
+        return user;
+    } catch (error) {
+        throw error;
+    }
+};
+
+/**
+ * Previous usernames of the user, newest first
+ */
+const getUsernameHistoryService = async (userId) => {
+    try {
+        const history = await UsernameHistory.find({ userId })
+            .select('username changedAt reservedUntil')
+            .sort({ changedAt: -1 });
+
+        return history.map(entry => ({
+            username: entry.username,
+            changedAt: entry.changedAt,
+            reservedUntil: entry.reservedUntil
+        }));
+    } catch (error) {
+        throw error;
+    }
+};
+
+const changeProfilePictureService = async (userId, file, context = {}) => {
     try {
         const user = await User.findById(userId);
         if (!user) {
@@ -106,6 +211,9 @@ const changeProfilePictureService = async (userId, file) => {
         user.profilePicture = fileUrl;
         user.updatedAt = Date.now();
         await user.save();
+
+        await auditService.record(AUDIT_EVENTS.PROFILE_PICTURE_CHANGE, { userId: user._id }, context);
+
         return user;
     } catch (error) {
         // Delete uploaded file if error occurs
@@ -123,5 +231,7 @@ const changeProfilePictureService = async (userId, file) => {
 module.exports = {
     searchUsers,
     updateProfileService,
+    changeUsernameService,
+    getUsernameHistoryService,
     changeProfilePictureService
 };
\ No newline at end of file
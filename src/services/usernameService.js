@@ -0,0 +1,44 @@
+require('dotenv').config();
+const User = require('../models/User');
+const UsernameHistory = require('../models/UsernameHistory');
+
+// How long a released username stays reserved, so nobody can impersonate its previous owner
+const USERNAME_HOLD_DAYS = parseInt(process.env.USERNAME_HOLD_DAYS) || 90;
+
+/**
+ * Whether a username can be taken: not in use by another account and not on hold.
+ * The user's own current and previous usernames are always available to them.
+ */
+const isUsernameAvailable = async (username, userId = null) => {
+    const owner = await User.findOne({ username }).select('_id');
+
+    if (owner && (!userId || owner._id.toString() !== userId.toString())) {
+        return false;
+    }
+
+    const reservation = await UsernameHistory.exists({
+        usernameLower: username.toLowerCase(),
+        reservedUntil: { $gt: new Date() },
+        ...(userId ? { userId: { $ne: userId } } : {})
+    });
+
+    return !reservation;
+};
+
+/**
+ * Record a username the account gave up and put it on hold
+ */
+const releaseUsername = async (userId, username) => {
+    return UsernameHistory.create({
+        userId,
+        username,
+        usernameLower: username.toLowerCase(),
+        reservedUntil: new Date(Date.now() + USERNAME_HOLD_DAYS * 24 * 60 * 60 * 1000)
+    });
+};
+
+module.exports = {
+    USERNAME_HOLD_DAYS,
+    isUsernameAvailable,
+    releaseUsername
+};
@@ -0,0 +1,56 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+
+// SHA-1 hashes of common and breached passwords, one per line (see scripts/buildCommonPasswordList.js)
+const COMMON_PASSWORDS_FILE = path.join(__dirname, '..', 'data', 'commonPasswords.txt');
+
+let passwordHashes = null;
+
+/**
+ * Passwords are compared case-insensitively
+ */
+const hashCommonPassword = (password) => {
+    return crypto.createHash('sha1').update(String(password).toLowerCase()).digest('hex').toUpperCase();
+};
+
+/**
+ * Load the hash list once, on first use
+ */
+const loadPasswordHashes = () => {
+    if (passwordHashes) {
+        return passwordHashes;
+    }
+
+    try {
+        const lines = fs.readFileSync(COMMON_PASSWORDS_FILE, 'utf8').split(/\r?\n/);
+        passwordHashes = new Set(lines.map(line => line.trim()).filter(line => line && !line.startsWith('#')));
+    } catch (error) {
+        logger.error(`Could not load the common password list: ${error.message}`);
+        passwordHashes = new Set();
+    }
+
+    return passwordHashes;
+};
+
+/**
+ * Whether the password is on the common/breached list. Trailing symbols are
+ * ignored too, so "Password1!" is caught along with "Password1".
+ */
+const isCommonPassword = (password) => {
+    if (typeof password !== 'string' || !password) {
+        return false;
+    }
+
+    const hashes = loadPasswordHashes();
+    const candidates = new Set([password, password.replace(/[^a-zA-Z0-9]+$/, '')]);
+
+    return [...candidates].some(candidate => candidate && hashes.has(hashCommonPassword(candidate)));
+};
+
+module.exports = {
+    COMMON_PASSWORDS_FILE,
+    hashCommonPassword,
+    isCommonPassword
+};
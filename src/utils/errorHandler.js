@@ -4,10 +4,14 @@ const logger = require('./logger');
  * Custom Application Error Class
  */
 class AppError extends Error {
-    constructor(message, statusCode = 500) {
+    constructor(message, statusCode = 500, code = null) {
         super(message);
         this.statusCode = statusCode;
         this.isOperational = true;
+        // Optional machine-readable reason (e.g. 'SESSION_REVOKED') for clients
+        if (code) {
+            this.code = code;
+        }
         Error.captureStackTrace(this, this.constructor);
     }
 }
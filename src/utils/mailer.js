@@ -0,0 +1,105 @@
+const fs = require('fs').promises;
+const path = require('path');
+const nodemailer = require('nodemailer');
+const logger = require('./logger');
+
+const MAIL_FROM = process.env.MAIL_FROM || 'Chattr <no-reply@chattr.local>';
+const MAIL_FILE_DIR = process.env.MAIL_FILE_DIR || path.join(__dirname, '../../logs/mail');
+
+/**
+ * File transport - writes every email as JSON to MAIL_FILE_DIR (development/tests)
+ */
+const createFileTransport = () => ({
+    name: 'file',
+    send: async (mail) => {
+        await fs.mkdir(MAIL_FILE_DIR, { recursive: true });
+        const fileName = `${Date.now()}-${mail.to.replace(/[^a-zA-Z0-9@._-]/g, '_')}.json`;
+        const filePath = path.join(MAIL_FILE_DIR, fileName);
+        await fs.writeFile(filePath, JSON.stringify(mail, null, 2));
+        return { messageId: fileName, filePath };
+    }
+});
+
+/**
+ * Console transport - logs emails instead of sending them
+ */
+const createConsoleTransport = () => ({
+    name: 'console',
+    send: async (mail) => {
+        logger.info(`📧 [mail] To: ${mail.to} | Subject: ${mail.subject}\n${mail.text}`);
+        return { messageId: `console-${Date.now()}` };
+    }
+});
+
+/**
+ * SMTP transport (production) - configured through SMTP_* variables
+ */
+const createSmtpTransport = () => {
+    const transporter = nodemailer.createTransport({
+        host: process.env.SMTP_HOST,
+        port: parseInt(process.env.SMTP_PORT) || 587,
+        secure: process.env.SMTP_SECURE === 'true',
+        auth: process.env.SMTP_USER ? {
+            user: process.env.SMTP_USER,
+            pass: process.env.SMTP_PASSWORD
+        } : undefined
+    });
+
+    return {
+        name: 'smtp',
+        send: async (mail) => {
+            const info = await transporter.sendMail(mail);
+            return { messageId: info.messageId };
+        }
+    };
+};
+
+const transportFactories = {
+    file: createFileTransport,
+    console: createConsoleTransport,
+    smtp: createSmtpTransport
+};
+
+const resolveTransport = () => {
+    const name = process.env.MAIL_TRANSPORT || (process.env.NODE_ENV === 'production' ? 'smtp' : 'file');
+    const factory = transportFactories[name];
+
+    if (!factory) {
+        logger.warn(`Unknown MAIL_TRANSPORT "${name}" - falling back to console transport`);
+        return createConsoleTransport();
+    }
+    return factory();
+};
+
+let transport = resolveTransport();
+
+/**
+ * Replace the active transport (any object with an async send(mail) method)
+ */
+const setTransport = (customTransport) => {
+    transport = customTransport;
+};
+
+const getTransport = () => transport;
+
+/**
+ * Send an email through the active transport
+ */
+const sendMail = async ({ to, subject, text, html }) => {
+    const mail = { from: MAIL_FROM, to, subject, text, html };
+
+    try {
+        const result = await transport.send(mail);
+        logger.info(`Email "${subject}" sent to ${to} via ${transport.name || 'custom'} transport`);
+        return result;
+    } catch (error) {
+        logger.error(`Failed to send email "${subject}" to ${to}: ${error.message}`);
+        throw error;
+    }
+};
+
+module.exports = {
+    sendMail,
+    setTransport,
+    getTransport
+};
@@ -0,0 +1,199 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const jwt = require('jsonwebtoken');
+const { AppError } = require('./errorHandler');
+
+/**
+ * Minimal OpenID Connect relying-party helpers
+ * (discovery, PKCE, authorization-code exchange and id_token verification)
+ */
+
+const HTTP_TIMEOUT_MS = 10000;
+const METADATA_TTL_MS = 60 * 60 * 1000; // re-fetch discovery/JWKS hourly
+const JWKS_REFRESH_COOLDOWN_MS = 60 * 1000; // for unknown key ids (rotation)
+const CLOCK_TOLERANCE_SECONDS = 60;
+const ID_TOKEN_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'PS256', 'PS384', 'PS512', 'ES256', 'ES384', 'ES512'];
+
+const discoveryCache = new Map(); // issuer -> { metadata, fetchedAt }
+const jwksCache = new Map(); // jwks_uri -> { keys, fetchedAt }
+
+/**
+ * Base64url without padding
+ */
+const base64url = (buffer) => buffer.toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+
+/**
+ * Generate a PKCE verifier and its S256 challenge
+ */
+const generatePkce = () => {
+    const codeVerifier = base64url(crypto.randomBytes(32));
+    const codeChallenge = base64url(crypto.createHash('sha256').update(codeVerifier).digest());
+    return { codeVerifier, codeChallenge };
+};
+
+/**
+ * Fetch (and cache) the provider's discovery document
+ */
+const discover = async (issuer) => {
+    const cached = discoveryCache.get(issuer);
+    if (cached && Date.now() - cached.fetchedAt < METADATA_TTL_MS) {
+        return cached.metadata;
+    }
+
+    let metadata;
+    try {
+        const response = await axios.get(`${issuer.replace(/\/+$/, '')}/.well-known/openid-configuration`, { timeout: HTTP_TIMEOUT_MS });
+        metadata = response.data;
+    } catch (error) {
+        throw new AppError(`Could not reach identity provider: ${error.message}`, 502);
+    }
+
+    if (!metadata || metadata.issuer !== issuer) {
+        throw new AppError('Identity provider discovery document does not match the configured issuer', 502);
+    }
+    if (!metadata.authorization_endpoint || !metadata.token_endpoint || !metadata.jwks_uri) {
+        throw new AppError('Identity provider discovery document is incomplete', 502);
+    }
+
+    discoveryCache.set(issuer, { metadata, fetchedAt: Date.now() });
+    return metadata;
+};
+
+/**
+ * Fetch the provider's signing keys (cached)
+ */
+const getJwks = async (jwksUri, { forceRefresh = false } = {}) => {
+    const cached = jwksCache.get(jwksUri);
+    const age = cached ? Date.now() - cached.fetchedAt : Infinity;
+
+    if (cached && age < METADATA_TTL_MS && (!forceRefresh || age < JWKS_REFRESH_COOLDOWN_MS)) {
+        return cached.keys;
+    }
+
+    try {
+        const response = await axios.get(jwksUri, { timeout: HTTP_TIMEOUT_MS });
+        const keys = Array.isArray(response.data?.keys) ? response.data.keys : [];
+        jwksCache.set(jwksUri, { keys, fetchedAt: Date.now() });
+        return keys;
+    } catch (error) {
+        throw new AppError(`Could not fetch identity provider keys: ${error.message}`, 502);
+    }
+};
+
+/**
+ * Find the public key for an id_token header
+ */
+const findSigningKey = async (jwksUri, header) => {
+    const match = (keys) => keys.find(key =>
+        (key.use === undefined || key.use === 'sig')
+        && (header.kid ? key.kid === header.kid : true)
+        && (!key.alg || key.alg === header.alg)
+    );
+
+    let jwk = match(await getJwks(jwksUri));
+
+    // Unknown kid - the provider may have rotated its keys
+    if (!jwk) {
+        jwk = match(await getJwks(jwksUri, { forceRefresh: true }));
+    }
+
+    if (!jwk) {
+        throw new AppError('No matching identity provider signing key', 401);
+    }
+
+    return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+};
+
+/**
+ * Build the provider authorization URL
+ */
+const buildAuthorizationUrl = (metadata, provider, { state, nonce, codeChallenge }) => {
+    const url = new URL(metadata.authorization_endpoint);
+
+    url.search = new URLSearchParams({
+        ...Object.fromEntries(url.searchParams),
+        response_type: 'code',
+        client_id: provider.clientId,
+        redirect_uri: provider.redirectUri,
+        scope: provider.scopes,
+        state,
+        nonce,
+        code_challenge: codeChallenge,
+        code_challenge_method: 'S256'
+    }).toString();
+
+    return url.toString();
+};
+
+/**
+ * Exchange an authorization code for tokens
+ */
+const exchangeCode = async (metadata, provider, { code, codeVerifier }) => {
+    const params = new URLSearchParams({
+        grant_type: 'authorization_code',
+        code,
+        redirect_uri: provider.redirectUri,
+        code_verifier: codeVerifier
+    });
+    const headers = { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' };
+
+    if (provider.clientSecret && provider.tokenEndpointAuthMethod === 'client_secret_basic') {
+        const credentials = `${encodeURIComponent(provider.clientId)}:${encodeURIComponent(provider.clientSecret)}`;
+        headers.Authorization = `Basic ${Buffer.from(credentials).toString('base64')}`;
+    } else {
+        params.set('client_id', provider.clientId);
+        if (provider.clientSecret) {
+            params.set('client_secret', provider.clientSecret);
+        }
+    }
+
+    try {
+        const response = await axios.post(metadata.token_endpoint, params.toString(), { headers, timeout: HTTP_TIMEOUT_MS });
+        return response.data;
+    } catch (error) {
+        const reason = error.response?.data?.error_description || error.response?.data?.error || error.message;
+        throw new AppError(`Identity provider rejected the authorization code: ${reason}`, 401);
+    }
+};
+
+/**
+ * Verify an id_token (signature, issuer, audience, expiry, nonce) and return its claims
+ */
+const verifyIdToken = async (metadata, provider, idToken, { nonce }) => {
+    const decoded = jwt.decode(idToken, { complete: true });
+
+    if (!decoded || !ID_TOKEN_ALGORITHMS.includes(decoded.header.alg)) {
+        throw new AppError('Invalid id_token from identity provider', 401);
+    }
+
+    const key = await findSigningKey(metadata.jwks_uri, decoded.header);
+
+    let claims;
+    try {
+        claims = jwt.verify(idToken, key, {
+            algorithms: ID_TOKEN_ALGORITHMS,
+            issuer: metadata.issuer,
+            audience: provider.clientId,
+            clockTolerance: CLOCK_TOLERANCE_SECONDS
+        });
+    } catch (error) {
+        throw new AppError(`Invalid id_token from identity provider: ${error.message}`, 401);
+    }
+
+    if (!claims.sub || claims.nonce !== nonce) {
+        throw new AppError('Invalid id_token from identity provider', 401);
+    }
+    if (Array.isArray(claims.aud) && claims.aud.length > 1 && claims.azp !== provider.clientId) {
+        throw new AppError('Invalid id_token from identity provider', 401);
+    }
+
+    return claims;
+};
+
+module.exports = {
+    generatePkce,
+    discover,
+    buildAuthorizationUrl,
+    exchangeCode,
+    verifyIdToken
+};
@@ -0,0 +1,58 @@
+/**
+ * Derive a readable device name from a user agent string (e.g. "Chrome on Windows")
+ */
+const parseDeviceName = (userAgent = '') => {
+    if (!userAgent) {
+        return 'Unknown device';
+    }
+
+    const browsers = [
+        ['Edge', /Edg\//],
+        ['Opera', /OPR\//],
+        ['Chrome', /Chrome\//],
+        ['Firefox', /Firefox\//],
+        ['Safari', /Safari\//],
+        ['Postman', /PostmanRuntime/],
+        ['curl', /curl\//]
+    ];
+    const systems = [
+        ['Android', /Android/],
+        ['iOS', /iPhone|iPad|iPod/],
+        ['Windows', /Windows/],
+        ['macOS', /Mac OS X|Macintosh/],
+        ['Linux', /Linux/]
+    ];
+
+    const browser = browsers.find(([, pattern]) => pattern.test(userAgent));
+    const system = systems.find(([, pattern]) => pattern.test(userAgent));
+
+    if (browser && system) {
+        return `${browser[0]} on ${system[0]}`;
+    }
+    if (browser || system) {
+        return (browser || system)[0];
+    }
+    return 'Unknown device';
+};
+
+/**
+ * Collect client metadata from a request for session tracking and audit events
+ */
+const getRequestContext = (req) => {
+    const userAgent = req.get('user-agent') || null;
+    const deviceName = typeof req.body?.deviceName === 'string' && req.body.deviceName.trim()
+        ? req.body.deviceName.trim().substring(0, 100)
+        : parseDeviceName(userAgent);
+
+    return {
+        ipAddress: req.ip || null,
+        userAgent: userAgent ? userAgent.substring(0, 500) : null,
+        deviceName,
+        requestId: req.id || null
+    };
+};
+
+module.exports = {
+    getRequestContext,
+    parseDeviceName
+};
@@ -0,0 +1,20 @@
+const crypto = require('crypto');
+
+/**
+ * Generate a random URL-safe token (sent to the user, never stored)
+ */
+const generateToken = (bytes = 32) => {
+    return crypto.randomBytes(bytes).toString('hex');
+};
+
+/**
+ * Hash a token for storage (SHA-256)
+ */
+const hashToken = (token) => {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+};
+
+module.exports = {
+    generateToken,
+    hashToken
+};
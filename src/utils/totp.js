@@ -0,0 +1,155 @@
+const crypto = require('crypto');
+
+/**
+ * TOTP (RFC 6238) helpers - compatible with Google Authenticator, Authy, 1Password etc.
+ */
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const TOTP_DIGITS = 6;
+const TOTP_PERIOD = 30; // seconds
+
+/**
+ * Encode a buffer as base32 (no padding)
+ */
+const base32Encode = (buffer) => {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+            value &= (1 << bits) - 1;
+        }
+    }
+
+    if (bits > 0) {
+        output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+
+    return output;
+};
+
+/**
+ * Decode a base32 string into a buffer
+ */
+const base32Decode = (input) => {
+    const cleaned = input.toUpperCase().replace(/\s/g, '').replace(/=+$/, '');
+    const bytes = [];
+    let bits = 0;
+    let value = 0;
+
+    for (const char of cleaned) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) {
+            throw new Error('Invalid base32 character');
+        }
+
+        value = (value << 5) | index;
+        bits += 5;
+
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+            value &= (1 << bits) - 1;
+        }
+    }
+
+    return Buffer.from(bytes);
+};
+
+/**
+ * Generate a random base32 secret (160 bits, as recommended by RFC 4226)
+ */
+const generateSecret = () => {
+    return base32Encode(crypto.randomBytes(20));
+};
+
+/**
+ * Compute the HOTP code for a counter value
+ */
+const generateHotp = (secret, counter) => {
+    const counterBuffer = Buffer.alloc(8);
+    counterBuffer.writeUInt32BE(Math.floor(counter / 2 ** 32), 0);
+    counterBuffer.writeUInt32BE(counter % 2 ** 32, 4);
+
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counterBuffer).digest();
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const binary = ((hmac[offset] & 0x7f) << 24)
+        | (hmac[offset + 1] << 16)
+        | (hmac[offset + 2] << 8)
+        | hmac[offset + 3];
+
+    return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+};
+
+/**
+ * Current TOTP time step
+ */
+const getTimeStep = (timestamp = Date.now()) => {
+    return Math.floor(timestamp / 1000 / TOTP_PERIOD);
+};
+
+/**
+ * Generate the TOTP code for a point in time
+ */
+const generateTotp = (secret, timestamp = Date.now()) => {
+    return generateHotp(secret, getTimeStep(timestamp));
+};
+
+/**
+ * Verify a TOTP code, allowing `window` steps of clock drift either way.
+ * Returns the matched time step, or null. Steps at or before `lastUsedStep`
+ * are refused so a code can't be replayed.
+ */
+const verifyTotp = (secret, code, { window = 1, lastUsedStep = null, timestamp = Date.now() } = {}) => {
+    const normalized = String(code || '').replace(/\s/g, '');
+
+    if (!/^\d{6}$/.test(normalized)) {
+        return null;
+    }
+
+    const currentStep = getTimeStep(timestamp);
+
+    for (let step = currentStep - window; step <= currentStep + window; step++) {
+        if (lastUsedStep !== null && step <= lastUsedStep) {
+            continue;
+        }
+
+        const expected = generateHotp(secret, step);
+        if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+            return step;
+        }
+    }
+
+    return null;
+};
+
+/**
+ * Build an otpauth:// URI for authenticator apps (rendered as a QR code by the client)
+ */
+const buildOtpauthUri = ({ secret, accountName, issuer }) => {
+    const label = encodeURIComponent(`${issuer}:${accountName}`);
+    const params = new URLSearchParams({
+        secret,
+        issuer,
+        algorithm: 'SHA1',
+        digits: String(TOTP_DIGITS),
+        period: String(TOTP_PERIOD)
+    });
+
+    return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+module.exports = {
+    base32Encode,
+    base32Decode,
+    generateSecret,
+    generateTotp,
+    verifyTotp,
+    buildOtpauthUri
+};
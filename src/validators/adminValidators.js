@@ -0,0 +1,121 @@
+const { body, param, query } = require('express-validator');
+const { AUDIT_EVENT_TYPES } = require('../config/auditEvents');
+
+/**
+ * Validation rules for routes targeting a single user
+ */
+const validateUserIdParam = [
+    param('userId')
+        .isMongoId().withMessage('Invalid user ID')
+];
+
+/**
+ * Validation rules for the admin user list
+ */
+const validateUserListQuery = [
+    query('search')
+        .optional()
+        .trim()
+        .isLength({ max: 100 }).withMessage('Search query must be at most 100 characters'),
+
+    query('role')
+        .optional()
+        .isIn(['user', 'moderator', 'admin']).withMessage('Role must be one of user, moderator, admin'),
+
+    query('status')
+        .optional()
+        .isIn(['active', 'suspended']).withMessage('Status must be either active or suspended')
+];
+
+/**
+ * Validation rules for suspending a user
+ */
+const validateSuspension = [
+    ...validateUserIdParam,
+
+    body('reason')
+        .optional({ nullable: true })
+        .trim()
+        .isLength({ max: 500 }).withMessage('Reason must be at most 500 characters'),
+
+    body('durationHours')
+        .optional({ nullable: true })
+        .isInt({ min: 1, max: 8760 }).withMessage('Duration must be between 1 and 8760 hours')
+        .toInt()
+];
+
+/**
+ * Validation rules for creating an invite code
+ */
+const validateInviteCreation = [
+    body('maxUses')
+        .optional()
+        .isInt({ min: 1, max: 1000 }).withMessage('Max uses must be between 1 and 1000')
+        .toInt(),
+
+    body('expiresInDays')
+        .optional({ nullable: true })
+        .isInt({ min: 1, max: 365 }).withMessage('Expiry must be between 1 and 365 days')
+        .toInt(),
+
+    body('note')
+        .optional()
+        .trim()
+        .isLength({ max: 200 }).withMessage('Note must be at most 200 characters')
+];
+
+/**
+ * Validation rules for routes targeting a single invite code
+ */
+const validateInviteIdParam = [
+    param('inviteId')
+        .isMongoId().withMessage('Invalid invite code ID')
+];
+
+/**
+ * Validation rules for querying the audit log
+ */
+const validateAuditEventQuery = [
+    query('userId')
+        .optional()
+        .isMongoId().withMessage('Invalid user ID'),
+
+    query('actorId')
+        .optional()
+        .isMongoId().withMessage('Invalid actor ID'),
+
+    query('type')
+        .optional()
+        .isIn(AUDIT_EVENT_TYPES).withMessage(`Type must be one of ${AUDIT_EVENT_TYPES.join(', ')}`),
+
+    query('outcome')
+        .optional()
+        .isIn(['success', 'failure']).withMessage('Outcome must be either success or failure'),
+
+    query('ipAddress')
+        .optional()
+        .trim()
+        .isLength({ max: 64 }).withMessage('IP address must be at most 64 characters'),
+
+    query('requestId')
+        .optional()
+        .trim()
+        .isLength({ max: 100 }).withMessage('Request ID must be at most 100 characters'),
+
+    query('from')
+        .optional()
+        .isISO8601().withMessage('From must be an ISO 8601 date'),
+
+    query('to')
+        .optional()
+        .isISO8601().withMessage('To must be an ISO 8601 date')
+];
+
+module.exports = {
+    validateUserIdParam,
+    validateUserListQuery,
+    validateSuspension,
+    validateInviteCreation,
+    validateInviteIdParam,
+    validateAuditEventQuery
+};
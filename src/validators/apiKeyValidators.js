@@ -0,0 +1,73 @@
+const { body, param } = require('express-validator');
+const { API_KEY_SCOPES } = require('../config/apiKeyScopes');
+
+/**
+ * Validation rules for creating an API key
+ */
+const validateApiKeyCreation = [
+    body('name')
+        .trim()
+        .notEmpty().withMessage('Key name is required')
+        .isLength({ max: 100 }).withMessage('Key name must be at most 100 characters'),
+
+    body('scopes')
+        .isArray({ min: 1 }).withMessage('At least one scope is required'),
+
+    body('scopes.*')
+        .isIn(Object.keys(API_KEY_SCOPES)).withMessage(`Scopes must be any of ${Object.keys(API_KEY_SCOPES).join(', ')}`),
+
+    body('botId')
+        .optional({ nullable: true })
+        .isMongoId().withMessage('Invalid bot ID'),
+
+    body('expiresInDays')
+        .optional({ nullable: true })
+        .isInt({ min: 1, max: 365 }).withMessage('Expiry must be between 1 and 365 days')
+        .toInt(),
+
+    body('rateLimitPerMinute')
+        .optional({ nullable: true })
+        .isInt({ min: 1, max: 600 }).withMessage('Rate limit must be between 1 and 600 requests per minute')
+        .toInt()
+];
+
+/**
+ * Validation rules for routes targeting a single API key
+ */
+const validateApiKeyIdParam = [
+    param('keyId')
+        .isMongoId().withMessage('Invalid API key ID')
+];
+
+/**
+ * Validation rules for creating a bot account
+ */
+const validateBotCreation = [
+    body('username')
+        .trim()
+        .notEmpty().withMessage('Username is required')
+        .isLength({ min: 3, max: 30 }).withMessage('Username must be between 3 and 30 characters')
+        .matches(/^[a-zA-Z0-9_]+$/).withMessage('Username can only contain letters, numbers, and underscores')
+        .escape(),
+
+    body('bio')
+        .optional()
+        .trim()
+        .isLength({ max: 500 }).withMessage('Bio cannot exceed 500 characters')
+        .escape()
+];
+
+/**
+ * Validation rules for routes targeting a single bot
+ */
+const validateBotIdParam = [
+    param('botId')
+        .isMongoId().withMessage('Invalid bot ID')
+];
+
+module.exports = {
+    validateApiKeyCreation,
+    validateApiKeyIdParam,
+    validateBotCreation,
+    validateBotIdParam
+};
@@ -1,4 +1,16 @@
 const { body } = require('express-validator');
+const { assertRegistrationOpen, findUsableInviteCode } = require('../services/registrationService');
+const { isCommonPassword } = require('../utils/commonPasswords');
+
+/**
+ * Reject passwords from the bundled common/breached list (without echoing the password)
+ */
+const rejectCommonPassword = (value) => {
+    if (isCommonPassword(value)) {
+        throw new Error('This password is too common or has appeared in a data breach, so it is easy to guess. Please choose a different one');
+    }
+    return true;
+};
 
 /**
  * Validation rules for user registration
@@ -16,13 +28,34 @@ const validateRegistration = [
         .notEmpty().withMessage('Email is required')
         .isEmail().withMessage('Please provide a valid email address')
         .normalizeEmail()
-        .toLowerCase(),
+        .toLowerCase()
+        .bail()
+        // Closed registration or an email domain outside the allowlist
+        .custom((email) => {
+            assertRegistrationOpen(email);
+            return true;
+        }),
     
     body('password')
         .notEmpty().withMessage('Password is required')
         .isLength({ min: 8 }).withMessage('Password must be at least 8 characters long')
         .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
         .withMessage('Password must contain at least one uppercase letter, one lowercase letter, and one number')
+        .bail()
+        .custom(rejectCommonPassword),
+
+    // Missing, unknown, revoked, expired or used-up invite code (invite mode only)
+    body('inviteCode')
+        .optional({ nullable: true })
+        .isString().withMessage('Invite code must be a string')
+        .trim()
+        .isLength({ max: 64 }).withMessage('Invite code is too long'),
+
+    body('inviteCode')
+        .custom(async (code) => {
+            await findUsableInviteCode(code);
+            return true;
+        })
 ];
 
 /**
@@ -69,7 +102,9 @@ const validatePasswordChange = [
                 throw new Error('New password must be different from current password');
             }
             return true;
-        }),
+        })
+        .bail()
+        .custom(rejectCommonPassword),
     
     body('confirmPassword')
         .notEmpty().withMessage('Password confirmation is required')
@@ -81,9 +116,194 @@ const validatePasswordChange = [
         })
 ];
 
+/**
+ * Validation rules for email verification
+ */
+const validateEmailVerification = [
+    body('token')
+        .trim()
+        .notEmpty().withMessage('Verification token is required')
+];
+
+/**
+ * Validation rules for resending the verification email
+ */
+const validateResendVerification = [
+    body('email')
+        .trim()
+        .notEmpty().withMessage('Email is required')
+        .isEmail().withMessage('Please provide a valid email address')
+        .normalizeEmail()
+        .toLowerCase()
+];
+
+/**
+ * Validation rules for forgot password
+ */
+const validateForgotPassword = [
+    body('email')
+        .trim()
+        .notEmpty().withMessage('Email is required')
+        .isEmail().withMessage('Please provide a valid email address')
+        .normalizeEmail()
+        .toLowerCase()
+];
+
+/**
+ * Validation rules for password reset
+ */
+const validatePasswordReset = [
+    body('token')
+        .trim()
+        .notEmpty().withMessage('Reset token is required'),
+    
+    body('newPassword')
+        .notEmpty().withMessage('New password is required')
+        .isLength({ min: 8 }).withMessage('New password must be at least 8 characters long')
+        .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
+        .withMessage('New password must contain at least one uppercase letter, one lowercase letter, and one number')
+        .bail()
+        .custom(rejectCommonPassword),
+    
+    body('confirmPassword')
+        .notEmpty().withMessage('Password confirmation is required')
+        .custom((value, { req }) => {
+            if (value !== req.body.newPassword) {
+                throw new Error('Passwords do not match');
+            }
+            return true;
+        })
+];
+
+/**
+ * Validation rules for confirming two-factor setup
+ */
+const validateTwoFactorCode = [
+    body('code')
+        .trim()
+        .notEmpty().withMessage('Verification code is required')
+        .matches(/^\d{6}$/).withMessage('Verification code must be 6 digits')
+];
+
+/**
+ * Validation rules for the second login step
+ */
+const validateTwoFactorLogin = [
+    body('mfaToken')
+        .notEmpty().withMessage('MFA token is required'),
+    
+    body('code')
+        .trim()
+        .notEmpty().withMessage('Verification or recovery code is required')
+];
+
+/**
+ * Validation rules for disabling two-factor authentication
+ */
+const validateTwoFactorDisable = [
+    body('password')
+        .notEmpty().withMessage('Password is required'),
+    
+    body('code')
+        .trim()
+        .notEmpty().withMessage('Verification or recovery code is required')
+];
+
+/**
+ * Validation rules for requesting a magic login link
+ */
+const validateMagicLinkRequest = [
+    body('email')
+        .trim()
+        .notEmpty().withMessage('Email is required')
+        .isEmail().withMessage('Please provide a valid email address')
+        .normalizeEmail()
+        .toLowerCase()
+];
+
+/**
+ * Validation rules for logging in with a magic link
+ */
+const validateMagicLinkConsume = [
+    body('token')
+        .trim()
+        .notEmpty().withMessage('Login token is required'),
+    
+    body('deviceToken')
+        .trim()
+        .notEmpty().withMessage('Device token is required')
+];
+
+/**
+ * Validation rules for requesting passkey login options
+ */
+const validatePasskeyLoginOptions = [
+    body('email')
+        .optional({ checkFalsy: true })
+        .trim()
+        .isEmail().withMessage('Please provide a valid email address')
+        .normalizeEmail()
+        .toLowerCase()
+];
+
+/**
+ * Validation rules for a WebAuthn ceremony response
+ */
+const validatePasskeyCredential = [
+    body('credential')
+        .isObject().withMessage('Passkey credential is required'),
+    
+    body('credential.id')
+        .isString().withMessage('Passkey credential id is required'),
+    
+    body('credential.response.clientDataJSON')
+        .isString().withMessage('Passkey client data is required')
+];
+
+/**
+ * Validation rules for registering a passkey
+ */
+const validatePasskeyRegistration = [
+    ...validatePasskeyCredential,
+    
+    body('name')
+        .optional()
+        .trim()
+        .isLength({ min: 1, max: 100 }).withMessage('Passkey name must be between 1 and 100 characters')
+        .escape()
+];
+
+/**
+ * Validation rules for the OIDC callback
+ */
+const validateOidcCallback = [
+    body('state')
+        .trim()
+        .notEmpty().withMessage('State is required')
+        .isLength({ max: 256 }).withMessage('Invalid state'),
+    
+    body('code')
+        .trim()
+        .notEmpty().withMessage('Authorization code is required')
+        .isLength({ max: 2048 }).withMessage('Invalid authorization code')
+];
+
 module.exports = {
     validateRegistration,
     validateLogin,
     validateProfileUpdate,
-    validatePasswordChange
+    validatePasswordChange,
+    validateEmailVerification,
+    validateResendVerification,
+    validateForgotPassword,
+    validatePasswordReset,
+    validateTwoFactorCode,
+    validateTwoFactorLogin,
+    validateTwoFactorDisable,
+    validateMagicLinkRequest,
+    validateMagicLinkConsume,
+    validateOidcCallback,
+    validatePasskeyLoginOptions,
+    validatePasskeyCredential,
+    validatePasskeyRegistration
 };
\ No newline at end of file
@@ -0,0 +1,72 @@
+const { body, param, query } = require('express-validator');
+const { AUDIT_EVENT_TYPES } = require('../config/auditEvents');
+
+/**
+ * Validation rules for routes targeting a data export job
+ */
+const validateExportJobIdParam = [
+    param('jobId')
+        .isMongoId().withMessage('Invalid export ID')
+];
+
+/**
+ * Validation rules for deleting the account (password re-authentication)
+ */
+const validateAccountDeletion = [
+    body('password')
+        .notEmpty().withMessage('Password is required')
+];
+
+/**
+ * Validation rules for changing the username (same rules as registration)
+ */
+const validateUsernameChange = [
+    body('username')
+        .trim()
+        .notEmpty().withMessage('Username is required')
+        .isLength({ min: 3, max: 30 }).withMessage('Username must be between 3 and 30 characters')
+        .matches(/^[a-zA-Z0-9_]+$/).withMessage('Username can only contain letters, numbers, and underscores')
+        .escape()
+];
+
+/**
+ * Validation rules for requesting an email change (password re-authentication)
+ */
+const validateEmailChange = [
+    body('newEmail')
+        .trim()
+        .notEmpty().withMessage('New email is required')
+        .isEmail().withMessage('Please provide a valid email address')
+        .normalizeEmail()
+        .toLowerCase(),
+
+    body('password')
+        .notEmpty().withMessage('Password is required')
+];
+
+/**
+ * Validation rules for the confirm/report links of an email change
+ */
+const validateEmailChangeToken = [
+    body('token')
+        .trim()
+        .notEmpty().withMessage('Token is required')
+];
+
+/**
+ * Validation rules for listing your own security events
+ */
+const validateSecurityEventsQuery = [
+    query('type')
+        .optional()
+        .isIn(AUDIT_EVENT_TYPES).withMessage(`Type must be one of ${AUDIT_EVENT_TYPES.join(', ')}`)
+];
+
+module.exports = {
+    validateExportJobIdParam,
+    validateEmailChange,
+    validateEmailChangeToken,
+    validateUsernameChange,
+    validateAccountDeletion,
+    validateSecurityEventsQuery
+};